@@ -1,7 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useQuestionsByLecture, useUpdateQuestion, useCreateQuestion, useDeleteQuestion } from '../../hooks/useQuestions';
 import { useUpdateLecture } from '../../hooks/useLectures';
-import { Lecture, Question } from '../../types/database';
+import { Lecture, Question, QUESTION_TYPE_LABELS } from '../../types/database';
 import { PlusIcon, TrashIcon } from '../ui/Icons';
 import './LectureEditModal.css';
 
@@ -94,7 +94,12 @@ export default function LectureEditModal({ lecture, onClose }: LectureEditModalP
                 { id: 3, text: '' },
                 { id: 4, text: '' }
             ],
+            media: [],
+            question_type: 'single',
             correct_answer_index: -1, // No default selection
+            correct_answer_indices: null,
+            group_id: null,
+            group_order: 0,
             explanation: '',
             difficulty_level: 1,
             question_order: nextOrder,
@@ -137,7 +142,7 @@ export default function LectureEditModal({ lecture, onClose }: LectureEditModalP
         // 1. Validation Logic
         const newErrors: Record<string, string> = {};
         questions.forEach((q, idx) => {
-            if (q.correct_answer_index === -1) {
+            if (q.question_type === 'single' && q.correct_answer_index === -1) {
                 newErrors[q.id] = `Please select a correct answer for question #${idx + 1}.`;
             }
         });
@@ -176,7 +181,7 @@ export default function LectureEditModal({ lecture, onClose }: LectureEditModalP
                         external_id: q.external_id,
                         lecture_id: lecture.id,
                         text: q.text || 'New Question',
-                        options: q.options.filter(o => o.text.trim()), // Basic validation server-side usually, cleaning here
+                        options: q.options.filter(o => o.text.trim() || o.image_url), // Basic validation server-side usually, cleaning here
                         correct_answer_index: q.correct_answer_index,
                         explanation: q.explanation,
                         difficulty_level: q.difficulty_level,
@@ -189,12 +194,17 @@ export default function LectureEditModal({ lecture, onClose }: LectureEditModalP
                     if (original && JSON.stringify(original) !== JSON.stringify(q)) {
                         return updateQuestion.mutateAsync({
                             id: q.id,
-                            updates: {
+                            // Other question types keep their answers from the question editor
+                            updates: q.question_type === 'single' ? {
                                 text: q.text,
                                 options: q.options,
                                 correct_answer_index: q.correct_answer_index,
                                 explanation: q.explanation,
                                 difficulty_level: q.difficulty_level
+                            } : {
+                                text: q.text,
+                                explanation: q.explanation,
+                                difficulty_level: q.difficulty_level
                             }
                         });
                     }
@@ -304,6 +314,14 @@ export default function LectureEditModal({ lecture, onClose }: LectureEditModalP
                                         />
                                     </div>
 
+                                    {q.question_type !== 'single' ? (
+                                        <div className="q-input-group">
+                                            <label className="q-label">Options</label>
+                                            <p className="q-type-note">
+                                                {QUESTION_TYPE_LABELS[q.question_type]} question - edit its options and answers in the question editor.
+                                            </p>
+                                        </div>
+                                    ) : (
                                     <div className="q-input-group">
                                         <label className="q-label">Options (Select radio to set correct answer)</label>
                                         <div className="edit-options-grid">
@@ -334,6 +352,7 @@ export default function LectureEditModal({ lecture, onClose }: LectureEditModalP
                                             </div>
                                         )}
                                     </div>
+                                    )}
 
                                     <div className="q-input-group">
                                         <label className="q-label">Explanation</label>
@@ -1,5 +1,5 @@
 import { useQuestionsByLecture } from '../../hooks/useQuestions';
-import { Lecture } from '../../types/database';
+import { Lecture, MULTI_ANSWER_TYPES } from '../../types/database';
 import { EyeIcon } from '../ui/Icons';
 import './LectureReviewModal.css';
 
@@ -64,7 +64,9 @@ export default function LectureReviewModal({ lecture, onClose }: LectureReviewMo
 
                                     <div className="options-grid">
                                         {q.options.map((opt, idx) => {
-                                            const isCorrect = idx === q.correct_answer_index;
+                                            const isCorrect = MULTI_ANSWER_TYPES.includes(q.question_type)
+                                                ? (q.correct_answer_indices || []).includes(idx)
+                                                : idx === q.correct_answer_index;
                                             return (
                                                 <div
                                                     key={idx}
@@ -1,5 +1,7 @@
 import { useState, useEffect } from 'react';
-import { Question, QuestionInsert, QuestionOption, Lecture, Subject, Module, Year } from '../../types/database';
+import { Question, QuestionInsert, QuestionOption, QuestionMedia, QuestionType, QuestionGroup, Lecture, Subject, Module, Year, MULTI_ANSWER_TYPES, QUESTION_TYPE_LABELS } from '../../types/database';
+import { uploadQuestionImage, ALLOWED_IMAGE_TYPES } from '../../services/media.service';
+import { useQuestionGroupsByLecture, useCreateQuestionGroup } from '../../hooks/useQuestionGroups';
 import { TrashIcon, PlusIcon } from '../ui/Icons';
 import './SingleQuestionEditModal.css';
 
@@ -56,7 +58,26 @@ export default function SingleQuestionEditModal({
         ]
     );
     const [correctAnswerIndex, setCorrectAnswerIndex] = useState(question?.correct_answer_index ?? -1);
-    const [errors, setErrors] = useState<{ text?: string; options?: string; correct?: string }>({});
+    const [errors, setErrors] = useState<{ text?: string; options?: string; correct?: string; media?: string; group?: string }>({});
+
+    // Question type & group (clinical case / EMQ set)
+    const [questionType, setQuestionType] = useState<QuestionType>(question?.question_type || 'single');
+    const [correctAnswerIndices, setCorrectAnswerIndices] = useState<number[]>(question?.correct_answer_indices || []);
+    const [groupId, setGroupId] = useState(question?.group_id || '');
+    const [newGroup, setNewGroup] = useState<{ group_type: 'case' | 'emq'; title: string; stem: string; optionsText: string } | null>(null);
+    const { data: groups = [] } = useQuestionGroupsByLecture(lectureId);
+    const createGroup = useCreateQuestionGroup();
+
+    const isMultiAnswer = MULTI_ANSWER_TYPES.includes(questionType);
+    const selectedGroup = groups.find(g => g.id === groupId);
+    const newGroupOptions = (newGroup?.optionsText || '').split('\n').map(line => line.trim()).filter(Boolean);
+    const emqOptionTexts = newGroup
+        ? newGroupOptions
+        : (selectedGroup?.options || []).map(o => o.text || o.alt_text || '');
+
+    // Images (question-media storage bucket)
+    const [media, setMedia] = useState<QuestionMedia[]>(question?.media || []);
+    const [uploadingTarget, setUploadingTarget] = useState<string | null>(null);
 
     // Initialize Search if editing
     useEffect(() => {
@@ -109,21 +130,108 @@ export default function SingleQuestionEditModal({
             alert('A question must have at least 2 options');
             return;
         }
+        const removedIndex = options.findIndex(o => o.id === id);
         setOptions(options.filter(o => o.id !== id));
+        setCorrectAnswerIndices(current => current
+            .filter(i => i !== removedIndex)
+            .map(i => i > removedIndex ? i - 1 : i));
+    }
+
+    function toggleCorrectIndex(index: number) {
+        setCorrectAnswerIndices(current => current.includes(index)
+            ? current.filter(i => i !== index)
+            : [...current, index].sort((a, b) => a - b));
+        if (errors.correct) setErrors({ ...errors, correct: undefined });
+    }
+
+    function groupLabel(group: QuestionGroup) {
+        const kind = group.group_type === 'emq' ? 'EMQ set' : 'Case';
+        const name = group.title || group.stem.slice(0, 50) || 'Untitled';
+        return `${kind}: ${name}`;
+    }
+
+    function handleGroupSelect(value: string) {
+        if (value === '__new') {
+            setGroupId('');
+            setNewGroup({ group_type: questionType === 'emq' ? 'emq' : 'case', title: '', stem: '', optionsText: '' });
+        } else {
+            setGroupId(value);
+            setNewGroup(null);
+        }
+        if (errors.group) setErrors({ ...errors, group: undefined });
     }
 
     function updateOption(id: number, val: string) {
         setOptions(options.map(o => o.id === id ? { ...o, text: val } : o));
     }
 
-    function handleSubmit(e: React.FormEvent) {
+    function updateOptionImage(id: number, changes: Partial<QuestionOption>) {
+        setOptions(current => current.map(o => o.id === id ? { ...o, ...changes } : o));
+    }
+
+    function updateMediaItem(index: number, changes: Partial<QuestionMedia>) {
+        setMedia(current => current.map((item, i) => i === index ? { ...item, ...changes } : item));
+    }
+
+    // Uploads go under the lecture's external_id so the bucket stays browsable
+    async function uploadImage(file: File, target: string): Promise<string | null> {
+        const folder = lectures.find(l => l.id === lectureId)?.external_id || 'unsorted';
+        setUploadingTarget(target);
+        try {
+            return await uploadQuestionImage(file, folder);
+        } catch (err) {
+            alert(err instanceof Error ? err.message : 'Failed to upload image');
+            return null;
+        } finally {
+            setUploadingTarget(null);
+        }
+    }
+
+    async function handleQuestionImage(e: React.ChangeEvent<HTMLInputElement>) {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        const url = await uploadImage(file, 'question');
+        if (url) {
+            setMedia(current => [...current, { type: 'image', url, alt_text: '', caption: null }]);
+            if (errors.media) setErrors({ ...errors, media: undefined });
+        }
+    }
+
+    async function handleOptionImage(id: number, e: React.ChangeEvent<HTMLInputElement>) {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        const url = await uploadImage(file, `option-${id}`);
+        if (url) {
+            updateOptionImage(id, { image_url: url });
+            if (errors.options) setErrors({ ...errors, options: undefined });
+        }
+    }
+
+    async function handleSubmit(e: React.FormEvent) {
         e.preventDefault();
         const newErrors: typeof errors = {};
+        const groupType = newGroup ? newGroup.group_type : selectedGroup?.group_type;
 
         if (!lectureId) return alert('Please select a lecture');
         if (!text.trim()) newErrors.text = 'Question text is required';
-        if (options.some(o => !o.text.trim())) newErrors.options = 'All options must have text';
-        if (correctAnswerIndex === -1) newErrors.correct = 'Please select the correct answer';
+        if (questionType !== 'emq') {
+            if (options.some(o => !o.text.trim() && !o.image_url)) newErrors.options = 'All options must have text or an image';
+            else if (options.some(o => o.image_url && !o.alt_text?.trim())) newErrors.options = 'Option images need alt text';
+        }
+        if (media.some(m => !m.alt_text.trim())) newErrors.media = 'Every image needs alt text';
+        if (uploadingTarget) return alert('Please wait for the image upload to finish');
+
+        if (questionType === 'emq' && groupType !== 'emq') newErrors.group = 'EMQ items must belong to an EMQ set';
+        else if (questionType !== 'emq' && groupType === 'emq') newErrors.group = 'Only EMQ items can join an EMQ set';
+        else if (newGroup && !newGroup.stem.trim()) newErrors.group = 'The case or EMQ set needs a stem';
+        else if (newGroup?.group_type === 'emq' && newGroupOptions.length < 2) newErrors.group = 'EMQ sets need at least 2 options';
+
+        if (questionType === 'multi' && correctAnswerIndices.length === 0) newErrors.correct = 'Select at least one correct option';
+        if (!isMultiAnswer && correctAnswerIndex === -1) newErrors.correct = 'Please select the correct answer';
 
         if (Object.keys(newErrors).length > 0) {
             setErrors(newErrors);
@@ -134,12 +242,40 @@ export default function SingleQuestionEditModal({
         }
 
         setErrors({});
+
+        // New cases / EMQ sets are created first so the question can point at them
+        let savedGroupId = groupId || null;
+        if (newGroup) {
+            try {
+                const created = await createGroup.mutateAsync({
+                    lecture_id: lectureId,
+                    group_type: newGroup.group_type,
+                    title: newGroup.title.trim() || null,
+                    stem: newGroup.stem.trim(),
+                    options: newGroup.group_type === 'emq'
+                        ? newGroupOptions.map((optionText, i) => ({ id: i + 1, text: optionText, image_url: null, alt_text: null }))
+                        : null,
+                });
+                savedGroupId = created.id;
+                setGroupId(created.id);
+                setNewGroup(null);
+            } catch (err) {
+                setErrors({ group: err instanceof Error ? err.message : 'Failed to create the group' });
+                return;
+            }
+        }
+
         onSave({
             external_id: question ? question.external_id : generatedId,
             lecture_id: lectureId,
             text,
-            options,
-            correct_answer_index: correctAnswerIndex,
+            options: questionType === 'emq' ? [] : options, // EMQ items use the set's options
+            media: media.map(m => ({ ...m, alt_text: m.alt_text.trim(), caption: m.caption?.trim() || null })),
+            question_type: questionType,
+            correct_answer_index: isMultiAnswer ? null : correctAnswerIndex,
+            correct_answer_indices: isMultiAnswer ? correctAnswerIndices : null,
+            group_id: savedGroupId,
+            group_order: question?.group_order ?? 0,
             explanation: explanation || null,
             difficulty_level: difficultyLevel,
         });
@@ -205,6 +341,22 @@ export default function SingleQuestionEditModal({
                         <div className={`question-form-card ${Object.keys(errors).length > 0 ? 'has-error' : ''}`}>
                             <div className="card-header" style={{ border: 'none', marginBottom: '20px', paddingBottom: 0 }}>
                                 <span style={{ fontSize: '14px', fontWeight: 700, color: '#64748b' }}>Question Content</span>
+                                <div className="difficulty-selector">
+                                    <label htmlFor="question-type-select">Type</label>
+                                    <select
+                                        id="question-type-select"
+                                        className="question-type-select"
+                                        value={questionType}
+                                        onChange={e => {
+                                            setQuestionType(e.target.value as QuestionType);
+                                            setErrors({ ...errors, correct: undefined, group: undefined });
+                                        }}
+                                    >
+                                        {(Object.keys(QUESTION_TYPE_LABELS) as QuestionType[]).map(type => (
+                                            <option key={type} value={type}>{QUESTION_TYPE_LABELS[type]}</option>
+                                        ))}
+                                    </select>
+                                </div>
                                 <div className="difficulty-selector">
                                     <label>Difficulty</label>
                                     {[1, 2, 3].map(level => (
@@ -223,6 +375,58 @@ export default function SingleQuestionEditModal({
                                 </div>
                             </div>
 
+                            <div className="q-input-group">
+                                <label className="form-label-premium">Clinical Case / EMQ Set</label>
+                                <select
+                                    className={`form-input-premium ${errors.group ? 'is-invalid' : ''}`}
+                                    value={newGroup ? '__new' : groupId}
+                                    onChange={e => handleGroupSelect(e.target.value)}
+                                    disabled={!lectureId}
+                                >
+                                    <option value="">None (standalone question)</option>
+                                    {groups.map(group => (
+                                        <option key={group.id} value={group.id}>{groupLabel(group)}</option>
+                                    ))}
+                                    <option value="__new">+ New case or EMQ set...</option>
+                                </select>
+                                {selectedGroup && (
+                                    <p className="group-stem-preview">{selectedGroup.stem}</p>
+                                )}
+                                {newGroup && (
+                                    <div className="new-group-fields">
+                                        <select
+                                            className="form-input-premium"
+                                            value={newGroup.group_type}
+                                            onChange={e => setNewGroup({ ...newGroup, group_type: e.target.value as 'case' | 'emq' })}
+                                        >
+                                            <option value="case">Clinical case (shared vignette)</option>
+                                            <option value="emq">EMQ set (shared option list)</option>
+                                        </select>
+                                        <input
+                                            className="form-input-premium"
+                                            value={newGroup.title}
+                                            onChange={e => setNewGroup({ ...newGroup, title: e.target.value })}
+                                            placeholder={newGroup.group_type === 'emq' ? 'Theme, e.g. Causes of chest pain' : 'Case title (optional)'}
+                                        />
+                                        <textarea
+                                            className="form-input-premium premium-textarea"
+                                            value={newGroup.stem}
+                                            onChange={e => setNewGroup({ ...newGroup, stem: e.target.value })}
+                                            placeholder={newGroup.group_type === 'emq' ? 'Lead-in, e.g. For each patient choose the most likely diagnosis' : 'Vignette shown above every question in the case'}
+                                        />
+                                        {newGroup.group_type === 'emq' && (
+                                            <textarea
+                                                className="form-input-premium premium-textarea"
+                                                value={newGroup.optionsText}
+                                                onChange={e => setNewGroup({ ...newGroup, optionsText: e.target.value })}
+                                                placeholder="Shared options, one per line"
+                                            />
+                                        )}
+                                    </div>
+                                )}
+                                {errors.group && <span className="error-text">{errors.group}</span>}
+                            </div>
+
                             <div className="q-input-group">
                                 <label className="form-label-premium">Question Text</label>
                                 <textarea
@@ -239,10 +443,87 @@ export default function SingleQuestionEditModal({
                             </div>
 
                             <div className="q-input-group">
-                                <label className="form-label-premium">Options (Select radio for correct answer)</label>
+                                <label className="form-label-premium">Images (shown under the question)</label>
+                                <div className="question-media-list">
+                                    {media.map((item, idx) => (
+                                        <div key={item.url} className="question-media-row">
+                                            <img src={item.url} alt={item.alt_text} className="media-thumb" />
+                                            <div className="media-fields">
+                                                <input
+                                                    className={`form-input-premium ${errors.media && !item.alt_text.trim() ? 'is-invalid' : ''}`}
+                                                    value={item.alt_text}
+                                                    onChange={e => {
+                                                        updateMediaItem(idx, { alt_text: e.target.value });
+                                                        if (errors.media) setErrors({ ...errors, media: undefined });
+                                                    }}
+                                                    placeholder="Alt text (describe the image for screen readers)"
+                                                />
+                                                <input
+                                                    className="form-input-premium"
+                                                    value={item.caption || ''}
+                                                    onChange={e => updateMediaItem(idx, { caption: e.target.value })}
+                                                    placeholder="Caption (optional)"
+                                                />
+                                            </div>
+                                            <button type="button" className="media-remove-btn" onClick={() => setMedia(media.filter((_, i) => i !== idx))} aria-label="Remove image">
+                                                <TrashIcon />
+                                            </button>
+                                        </div>
+                                    ))}
+                                    {errors.media && <span className="error-text">{errors.media}</span>}
+                                    <label className={`media-upload-btn ${uploadingTarget === 'question' ? 'is-uploading' : ''}`}>
+                                        <input type="file" accept={ALLOWED_IMAGE_TYPES.join(',')} onChange={handleQuestionImage} disabled={!!uploadingTarget} hidden />
+                                        {uploadingTarget === 'question' ? 'Uploading...' : <><PlusIcon /> Add Image</>}
+                                    </label>
+                                </div>
+                            </div>
+
+                            {questionType === 'emq' ? (
+                            <div className="q-input-group">
+                                <label className="form-label-premium">Answer (from the EMQ set's options)</label>
+                                <div className="edit-options-grid" style={{ display: 'grid', gap: '12px' }}>
+                                    {emqOptionTexts.length === 0 && (
+                                        <p className="group-stem-preview">Choose or create an EMQ set above to pick the answer.</p>
+                                    )}
+                                    {emqOptionTexts.map((optionText, idx) => (
+                                        <label key={idx} className={`edit-option-row ${correctAnswerIndex === idx ? 'correct-option-premium' : ''}`} style={{ display: 'flex', alignItems: 'center', gap: '12px', background: '#f8fafc', padding: '12px', borderRadius: '12px', border: '1px solid #e2e8f0', cursor: 'pointer' }}>
+                                            <input
+                                                type="radio"
+                                                name="correct-answer"
+                                                checked={correctAnswerIndex === idx}
+                                                onChange={() => {
+                                                    setCorrectAnswerIndex(idx);
+                                                    if (errors.correct) setErrors({ ...errors, correct: undefined });
+                                                }}
+                                                className="correct-radio"
+                                                style={{ accentColor: '#22c55e', width: '20px', height: '20px', cursor: 'pointer' }}
+                                            />
+                                            <span style={{ fontSize: '14px', fontWeight: 500 }}>{String.fromCharCode(65 + idx)}. {optionText}</span>
+                                        </label>
+                                    ))}
+                                    {errors.correct && <span className="error-text">{errors.correct}</span>}
+                                </div>
+                            </div>
+                            ) : (
+                            <div className="q-input-group">
+                                <label className="form-label-premium">
+                                    {questionType === 'multi' && 'Options (Tick every correct answer)'}
+                                    {questionType === 'true_false' && 'Statements (Tick the ones that are TRUE)'}
+                                    {questionType === 'single' && 'Options (Select radio for correct answer)'}
+                                </label>
                                 <div className="edit-options-grid" style={{ display: 'grid', gap: '12px' }}>
                                     {options.map((opt, idx) => (
-                                        <div key={opt.id} className={`edit-option-row ${correctAnswerIndex === idx ? 'correct-option-premium' : ''}`} style={{ display: 'flex', alignItems: 'center', gap: '12px', background: '#f8fafc', padding: '12px', borderRadius: '12px', border: errors.options && !opt.text.trim() ? '1px solid #ef4444' : '1px solid #e2e8f0' }}>
+                                        <div key={opt.id} className={`edit-option-row ${(isMultiAnswer ? correctAnswerIndices.includes(idx) : correctAnswerIndex === idx) ? 'correct-option-premium' : ''}`} style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '12px', background: '#f8fafc', padding: '12px', borderRadius: '12px', border: errors.options && !opt.text.trim() && !opt.image_url ? '1px solid #ef4444' : '1px solid #e2e8f0' }}>
+                                            {isMultiAnswer ? (
+                                                <input
+                                                    type="checkbox"
+                                                    checked={correctAnswerIndices.includes(idx)}
+                                                    onChange={() => toggleCorrectIndex(idx)}
+                                                    className="correct-radio"
+                                                    aria-label={questionType === 'true_false' ? `Statement ${idx + 1} is true` : `Option ${idx + 1} is correct`}
+                                                    style={{ accentColor: '#22c55e', width: '20px', height: '20px', cursor: 'pointer' }}
+                                                />
+                                            ) : (
                                             <input
                                                 type="radio"
                                                 name="correct-answer"
@@ -254,6 +535,7 @@ export default function SingleQuestionEditModal({
                                                 className="correct-radio"
                                                 style={{ accentColor: '#22c55e', width: '20px', height: '20px', cursor: 'pointer' }}
                                             />
+                                            )}
                                             <input
                                                 className="option-input"
                                                 value={opt.text}
@@ -261,24 +543,48 @@ export default function SingleQuestionEditModal({
                                                     updateOption(opt.id, e.target.value);
                                                     if (errors.options) setErrors({ ...errors, options: undefined });
                                                 }}
-                                                placeholder={`Option ${idx + 1}`}
+                                                placeholder={opt.image_url ? `Option ${idx + 1} text (optional)` : `Option ${idx + 1}`}
                                                 style={{ flex: 1, border: 'none', background: 'transparent', outline: 'none', fontSize: '14px', fontWeight: 500 }}
-                                                required
+                                                required={!opt.image_url}
                                             />
+                                            {!opt.image_url && (
+                                                <label className={`media-upload-btn media-upload-btn-small ${uploadingTarget === `option-${opt.id}` ? 'is-uploading' : ''}`} title="Add image to this option">
+                                                    <input type="file" accept={ALLOWED_IMAGE_TYPES.join(',')} onChange={e => handleOptionImage(opt.id, e)} disabled={!!uploadingTarget} hidden />
+                                                    {uploadingTarget === `option-${opt.id}` ? 'Uploading...' : 'Image'}
+                                                </label>
+                                            )}
                                             {options.length > 2 && (
                                                 <button type="button" onClick={() => removeOption(opt.id)} style={{ background: 'transparent', border: 'none', color: '#ef4444', cursor: 'pointer' }}>
                                                     <TrashIcon />
                                                 </button>
                                             )}
+                                            {opt.image_url && (
+                                                <div className="option-media-row">
+                                                    <img src={opt.image_url} alt={opt.alt_text || ''} className="media-thumb" />
+                                                    <input
+                                                        className={`form-input-premium ${errors.options && !opt.alt_text?.trim() ? 'is-invalid' : ''}`}
+                                                        value={opt.alt_text || ''}
+                                                        onChange={e => {
+                                                            updateOptionImage(opt.id, { alt_text: e.target.value });
+                                                            if (errors.options) setErrors({ ...errors, options: undefined });
+                                                        }}
+                                                        placeholder="Alt text for this image"
+                                                    />
+                                                    <button type="button" className="media-remove-btn" onClick={() => updateOptionImage(opt.id, { image_url: null, alt_text: null })} aria-label="Remove option image">
+                                                        <TrashIcon />
+                                                    </button>
+                                                </div>
+                                            )}
                                         </div>
                                     ))}
                                     {errors.options && <span className="error-text">{errors.options}</span>}
                                     {errors.correct && <span className="error-text">{errors.correct}</span>}
                                     <button type="button" className="btn-add-question" onClick={addOption} style={{ padding: '12px !important', fontSize: '14px !important', marginTop: '8px' }}>
-                                        <PlusIcon /> Add Option
+                                        <PlusIcon /> {questionType === 'true_false' ? 'Add Statement' : 'Add Option'}
                                     </button>
                                 </div>
                             </div>
+                            )}
 
                             <div className="q-input-group" style={{ marginTop: '24px' }}>
                                 <label className="form-label-premium">Explanation</label>
@@ -306,8 +612,8 @@ export default function SingleQuestionEditModal({
                     <button type="button" className="btn btn-secondary" onClick={onCancel} disabled={isSaving}>
                         Cancel
                     </button>
-                    <button type="submit" form="premium-question-form" className="btn btn-primary" disabled={isSaving} style={{ background: '#6366f1', color: 'white', border: 'none' }}>
-                        {isSaving ? 'Saving...' : 'Save Question'}
+                    <button type="submit" form="premium-question-form" className="btn btn-primary" disabled={isSaving || createGroup.isPending} style={{ background: '#6366f1', color: 'white', border: 'none' }}>
+                        {isSaving || createGroup.isPending ? 'Saving...' : 'Save Question'}
                     </button>
                 </div>
             </div>
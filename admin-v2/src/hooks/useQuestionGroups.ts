@@ -0,0 +1,26 @@
+/**
+ * React Query Hooks for Question Groups (clinical cases / EMQ sets)
+ */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import * as groupsService from '../services/question-groups.service';
+import type { QuestionGroupInsert } from '../types/database';
+
+export function useQuestionGroupsByLecture(lectureId: string) {
+    return useQuery({
+        queryKey: ['question-groups', 'by-lecture', lectureId],
+        queryFn: () => groupsService.getGroupsByLectureId(lectureId),
+        enabled: !!lectureId,
+    });
+}
+
+export function useCreateQuestionGroup() {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: (data: QuestionGroupInsert) => groupsService.createQuestionGroup(data),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['question-groups'] });
+        },
+    });
+}
@@ -0,0 +1,65 @@
+/**
+ * Media Service - Question Images
+ *
+ * Uploads question and option images to the public `question-media`
+ * storage bucket (server/migrations/008_question_media.sql).
+ *
+ * ⚠️ Files are never overwritten: every upload gets a new path, so the
+ * student app's service worker can cache images forever.
+ */
+
+import { supabase, logQuery, logError } from '../lib/supabase';
+
+export const QUESTION_MEDIA_BUCKET = 'question-media';
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024; // Mirrors the bucket's file_size_limit
+export const ALLOWED_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif', 'image/svg+xml'];
+
+export function validateImageFile(file: File): string | null {
+    if (!ALLOWED_IMAGE_TYPES.includes(file.type)) {
+        return 'Images must be PNG, JPEG, WebP, GIF or SVG';
+    }
+
+    if (file.size > MAX_IMAGE_BYTES) {
+        return 'Images must be 5 MB or smaller';
+    }
+
+    return null;
+}
+
+function uploadPath(file: File, folder: string): string {
+    const extension = (file.name.split('.').pop() || 'img').toLowerCase().replace(/[^a-z0-9]/g, '');
+    const unique = typeof crypto !== 'undefined' && 'randomUUID' in crypto
+        ? crypto.randomUUID()
+        : `${Date.now()}-${Math.random().toString(36).substring(2, 10)}`;
+    return `${folder}/${unique}.${extension}`;
+}
+
+/**
+ * Upload an image and return its public URL
+ * @param folder - Path prefix inside the bucket, e.g. the lecture's external_id
+ */
+export async function uploadQuestionImage(file: File, folder: string = 'unsorted'): Promise<string> {
+    const validationError = validateImageFile(file);
+    if (validationError) {
+        throw new Error(validationError);
+    }
+
+    const path = uploadPath(file, folder.replace(/[^a-zA-Z0-9_-]/g, '_') || 'unsorted');
+    logQuery('UPLOAD', QUESTION_MEDIA_BUCKET, { path, size: file.size });
+
+    const { error } = await supabase.storage
+        .from(QUESTION_MEDIA_BUCKET)
+        .upload(path, file, {
+            contentType: file.type,
+            cacheControl: '31536000',
+            upsert: false,
+        });
+
+    if (error) {
+        logError('uploadQuestionImage', error);
+        throw new Error(`Failed to upload image: ${error.message}`);
+    }
+
+    const { data } = supabase.storage.from(QUESTION_MEDIA_BUCKET).getPublicUrl(path);
+    return data.publicUrl;
+}
@@ -0,0 +1,120 @@
+/**
+ * Question Groups Service - Data Access Layer
+ *
+ * Clinical cases and EMQ sets (server/migrations/009_question_types.sql).
+ * Groups carry no answer key; each question keeps its own.
+ */
+
+import { supabase, logQuery, logError } from '../lib/supabase';
+import type { QuestionGroup, QuestionGroupInsert, QuestionGroupUpdate } from '../types/database';
+import { validateQuestionOptions, validateQuestionMedia } from '../types/database';
+
+function validateGroup(group: QuestionGroupUpdate): void {
+    if (group.group_type === 'emq' && !group.options) {
+        throw new Error('Invalid group: EMQ sets need an option list');
+    }
+
+    if (group.options) {
+        const optionsError = validateQuestionOptions(group.options);
+        if (optionsError) {
+            throw new Error(`Invalid options: ${optionsError}`);
+        }
+    }
+
+    if (group.media) {
+        const mediaError = validateQuestionMedia(group.media);
+        if (mediaError) {
+            throw new Error(`Invalid media: ${mediaError}`);
+        }
+    }
+}
+
+export async function getGroupsByLectureId(lectureId: string): Promise<QuestionGroup[]> {
+    logQuery('SELECT by lecture_id', 'question_groups', { lectureId });
+
+    const { data, error } = await supabase
+        .from('question_groups')
+        .select('*')
+        .eq('lecture_id', lectureId)
+        .order('group_order', { ascending: true });
+
+    if (error) {
+        logError('getGroupsByLectureId', error);
+        throw new Error(`Failed to fetch question groups: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+export async function createQuestionGroup(groupData: QuestionGroupInsert): Promise<QuestionGroup> {
+    logQuery('INSERT', 'question_groups', groupData);
+    validateGroup(groupData);
+
+    const { data, error } = await supabase
+        .from('question_groups')
+        .insert({
+            external_id: groupData.external_id || null,
+            lecture_id: groupData.lecture_id,
+            group_type: groupData.group_type,
+            title: groupData.title || null,
+            stem: groupData.stem,
+            options: groupData.group_type === 'emq' ? (groupData.options as unknown as string) : null,
+            media: (groupData.media ?? []) as unknown as string,
+            group_order: groupData.group_order ?? 0,
+        })
+        .select()
+        .single();
+
+    if (error) {
+        logError('createQuestionGroup', error);
+
+        if (error.code === '23505') {
+            throw new Error(`Question group with external_id "${groupData.external_id}" already exists`);
+        }
+
+        throw new Error(`Failed to create question group: ${error.message}`);
+    }
+
+    return data;
+}
+
+export async function updateQuestionGroup(id: string, updates: QuestionGroupUpdate): Promise<QuestionGroup> {
+    logQuery('UPDATE', 'question_groups', { id, ...updates });
+    validateGroup(updates);
+
+    const { data, error } = await supabase
+        .from('question_groups')
+        .update({
+            ...updates,
+            options: updates.options ? (updates.options as unknown as string) : undefined,
+            media: updates.media ? (updates.media as unknown as string) : undefined,
+            updated_at: new Date().toISOString(),
+        })
+        .eq('id', id)
+        .select()
+        .single();
+
+    if (error) {
+        logError('updateQuestionGroup', error);
+        throw new Error(`Failed to update question group: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Questions in the group are kept as standalone questions (group_id is set null)
+ */
+export async function deleteQuestionGroup(id: string): Promise<void> {
+    logQuery('DELETE', 'question_groups', { id });
+
+    const { error } = await supabase
+        .from('question_groups')
+        .delete()
+        .eq('id', id);
+
+    if (error) {
+        logError('deleteQuestionGroup', error);
+        throw new Error(`Failed to delete question group: ${error.message}`);
+    }
+}
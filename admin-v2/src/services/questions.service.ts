@@ -3,13 +3,34 @@
  * 
  * ⚠️ CRITICAL SECURITY:
  * - Handles JSONB options format (NOT string arrays)
- * - Includes correct_answer_index (ADMIN ONLY)
+ * - Includes correct_answer_index / correct_answer_indices (ADMIN ONLY)
  * - NEVER expose this service to student-facing APIs
  */
 
 import { supabase, logQuery, logError } from '../lib/supabase';
 import type { Question, QuestionInsert, QuestionUpdate, QuestionOption } from '../types/database';
-import { validateQuestionOptions, validateCorrectAnswerIndex } from '../types/database';
+import { validateQuestionOptions, validateQuestionMedia, validateAnswerKey } from '../types/database';
+
+/**
+ * EMQ items answer from their group's option list; everything else from
+ * the question's own options
+ */
+async function answerOptionCount(questionType: string, options: QuestionOption[], groupId?: string | null): Promise<number> {
+    if (questionType !== 'emq') return options.length;
+    if (!groupId) throw new Error('Invalid question: EMQ items must belong to an EMQ set');
+
+    const { data, error } = await supabase
+        .from('question_groups')
+        .select('group_type, options')
+        .eq('id', groupId)
+        .single();
+
+    if (error || !data || data.group_type !== 'emq') {
+        throw new Error('Invalid question: EMQ items must belong to an EMQ set');
+    }
+
+    return Array.isArray(data.options) ? data.options.length : 0;
+}
 
 // ============================================================================
 // READ Operations
@@ -53,23 +74,35 @@ export async function getQuestionsByLectureId(lectureId: string): Promise<Questi
 // ============================================================================
 
 export async function createQuestion(questionData: QuestionInsert): Promise<Question> {
-    logQuery('INSERT', 'questions', { ...questionData, correct_answer_index: '[REDACTED]' });
+    logQuery('INSERT', 'questions', { ...questionData, correct_answer_index: '[REDACTED]', correct_answer_indices: '[REDACTED]' });
+    const questionType = questionData.question_type ?? 'single';
 
-    // Validate options format
-    const optionsError = validateQuestionOptions(questionData.options);
-    if (optionsError) {
-        throw new Error(`Invalid options: ${optionsError}`);
+    // Validate options format (EMQ items use their set's options)
+    if (questionType !== 'emq') {
+        const optionsError = validateQuestionOptions(questionData.options);
+        if (optionsError) {
+            throw new Error(`Invalid options: ${optionsError}`);
+        }
+    }
+
+    const mediaError = validateQuestionMedia(questionData.media ?? []);
+    if (mediaError) {
+        throw new Error(`Invalid media: ${mediaError}`);
     }
 
-    // Validate correct_answer_index
-    const indexError = validateCorrectAnswerIndex(
+    // Validate the answer key
+    const indexError = validateAnswerKey(
+        questionType,
         questionData.correct_answer_index,
-        questionData.options.length
+        questionData.correct_answer_indices,
+        await answerOptionCount(questionType, questionData.options, questionData.group_id)
     );
     if (indexError) {
         throw new Error(`Invalid correct answer: ${indexError}`);
     }
 
+    const isMultiAnswer = questionType === 'multi' || questionType === 'true_false';
+
     const { data, error } = await supabase
         .from('questions')
         .insert({
@@ -77,7 +110,12 @@ export async function createQuestion(questionData: QuestionInsert): Promise<Ques
             lecture_id: questionData.lecture_id,
             text: questionData.text,
             options: questionData.options as unknown as string, // Supabase expects JSONB as string
-            correct_answer_index: questionData.correct_answer_index,
+            media: (questionData.media ?? []) as unknown as string,
+            question_type: questionType,
+            correct_answer_index: isMultiAnswer ? null : questionData.correct_answer_index,
+            correct_answer_indices: isMultiAnswer ? questionData.correct_answer_indices : null,
+            group_id: questionData.group_id || null,
+            group_order: questionData.group_order ?? 0,
             explanation: questionData.explanation || null,
             question_order: questionData.question_order ?? 0,
             difficulty_level: questionData.difficulty_level ?? 1,
@@ -107,21 +145,32 @@ export async function createQuestion(questionData: QuestionInsert): Promise<Ques
 // ============================================================================
 
 export async function updateQuestion(id: string, updates: QuestionUpdate): Promise<Question> {
-    logQuery('UPDATE', 'questions', { id, ...updates, correct_answer_index: '[REDACTED]' });
+    logQuery('UPDATE', 'questions', { id, ...updates, correct_answer_index: '[REDACTED]', correct_answer_indices: '[REDACTED]' });
 
-    // Validate options if being updated
-    if (updates.options) {
+    // Validate options if being updated (EMQ items use their set's options)
+    if (updates.options && updates.question_type !== 'emq') {
         const optionsError = validateQuestionOptions(updates.options);
         if (optionsError) {
             throw new Error(`Invalid options: ${optionsError}`);
         }
     }
 
-    // Validate correct_answer_index if being updated
-    if (updates.correct_answer_index !== undefined && updates.options) {
-        const indexError = validateCorrectAnswerIndex(
+    if (updates.media) {
+        const mediaError = validateQuestionMedia(updates.media);
+        if (mediaError) {
+            throw new Error(`Invalid media: ${mediaError}`);
+        }
+    }
+
+    // Validate the answer key if being updated
+    const hasAnswerKey = updates.correct_answer_index !== undefined || updates.correct_answer_indices !== undefined;
+    if (hasAnswerKey && updates.options) {
+        const questionType = updates.question_type ?? 'single';
+        const indexError = validateAnswerKey(
+            questionType,
             updates.correct_answer_index,
-            updates.options.length
+            updates.correct_answer_indices,
+            await answerOptionCount(questionType, updates.options, updates.group_id)
         );
         if (indexError) {
             throw new Error(`Invalid correct answer: ${indexError}`);
@@ -133,6 +182,7 @@ export async function updateQuestion(id: string, updates: QuestionUpdate): Promi
         .update({
             ...updates,
             options: updates.options ? (updates.options as unknown as string) : undefined,
+            media: updates.media ? (updates.media as unknown as string) : undefined,
             updated_at: new Date().toISOString(),
         })
         .eq('id', id)
@@ -58,6 +58,54 @@ export interface QuestionOption {
     alt_text?: string | null;
 }
 
+/**
+ * Question Media Item (JSONB, questions.media)
+ * Images shown under the question stem; files live in the
+ * `question-media` storage bucket (server/migrations/008_question_media.sql)
+ */
+export interface QuestionMedia {
+    type: 'image';
+    url: string;
+    alt_text: string;
+    caption?: string | null;
+}
+
+/**
+ * Question Types (server/migrations/009_question_types.sql)
+ * - single: one best answer (correct_answer_index)
+ * - multi: select all that apply (correct_answer_indices, partial credit)
+ * - true_false: options are statements; correct_answer_indices lists the TRUE ones
+ * - emq: extended matching item; answers from its group's shared option list
+ */
+export type QuestionType = 'single' | 'multi' | 'true_false' | 'emq';
+
+export const MULTI_ANSWER_TYPES: QuestionType[] = ['multi', 'true_false'];
+
+export const QUESTION_TYPE_LABELS: Record<QuestionType, string> = {
+    single: 'Single best answer',
+    multi: 'Select all that apply',
+    true_false: 'True / false statements',
+    emq: 'Extended matching',
+};
+
+/**
+ * Question Group: clinical case (shared vignette) or EMQ set (theme,
+ * lead-in and one option list for every item)
+ */
+export interface QuestionGroup {
+    id: string; // UUID
+    external_id: string | null;
+    lecture_id: string; // UUID FK
+    group_type: 'case' | 'emq';
+    title: string | null;
+    stem: string;
+    options: QuestionOption[] | null; // JSONB, EMQ only
+    media: QuestionMedia[]; // JSONB array
+    group_order: number;
+    created_at: string;
+    updated_at: string;
+}
+
 /**
  * Question (Admin View - includes correct answer)
  * ⚠️ SECURITY: This type MUST ONLY be used in admin context
@@ -68,7 +116,12 @@ export interface Question {
     lecture_id: string; // UUID FK
     text: string;
     options: QuestionOption[]; // JSONB array
-    correct_answer_index: number; // 🔐 ADMIN ONLY
+    media: QuestionMedia[]; // JSONB array
+    question_type: QuestionType;
+    correct_answer_index: number | null; // 🔐 ADMIN ONLY (single / emq)
+    correct_answer_indices: number[] | null; // 🔐 ADMIN ONLY (multi / true_false)
+    group_id: string | null; // UUID FK, question_groups
+    group_order: number;
     explanation: string | null;
     question_order: number;
     difficulty_level: 1 | 2 | 3;
@@ -110,12 +163,28 @@ export interface QuestionInsert {
     lecture_id: string; // UUID
     text: string;
     options: QuestionOption[]; // JSONB
-    correct_answer_index: number;
+    media?: QuestionMedia[]; // JSONB
+    question_type?: QuestionType;
+    correct_answer_index: number | null;
+    correct_answer_indices?: number[] | null;
+    group_id?: string | null;
+    group_order?: number;
     explanation?: string | null;
     question_order?: number;
     difficulty_level?: 1 | 2 | 3;
 }
 
+export interface QuestionGroupInsert {
+    external_id?: string | null;
+    lecture_id: string; // UUID
+    group_type: 'case' | 'emq';
+    title?: string | null;
+    stem: string;
+    options?: QuestionOption[] | null;
+    media?: QuestionMedia[];
+    group_order?: number;
+}
+
 // ============================================================================
 // Update Types (partial updates)
 // ============================================================================
@@ -125,6 +194,7 @@ export type ModuleUpdate = Partial<Omit<ModuleInsert, 'external_id'>>;
 export type SubjectUpdate = Partial<Omit<SubjectInsert, 'external_id'>>;
 export type LectureUpdate = Partial<Omit<LectureInsert, 'external_id'>>;
 export type QuestionUpdate = Partial<Omit<QuestionInsert, 'external_id' | 'lecture_id'>>;
+export type QuestionGroupUpdate = Partial<Omit<QuestionGroupInsert, 'lecture_id'>>;
 
 // ============================================================================
 // Hierarchical Types (with nested relations)
@@ -180,8 +250,12 @@ export function validateQuestionOptions(options: QuestionOption[]): string | nul
         return 'At least 2 options required';
     }
 
-    if (options.some(opt => !opt.text || opt.text.trim() === '')) {
-        return 'All options must have text';
+    if (options.some(opt => (!opt.text || opt.text.trim() === '') && !opt.image_url)) {
+        return 'All options must have text or an image';
+    }
+
+    if (options.some(opt => opt.image_url && !opt.alt_text?.trim())) {
+        return 'Option images need alt text';
     }
 
     const ids = options.map(opt => opt.id);
@@ -193,6 +267,18 @@ export function validateQuestionOptions(options: QuestionOption[]): string | nul
     return null;
 }
 
+export function validateQuestionMedia(media: QuestionMedia[]): string | null {
+    if (media.some(item => !item.url)) {
+        return 'Every image needs a file';
+    }
+
+    if (media.some(item => !item.alt_text || item.alt_text.trim() === '')) {
+        return 'Every image needs alt text';
+    }
+
+    return null;
+}
+
 export function validateCorrectAnswerIndex(index: number, optionsLength: number): string | null {
     if (index < 0) {
         return 'Correct answer index cannot be negative';
@@ -204,3 +290,40 @@ export function validateCorrectAnswerIndex(index: number, optionsLength: number)
 
     return null;
 }
+
+/**
+ * Answer key for any question type. EMQ items are checked against their
+ * group's option count, so pass that as optionsLength.
+ */
+export function validateAnswerKey(
+    questionType: QuestionType,
+    index: number | null | undefined,
+    indices: number[] | null | undefined,
+    optionsLength: number
+): string | null {
+    if (!MULTI_ANSWER_TYPES.includes(questionType)) {
+        if (index === null || index === undefined) {
+            return 'A correct answer is required';
+        }
+        return validateCorrectAnswerIndex(index, optionsLength);
+    }
+
+    if (!Array.isArray(indices)) {
+        return 'Correct answers are required';
+    }
+
+    if (questionType === 'multi' && indices.length === 0) {
+        return 'Select at least one correct option';
+    }
+
+    if (new Set(indices).size !== indices.length) {
+        return 'Correct answers must not repeat';
+    }
+
+    for (const i of indices) {
+        const indexError = validateCorrectAnswerIndex(i, optionsLength);
+        if (indexError) return indexError;
+    }
+
+    return null;
+}
@@ -0,0 +1,270 @@
+/**
+ * Adaptive Engine - Harvi PWA
+ * Adaptive practice: each next question is chosen for the student's level.
+ *
+ * Abilities (per subject) and question difficulties share one logit scale
+ * (server/migrations/013): a student of ability a gets a question of
+ * difficulty d right with p = 1 / (1 + e^(d - a)). The engine serves the
+ * questions closest to TARGET_SUCCESS, moves the ability after every answer
+ * (Elo-style, as the server's track_student_ability trigger does) and stops
+ * once the session's standard error drops below TARGET_SE.
+ *
+ * Signed-in students start from the server estimate (/api/adaptive/state);
+ * guests and offline sessions use the copy kept in the IndexedDB settings
+ * store. Without server difficulties, difficulty_level gives the prior.
+ */
+class AdaptiveEngine {
+    constructor() {
+        this.TARGET_SUCCESS = 0.7;
+        this.TARGET_SE = 0.5;              // Logits; ~15-20 answers near the target
+        this.MIN_QUESTIONS = 10;
+        this.DEFAULT_MAX_QUESTIONS = 30;
+        this.MAX_POOL_SIZE = 300;          // Mirrors the /api/quiz/session limit
+        this.PICK_AMONG = 3;               // Randomise between the closest few
+        this.DIFFICULTY_PRIORS = { 1: -1, 2: 0, 3: 1 };
+        this.ABILITY_RANGE = 4;
+        this.UNKNOWN_SUBJECT = 'unknown';
+        this.ABILITIES_SETTING = 'adaptiveAbilities';
+
+        // Filled by prepare(); survive between sessions for retakes
+        this.difficulties = new Map();
+        this.subjects = new Map();
+        this.abilities = { owner: null, subjects: {} };
+    }
+
+    // ========================================================================
+    // MODEL (mirrors server/migrations/013)
+    // ========================================================================
+
+    probability(ability, difficulty) {
+        return 1 / (1 + Math.exp(difficulty - ability));
+    }
+
+    kFactor(responses) {
+        return Math.max(0.2, 1 / (1 + responses * 0.05));
+    }
+
+    difficultyOf(question) {
+        if (this.difficulties.has(question.id)) return this.difficulties.get(question.id);
+        return this.DIFFICULTY_PRIORS[question.difficulty_level] ?? 0;
+    }
+
+    subjectOf(question, metadata = {}) {
+        return question.subjectId || this.subjects.get(question.id) || metadata.subjectId || this.UNKNOWN_SUBJECT;
+    }
+
+    // ========================================================================
+    // STATE
+    // ========================================================================
+
+    /**
+     * Load difficulties and the student's abilities for a question pool.
+     * Falls back to the local estimate (and difficulty_level) when offline.
+     */
+    async prepare(questions) {
+        this.abilities = { owner: this.owner(), subjects: await this.loadAbilities() };
+
+        const ids = questions.slice(0, this.MAX_POOL_SIZE).map(q => q.id);
+        if (ids.length === 0 || !navigator.onLine || !window.app) return;
+
+        try {
+            const response = await window.app.authFetch('./api/adaptive/state', {
+                method: 'POST',
+                headers: window.app.getAuthHeaders(),
+                body: JSON.stringify({ questionIds: ids }),
+                timeout: 10000,
+                retries: 1
+            });
+
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const { items, abilities } = await response.json();
+            (items || []).forEach(item => {
+                [item.questionId, item.externalId].filter(Boolean).forEach(id => {
+                    this.difficulties.set(id, item.difficulty);
+                    if (item.subjectId) this.subjects.set(id, item.subjectId);
+                });
+            });
+
+            // The server estimate includes answers from every device
+            if (abilities && abilities.length > 0) {
+                abilities.forEach(({ subjectId, ability, responses, updatedAt }) => {
+                    this.abilities.subjects[subjectId] = { ability, responses, updatedAt };
+                });
+                await this.saveAbilities(this.abilities.subjects);
+            }
+        } catch (error) {
+            console.warn('Adaptive state unavailable, using local estimates:', error);
+        }
+    }
+
+    /**
+     * Abilities owned by the current student (a guest's are kept apart)
+     */
+    async loadAbilities() {
+        if (typeof harviDB === 'undefined') return {};
+
+        const record = await harviDB.getSetting(this.ABILITIES_SETTING).catch(() => null);
+        return record && record.owner === this.owner() ? { ...record.subjects } : {};
+    }
+
+    async saveAbilities(subjects) {
+        if (typeof harviDB === 'undefined') return;
+        await harviDB.setSetting(this.ABILITIES_SETTING, { owner: this.owner(), subjects }).catch(console.warn);
+    }
+
+    owner() {
+        const user = window.harviAuth ? window.harviAuth.getUser() : null;
+        return user ? user.id : 'guest';
+    }
+
+    // ========================================================================
+    // SESSION
+    // Plain object kept on the quiz metadata, so a resumed quiz continues it
+    // ========================================================================
+
+    /**
+     * New session over a pool of (already option-shuffled) questions
+     */
+    createSession(questions, metadata = {}) {
+        const stored = this.abilities.owner === this.owner() ? this.abilities.subjects : {};
+        const pool = questions.slice(0, this.MAX_POOL_SIZE).map(question => ({
+            ...question,
+            subjectId: this.subjectOf(question, metadata),
+            adaptiveDifficulty: this.difficultyOf(question)
+        }));
+
+        const subjects = {};
+        pool.forEach(question => {
+            if (subjects[question.subjectId]) return;
+            const known = stored[question.subjectId];
+            subjects[question.subjectId] = {
+                ability: known ? Number(known.ability) : 0,
+                startAbility: known ? Number(known.ability) : 0,
+                responses: known ? known.responses : 0,
+                answered: 0,
+                information: 0
+            };
+        });
+
+        return {
+            pool,
+            subjects,
+            served: [],
+            recorded: [],
+            maxQuestions: metadata.maxQuestions || this.DEFAULT_MAX_QUESTIONS
+        };
+    }
+
+    standardError(subject) {
+        return subject.information > 0 ? 1 / Math.sqrt(subject.information) : Infinity;
+    }
+
+    isConverged(subject) {
+        return this.standardError(subject) <= this.TARGET_SE;
+    }
+
+    isFinished(session) {
+        if (session.pool.length === 0 || session.served.length >= session.maxQuestions) return true;
+        if (session.served.length < this.MIN_QUESTIONS) return false;
+
+        const practised = Object.values(session.subjects).filter(subject => subject.answered > 0);
+        return practised.length > 0 && practised.every(subject => this.isConverged(subject));
+    }
+
+    /**
+     * Take the next question (a whole clinical case / EMQ set at once) out of
+     * the pool. Empty once the session is finished.
+     */
+    nextQuestions(session) {
+        if (this.isFinished(session)) return [];
+
+        // Grouped questions travel together, in their authored order
+        const units = new Map();
+        session.pool.forEach(question => {
+            const key = question.group?.id ? `group:${question.group.id}` : question.id;
+            if (!units.has(key)) units.set(key, []);
+            units.get(key).push(question);
+        });
+
+        const ranked = [...units.values()].map(members => {
+            const subject = session.subjects[members[0].subjectId];
+            const p = members.reduce((sum, q) => sum + this.probability(subject.ability, q.adaptiveDifficulty), 0) / members.length;
+            return {
+                members,
+                // Subjects still settling go first
+                settled: subject.answered > 0 && this.isConverged(subject) ? 1 : 0,
+                gap: Math.abs(p - this.TARGET_SUCCESS)
+            };
+        }).sort((a, b) => a.settled - b.settled || a.gap - b.gap);
+
+        const choices = ranked.slice(0, this.PICK_AMONG).filter(unit => unit.settled === ranked[0].settled);
+        const chosen = choices[Math.floor(Math.random() * choices.length)].members
+            .sort((a, b) => (a.group_order || 0) - (b.group_order || 0));
+
+        const chosenIds = new Set(chosen.map(q => q.id));
+        session.pool = session.pool.filter(question => !chosenIds.has(question.id));
+        session.served.push(...chosen.map(q => q.id));
+
+        return chosen;
+    }
+
+    /**
+     * Move the subject's ability after an answer (score 0-1, partial credit included)
+     */
+    recordAnswer(session, question, score) {
+        if (session.recorded.includes(question.id)) return;
+
+        const subject = session.subjects[question.subjectId || this.UNKNOWN_SUBJECT];
+        if (!subject) return;
+
+        const difficulty = question.adaptiveDifficulty ?? this.difficultyOf(question);
+        const p = this.probability(subject.ability, difficulty);
+        const next = subject.ability + this.kFactor(subject.responses) * (score - p);
+
+        subject.ability = Math.max(-this.ABILITY_RANGE, Math.min(this.ABILITY_RANGE, next));
+        subject.responses++;
+        subject.answered++;
+        subject.information += p * (1 - p);
+        session.recorded.push(question.id);
+
+        this.persistSubject(question.subjectId, subject);
+    }
+
+    persistSubject(subjectId, subject) {
+        if (!subjectId || subjectId === this.UNKNOWN_SUBJECT || this.abilities.owner !== this.owner()) return;
+
+        this.abilities.subjects[subjectId] = {
+            ability: Math.round(subject.ability * 1000) / 1000,
+            responses: subject.responses,
+            updatedAt: new Date().toISOString()
+        };
+        this.saveAbilities(this.abilities.subjects);
+    }
+
+    /**
+     * Results-screen summary: the most practised subject's estimate
+     */
+    summary(session) {
+        const practised = Object.values(session.subjects).filter(subject => subject.answered > 0);
+        const main = practised.sort((a, b) => b.answered - a.answered)[0];
+
+        return {
+            questionIds: [...session.served],
+            converged: practised.length > 0 && practised.every(subject => this.isConverged(subject)),
+            ability: main ? Math.round(main.ability * 100) / 100 : null,
+            change: main ? Math.round((main.ability - main.startAbility) * 100) / 100 : null,
+            level: main ? this.levelLabel(main.ability) : null
+        };
+    }
+
+    levelLabel(ability) {
+        if (ability < -1) return 'Foundation';
+        if (ability < 0) return 'Developing';
+        if (ability < 1) return 'Proficient';
+        return 'Advanced';
+    }
+}
+
+// Create global instance
+window.adaptiveEngine = new AdaptiveEngine();
@@ -0,0 +1,181 @@
+/**
+ * Answer Envelope - Harvi PWA
+ * Offline grading for practice mode.
+ *
+ * Lectures from /api/lectures/:id and /api/lectures/batch carry an
+ * answerEnvelope instead of the answer key:
+ * { version, algorithm: 'HMAC-SHA256', questions: { [questionId]: tag } }
+ * where tag = HMAC-SHA256(key, `${questionId}:${correctIndex}`).
+ * Multi / true_false questions tag their sorted correct indices joined with
+ * ',' instead; the right set is found by tagging every subset of options.
+ *
+ * The keys are not part of the lecture. POST /api/quiz/session releases them
+ * per question (offlineKeys) when a lecture is downloaded for offline use
+ * (js/offline-downloads.js), and they are kept on the cached lecture as
+ * answerKeys: { [questionId]: { key, sessionToken } }. Without a key the
+ * question waits for the server.
+ *
+ * Verdicts computed here are provisional: app.checkAnswer queues the answer
+ * as a 'checkAnswer' sync item and the server records it when back online.
+ */
+class AnswerEnvelope {
+    constructor() {
+        this.SUPPORTED_VERSION = 2;
+        this.MULTI_ANSWER_TYPES = ['multi', 'true_false'];
+        this.MAX_SUBSET_OPTIONS = 12; // 4096 tags; larger sets wait for the server
+    }
+
+    /**
+     * WebCrypto HMAC is only available in secure contexts (https, localhost)
+     */
+    isSupported() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle && typeof TextEncoder !== 'undefined';
+    }
+
+    /**
+     * base64url key from the server → HMAC CryptoKey
+     */
+    async importKey(key) {
+        const base64 = key.replace(/-/g, '+').replace(/_/g, '/');
+        const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+        return crypto.subtle.importKey('raw', bytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    }
+
+    async hmac(cryptoKey, text) {
+        const signature = await crypto.subtle.sign('HMAC', cryptoKey, new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(signature)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Cached lecture's tag, key and question (null when not available offline)
+     */
+    async find(questionId, lectureId) {
+        if (!lectureId || typeof harviDB === 'undefined') return null;
+
+        const lecture = await harviDB.getLecture(lectureId);
+        const envelope = lecture && lecture.answerEnvelope;
+
+        if (!envelope || envelope.version !== this.SUPPORTED_VERSION || !envelope.questions) return null;
+
+        const tag = envelope.questions[questionId];
+        const released = lecture.answerKeys && lecture.answerKeys[questionId];
+        const question = (lecture.questions || []).find(q => q.id === questionId);
+
+        if (!tag || !released || !question) return null;
+
+        return { tag, key: released.key, sessionToken: released.sessionToken || null, question };
+    }
+
+    /**
+     * Same rules as gradeAnswer in server/routes.js
+     * @returns {{is_correct: boolean, score: number}}
+     */
+    scoreSelection(type, optionCount, correctIndices, selectedIndices) {
+        const correct = new Set(correctIndices);
+        const selected = new Set(selectedIndices.filter(i => Number.isInteger(i) && i >= 0 && i < optionCount));
+        const hits = [...selected].filter(i => correct.has(i)).length;
+        const wrong = selected.size - hits;
+
+        if (type === 'multi') {
+            return {
+                is_correct: hits === correct.size && wrong === 0,
+                score: correct.size === 0 ? 0 : Math.round(Math.max(0, (hits - wrong) / correct.size) * 1000) / 1000
+            };
+        }
+
+        // true_false: TRUE statements marked true + FALSE statements left unmarked
+        const matches = hits + (optionCount - correct.size - wrong);
+        return {
+            is_correct: matches === optionCount,
+            score: optionCount === 0 ? 0 : Math.round((matches / optionCount) * 1000) / 1000
+        };
+    }
+
+    /**
+     * Correct option set of a multi / true_false question (null if not found)
+     */
+    async findCorrectSet(cryptoKey, tag, questionId, optionCount) {
+        if (optionCount > this.MAX_SUBSET_OPTIONS) return null;
+
+        for (let mask = 0; mask < (1 << optionCount); mask++) {
+            const indices = [];
+            for (let index = 0; index < optionCount; index++) {
+                if (mask & (1 << index)) indices.push(index);
+            }
+            if (await this.hmac(cryptoKey, `${questionId}:${indices.join(',')}`) === tag) {
+                return indices;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Grade an answer locally. Same shape as the /api/practice/check-answer
+     * response plus `offline: true` and the `sessionToken` the key was
+     * released to, or null when the question can't be graded.
+     * @param {number|number[]} selectedAnswer - Option index, or indices for multi / true_false
+     */
+    async grade(questionId, selectedAnswer, lectureId) {
+        if (!this.isSupported()) return null;
+
+        try {
+            const found = await this.find(questionId, lectureId);
+            if (!found) return null;
+
+            const { tag, question, sessionToken } = found;
+            const cryptoKey = await this.importKey(found.key);
+            const type = question.question_type || 'single';
+            const optionCount = Array.isArray(question.options) ? question.options.length : 0;
+
+            if (this.MULTI_ANSWER_TYPES.includes(type)) {
+                if (!Array.isArray(selectedAnswer)) return null;
+
+                const correctIndices = await this.findCorrectSet(cryptoKey, tag, questionId, optionCount);
+                if (!correctIndices) return null;
+
+                return {
+                    success: true,
+                    offline: true,
+                    sessionToken,
+                    ...this.scoreSelection(type, optionCount, correctIndices, selectedAnswer),
+                    question_type: type,
+                    correct_answer_index: null,
+                    correct_answer_indices: correctIndices,
+                    explanation: question.explanation || null
+                };
+            }
+
+            // Tag every option so a wrong answer can still highlight the right one
+            let correctIndex = null;
+            for (let index = 0; index < optionCount; index++) {
+                if (await this.hmac(cryptoKey, `${questionId}:${index}`) === tag) {
+                    correctIndex = index;
+                    break;
+                }
+            }
+
+            // Key or tag from another deployment secret, or options changed: let the server decide
+            if (correctIndex === null) return null;
+
+            const isCorrect = correctIndex === selectedAnswer;
+            return {
+                success: true,
+                offline: true,
+                sessionToken,
+                is_correct: isCorrect,
+                score: isCorrect ? 1 : 0,
+                question_type: type,
+                correct_answer_index: correctIndex,
+                correct_answer_indices: null,
+                explanation: question.explanation || null
+            };
+        } catch (error) {
+            console.warn('[AnswerEnvelope] Offline grading failed:', error);
+            return null;
+        }
+    }
+}
+
+// Create global instance
+window.answerEnvelope = new AnswerEnvelope();
@@ -97,6 +97,8 @@ class MCQApp {
         this.previousScreen = 'navigation-screen';
         // PHASE 2 FIX: Master copy of lecture questions for protecting against shuffle corruption
         this.masterCopyQuestions = null;
+        // check-answer replies that mean "start a new practice session"
+        this.SESSION_ERROR_CODES = ['SESSION_REQUIRED', 'SESSION_EXPIRED', 'SESSION_FORBIDDEN', 'QUESTION_NOT_IN_SESSION'];
         this.init();
     }
 
@@ -111,8 +113,12 @@ class MCQApp {
         this.results = new Results(this);
         this.stats = new Stats(this);
         this.profile = new Profile(this);
+        this.quizBuilder = new QuizBuilder(this);
+        this.search = new Search(this);
+        this.downloads = new OfflineDownloads(this);
 
         this.setupBrandButton();
+        this.setupSearchButton();
         this.setupBottomNavigation();
 
         // 🟢 Phase 2: Immediate UI Presentation
@@ -131,6 +137,10 @@ class MCQApp {
             // Check for resumable quiz only after DB is ready
             await this.checkResumableQuiz();
 
+            // Signed-in students: move guest progress up once, then pull
+            // history, review schedule, bookmarks and notes from other devices (background)
+            this.setupAccountHandling();
+
         } catch (error) {
             console.error('⚠️  Database initialization failed:', error);
 
@@ -151,6 +161,32 @@ class MCQApp {
         }
     }
 
+    /**
+     * Sync the student's account now and whenever they sign in or out
+     */
+    setupAccountHandling() {
+        if (!window.harviAuth) return;
+
+        // Result of a magic link that just opened the app
+        if (window.harviAuth.pendingNotice && window.dynamicIsland) {
+            window.dynamicIsland.show({ ...window.harviAuth.pendingNotice, duration: 3000 });
+            window.harviAuth.pendingNotice = null;
+        }
+
+        window.harviAuth.onChange((user) => {
+            if (user) {
+                window.harviAuth.syncAccount().then(() => this.syncPendingData());
+            }
+            if (this.profile && typeof this.profile.refreshAccount === 'function') {
+                this.profile.refreshAccount();
+            }
+        });
+
+        if (window.harviAuth.isSignedIn()) {
+            window.harviAuth.syncAccount();
+        }
+    }
+
     /**
      * Listen for service worker updates and prompt user to refresh
      */
@@ -217,6 +253,10 @@ class MCQApp {
             }
 
             this.syncPendingData();
+            // Finish a guest migration that was cut short by going offline
+            if (window.harviAuth) {
+                window.harviAuth.migrateGuestData();
+            }
             // PWA Optimization: Only refresh years if cache is actually stale
             // The Navigation class now checks cache validity before making requests
             if (this.navigation && typeof this.navigation.scheduleRefreshYears === 'function') {
@@ -302,41 +342,74 @@ class MCQApp {
                 try {
                     if (item.action === 'saveQuizResult') {
                         // 1. Get Authentication
-                        const headers = { 'Content-Type': 'application/json' };
-                        let token = localStorage.getItem('harvi_auth_token');
-
-                        // Try Supabase session if not found
-                        if (!token) {
-                            const sbSession = localStorage.getItem('supabase.auth.token');
-                            if (sbSession) {
-                                try {
-                                    const session = JSON.parse(sbSession);
-                                    token = session.access_token;
-                                } catch (e) {
-                                    token = sbSession.replace(/^"|"$/g, '');
-                                }
+                        const token = this.getAuthToken();
+
+                        // 2. Perform Request (in a fresh session: the quiz's own has expired by now)
+                        const { gradingPending, ...submission } = item.data;
+                        const response = await this.postQuizResults(submission, { timeout: 15000, retries: 3 });
+
+                        if (response.ok) {
+                            // Exams submitted offline were never graded: keep the server's score
+                            if (gradingPending) {
+                                const result = await response.json();
+                                const graded = result.results || result;
+                                await harviDB.saveQuizResult(submission.lectureId, {
+                                    score: graded.score || 0,
+                                    total: graded.total || submission.total,
+                                    timeSpent: submission.timeSpent,
+                                    mode: submission.mode
+                                }, submission.lectureName);
                             }
+                            await harviDB.markSynced(item.id);
+                            syncSuccessCount++;
+                            console.log(`✓ Synced item ${item.id} (${token ? 'auth' : 'anon'})`);
+                        } else {
+                            console.warn(`Server rejected item ${item.id}: ${response.status}`);
                         }
+                    } else if (item.action === 'saveReviewItems') {
+                        // Review schedule mirror requires a signed-in student
+                        if (!this.getAuthToken()) continue;
 
-                        if (token) {
-                            headers['Authorization'] = `Bearer ${token}`;
+                        if (window.reviewScheduler && await window.reviewScheduler.pushItems(item.data.items)) {
+                            await harviDB.markSynced(item.id);
+                            syncSuccessCount++;
+                            console.log(`✓ Synced review items ${item.id}`);
                         }
+                    } else if (item.action === 'checkAnswer') {
+                        // Offline-graded practice answer: recorded against the session that released its key
+                        if (!this.getAuthToken()) continue;
 
-                        // 2. Perform Request
-                        const response = await SafeFetch.fetch('./api/quiz-results', {
+                        const response = await this.authFetch('./api/practice/check-answer', {
                             method: 'POST',
-                            headers: headers,
-                            body: JSON.stringify(item.data),
+                            headers: this.getAuthHeaders(),
+                            body: JSON.stringify({ ...item.data, replay: true }),
                             timeout: 15000,
-                            retries: 3
+                            retries: 2
                         });
 
                         if (response.ok) {
                             await harviDB.markSynced(item.id);
                             syncSuccessCount++;
-                            console.log(`✓ Synced item ${item.id} (${token ? 'auth' : 'anon'})`);
-                        } else {
-                            console.warn(`Server rejected item ${item.id}: ${response.status}`);
+                        } else if (response.status >= 400 && response.status < 500) {
+                            // Already recorded, session gone or question deleted: nothing left to record
+                            await harviDB.markSynced(item.id);
+                            console.warn(`Dropped offline answer ${item.id}: ${response.status}`);
+                        }
+                    } else if (item.action === 'saveBookmark' || item.action === 'saveNote') {
+                        // Bookmarks and notes are mirrored for signed-in students only
+                        if (!this.getAuthToken()) continue;
+
+                        if (window.savedQuestions && await window.savedQuestions.push(item.action, item.data)) {
+                            await harviDB.markSynced(item.id);
+                            syncSuccessCount++;
+                            console.log(`✓ Synced ${item.action} ${item.id}`);
+                        }
+                    } else if (item.action === 'reportQuestion') {
+                        // Guests can report too; push() is also done when the server rejects it for good
+                        if (window.questionReports && await window.questionReports.push(item.data)) {
+                            await harviDB.markSynced(item.id);
+                            syncSuccessCount++;
+                            console.log(`✓ Synced question report ${item.id}`);
                         }
                     }
                 } catch (error) {
@@ -375,6 +448,17 @@ class MCQApp {
         console.log('✓ setupBrandButton: Delegated to HeaderController');
     }
 
+    setupSearchButton() {
+        const searchBtn = document.getElementById('header-search-btn');
+        if (!searchBtn) return;
+
+        searchBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            if (window.HapticsEngine) window.HapticsEngine.selection();
+            this.search.open();
+        });
+    }
+
     setupBottomNavigation() {
         const navItems = document.querySelectorAll('.bottom-nav-item');
         navItems.forEach(item => {
@@ -450,6 +534,10 @@ class MCQApp {
                 this.stats.init();
             } else if (screenId === 'profile-screen' && this.profile) {
                 this.profile.init();
+            } else if (screenId === 'search-screen' && this.search) {
+                this.search.init();
+            } else if (screenId === 'downloads-screen' && this.downloads) {
+                this.downloads.init();
             } else if (screenId === 'navigation-screen') {
                 if (window.HeaderController) {
                     window.HeaderController.configure({
@@ -476,6 +564,20 @@ class MCQApp {
                     mode: 'static',
                     onTitleClick: () => this.showScreen('navigation-screen')
                 });
+            } else if (screenId === 'search-screen' && window.HeaderController) {
+                window.HeaderController.configure({
+                    title: 'Search',
+                    subtitle: 'Find any question',
+                    mode: 'static',
+                    onTitleClick: () => this.showScreen('navigation-screen')
+                });
+            } else if (screenId === 'downloads-screen' && window.HeaderController) {
+                window.HeaderController.configure({
+                    title: 'Downloads',
+                    subtitle: 'Available without internet',
+                    mode: 'static',
+                    onTitleClick: () => this.showScreen('navigation-screen')
+                });
             }
 
             // Hide bottom nav during quiz for better focus
@@ -606,36 +708,348 @@ class MCQApp {
     }
 
     /**
-     * CRITICAL FIX: Submit raw answers to backend for grading
-     * Backend trigger will compute is_correct and score
+     * Exam setup sheet: pick an overall time budget and an optional
+     * per-question limit, then start the lecture in exam mode.
      */
-    async checkAnswer(questionId, selectedAnswerIndex) {
+    showExamSetup(questions, pathInfo) {
+        const count = questions.length;
+        const paceOptions = [
+            { label: '45 s', value: 45 },
+            { label: '1 min', value: 60 },
+            { label: '1.5 min', value: 90 },
+            { label: 'None', value: 0 }
+        ];
+        const perQuestionOptions = [
+            { label: 'Off', value: 0 },
+            { label: '60 s', value: 60 },
+            { label: '90 s', value: 90 }
+        ];
+        const selection = { pace: 60, perQuestion: 0 };
+
+        const backdrop = document.createElement('div');
+        backdrop.className = 'modal-backdrop';
+
+        const modal = document.createElement('div');
+        modal.className = 'glass-modal exam-setup-modal';
+
+        const renderSegments = (key, options) => options.map(opt => `
+            <button class="exam-segment ${selection[key] === opt.value ? 'active' : ''}" data-key="${key}" data-value="${opt.value}">${opt.label}</button>
+        `).join('');
+
+        modal.innerHTML = `
+            <div class="glass-modal-header">
+                <div class="glass-modal-icon" style="background: var(--primary-color)1a; color: var(--primary-color)">⏱</div>
+                <h2 class="glass-modal-title">Exam Mode</h2>
+            </div>
+            <p class="glass-modal-description">${count} questions • no feedback until you submit. Flag questions and jump between them at any time.</p>
+            <div class="exam-setup-group">
+                <div class="exam-setup-label">Time per question <span id="exam-total-time"></span></div>
+                <div class="exam-segments">${renderSegments('pace', paceOptions)}</div>
+            </div>
+            <div class="exam-setup-group">
+                <div class="exam-setup-label">Hard limit per question</div>
+                <div class="exam-segments">${renderSegments('perQuestion', perQuestionOptions)}</div>
+            </div>
+            <div class="glass-modal-actions">
+                <button class="glass-modal-btn glass-modal-btn-primary" id="exam-start-btn">Start Exam</button>
+                <button class="glass-modal-btn glass-modal-btn-cancel" id="exam-cancel-btn">Cancel</button>
+            </div>
+        `;
+
+        const updateTotal = () => {
+            const totalEl = modal.querySelector('#exam-total-time');
+            totalEl.textContent = selection.pace ? `(${Math.round(selection.pace * count / 60)} min total)` : '';
+        };
+
+        modal.querySelectorAll('.exam-segment').forEach(btn => {
+            btn.onclick = () => {
+                if (window.HapticsEngine) window.HapticsEngine.selection();
+                selection[btn.dataset.key] = Number(btn.dataset.value);
+                modal.querySelectorAll(`.exam-segment[data-key="${btn.dataset.key}"]`)
+                    .forEach(b => b.classList.toggle('active', b === btn));
+                updateTotal();
+            };
+        });
+        updateTotal();
+
+        const close = () => {
+            backdrop.remove();
+            modal.remove();
+        };
+
+        backdrop.onclick = close;
+        modal.querySelector('#exam-cancel-btn').onclick = close;
+        modal.querySelector('#exam-start-btn').onclick = () => {
+            if (window.HapticsEngine) window.HapticsEngine.selection();
+            close();
+            this.startQuiz(questions, {
+                ...pathInfo,
+                mode: 'exam',
+                timeLimitSec: selection.pace * count,
+                perQuestionSec: selection.perQuestion
+            });
+        };
+
+        document.body.appendChild(backdrop);
+        document.body.appendChild(modal);
+    }
+
+    /**
+     * Adaptive practice: load question difficulties and the student's ability,
+     * then serve questions one at a time for their level (js/adaptive-engine.js)
+     */
+    async startAdaptiveQuiz(questions, pathInfo) {
+        if (!window.adaptiveEngine || questions.length === 0) return;
+
+        this.showLoading();
         try {
-            // Using SafeFetch to handle network resilience
-            const response = await SafeFetch.fetch('./api/practice/check-answer', {
+            await window.adaptiveEngine.prepare(questions);
+        } catch (error) {
+            console.warn('Failed to prepare adaptive session:', error);
+        } finally {
+            this.hideLoading();
+        }
+
+        this.startQuiz(questions, { ...pathInfo, adaptive: true });
+    }
+
+    /**
+     * Start a cross-lecture session from the spaced-repetition queue
+     */
+    async startReviewSession() {
+        if (!window.reviewScheduler) return;
+
+        this.showLoading();
+        let questions = [];
+        try {
+            questions = await window.reviewScheduler.buildDueSession();
+        } catch (error) {
+            console.warn('Failed to build review session:', error);
+        } finally {
+            this.hideLoading();
+        }
+
+        if (questions.length === 0) {
+            if (window.dynamicIsland) {
+                window.dynamicIsland.show({
+                    title: '✓ All Caught Up',
+                    subtitle: 'No questions are due for review',
+                    type: 'success',
+                    duration: 2500
+                });
+            }
+            return;
+        }
+
+        this.startQuiz(questions, {
+            lecture: 'Due for Review',
+            lectureId: window.reviewScheduler.REVIEW_DECK_ID,
+            deck: 'review'
+        });
+    }
+
+    /**
+     * Launch the cross-lecture "Saved questions" deck (bookmarks and notes)
+     */
+    async startSavedSession() {
+        if (!window.savedQuestions) return;
+
+        this.showLoading();
+        let questions = [];
+        try {
+            questions = await window.savedQuestions.buildSession();
+        } catch (error) {
+            console.warn('Failed to build saved questions session:', error);
+        } finally {
+            this.hideLoading();
+        }
+
+        if (questions.length === 0) {
+            if (window.dynamicIsland) {
+                window.dynamicIsland.show({
+                    title: 'No Saved Questions',
+                    subtitle: 'Bookmark a question during a quiz to save it here',
+                    type: 'info',
+                    duration: 2500
+                });
+            }
+            return;
+        }
+
+        this.startQuiz(questions, {
+            lecture: 'Saved Questions',
+            lectureId: window.savedQuestions.SAVED_DECK_ID,
+            deck: 'saved'
+        });
+    }
+
+    /**
+     * The signed-in student's access token (js/auth.js), or null for guests
+     */
+    getAuthToken() {
+        return window.harviAuth ? window.harviAuth.getAccessToken() : null;
+    }
+
+    /**
+     * SafeFetch for endpoints that know the student: refreshes the token and
+     * retries a 401 once (js/auth.js)
+     */
+    authFetch(url, options = {}) {
+        return window.harviAuth ? window.harviAuth.fetch(url, options) : SafeFetch.fetch(url, options);
+    }
+
+    /**
+     * JSON request headers, with Authorization when signed in
+     */
+    getAuthHeaders() {
+        const headers = { 'Content-Type': 'application/json' };
+        const token = this.getAuthToken();
+
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+
+        return headers;
+    }
+
+    /**
+     * Start a server-issued practice session: check-answer only reveals the
+     * answers to these questions, once each. Returns the session token, or
+     * null when offline or refused.
+     */
+    async startPracticeSession(questionIds) {
+        const session = await this.requestPracticeSession(questionIds);
+        return session ? session.sessionToken : null;
+    }
+
+    /**
+     * POST /api/quiz/session. `offlineKeys` also asks for the questions'
+     * answer envelope keys, which spend the hourly reveal budget: only
+     * offline downloads ask for them.
+     * @returns {Promise<{sessionToken: string, answerKeys: Object|null}|null>}
+     *          answerKeys is null unless asked for, or over the reveal limit
+     */
+    async requestPracticeSession(questionIds, { offlineKeys = false } = {}) {
+        if (!navigator.onLine || !Array.isArray(questionIds) || questionIds.length === 0) return null;
+
+        try {
+            const response = await this.authFetch('./api/quiz/session', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    lectureId: this.lastLectureId, // Optional context
-                    questionId: questionId,
-                    selectedAnswerIndex: selectedAnswerIndex
-                })
+                headers: this.getAuthHeaders(),
+                body: JSON.stringify(offlineKeys ? { questionIds, offlineKeys: true } : { questionIds })
             });
 
             if (!response.ok) {
-                // If network 'ok' is false (e.g. 404 or 500)
-                // SafeFetch usually returns synthetic response, but check status
-                console.warn('Check answer failed:', response.status);
-                return { success: false };
+                console.warn('Practice session refused:', response.status);
+                return null;
+            }
+
+            const data = await response.json();
+            if (!data.sessionToken) return null;
+
+            return { sessionToken: data.sessionToken, answerKeys: data.answerKeys || null };
+        } catch (error) {
+            console.warn('Failed to start practice session:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Check a practice answer. `session.sessionToken` comes from
+     * startPracticeSession; `session.renewSessionToken` is called once when the
+     * server reports the session expired (or missing, for quizzes started offline).
+     * `selectedAnswerIndex` is an array for multi and true_false questions
+     * (the chosen / TRUE original indices); the reply then carries `score`.
+     * Refusals come back as { success: false, status, code, error, retryAfterSeconds };
+     * only network failures and 5xx fall back to the answer envelope.
+     */
+    async checkAnswer(questionId, selectedAnswerIndex, lectureId = this.lastLectureId, session = {}) {
+        const payload = {
+            lectureId: lectureId, // Optional context (the question's own lecture in review decks)
+            questionId: questionId,
+            selectedAnswerIndex: selectedAnswerIndex,
+            sessionToken: session.sessionToken || null,
+            clientSessionId: session.clientSessionId,
+            deck: session.deck,
+            totalQuestions: session.totalQuestions,
+            responseTimeMs: session.responseTimeMs
+        };
+
+        if (navigator.onLine) {
+            let reply = await this.postCheckAnswer(payload);
+
+            if (reply && this.SESSION_ERROR_CODES.includes(reply.body.code) && typeof session.renewSessionToken === 'function') {
+                payload.sessionToken = await session.renewSessionToken();
+                reply = payload.sessionToken ? await this.postCheckAnswer(payload) : null;
             }
 
-            return await response.json();
+            if (reply && reply.ok) {
+                return reply.body;
+            }
+
+            // Refusals (409 already answered, 429 rate limited, 403 / 404) are
+            // final: grading offline instead would sidestep them
+            if (reply && reply.status >= 400 && reply.status < 500) {
+                console.warn('Check answer refused:', reply.status, reply.body.code || '');
+                return {
+                    success: false,
+                    status: reply.status,
+                    code: reply.body.code || null,
+                    error: reply.body.error || null,
+                    retryAfterSeconds: reply.body.retryAfterSeconds || null
+                };
+            }
+
+            // Only network failures (SafeFetch's synthetic status 0) and 5xx fall through
+            if (reply) console.warn('Check answer failed:', reply.status, reply.body.code || '');
+        }
+
+        return this.checkAnswerOffline(payload);
+    }
+
+    async postCheckAnswer(payload) {
+        try {
+            // Using SafeFetch to handle network resilience
+            // Signed-in students get the answer recorded in their attempt history
+            const response = await this.authFetch('./api/practice/check-answer', {
+                method: 'POST',
+                headers: this.getAuthHeaders(),
+                body: JSON.stringify(payload)
+            });
+
+            const body = await response.json().catch(() => ({}));
+            return { ok: response.ok, status: response.status, body };
         } catch (error) {
             console.error('Check answer error:', error);
-            return { success: false, error: error.message };
+            return null;
         }
     }
 
+    /**
+     * Grade against the cached lecture's answer envelope (js/answer-envelope.js).
+     * Signed-in students get the answer queued, with the session its key was
+     * released to, so the server records it once back online.
+     */
+    async checkAnswerOffline(payload) {
+        const result = window.answerEnvelope
+            ? await window.answerEnvelope.grade(payload.questionId, payload.selectedAnswerIndex, payload.lectureId)
+            : null;
+
+        if (!result) {
+            return { success: false, offline: !navigator.onLine };
+        }
+
+        if (this.getAuthToken() && result.sessionToken) {
+            harviDB.queueSync('checkAnswer', {
+                ...payload,
+                sessionToken: result.sessionToken,
+                answeredAt: new Date().toISOString()
+            }).catch(error => console.warn('Failed to queue offline answer:', error));
+        }
+
+        return result;
+    }
+
     async submitQuizAnswers(answers, totalQuestions, metadata = {}) {
         try {
             if (!this.lastLectureId) {
@@ -654,36 +1068,15 @@ class MCQApp {
                 quizScreen.appendChild(overlay);
             }
 
-            const headers = { 'Content-Type': 'application/json' };
-            let token = localStorage.getItem('harvi_auth_token');
-
-            if (!token) {
-                const sbSession = localStorage.getItem('supabase.auth.token');
-                if (sbSession) {
-                    try {
-                        const session = JSON.parse(sbSession);
-                        token = session.access_token;
-                    } catch (e) {
-                        token = sbSession.replace(/^"|"$/g, '');
-                    }
-                }
-            }
-
-            if (token) {
-                headers['Authorization'] = `Bearer ${token}`;
-            }
-
-            // PAYLOAD FORMAT: Backend expects { lectureId, answers: [{questionId, selectedAnswerIndex}, ...] }
-            const response = await SafeFetch.fetch('./api/quiz-results', {
-                method: 'POST',
-                headers: headers,
-                body: JSON.stringify({
-                    lectureId: this.lastLectureId,
-                    answers: answers
-                }),
-                timeout: 30000,
-                retries: 2
-            });
+            // PAYLOAD FORMAT: Backend expects { lectureId, answers: [{questionId, selectedAnswerIndex}, ...], sessionToken }
+            const response = await this.postQuizResults({
+                lectureId: this.lastLectureId,
+                answers: answers,
+                clientSessionId: metadata.clientSessionId,
+                mode: metadata.mode,
+                startedAt: metadata.startedAt,
+                sessionToken: metadata.sessionToken
+            }, { timeout: 30000, retries: 2 });
 
             // Remove loading overlay
             const overlay = document.getElementById('quiz-loading-overlay');
@@ -691,8 +1084,8 @@ class MCQApp {
 
             if (!response.ok) {
                 console.error('Quiz submission failed:', response.status, response.statusText);
-                // Fallback: show 0 score on error
-                this.showResults(0, totalQuestions, metadata);
+                // Fallback: keep the answers and grade them once the server is reachable
+                this.showResults(0, totalQuestions, { ...metadata, answers, gradingPending: true });
                 return;
             }
 
@@ -705,6 +1098,17 @@ class MCQApp {
             // Store graded results for display
             this.lastGradedResults = quizResults;
 
+            // Exam answers also feed the spaced-repetition schedule
+            if (window.reviewScheduler && Array.isArray(quizResults.gradedDetails)) {
+                quizResults.gradedDetails.forEach(detail => {
+                    window.reviewScheduler.recordAnswer({
+                        questionId: detail.question_id,
+                        lectureId: this.lastLectureId,
+                        isCorrect: detail.is_correct === true
+                    });
+                });
+            }
+
             // Show results with backend-computed score
             this.showResults(
                 quizResults.score || 0,
@@ -714,11 +1118,36 @@ class MCQApp {
 
         } catch (error) {
             console.error('Quiz submission error:', error);
-            // Fallback: offline or network error - show 0
-            this.showResults(0, totalQuestions, metadata);
+            // Fallback: offline or network error - queue answers for grading
+            document.getElementById('quiz-loading-overlay')?.remove();
+            this.showResults(0, totalQuestions, { ...metadata, answers, gradingPending: true });
         }
     }
 
+    /**
+     * POST /api/quiz-results inside a practice session covering the answered
+     * questions (the reply carries their answer keys). Quizzes started offline,
+     * or whose session has expired, get a fresh session and are sent once more.
+     */
+    async postQuizResults(submission, options = {}) {
+        const questionIds = submission.answers.map(answer => answer.questionId);
+        const send = sessionToken => this.authFetch('./api/quiz-results', {
+            method: 'POST',
+            headers: this.getAuthHeaders(),
+            body: JSON.stringify({ ...submission, sessionToken }),
+            ...options
+        });
+
+        const response = await send(submission.sessionToken || await this.startPracticeSession(questionIds));
+        if (response.status !== 401 && response.status !== 403) return response;
+
+        const refusal = await response.clone().json().catch(() => ({}));
+        if (!this.SESSION_ERROR_CODES.includes(refusal.code)) return response;
+
+        const sessionToken = await this.startPracticeSession(questionIds);
+        return sessionToken ? send(sessionToken) : response;
+    }
+
     async showResults(score, total, metadata) {
         this.results.show(score, total, metadata);
 
@@ -735,31 +1164,40 @@ class MCQApp {
                 // 2. Physically delete the progress record
                 await harviDB.deleteQuizProgress(currentLectureId);
 
-                const timeSpent = this.currentQuiz ? (Date.now() - (this.currentQuiz.startTime || Date.now())) : 0;
+                const timeSpent = metadata.timeSpent ||
+                    (this.currentQuiz ? (Date.now() - (this.currentQuiz.startTime || Date.now())) : 0);
 
                 // CRITICAL FIX: Save backend-computed results, including graded details
                 const result = {
                     score,
                     total,
                     timeSpent,
+                    mode: metadata.mode || 'practice',
                     gradedDetails: metadata.gradedDetails || []
                 };
 
                 // 3. Save results with backend-graded information
-                await harviDB.saveQuizResult(currentLectureId, result, this.lastLectureName);
+                // (an ungraded exam is saved by syncPendingData once the server grades it)
+                if (!metadata.gradingPending) {
+                    await harviDB.saveQuizResult(currentLectureId, result, this.lastLectureName);
+                }
 
-                // Queue for sync if offline
-                if (!navigator.onLine) {
+                // Queue for sync if offline (deck sessions span lectures and have no server-side record)
+                if ((!navigator.onLine || metadata.gradingPending) && !metadata.deck) {
                     // CRITICAL FIX: Queue answers for backend submission, not just score
                     // If offline during submission, store answers for retry
-                    const answers = this.currentQuiz ? this.currentQuiz.answers || [] : [];
+                    const answers = metadata.answers || (this.currentQuiz ? this.currentQuiz.answers || [] : []);
                     await harviDB.queueSync('saveQuizResult', {
                         lectureId: currentLectureId,
                         lectureName: this.lastLectureName,
                         answers: answers,
                         score: score,
                         total: total,
-                        timeSpent: timeSpent
+                        timeSpent: timeSpent,
+                        clientSessionId: metadata.clientSessionId,
+                        mode: metadata.mode,
+                        startedAt: metadata.startedAt,
+                        gradingPending: !!metadata.gradingPending
                     });
                 }
             } catch (error) {
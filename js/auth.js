@@ -0,0 +1,429 @@
+/**
+ * Student Auth - Harvi PWA
+ * Sign-up, sign-in (password or email magic link), token refresh and
+ * sign-out through the /api/auth/* proxy (server/routes.js, ENDPOINT 5e).
+ *
+ * The session lives in localStorage under `harvi_auth_session`:
+ * { accessToken, refreshToken, expiresAt (ms), user: { id, email } }
+ * Every authenticated request goes through harviAuth.fetch(), which refreshes
+ * a token that is about to expire and retries once after a 401.
+ *
+ * The first sign-in on a device uploads the guest's progress (quiz results,
+ * review schedule, bookmarks and notes) to the account, once; every sign-in
+ * pulls the account's history back into IndexedDB.
+ *
+ * Signed-in students can download their server data as a zip or delete the
+ * account (server/routes.js, ENDPOINT 5g).
+ */
+class StudentAuth {
+    constructor() {
+        this.STORAGE_KEY = 'harvi_auth_session';
+        this.LEGACY_TOKEN_KEYS = ['harvi_auth_token', 'supabase.auth.token'];
+        this.MIGRATION_SETTING = 'guestMigration';
+        this.REFRESH_MARGIN_MS = 60 * 1000; // Refresh a minute before expiry
+        this.IMPORT_BATCH_SIZE = 500;
+
+        this.refreshing = null;
+        this.refreshTimer = null;
+        this.listeners = new Set();
+
+        // Tokens from before this module were never refreshed; drop them
+        this.LEGACY_TOKEN_KEYS.forEach(key => localStorage.removeItem(key));
+
+        this.session = this.loadSession();
+        this.readRedirectSession();
+        this.scheduleRefresh();
+    }
+
+    // ========================================================================
+    // Session state
+    // ========================================================================
+
+    loadSession() {
+        try {
+            const session = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            return session && session.accessToken && session.refreshToken ? session : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    setSession(session) {
+        const wasSignedIn = this.isSignedIn();
+        this.session = session;
+
+        if (session) {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(session));
+        } else {
+            localStorage.removeItem(this.STORAGE_KEY);
+        }
+
+        this.scheduleRefresh();
+
+        // Token refreshes are not sign-in changes
+        if (wasSignedIn !== this.isSignedIn()) {
+            this.listeners.forEach(listener => {
+                try {
+                    listener(this.getUser());
+                } catch (error) {
+                    console.warn('Auth listener failed:', error);
+                }
+            });
+        }
+    }
+
+    isSignedIn() {
+        return !!this.session;
+    }
+
+    getUser() {
+        return this.session ? this.session.user : null;
+    }
+
+    /**
+     * Current access token (may be about to expire; harviAuth.fetch refreshes it)
+     */
+    getAccessToken() {
+        return this.session ? this.session.accessToken : null;
+    }
+
+    /**
+     * Called with the user (or null) whenever the student signs in or out
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Magic links land on the app with the session in the URL fragment
+     * (#access_token=...&refresh_token=...&expires_in=...)
+     */
+    readRedirectSession() {
+        if (!window.location.hash.includes('access_token=') && !window.location.hash.includes('error_description=')) return;
+
+        const params = new URLSearchParams(window.location.hash.substring(1));
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+
+        if (params.get('error_description')) {
+            this.pendingNotice = { title: 'Sign-in link failed', subtitle: params.get('error_description'), type: 'error' };
+            return;
+        }
+
+        const claims = this.decodeToken(params.get('access_token'));
+        if (!claims || !params.get('refresh_token')) return;
+
+        this.setSession({
+            accessToken: params.get('access_token'),
+            refreshToken: params.get('refresh_token'),
+            expiresAt: params.get('expires_at')
+                ? parseInt(params.get('expires_at'), 10) * 1000
+                : Date.now() + (parseInt(params.get('expires_in'), 10) || 3600) * 1000,
+            user: { id: claims.sub, email: claims.email || null }
+        });
+        this.pendingNotice = { title: '✓ Signed in', subtitle: claims.email || '', type: 'success' };
+    }
+
+    decodeToken(token) {
+        try {
+            const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            return JSON.parse(atob(payload));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // ========================================================================
+    // Sign-in / sign-up / sign-out
+    // ========================================================================
+
+    async postAuth(path, body) {
+        const response = await SafeFetch.fetch(`./api/auth/${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            timeout: 15000
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            const error = new Error(data.details || data.error || 'Request failed');
+            error.status = response.status;
+            throw error;
+        }
+
+        return data;
+    }
+
+    async signIn(email, password) {
+        const data = await this.postAuth('sign-in', { email, password });
+        this.setSession(data.session);
+        return this.getUser();
+    }
+
+    /**
+     * Returns { confirmationRequired: true } when the project asks new
+     * users to confirm their email first
+     */
+    async signUp(email, password) {
+        const data = await this.postAuth('sign-up', { email, password, redirectTo: this.redirectUrl() });
+        if (data.session) this.setSession(data.session);
+        return { user: this.getUser(), confirmationRequired: !!data.confirmationRequired };
+    }
+
+    async sendMagicLink(email) {
+        await this.postAuth('magic-link', { email, redirectTo: this.redirectUrl() });
+    }
+
+    redirectUrl() {
+        return window.location.origin + window.location.pathname;
+    }
+
+    async signOut() {
+        if (this.session && navigator.onLine) {
+            // Revoke on the server (best effort: the local session goes either way)
+            await this.fetch('./api/auth/sign-out', { method: 'POST', headers: { 'Content-Type': 'application/json' } })
+                .catch(error => console.warn('Sign-out request failed:', error));
+        }
+        this.setSession(null);
+    }
+
+    /**
+     * Zip of everything the server holds about the student (GET /api/student/export)
+     * @returns {Promise<{ blob: Blob, filename: string }>}
+     */
+    async exportData() {
+        return this.download('./api/student/export', 'harvi-data.zip');
+    }
+
+    /**
+     * Saved or wrong-answer questions as an Anki deck or a PDF worksheet
+     * (GET /api/student/decks/:deck/export)
+     * @param {'saved'|'wrong'} deck
+     * @param {'apkg'|'pdf'} format
+     * @returns {Promise<{ blob: Blob, filename: string }>}
+     */
+    async exportDeck(deck, format) {
+        return this.download(`./api/student/decks/${deck}/export?format=${format}`, `harvi-${deck}.${format}`);
+    }
+
+    async download(url, fallbackFilename) {
+        const response = await this.fetch(url, { timeout: 60000 });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.details || data.error || `Export failed (${response.status})`);
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        return { blob: await response.blob(), filename: match ? match[1] : fallbackFilename };
+    }
+
+    /**
+     * Erase the account and its server data, then forget the session.
+     * Progress stored on this device is left alone.
+     */
+    async deleteAccount() {
+        const response = await this.fetch('./api/student/account', {
+            method: 'DELETE',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ confirm: 'DELETE' }),
+            timeout: 30000
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            const error = new Error(data.error || `Account deletion failed (${response.status})`);
+            error.code = data.code;
+            throw error;
+        }
+
+        // A future account on this device should receive the local progress again
+        if (typeof harviDB !== 'undefined') {
+            await harviDB.setSetting(this.MIGRATION_SETTING, null).catch(console.warn);
+        }
+        this.setSession(null);
+        return data.deleted;
+    }
+
+    // ========================================================================
+    // Token refresh & authenticated requests
+    // ========================================================================
+
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+        if (!this.session) return;
+
+        const delay = Math.max(this.session.expiresAt - Date.now() - this.REFRESH_MARGIN_MS, 0);
+        this.refreshTimer = setTimeout(() => {
+            if (navigator.onLine) this.refresh();
+        }, delay);
+    }
+
+    /**
+     * Refresh the session (one request at a time). Returns false when the
+     * server rejected the refresh token, which signs the student out.
+     */
+    refresh() {
+        if (!this.session) return Promise.resolve(false);
+        if (this.refreshing) return this.refreshing;
+
+        const refreshToken = this.session.refreshToken;
+        this.refreshing = this.postAuth('refresh', { refreshToken })
+            .then(data => {
+                this.setSession(data.session);
+                return true;
+            })
+            .catch(error => {
+                if (error.status === 401 || error.status === 400) {
+                    console.warn('🔒 Session expired, signing out');
+                    this.setSession(null);
+                    return false;
+                }
+                // Offline or server error: keep the session and try again later
+                return this.isSignedIn();
+            })
+            .finally(() => {
+                this.refreshing = null;
+            });
+
+        return this.refreshing;
+    }
+
+    async ensureFreshToken() {
+        if (this.session && this.session.expiresAt - Date.now() < this.REFRESH_MARGIN_MS && navigator.onLine) {
+            await this.refresh();
+        }
+        return this.getAccessToken();
+    }
+
+    /**
+     * SafeFetch with the student's Authorization header. A 401 refreshes
+     * the session and retries once (as a guest if the session is gone).
+     */
+    async fetch(url, options = {}) {
+        const send = (token) => {
+            const headers = { ...(options.headers || {}) };
+            delete headers.Authorization;
+            if (token) headers.Authorization = `Bearer ${token}`;
+            return SafeFetch.fetch(url, { ...options, headers });
+        };
+
+        const token = await this.ensureFreshToken();
+        const response = await send(token);
+
+        if (response.status !== 401 || !token) return response;
+
+        await this.refresh();
+        return send(this.getAccessToken());
+    }
+
+    // ========================================================================
+    // Guest progress migration & history restore
+    // ========================================================================
+
+    /**
+     * Upload this device's guest progress to the account (once per device)
+     */
+    async migrateGuestData() {
+        if (!this.isSignedIn() || !navigator.onLine || typeof harviDB === 'undefined') return;
+
+        const done = await harviDB.getSetting(this.MIGRATION_SETTING);
+        if (done) return;
+
+        try {
+            const results = (await harviDB.getAllResults()).map(result => ({
+                clientKey: `${result.lectureId}|${result.date}`,
+                lectureId: result.lectureId,
+                lectureName: result.lectureName,
+                score: result.score,
+                total: result.total,
+                mode: result.mode,
+                timeSpent: result.timeSpent,
+                date: result.date
+            }));
+
+            for (let i = 0; i < results.length; i += this.IMPORT_BATCH_SIZE) {
+                const response = await this.fetch('./api/student/history/import', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ results: results.slice(i, i + this.IMPORT_BATCH_SIZE) }),
+                    timeout: 30000,
+                    retries: 2
+                });
+                // Stop here; the next sign-in or reconnect tries again (imports are idempotent)
+                if (!response.ok) throw new Error(`History import failed: ${response.status}`);
+            }
+
+            const reviewItems = await harviDB.getAllReviewItems();
+            for (let i = 0; i < reviewItems.length; i += this.IMPORT_BATCH_SIZE) {
+                if (window.reviewScheduler && !await window.reviewScheduler.pushItems(reviewItems.slice(i, i + this.IMPORT_BATCH_SIZE))) {
+                    throw new Error('Review schedule upload failed');
+                }
+            }
+
+            const annotations = await harviDB.getAllAnnotations();
+            for (const annotation of annotations) {
+                if (!window.savedQuestions) break;
+                const pushed = (!annotation.bookmarked || await window.savedQuestions.push('saveBookmark', {
+                    questionId: annotation.questionId,
+                    lectureId: annotation.lectureId,
+                    bookmarked: true,
+                    createdAt: annotation.bookmarkUpdatedAt
+                })) && (!annotation.note || await window.savedQuestions.push('saveNote', {
+                    questionId: annotation.questionId,
+                    lectureId: annotation.lectureId,
+                    body: annotation.note,
+                    updatedAt: annotation.noteUpdatedAt
+                }));
+                if (!pushed) throw new Error('Saved questions upload failed');
+            }
+
+            await harviDB.setSetting(this.MIGRATION_SETTING, { userId: this.getUser().id, at: new Date().toISOString() });
+            console.log(`✓ Guest progress moved to account (${results.length} results, ${reviewItems.length} review items, ${annotations.length} saved questions)`);
+
+            if (window.dynamicIsland && (results.length + reviewItems.length + annotations.length) > 0) {
+                window.dynamicIsland.show({
+                    title: '☁️ Progress Saved',
+                    subtitle: 'Your history now follows your account',
+                    type: 'success',
+                    duration: 3000
+                });
+            }
+        } catch (error) {
+            console.warn('Guest migration incomplete:', error);
+        }
+    }
+
+    /**
+     * Bring the account's history, review schedule and saved questions to this device
+     */
+    async restoreAccountData() {
+        if (!this.isSignedIn() || !navigator.onLine || typeof harviDB === 'undefined') return;
+
+        try {
+            const response = await this.fetch('./api/student/history', { timeout: 15000, retries: 1 });
+            if (response.ok) {
+                const { results } = await response.json();
+                const added = await harviDB.importQuizResults(results || []);
+                if (added > 0) console.log(`✓ Restored ${added} quiz results from account`);
+            }
+        } catch (error) {
+            console.warn('Failed to restore history:', error);
+        }
+
+        if (window.reviewScheduler) await window.reviewScheduler.pullRemote();
+        if (window.savedQuestions) await window.savedQuestions.pullRemote();
+    }
+
+    /**
+     * Everything to do once the student is signed in on this device
+     */
+    async syncAccount() {
+        await this.migrateGuestData();
+        await this.restoreAccountData();
+    }
+}
+
+// Create global instance
+window.harviAuth = new StudentAuth();
@@ -8,7 +8,9 @@
     'use strict';
 
     // PWA Optimization: Extended from 24h to 7 days
-    // Lecture content rarely changes, and we need to minimize network requests
+    // Lecture content rarely changes, and we need to minimize network requests.
+    // Edits reach cached lectures sooner through the /api/changes feed
+    // (Navigation.syncContentChanges); this age is the backstop.
     var MAX_LECTURE_AGE_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
 
     // Years cache (for Navigation.js cross-check)
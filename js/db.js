@@ -5,7 +5,7 @@
 class HarviDatabase {
     constructor() {
         this.dbName = 'HarviDB';
-        this.version = 2;  // ← BUMPED: Version 1→2 to clear cached JSONB format data
+        this.version = 4;  // ← BUMPED: Version 3→4 adds questionAnnotations (bookmarks & notes)
         this.db = null;
         this.initialized = false;
         this.initPromise = null;
@@ -153,6 +153,19 @@ class HarviDatabase {
                         autoIncrement: true
                     });
                 }
+                // Version 2 → 3: Spaced-repetition schedule, one item per question
+                if (!db.objectStoreNames.contains('reviewItems')) {
+                    const reviewStore = db.createObjectStore('reviewItems', { keyPath: 'questionId' });
+                    reviewStore.createIndex('dueAt', 'dueAt', { unique: false });
+                    reviewStore.createIndex('lectureId', 'lectureId', { unique: false });
+                    console.log('✅ Created object store: reviewItems');
+                }
+                // Version 3 → 4: Bookmarks & personal notes, one item per question
+                if (!db.objectStoreNames.contains('questionAnnotations')) {
+                    const annotationStore = db.createObjectStore('questionAnnotations', { keyPath: 'questionId' });
+                    annotationStore.createIndex('lectureId', 'lectureId', { unique: false });
+                    console.log('✅ Created object store: questionAnnotations');
+                }
                 console.log('✓ Object stores created/verified');
             };
         }).catch(error => {
@@ -164,7 +177,10 @@ class HarviDatabase {
     }
 
     /**
-     * Save a lecture with all its questions for offline access
+     * Save a lecture with all its questions for offline access.
+     * pinnedBy lists the offline downloads holding the lecture (js/offline-downloads.js);
+     * pins already on the stored copy are kept, so refreshes never unpin it.
+     * Released answer envelope keys (answerKeys) are kept the same way.
      */
     async saveLecture(lectureData) {
         try {
@@ -172,22 +188,31 @@ class HarviDatabase {
             const tx = this.db.transaction(['lectures'], 'readwrite');
             const store = tx.objectStore('lectures');
 
-            const lecture = {
-                ...lectureData,
-                cachedAt: new Date().toISOString(),
-                isOfflineEnabled: true
-            };
-
-            // L1 Cache: Update memory immediately
-            this.cache.set(lecture.id, lecture);
-
             return new Promise((resolve, reject) => {
-                const request = store.put(lecture);
-                request.onsuccess = () => {
-                    // console.log(`✓ Lecture ${lecture.id} cached for offline`);
-                    resolve(lecture);
+                const existing = store.get(lectureData.id);
+                existing.onsuccess = () => {
+                    const pins = [...((existing.result && existing.result.pinnedBy) || []), ...(lectureData.pinnedBy || [])];
+                    const lecture = {
+                        ...lectureData,
+                        pinnedBy: [...new Set(pins)],
+                        answerKeys: { ...((existing.result && existing.result.answerKeys) || {}), ...(lectureData.answerKeys || {}) },
+                        cachedAt: new Date().toISOString(),
+                        isOfflineEnabled: true
+                    };
+
+                    // L1 Cache: Update memory immediately
+                    this.cache.set(lecture.id, lecture);
+
+                    const request = store.put(lecture);
+                    request.onsuccess = () => {
+                        // console.log(`✓ Lecture ${lecture.id} cached for offline`);
+                        // Images are only useful offline if the service worker has them too
+                        if (window.questionMedia) window.questionMedia.precache(lecture, { pinned: lecture.pinnedBy.length > 0 });
+                        resolve(lecture);
+                    };
+                    request.onerror = () => reject(request.error);
                 };
-                request.onerror = () => reject(request.error);
+                existing.onerror = () => reject(existing.error);
             });
         } catch (error) {
             console.error('Failed to save lecture:', error);
@@ -277,6 +302,131 @@ class HarviDatabase {
         }
     }
 
+    /**
+     * Delta sync (GET /api/changes): drop lectures deleted on the server.
+     * Quiz progress and results for them are kept.
+     */
+    async deleteLectures(ids) {
+        if (!ids || !ids.length) return 0;
+        try {
+            await this.init();
+            const tx = this.db.transaction(['lectures'], 'readwrite');
+            const store = tx.objectStore('lectures');
+            ids.forEach(id => {
+                store.delete(id);
+                this.cache.delete(id);
+            });
+
+            return new Promise((resolve, reject) => {
+                tx.oncomplete = () => resolve(ids.length);
+                tx.onerror = () => reject(tx.error);
+            });
+        } catch (error) {
+            console.error('Failed to delete lectures:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Delta sync: clear cachedAt so CacheUtils.isLectureStale refetches the
+     * lectures next time they are opened (all of them when ids is omitted).
+     * The cached copy still serves offline until then.
+     */
+    async markLecturesStale(ids = null) {
+        const lectures = ids ? Array.from((await this.getLecturesByIds(ids)).values()) : await this.getAllLectures();
+        if (!lectures.length) return 0;
+        try {
+            await this.init();
+            const tx = this.db.transaction(['lectures'], 'readwrite');
+            const store = tx.objectStore('lectures');
+            lectures.forEach(lecture => {
+                const stale = { ...lecture, cachedAt: null };
+                store.put(stale);
+                this.cache.set(stale.id, stale);
+            });
+
+            return new Promise((resolve, reject) => {
+                tx.oncomplete = () => resolve(lectures.length);
+                tx.onerror = () => reject(tx.error);
+            });
+        } catch (error) {
+            console.error('Failed to mark lectures stale:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Store answer envelope keys released by POST /api/quiz/session
+     * (js/answer-envelope.js) on the cached lectures holding their questions.
+     * Resolves to the number of keys stored; questions not cached are skipped.
+     */
+    async saveAnswerKeys(answerKeys, sessionToken) {
+        const lectures = (await this.getAllLectures())
+            .filter(lecture => (lecture.questions || []).some(q => answerKeys[q.id]));
+        if (!lectures.length) return 0;
+        try {
+            await this.init();
+            const tx = this.db.transaction(['lectures'], 'readwrite');
+            const store = tx.objectStore('lectures');
+            let stored = 0;
+            lectures.forEach(lecture => {
+                const keys = { ...(lecture.answerKeys || {}) };
+                lecture.questions.forEach(q => {
+                    if (!answerKeys[q.id]) return;
+                    keys[q.id] = { key: answerKeys[q.id], sessionToken };
+                    stored++;
+                });
+                const updated = { ...lecture, answerKeys: keys };
+                store.put(updated);
+                this.cache.set(updated.id, updated);
+            });
+
+            return new Promise((resolve, reject) => {
+                tx.oncomplete = () => resolve(stored);
+                tx.onerror = () => reject(tx.error);
+            });
+        } catch (error) {
+            console.error('Failed to save answer keys:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Offline downloads: release one download's pin on its lectures.
+     * Lectures no other download holds are deleted; they are returned so their
+     * images can be released too.
+     */
+    async unpinLectures(ids, downloadKey) {
+        const lectures = Array.from((await this.getLecturesByIds(ids)).values());
+        if (!lectures.length) return [];
+        try {
+            await this.init();
+            const tx = this.db.transaction(['lectures'], 'readwrite');
+            const store = tx.objectStore('lectures');
+            const released = [];
+            lectures.forEach(lecture => {
+                const pinnedBy = (lecture.pinnedBy || []).filter(key => key !== downloadKey);
+                if (pinnedBy.length === 0) {
+                    store.delete(lecture.id);
+                    this.cache.delete(lecture.id);
+                    released.push(lecture);
+                } else {
+                    const kept = { ...lecture, pinnedBy };
+                    store.put(kept);
+                    this.cache.set(kept.id, kept);
+                }
+            });
+
+            return new Promise((resolve, reject) => {
+                tx.oncomplete = () => resolve(released);
+                tx.onerror = () => reject(tx.error);
+            });
+        } catch (error) {
+            console.error('Failed to unpin lectures:', error);
+            return [];
+        }
+    }
+
     /**
      * Save quiz progress to resume later
      */
@@ -404,6 +554,7 @@ class HarviDatabase {
                 total: result.total,
                 percentage: result.total > 0 ? Math.round((result.score / result.total) * 100) : 0,
                 timeSpent: result.timeSpent,
+                mode: result.mode || 'practice',
                 date: new Date().toISOString(),
                 synced: false
             };
@@ -474,6 +625,50 @@ class HarviDatabase {
         }
     }
 
+    /**
+     * Merge results from the student's account (other devices) into quizResults.
+     * A result already on this device (same lecture and finish time) is skipped.
+     */
+    async importQuizResults(results) {
+        try {
+            // Server timestamps come back in a different ISO form: compare instants
+            const keyOf = result => `${result.lectureId}|${new Date(result.date).getTime()}`;
+            const existing = await this.getAllResults();
+            const known = new Set(existing.map(keyOf));
+
+            await this.init();
+            const tx = this.db.transaction(['quizResults'], 'readwrite');
+            const store = tx.objectStore('quizResults');
+            let added = 0;
+
+            results.forEach(result => {
+                if (known.has(keyOf(result))) return;
+                known.add(keyOf(result));
+
+                store.add({
+                    lectureId: result.lectureId,
+                    lectureName: result.lectureName,
+                    score: result.score,
+                    total: result.total,
+                    percentage: result.total > 0 ? Math.round((result.score / result.total) * 100) : 0,
+                    timeSpent: result.timeSpent,
+                    mode: result.mode || 'practice',
+                    date: new Date(result.date).toISOString(),
+                    synced: true
+                });
+                added++;
+            });
+
+            return new Promise((resolve, reject) => {
+                tx.oncomplete = () => resolve(added);
+                tx.onerror = () => reject(tx.error);
+            });
+        } catch (error) {
+            console.error('Failed to import quiz results:', error);
+            return 0;
+        }
+    }
+
     /**
      * Get user settings
      */
@@ -517,6 +712,169 @@ class HarviDatabase {
         }
     }
 
+    /**
+     * Save (upsert) a spaced-repetition review item
+     */
+    async saveReviewItem(item) {
+        try {
+            await this.init();
+            const tx = this.db.transaction(['reviewItems'], 'readwrite');
+            const store = tx.objectStore('reviewItems');
+
+            return new Promise((resolve, reject) => {
+                const request = store.put(item);
+                request.onsuccess = () => resolve(item);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            console.error('Failed to save review item:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the review item for a single question
+     */
+    async getReviewItem(questionId) {
+        try {
+            await this.init();
+            const tx = this.db.transaction(['reviewItems'], 'readonly');
+            const store = tx.objectStore('reviewItems');
+
+            return new Promise((resolve, reject) => {
+                const request = store.get(questionId);
+                request.onsuccess = () => resolve(request.result || null);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            console.error('Failed to get review item:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get all review items
+     */
+    async getAllReviewItems() {
+        try {
+            await this.init();
+            const tx = this.db.transaction(['reviewItems'], 'readonly');
+            const store = tx.objectStore('reviewItems');
+
+            return new Promise((resolve, reject) => {
+                const request = store.getAll();
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            console.error('Failed to get review items:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get review items due at or before `now`, most overdue first
+     */
+    async getDueReviewItems(now = new Date()) {
+        try {
+            await this.init();
+            const tx = this.db.transaction(['reviewItems'], 'readonly');
+            const index = tx.objectStore('reviewItems').index('dueAt');
+
+            return new Promise((resolve, reject) => {
+                const request = index.getAll(IDBKeyRange.upperBound(now.toISOString()));
+                request.onsuccess = () => {
+                    console.log(`✓ Retrieved ${request.result.length} due review items`);
+                    resolve(request.result);
+                };
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            console.error('Failed to get due review items:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save (upsert) a question annotation (bookmark and/or note)
+     */
+    async saveAnnotation(annotation) {
+        try {
+            await this.init();
+            const tx = this.db.transaction(['questionAnnotations'], 'readwrite');
+            const store = tx.objectStore('questionAnnotations');
+
+            return new Promise((resolve, reject) => {
+                const request = store.put(annotation);
+                request.onsuccess = () => resolve(annotation);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            console.error('Failed to save annotation:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the annotation for a single question
+     */
+    async getAnnotation(questionId) {
+        try {
+            await this.init();
+            const tx = this.db.transaction(['questionAnnotations'], 'readonly');
+            const store = tx.objectStore('questionAnnotations');
+
+            return new Promise((resolve, reject) => {
+                const request = store.get(questionId);
+                request.onsuccess = () => resolve(request.result || null);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            console.error('Failed to get annotation:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get all question annotations
+     */
+    async getAllAnnotations() {
+        try {
+            await this.init();
+            const tx = this.db.transaction(['questionAnnotations'], 'readonly');
+            const store = tx.objectStore('questionAnnotations');
+
+            return new Promise((resolve, reject) => {
+                const request = store.getAll();
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            console.error('Failed to get annotations:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Delete the annotation for a question (no bookmark and no note left)
+     */
+    async deleteAnnotation(questionId) {
+        try {
+            await this.init();
+            const tx = this.db.transaction(['questionAnnotations'], 'readwrite');
+            const store = tx.objectStore('questionAnnotations');
+
+            return new Promise((resolve, reject) => {
+                const request = store.delete(questionId);
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            console.error('Failed to delete annotation:', error);
+            throw error;
+        }
+    }
+
     /**
      * Generate HMAC signature for data integrity
      * @private
@@ -671,7 +1029,7 @@ class HarviDatabase {
     async clearAll() {
         try {
             await this.init();
-            const storeNames = ['lectures', 'quizProgress', 'quizResults', 'settings', 'syncQueue'];
+            const storeNames = ['lectures', 'quizProgress', 'quizResults', 'settings', 'syncQueue', 'reviewItems', 'questionAnnotations'];
 
             return Promise.all(storeNames.map(storeName => {
                 return new Promise((resolve, reject) => {
@@ -20,6 +20,12 @@ class Navigation {
         this.yearsIDBKey = 'harvi_years_cache'; // IndexedDB key for years persistence
         this._yearsLoadedFromIDB = false; // Track if we've loaded from IDB this session
 
+        // Delta sync (GET /api/changes)
+        this.changesCursorKey = 'harvi_changes_cursor'; // Settings key: { cursor, syncedAt }
+        this.changesInterval = 5 * 60 * 1000;           // At most one feed request per 5 minutes
+        this.changesClockSkewMs = 10 * 60 * 1000;       // First sync starts this much before the oldest cache
+        this.maxChangedLecturesPerSync = 50;            // = MAX_BATCH_SIZE on the server; the rest refetch on open
+
         // Prefetch on Idle configuration
         this._prefetchedSubjects = new Set(); // Track what we've already prefetched
         this._idlePrefetchScheduled = false;   // Prevent duplicate idle callbacks
@@ -132,6 +138,24 @@ class Navigation {
                 hubContainer.appendChild(hero);
             }
 
+            // Feature Card: Due for Review (spaced repetition, filled in once counted)
+            if (window.reviewScheduler) {
+                hubContainer.appendChild(this.createReviewDeckCard());
+            }
+
+            // Entry: Custom mixed-quiz builder
+            const builderEntry = document.createElement('button');
+            builderEntry.className = 'builder-entry-card';
+            builderEntry.innerHTML = `
+                <span class="builder-entry-title">Custom Quiz</span>
+                <span class="builder-entry-subtitle">Mix lectures, difficulty and past mistakes</span>
+            `;
+            builderEntry.onclick = () => {
+                if (window.HapticsEngine) window.HapticsEngine.selection();
+                this.app.quizBuilder.show();
+            };
+            hubContainer.appendChild(builderEntry);
+
             // Dynamic Content Area
             const hubContent = document.createElement('div');
             hubContent.id = 'hub-content-area';
@@ -158,6 +182,36 @@ class Navigation {
         // If cache is valid and we have data, do nothing - pure cache hit!
     }
 
+    /**
+     * Build the "Due for review" hero card.
+     * Starts hidden and only appears when the scheduler reports due questions.
+     */
+    createReviewDeckCard() {
+        const card = document.createElement('div');
+        card.className = 'hero-continue-card review-deck-card';
+        card.hidden = true;
+
+        window.reviewScheduler.getDueCount().then(count => {
+            if (!count) return;
+
+            card.innerHTML = `
+                <div class="hero-badge">Review</div>
+                <div>
+                    <h3 class="hero-title">Due for Review</h3>
+                    <p class="hero-subtitle">${count} question${count === 1 ? '' : 's'} ready across your lectures</p>
+                </div>
+            `;
+            card.hidden = false;
+        }).catch(err => console.warn('[Navigation] Failed to count due reviews:', err));
+
+        card.onclick = () => {
+            if (window.HapticsEngine) window.HapticsEngine.selection();
+            this.app.startReviewSession();
+        };
+
+        return card;
+    }
+
     /**
      * Load years from IndexedDB (session startup)
      * Called once per session to hydrate cache
@@ -269,28 +323,39 @@ class Navigation {
     }
 
     /**
-     * PWA Strategy: Fetch /api/years, update cache, refresh years view if visible.
-     * Non-blocking; no abort. Call on visibilitychange (visible) and online.
-     * 
-     * OPTIMIZED: Only refresh if cache is stale (>1 hour old)
+     * PWA Strategy: Sync content changes, then refetch /api/years only if the
+     * hierarchy changed. Non-blocking; no abort. Call on visibilitychange
+     * (visible) and online.
+     *
+     * Without the changes feed (offline server, older deployment) the old
+     * rule applies: refresh only if the cache is stale (>1 hour old).
      */
     async refreshYearsInBackground() {
         // Skip if offline
         if (!navigator.onLine) return;
 
+        const changes = await this.syncContentChanges();
+        if (changes && !changes.hierarchyChanged) {
+            if (this.remoteYears) {
+                this.cacheTimestamp = Date.now();
+                this.saveYearsToIDB(this.remoteYears);
+            }
+            return;
+        }
+
         // PWA Optimization: Skip if cache is still valid
-        if (this.isCacheValid()) {
+        if (!changes && this.isCacheValid()) {
             console.log('[Navigation] 🔄 Background refresh skipped - cache still valid');
             return;
         }
 
-        // Use RequestGuard to enforce cooldowns
+        // A reported change skips the cooldowns; 'no-cache' revalidates with the ETag (304 if unchanged)
         try {
             const fetchFn = window.RequestGuard
-                ? (url, opts) => window.RequestGuard.fetch(url, opts, { source: 'backgroundRefresh' })
+                ? (url, opts) => window.RequestGuard.fetch(url, opts, { source: 'backgroundRefresh', bypassCooldown: !!changes })
                 : SafeFetch.fetch;
 
-            const res = await fetchFn('./api/years', { timeout: 10000, retries: 1 });
+            const res = await fetchFn('./api/years', { cache: changes ? 'no-cache' : 'default', timeout: 10000, retries: 1 });
 
             // Blocked by cooldown - that's fine, we'll try later
             if (res.status === 429) return;
@@ -322,6 +387,92 @@ class Navigation {
         }
     }
 
+    /**
+     * Delta sync: apply GET /api/changes since the last sync to IndexedDB.
+     * Returns the feed ({ hierarchyChanged, lectures, ... }), or null when it
+     * did not run (synced recently, cooldown, offline, older server).
+     */
+    async syncContentChanges() {
+        if (!harviDB) return null;
+
+        try {
+            const saved = await harviDB.getSetting(this.changesCursorKey);
+            if (saved && saved.syncedAt && Date.now() - saved.syncedAt < this.changesInterval) return null;
+
+            // First sync: from the oldest cached content (device clock, minus slack for skew)
+            let since = saved && saved.cursor;
+            if (!since) {
+                const lectures = await harviDB.getAllLectures();
+                const oldest = lectures.reduce((min, l) => Math.min(min, Date.parse(l.cachedAt) || min), this.cacheTimestamp || Date.now());
+                since = new Date(oldest - this.changesClockSkewMs).toISOString();
+            }
+
+            const fetchFn = window.RequestGuard
+                ? (url, opts) => window.RequestGuard.fetch(url, opts, { source: 'contentChanges' })
+                : SafeFetch.fetch;
+
+            const res = await fetchFn(`./api/changes?since=${encodeURIComponent(since)}`, { timeout: 10000, retries: 1 });
+            if (!res.ok) return null;
+            const changes = await res.json();
+
+            if (changes.resync) {
+                const count = await harviDB.markLecturesStale();
+                console.log(`[Navigation] 🔁 Content resync: ${count} cached lectures refetch on next open`);
+            } else {
+                await this.applyLectureChanges(changes.lectures, fetchFn);
+            }
+
+            await harviDB.setSetting(this.changesCursorKey, { cursor: changes.cursor, syncedAt: Date.now() });
+            return changes;
+        } catch (e) {
+            console.warn('[Navigation] Content change sync failed:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Only lectures already cached on this device are refetched (POST batch:
+     * not subject to the GET cooldowns); the rest of a large change set, or a
+     * failed refetch, is marked stale and reloads when next opened.
+     */
+    async applyLectureChanges({ changed = [], deleted = [] } = {}, fetchFn) {
+        if (deleted.length) {
+            await harviDB.deleteLectures(deleted);
+        }
+
+        const cached = await harviDB.getLecturesByIds(changed);
+        const isPinned = (id) => (cached.get(id).pinnedBy || []).length > 0 ? 1 : 0;
+        // Lectures downloaded for offline use are refreshed first
+        const ids = changed.filter(id => cached.has(id)).sort((a, b) => isPinned(b) - isPinned(a));
+        if (!ids.length) {
+            if (changed.length || deleted.length) console.log(`[Navigation] 🔄 Content changes: ${deleted.length} lectures removed, none of the ${changed.length} changed ones cached`);
+            return;
+        }
+
+        const now = ids.slice(0, this.maxChangedLecturesPerSync);
+        const later = ids.slice(this.maxChangedLecturesPerSync);
+
+        try {
+            const res = await fetchFn('./api/lectures/batch', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ lectureIds: now }),
+                timeout: 15000,
+                retries: 1
+            });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+            const lectures = await res.json();
+            await Promise.all(lectures.map(lecture => harviDB.saveLecture(lecture)));
+            console.log(`[Navigation] 🔄 Content changes: refreshed ${lectures.length} cached lectures, removed ${deleted.length}`);
+        } catch (e) {
+            console.warn('[Navigation] Changed lectures refetch failed, marking stale:', e);
+            later.push(...now);
+        }
+
+        if (later.length) await harviDB.markLecturesStale(later);
+    }
+
     /**
      * Render years with smooth transition.
      * @param {HTMLElement} container
@@ -365,6 +516,8 @@ class Navigation {
                 </div>
             `;
 
+            if (this.app.downloads) card.appendChild(this.app.downloads.createChip('year', year));
+
             card.addEventListener('click', () => this.showModules(year));
             bentoGrid.appendChild(card);
         });
@@ -493,6 +646,8 @@ class Navigation {
                     </div>
                 `;
 
+                if (this.app.downloads) card.appendChild(this.app.downloads.createChip('module', module, [year.name]));
+
                 card.addEventListener('click', () => this.showSubjects(year, module));
                 bentoGrid.appendChild(card);
             });
@@ -548,6 +703,8 @@ class Navigation {
                     </div>
                 `;
 
+                if (this.app.downloads) card.appendChild(this.app.downloads.createChip('subject', subject, [year.name, module.name]));
+
                 card.addEventListener('click', () => this.showLectures(year, module, subject));
                 bentoGrid.appendChild(card);
             });
@@ -831,6 +988,49 @@ class Navigation {
             card._clickHandler = clickHandler;
             card.addEventListener('click', clickHandler);
         }
+
+        // Exam mode entry: timed session with deferred grading
+        let examChip = card.querySelector('.lecture-exam-chip');
+        if (!examChip) {
+            examChip = document.createElement('button');
+            examChip.className = 'lecture-exam-chip';
+            examChip.textContent = 'Exam';
+            examChip.setAttribute('aria-label', `Start ${lecture.name} as a timed exam`);
+            card.appendChild(examChip);
+        }
+        examChip.onclick = (e) => {
+            e.stopPropagation();
+            if (window.HapticsEngine) window.HapticsEngine.selection();
+            this.app.showExamSetup(questions, {
+                year: year.name,
+                module: module.name,
+                subject: subject.name,
+                lecture: lecture.name,
+                lectureId: lecture.id
+            });
+        };
+
+        // Adaptive practice entry: questions picked for the student's level
+        let adaptiveChip = card.querySelector('.lecture-adaptive-chip');
+        if (!adaptiveChip) {
+            adaptiveChip = document.createElement('button');
+            adaptiveChip.className = 'lecture-adaptive-chip';
+            adaptiveChip.textContent = 'Adaptive';
+            adaptiveChip.setAttribute('aria-label', `Practise ${lecture.name} adaptively`);
+            card.appendChild(adaptiveChip);
+        }
+        adaptiveChip.onclick = (e) => {
+            e.stopPropagation();
+            if (window.HapticsEngine) window.HapticsEngine.selection();
+            this.app.startAdaptiveQuiz(questions, {
+                year: year.name,
+                module: module.name,
+                subject: subject.name,
+                subjectId: subject.id,
+                lecture: lecture.name,
+                lectureId: lecture.id
+            });
+        };
     }
 
     /**
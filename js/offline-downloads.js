@@ -0,0 +1,474 @@
+/**
+ * Offline Downloads - Harvi PWA
+ * "Download for offline" on year, module and subject cards, and the
+ * downloads screen (#downloads-screen) listing what is on the device.
+ *
+ * A download fetches every lecture under the card through
+ * POST /api/lectures/batch, 50 at a time (the server's MAX_BATCH_SIZE), and
+ * saves them with pinnedBy: ['<scope>:<id>']. Pinned lectures stay in
+ * IndexedDB, and their images in the service worker's PINNED_IMAGE_CACHE,
+ * until the last download holding them is removed. Edits still reach them
+ * through the /api/changes delta sync.
+ *
+ * The lectures' answer envelope keys are then requested through
+ * POST /api/quiz/session (300 questions per session) so practice answers can
+ * be checked offline. Each key counts against the hourly reveal limit:
+ * questions left without one are checked once back online.
+ */
+class OfflineDownloads {
+    constructor(app) {
+        this.app = app;
+        this.containerId = 'downloads-content';
+        this.SETTINGS_KEY = 'harvi_offline_downloads'; // [{ key, scope, id, name, path, lectureIds, bytes, downloadedAt }]
+        this.BATCH_SIZE = 50;
+        this.KEY_BATCH_SIZE = 300; // Server's MAX_PRACTICE_SESSION_QUESTIONS
+        this.SCOPE_LABELS = { year: 'Year', module: 'Module', subject: 'Subject' };
+        this.records = null;     // Loaded from settings on first use
+        this.active = new Map(); // key → { name, done, total, bytes } while downloading
+    }
+
+    keyFor(scope, item) {
+        return `${scope}:${item.id}`;
+    }
+
+    /**
+     * Lectures under a year, module or subject of the /api/years hierarchy
+     */
+    collectLectures(scope, item) {
+        const subjects = scope === 'subject'
+            ? [item]
+            : scope === 'module'
+                ? (item.subjects || [])
+                : (item.modules || []).flatMap(module => module.subjects || []);
+        return subjects.flatMap(subject => subject.lectures || []);
+    }
+
+    /**
+     * A downloaded year / module / subject in the current hierarchy
+     * (null when it is gone on the server or years are not loaded)
+     */
+    findItem(record) {
+        const years = (this.app.navigation && this.app.navigation.remoteYears) || [];
+        for (const year of years) {
+            if (record.scope === 'year' && year.id === record.id) return year;
+            for (const module of year.modules || []) {
+                if (record.scope === 'module' && module.id === record.id) return module;
+                for (const subject of module.subjects || []) {
+                    if (record.scope === 'subject' && subject.id === record.id) return subject;
+                }
+            }
+        }
+        return null;
+    }
+
+    async loadRecords() {
+        if (!this.records) {
+            this.records = (typeof harviDB !== 'undefined' && await harviDB.getSetting(this.SETTINGS_KEY)) || [];
+        }
+        return this.records;
+    }
+
+    async saveRecords() {
+        await harviDB.setSetting(this.SETTINGS_KEY, this.records);
+    }
+
+    // ========================================================================
+    // Card chip
+    // ========================================================================
+
+    /**
+     * Download chip for a year / module / subject card.
+     * path: names of its parents, shown on the downloads screen
+     */
+    createChip(scope, item, path = []) {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'offline-download-chip';
+        chip.dataset.downloadKey = this.keyFor(scope, item);
+        chip.dataset.downloadName = item.name;
+
+        // The card itself opens the year / module / subject
+        chip.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (window.HapticsEngine) window.HapticsEngine.selection();
+
+            const key = chip.dataset.downloadKey;
+            if (this.active.has(key) || (this.records && this.records.some(r => r.key === key))) {
+                this.open();
+            } else {
+                this.download(scope, item, path);
+            }
+        });
+
+        this.renderChip(chip);
+        if (!this.records) this.loadRecords().then(() => this.renderChip(chip));
+        return chip;
+    }
+
+    renderChip(chip) {
+        const key = chip.dataset.downloadKey;
+        const name = chip.dataset.downloadName;
+        const progress = this.active.get(key);
+        const downloaded = !!(this.records && this.records.some(r => r.key === key));
+
+        chip.classList.toggle('downloading', !!progress);
+        chip.classList.toggle('downloaded', !progress && downloaded);
+
+        if (progress) {
+            chip.textContent = `${Math.round((progress.done / progress.total) * 100)}%`;
+            chip.setAttribute('aria-label', `Downloading ${name} for offline use`);
+        } else if (downloaded) {
+            chip.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"/></svg>`;
+            chip.setAttribute('aria-label', `${name} is available offline`);
+        } else {
+            chip.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>`;
+            chip.setAttribute('aria-label', `Download ${name} for offline use`);
+        }
+    }
+
+    updateChips(key) {
+        document.querySelectorAll(`.offline-download-chip[data-download-key="${key}"]`)
+            .forEach(chip => this.renderChip(chip));
+    }
+
+    // ========================================================================
+    // Download / remove
+    // ========================================================================
+
+    /**
+     * Fetch and pin every lecture under a year, module or subject.
+     * Running it again for a downloaded item updates it (new lectures are
+     * added, lectures no longer under it are released).
+     */
+    async download(scope, item, path = []) {
+        const key = this.keyFor(scope, item);
+        if (this.active.has(key)) return;
+
+        if (!navigator.onLine) {
+            if (window.dynamicIsland) {
+                window.dynamicIsland.show({ title: 'You are offline', subtitle: 'Connect to download for offline use', type: 'warning' });
+            }
+            return;
+        }
+
+        const lectureIds = this.collectLectures(scope, item).map(lecture => lecture.id);
+        if (lectureIds.length === 0) {
+            if (window.dynamicIsland) {
+                window.dynamicIsland.show({ title: 'Nothing to Download', subtitle: `${item.name} has no lectures yet`, type: 'info' });
+            }
+            return;
+        }
+
+        await this.loadRecords();
+
+        // Without this the browser may clear IndexedDB and caches when the device runs low on space
+        if (navigator.storage && navigator.storage.persist) {
+            navigator.storage.persist().catch(() => { });
+        }
+
+        const progress = { name: item.name, done: 0, total: lectureIds.length, bytes: 0 };
+        this.active.set(key, progress);
+        this.updateChips(key);
+        this.refreshScreen();
+
+        if (window.dynamicIsland) {
+            window.dynamicIsland.show({
+                title: `⬇️ Downloading ${item.name}`,
+                subtitle: `${lectureIds.length} lecture${lectureIds.length === 1 ? '' : 's'}`,
+                type: 'info',
+                duration: 2000
+            });
+        }
+
+        // POST: not subject to the GET cooldowns
+        const fetchFn = window.RequestGuard
+            ? (url, opts) => window.RequestGuard.fetch(url, opts, { source: 'offlineDownload' })
+            : SafeFetch.fetch;
+
+        let failed = 0;
+        const questionIds = [];
+        for (let i = 0; i < lectureIds.length; i += this.BATCH_SIZE) {
+            const chunk = lectureIds.slice(i, i + this.BATCH_SIZE);
+            try {
+                const res = await fetchFn('./api/lectures/batch', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ lectureIds: chunk }),
+                    timeout: 20000,
+                    retries: 2
+                });
+                if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+                const body = await res.text();
+                const lectures = JSON.parse(body);
+                await Promise.all(lectures.map(lecture => harviDB.saveLecture({ ...lecture, pinnedBy: [key] })));
+                lectures.forEach(lecture => (lecture.questions || []).forEach(q => questionIds.push(q.id)));
+
+                progress.bytes += new Blob([body]).size;
+                failed += chunk.length - lectures.length;
+            } catch (e) {
+                console.warn(`[Downloads] Batch ${i / this.BATCH_SIZE + 1} of ${item.name} failed:`, e);
+                failed += chunk.length;
+            }
+
+            progress.done = i + chunk.length;
+            this.updateChips(key);
+            this.refreshScreen();
+        }
+
+        const keyed = await this.requestAnswerKeys(questionIds);
+        this.active.delete(key);
+
+        const saved = lectureIds.length - failed;
+        if (saved > 0) {
+            const previous = this.records.find(r => r.key === key);
+            const dropped = previous ? previous.lectureIds.filter(id => !lectureIds.includes(id)) : [];
+            if (dropped.length) await this.release(dropped, key);
+
+            this.records = [
+                ...this.records.filter(r => r.key !== key),
+                { key, scope, id: item.id, name: item.name, path, lectureIds, bytes: progress.bytes, downloadedAt: new Date().toISOString() }
+            ];
+            await this.saveRecords();
+        }
+
+        this.updateChips(key);
+        this.refreshScreen();
+        console.log(`[Downloads] ${item.name}: ${saved}/${lectureIds.length} lectures, ${this.formatBytes(progress.bytes)}, ${keyed}/${questionIds.length} answer keys`);
+
+        if (window.dynamicIsland) {
+            if (failed === 0) {
+                if (window.HapticsEngine) window.HapticsEngine.success();
+                window.dynamicIsland.show({
+                    title: `✓ ${item.name} Available Offline`,
+                    subtitle: `${saved} lecture${saved === 1 ? '' : 's'} • ${this.formatBytes(progress.bytes)}`
+                        + (keyed < questionIds.length ? ' • Some answers are checked online only' : ''),
+                    type: 'success'
+                });
+            } else if (saved > 0) {
+                window.dynamicIsland.show({
+                    title: 'Download Incomplete',
+                    subtitle: `${saved} of ${lectureIds.length} lectures saved • Update it from Downloads`,
+                    type: 'warning',
+                    duration: 5000,
+                    onTap: () => this.open()
+                });
+            } else {
+                window.dynamicIsland.show({ title: 'Download Failed', subtitle: 'Check your connection and try again', type: 'error' });
+            }
+        }
+    }
+
+    /**
+     * Answer envelope keys for downloaded questions (js/answer-envelope.js).
+     * Stops at the first refused session, e.g. over the hourly reveal limit.
+     * @returns {Promise<number>} Keys stored
+     */
+    async requestAnswerKeys(questionIds) {
+        let stored = 0;
+        for (let i = 0; i < questionIds.length; i += this.KEY_BATCH_SIZE) {
+            const session = await this.app.requestPracticeSession(
+                questionIds.slice(i, i + this.KEY_BATCH_SIZE),
+                { offlineKeys: true }
+            );
+            if (!session || !session.answerKeys) break;
+            stored += await harviDB.saveAnswerKeys(session.answerKeys, session.sessionToken);
+        }
+        return stored;
+    }
+
+    /**
+     * Unpin lectures; the ones no other download holds are deleted from the device
+     */
+    async release(lectureIds, key) {
+        const released = await harviDB.unpinLectures(lectureIds, key);
+        if (window.questionMedia) window.questionMedia.release(released);
+        return released;
+    }
+
+    async remove(key) {
+        await this.loadRecords();
+        const record = this.records.find(r => r.key === key);
+        if (!record) return;
+
+        const confirmed = this.app.profile
+            ? await this.app.profile.showConfirmModal({
+                title: 'Remove Download?',
+                description: `${record.name} will no longer be kept for offline use. Its lectures are deleted from this device unless another download includes them; your progress and results stay.`,
+                confirmText: 'Remove',
+                cancelText: 'Keep',
+                type: 'danger'
+            })
+            : true;
+        if (!confirmed) return;
+
+        const released = await this.release(record.lectureIds, key);
+        this.records = this.records.filter(r => r.key !== key);
+        await this.saveRecords();
+
+        this.updateChips(key);
+        this.refreshScreen();
+
+        if (window.dynamicIsland) {
+            window.dynamicIsland.show({
+                title: 'Download Removed',
+                subtitle: `${record.name} • ${released.length} lecture${released.length === 1 ? '' : 's'} deleted`,
+                type: 'info',
+                duration: 2500
+            });
+        }
+    }
+
+    // ========================================================================
+    // Downloads screen
+    // ========================================================================
+
+    open() {
+        this.app.showScreen('downloads-screen');
+    }
+
+    refreshScreen() {
+        const screen = document.getElementById('downloads-screen');
+        if (screen && screen.classList.contains('active')) this.init();
+    }
+
+    /**
+     * Render the downloads screen (called by MCQApp.showScreen)
+     */
+    async init() {
+        const container = document.getElementById(this.containerId);
+        if (!container) {
+            console.warn(`[Downloads] Container #${this.containerId} not found`);
+            return;
+        }
+
+        await this.loadRecords();
+        const [lectures, storage] = await Promise.all([
+            typeof harviDB !== 'undefined' ? harviDB.getAllLectures() : [],
+            this.estimateStorage()
+        ]);
+        const stored = new Map(lectures.map(lecture => [lecture.id, lecture]));
+        const pinnedCount = lectures.filter(lecture => lecture.pinnedBy && lecture.pinnedBy.length).length;
+
+        container.innerHTML = '';
+        container.appendChild(this.renderStorage(storage, pinnedCount));
+
+        const list = document.createElement('div');
+        list.className = 'downloads-list';
+
+        this.active.forEach((progress, key) => {
+            if (!this.records.some(r => r.key === key)) list.appendChild(this.renderProgressRow(progress));
+        });
+
+        [...this.records]
+            .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+            .forEach(record => list.appendChild(this.renderRecordRow(record, stored)));
+
+        if (list.childElementCount === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'downloads-empty';
+            empty.textContent = 'Nothing downloaded yet. Tap the download button on a year, module or subject to keep all of its lectures on this device.';
+            list.appendChild(empty);
+        }
+
+        container.appendChild(list);
+    }
+
+    async estimateStorage() {
+        if (!navigator.storage || !navigator.storage.estimate) return null;
+        try {
+            const [{ usage, quota }, persisted] = await Promise.all([
+                navigator.storage.estimate(),
+                navigator.storage.persisted ? navigator.storage.persisted() : false
+            ]);
+            return { usage, quota, persisted };
+        } catch (e) {
+            console.warn('[Downloads] Storage estimate failed:', e);
+            return null;
+        }
+    }
+
+    renderStorage(storage, pinnedCount) {
+        const card = document.createElement('div');
+        card.className = 'downloads-storage';
+
+        const percent = storage && storage.quota ? Math.min(100, (storage.usage / storage.quota) * 100) : 0;
+        card.innerHTML = `
+            <div class="downloads-storage-header">
+                <h3 class="downloads-storage-title">Storage</h3>
+                <span class="downloads-storage-usage">${storage ? `${this.formatBytes(storage.usage)} of ${this.formatBytes(storage.quota)}` : 'Unavailable'}</span>
+            </div>
+            <div class="downloads-bar"><div class="downloads-bar-fill" style="width: ${percent.toFixed(1)}%"></div></div>
+            <p class="downloads-storage-note">${pinnedCount} lecture${pinnedCount === 1 ? '' : 's'} kept for offline use${storage && storage.persisted ? ' • Protected from automatic clean-up' : ''}</p>
+        `;
+        return card;
+    }
+
+    renderProgressRow(progress) {
+        const row = document.createElement('div');
+        row.className = 'download-row downloading';
+        row.innerHTML = `
+            <div class="download-info">
+                <h3 class="download-name"></h3>
+                <p class="download-meta">${progress.done} of ${progress.total} lectures • ${this.formatBytes(progress.bytes)}</p>
+                <div class="downloads-bar"><div class="downloads-bar-fill" style="width: ${((progress.done / progress.total) * 100).toFixed(1)}%"></div></div>
+            </div>
+        `;
+        // Names come from the content admins: text, never HTML
+        row.querySelector('.download-name').textContent = progress.name;
+        return row;
+    }
+
+    renderRecordRow(record, stored) {
+        const progress = this.active.get(record.key);
+        if (progress) return this.renderProgressRow(progress);
+
+        const item = this.findItem(record);
+        const expected = item ? this.collectLectures(record.scope, item).map(lecture => lecture.id) : record.lectureIds;
+        const available = expected.filter(id => {
+            const lecture = stored.get(id);
+            return lecture && (lecture.pinnedBy || []).includes(record.key);
+        }).length;
+        const downloadedOn = new Date(record.downloadedAt).toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+
+        const row = document.createElement('div');
+        row.className = `download-row ${available < expected.length ? 'incomplete' : ''}`;
+        row.innerHTML = `
+            <div class="download-info">
+                <h3 class="download-name"></h3>
+                <p class="download-path"></p>
+                <p class="download-meta">${available} of ${expected.length} lectures • ${this.formatBytes(record.bytes)} • ${downloadedOn}</p>
+            </div>
+            <div class="download-actions">
+                ${item && available < expected.length ? '<button type="button" class="download-action" data-action="update">Update</button>' : ''}
+                <button type="button" class="download-action danger" data-action="remove">Remove</button>
+            </div>
+        `;
+        row.querySelector('.download-name').textContent = record.name;
+        row.querySelector('.download-path').textContent = [this.SCOPE_LABELS[record.scope], ...(record.path || [])].join(' • ');
+
+        const updateBtn = row.querySelector('[data-action="update"]');
+        if (updateBtn) updateBtn.onclick = () => this.download(record.scope, item, record.path);
+        row.querySelector('[data-action="remove"]').onclick = () => this.remove(record.key);
+
+        return row;
+    }
+
+    /**
+     * Summary for the Profile card ({ count, bytes })
+     */
+    async getSummary() {
+        await this.loadRecords();
+        return {
+            count: this.records.length,
+            bytes: this.records.reduce((sum, record) => sum + (record.bytes || 0), 0)
+        };
+    }
+
+    formatBytes(bytes) {
+        if (!bytes) return '0 KB';
+        if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    }
+}
@@ -1,7 +1,7 @@
 /**
  * Profile Manager
  * Manages the app-centric Bento-style Profile page
- * Features: Theme toggle, Share, Install PWA, Clear Data
+ * Features: Account sign-in, data export & deletion, Saved questions deck, Revision deck export (Anki / PDF), Offline downloads, Share, Install PWA, Clear Data
  */
 class Profile {
     constructor(app) {
@@ -67,7 +67,30 @@ class Profile {
                 console.warn('[Profile] matchMedia check failed:', e);
             }
 
-            // 3. Install App Card (Small/Parallel)
+            // 2a. Account (Wide) - sign in to keep progress across devices
+            const accountCard = this.createAccountCard();
+
+            // 2b. Saved Questions Deck (Wide) - bookmarks & notes as a quiz
+            const savedCard = this.createCard({
+                title: 'Saved Questions',
+                subtitle: 'Bookmarks and notes from your quizzes',
+                icon: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"/></svg>`,
+                className: 'wide saved-card',
+                onClick: () => this.app.startSavedSession()
+            });
+            this.updateSavedCount(savedCard);
+
+            // 2d. Offline Downloads (Wide) - years, modules and subjects kept on the device
+            const downloadsCard = this.createCard({
+                title: 'Offline Downloads',
+                subtitle: 'Keep whole modules for exam week',
+                icon: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>`,
+                className: 'wide downloads-card',
+                onClick: () => this.app.downloads.open()
+            });
+            this.updateDownloadsSummary(downloadsCard);
+
+                        // 3. Install App Card (Small/Parallel)
             const installCard = this.createCard({
                 title: isApp ? 'App Installed' : 'Install App',
                 subtitle: isApp ? 'Native Experience Active' : 'Add to Home Screen',
@@ -99,6 +122,34 @@ class Profile {
             // Append all cards in the specified order
             // grid.appendChild(themeCard); // Removed
             grid.appendChild(sponsorCard);
+            grid.appendChild(accountCard);
+            grid.appendChild(savedCard);
+            grid.appendChild(downloadsCard);
+
+            // 2c. Signed in only: revision decks (Anki / PDF), then personal data
+            if (window.harviAuth && window.harviAuth.isSignedIn()) {
+                grid.appendChild(this.createCard({
+                    title: 'Revision Decks',
+                    subtitle: 'Saved or missed questions for Anki or print',
+                    icon: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="2" y="6" width="14" height="16" rx="2"/><path d="M6 2h14a2 2 0 0 1 2 2v14"/></svg>`,
+                    className: 'wide deck-export-card',
+                    onClick: () => this.handleExportDeck()
+                }));
+                grid.appendChild(this.createCard({
+                    title: 'Download My Data',
+                    subtitle: 'Answers, sessions & notes (zip)',
+                    icon: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/><line x1="12" y1="12" x2="12" y2="18"/><polyline points="9 15 12 18 15 15"/></svg>`,
+                    className: 'small-card export-card',
+                    onClick: () => this.handleExportData()
+                }));
+                grid.appendChild(this.createCard({
+                    title: 'Delete Account',
+                    subtitle: 'Erase your data from Harvi',
+                    icon: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M16 21v-2a4 4 0 0 0-4-4H6a4 4 0 0 0-4 4v2"/><circle cx="9" cy="7" r="4"/><line x1="17" y1="8" x2="23" y2="14"/><line x1="23" y1="8" x2="17" y2="14"/></svg>`,
+                    className: 'small-card delete-account-card',
+                    onClick: () => this.handleDeleteAccount()
+                }));
+            }
             grid.appendChild(installCard);
             grid.appendChild(shareCard);
             grid.appendChild(clearCard);
@@ -141,6 +192,306 @@ class Profile {
         return card;
     }
 
+    createAccountCard() {
+        const user = window.harviAuth ? window.harviAuth.getUser() : null;
+        const card = this.createCard({
+            title: user ? 'Signed In' : 'Sign In',
+            subtitle: user ? '' : 'Keep your progress on every device',
+            icon: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"/><circle cx="12" cy="7" r="4"/></svg>`,
+            className: `wide account-card ${user ? 'signed-in' : ''}`,
+            onClick: () => (user ? this.handleSignOut() : this.showSignInModal())
+        });
+
+        if (user) {
+            // Email is user input: set as text, never as HTML
+            card.querySelector('.card-subtitle').textContent = `${user.email || 'Your account'} • Tap to sign out`;
+        }
+
+        return card;
+    }
+
+    /**
+     * Re-render after sign-in or sign-out (called by MCQApp)
+     */
+    refreshAccount() {
+        const container = document.getElementById(this.containerId);
+        if (container && container.childElementCount > 0) {
+            this.renderBento();
+        }
+    }
+
+    async handleSignOut() {
+        const confirmed = await this.showConfirmModal({
+            title: 'Sign Out?',
+            description: 'Your progress stays on this device and in your account. Sign in again to keep syncing it.',
+            confirmText: 'Sign Out',
+            cancelText: 'Stay Signed In',
+            type: 'info'
+        });
+
+        if (!confirmed) return;
+
+        await window.harviAuth.signOut();
+        if (window.dynamicIsland) {
+            window.dynamicIsland.show({ title: 'Signed Out', type: 'info', duration: 2000 });
+        }
+    }
+
+    async handleExportData() {
+        if (!navigator.onLine) {
+            if (window.dynamicIsland) {
+                window.dynamicIsland.show({ title: 'You are offline', subtitle: 'Connect to download your data', type: 'warning' });
+            }
+            return;
+        }
+
+        if (window.dynamicIsland) {
+            window.dynamicIsland.show({ title: '📦 Preparing Export', subtitle: 'Collecting your data...', type: 'info', duration: 2000 });
+        }
+
+        try {
+            const { filename } = this.saveDownload(await window.harviAuth.exportData());
+
+            if (window.dynamicIsland) {
+                window.dynamicIsland.show({ title: '✓ Export Ready', subtitle: filename, type: 'success' });
+            }
+        } catch (err) {
+            console.error('[Profile] Export failed:', err);
+            if (window.dynamicIsland) {
+                window.dynamicIsland.show({ title: 'Export Failed', subtitle: err.message, type: 'error' });
+            }
+        }
+    }
+
+    // Anki deck or PDF worksheet of the saved / wrong-answer questions (answer keys only for answered ones)
+    async handleExportDeck() {
+        if (!navigator.onLine) {
+            if (window.dynamicIsland) {
+                window.dynamicIsland.show({ title: 'You are offline', subtitle: 'Connect to export a deck', type: 'warning' });
+            }
+            return;
+        }
+
+        const choice = await this.showDeckExportModal();
+        if (!choice) return;
+
+        if (window.dynamicIsland) {
+            window.dynamicIsland.show({ title: '📚 Preparing Deck', subtitle: choice.format === 'apkg' ? 'Building your Anki deck...' : 'Laying out your worksheet...', type: 'info', duration: 2000 });
+        }
+
+        try {
+            const { filename } = this.saveDownload(await window.harviAuth.exportDeck(choice.deck, choice.format));
+
+            if (window.dynamicIsland) {
+                window.dynamicIsland.show({ title: '✓ Deck Ready', subtitle: filename, type: 'success' });
+            }
+        } catch (err) {
+            console.error('[Profile] Deck export failed:', err);
+            if (window.dynamicIsland) {
+                window.dynamicIsland.show({ title: 'Export Failed', subtitle: err.message, type: 'error' });
+            }
+        }
+    }
+
+    // Hands a downloaded file to the browser
+    saveDownload({ blob, filename }) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+        return { filename };
+    }
+
+    async handleDeleteAccount() {
+        const confirmed = await this.showConfirmModal({
+            title: 'Delete Your Account?',
+            description: 'This permanently erases your account and everything Harvi stores about you on the server: answers, attempts, review schedule, bookmarks and notes. Download your data first if you want a copy. Progress on this device stays until you clear it.',
+            confirmText: 'Delete My Account',
+            cancelText: 'Keep My Account',
+            type: 'danger'
+        });
+
+        if (!confirmed) return;
+
+        if (window.HapticsEngine) window.HapticsEngine.warning();
+
+        try {
+            await window.harviAuth.deleteAccount();
+            if (window.dynamicIsland) {
+                window.dynamicIsland.show({ title: 'Account Deleted', subtitle: 'Your server data has been erased', type: 'success', duration: 4000 });
+            }
+        } catch (err) {
+            console.error('[Profile] Account deletion failed:', err);
+            if (window.dynamicIsland) {
+                window.dynamicIsland.show({
+                    title: 'Deletion Failed',
+                    subtitle: err.code === 'ADMIN_ACCOUNT' ? 'Ask an owner to remove your admin access first' : err.message,
+                    type: 'error',
+                    duration: 5000
+                });
+            }
+        }
+    }
+
+    /**
+     * Email + password sheet with sign-up and magic-link options
+     */
+    showSignInModal() {
+        if (!window.harviAuth) return;
+
+        const backdrop = document.createElement('div');
+        backdrop.className = 'modal-backdrop';
+
+        const modal = document.createElement('div');
+        modal.className = 'glass-modal auth-modal';
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        modal.setAttribute('aria-labelledby', 'auth-modal-title');
+
+        modal.innerHTML = `
+            <div class="glass-modal-header">
+                <div class="glass-modal-icon auth-modal-icon">👤</div>
+                <h2 class="glass-modal-title" id="auth-modal-title">Sign In to Harvi</h2>
+            </div>
+            <p class="glass-modal-description">Your quiz history, reviews and saved questions follow you to every device.</p>
+            <form class="auth-form" novalidate>
+                <label class="auth-field">
+                    <span>Email</span>
+                    <input type="email" name="email" autocomplete="email" inputmode="email" required>
+                </label>
+                <label class="auth-field">
+                    <span>Password</span>
+                    <input type="password" name="password" autocomplete="current-password" minlength="8">
+                </label>
+                <p class="auth-message" role="status" aria-live="polite"></p>
+                <div class="glass-modal-actions">
+                    <button type="submit" class="glass-modal-btn glass-modal-btn-primary" data-action="sign-in">Sign In</button>
+                    <button type="button" class="glass-modal-btn glass-modal-btn-cancel" data-action="sign-up">Create Account</button>
+                    <button type="button" class="auth-link-btn" data-action="magic-link">Email me a sign-in link instead</button>
+                    <button type="button" class="auth-link-btn" data-action="close">Not now</button>
+                </div>
+            </form>
+        `;
+
+        document.body.appendChild(backdrop);
+        document.body.appendChild(modal);
+
+        const form = modal.querySelector('.auth-form');
+        const message = modal.querySelector('.auth-message');
+        const buttons = modal.querySelectorAll('button');
+        const emailInput = form.elements.email;
+        const passwordInput = form.elements.password;
+
+        const close = () => {
+            backdrop.remove();
+            modal.remove();
+        };
+
+        const showMessage = (text, isError = false) => {
+            message.textContent = text;
+            message.classList.toggle('error', isError);
+        };
+
+        const run = async (action) => {
+            const email = emailInput.value.trim();
+            const password = passwordInput.value;
+
+            if (!email) {
+                showMessage('Enter your email address.', true);
+                emailInput.focus();
+                return;
+            }
+            if (action !== 'magic-link' && password.length < 8) {
+                showMessage('Passwords are at least 8 characters.', true);
+                passwordInput.focus();
+                return;
+            }
+            if (!navigator.onLine) {
+                showMessage('You are offline. Connect to sign in.', true);
+                return;
+            }
+
+            buttons.forEach(btn => { btn.disabled = true; });
+            showMessage(action === 'magic-link' ? 'Sending link…' : 'Signing in…');
+
+            try {
+                if (action === 'magic-link') {
+                    await window.harviAuth.sendMagicLink(email);
+                    showMessage(`Check ${email} for your sign-in link.`);
+                    if (window.HapticsEngine) window.HapticsEngine.success();
+                    return;
+                }
+
+                if (action === 'sign-up') {
+                    const { confirmationRequired } = await window.harviAuth.signUp(email, password);
+                    if (confirmationRequired) {
+                        showMessage(`Almost there: confirm your account from the email sent to ${email}.`);
+                        return;
+                    }
+                } else {
+                    await window.harviAuth.signIn(email, password);
+                }
+
+                if (window.HapticsEngine) window.HapticsEngine.success();
+                close();
+                if (window.dynamicIsland) {
+                    window.dynamicIsland.show({ title: '✓ Signed in', subtitle: email, type: 'success', duration: 2500 });
+                }
+            } catch (err) {
+                if (window.HapticsEngine) window.HapticsEngine.error();
+                showMessage(err.message || 'Something went wrong. Try again.', true);
+            } finally {
+                buttons.forEach(btn => { btn.disabled = false; });
+            }
+        };
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            run('sign-in');
+        });
+        modal.querySelector('[data-action="sign-up"]').onclick = () => {
+            passwordInput.autocomplete = 'new-password';
+            run('sign-up');
+        };
+        modal.querySelector('[data-action="magic-link"]').onclick = () => run('magic-link');
+        modal.querySelector('[data-action="close"]').onclick = close;
+        backdrop.onclick = close;
+
+        emailInput.focus();
+    }
+
+    async updateSavedCount(card) {
+        if (!window.savedQuestions) return;
+
+        try {
+            const count = await window.savedQuestions.getCount();
+            if (count > 0) {
+                card.querySelector('.card-subtitle').textContent =
+                    `${count} saved question${count === 1 ? '' : 's'} • Tap to practice`;
+            }
+        } catch (err) {
+            console.warn('[Profile] Saved count failed:', err);
+        }
+    }
+
+    async updateDownloadsSummary(card) {
+        if (!this.app.downloads) return;
+
+        try {
+            const { count, bytes } = await this.app.downloads.getSummary();
+            if (count > 0) {
+                card.querySelector('.card-subtitle').textContent =
+                    `${count} download${count === 1 ? '' : 's'} • ${this.app.downloads.formatBytes(bytes)}`;
+            }
+        } catch (err) {
+            console.warn('[Profile] Downloads summary failed:', err);
+        }
+    }
+
     async handleShare() {
         const shareData = {
             title: 'Harvi - Medical MCQs',
@@ -309,6 +660,61 @@ class Profile {
         });
     }
 
+    // Resolves { deck, format } or null when cancelled
+    showDeckExportModal() {
+        const choices = [
+            { deck: 'saved', format: 'apkg', label: 'Saved questions → Anki' },
+            { deck: 'saved', format: 'pdf', label: 'Saved questions → PDF' },
+            { deck: 'wrong', format: 'apkg', label: 'Wrong answers → Anki' },
+            { deck: 'wrong', format: 'pdf', label: 'Wrong answers → PDF' }
+        ];
+
+        return new Promise((resolve) => {
+            const backdrop = document.createElement('div');
+            backdrop.className = 'modal-backdrop';
+
+            const modal = document.createElement('div');
+            modal.className = 'glass-modal';
+            modal.innerHTML = `
+                <div class="glass-modal-header">
+                    <div class="glass-modal-icon" style="background: var(--primary-color)1a; color: var(--primary-color)">📚</div>
+                    <h2 class="glass-modal-title">Export a Revision Deck</h2>
+                </div>
+                <p class="glass-modal-description">Anki decks open in Anki on any device; PDFs print with an answer key at the end. Answers show only for questions you have already answered.</p>
+                <div class="glass-modal-actions">
+                    ${choices.map((choice, index) => `<button class="glass-modal-btn glass-modal-btn-cancel" data-choice="${index}">${choice.label}</button>`).join('')}
+                    <button class="glass-modal-btn glass-modal-btn-cancel" id="modal-cancel-btn">Cancel</button>
+                </div>
+            `;
+
+            document.body.appendChild(backdrop);
+            document.body.appendChild(modal);
+
+            const cleanup = (result) => {
+                modal.style.animation = 'modalSpringPopIn 300ms cubic-bezier(0.34, 1.56, 0.64, 1) reverse forwards';
+                backdrop.style.opacity = '0';
+                backdrop.style.transition = 'opacity 300ms ease';
+                setTimeout(() => {
+                    backdrop.remove();
+                    modal.remove();
+                    resolve(result);
+                }, 300);
+            };
+
+            modal.querySelectorAll('[data-choice]').forEach(button => {
+                button.onclick = () => {
+                    if (window.HapticsEngine) window.HapticsEngine.selection();
+                    cleanup(choices[Number(button.dataset.choice)]);
+                };
+            });
+            modal.querySelector('#modal-cancel-btn').onclick = () => {
+                if (window.HapticsEngine) window.HapticsEngine.selection();
+                cleanup(null);
+            };
+            backdrop.onclick = () => cleanup(null);
+        });
+    }
+
     showErrorUI(error) {
         const container = document.getElementById(this.containerId);
         if (!container) return;
@@ -0,0 +1,307 @@
+/**
+ * Question Media - Harvi PWA
+ * Images on question stems and options.
+ *
+ * Questions from the API may carry (see transformQuestionsForClient):
+ * - media: [{ type: 'image', url, alt_text, caption }] shown under the stem
+ * - option_media: [{ image_url, alt_text } | null] parallel to the original
+ *   (unshuffled) options
+ *
+ * Tapping an image opens a full-screen viewer with pinch / wheel zoom and
+ * drag to pan. When a lecture is saved for offline use, its image URLs are
+ * handed to the service worker, which keeps them in IMAGE_CACHE (or the
+ * untrimmed PINNED_IMAGE_CACHE for downloaded years, modules and subjects).
+ */
+class QuestionMedia {
+    constructor() {
+        this.MIN_SCALE = 1;
+        this.MAX_SCALE = 5;
+        this.viewer = null;
+        this.pointers = new Map();
+        this.resetTransform();
+    }
+
+    // ========================================================================
+    // Rendering
+    // ========================================================================
+
+    /**
+     * Question-level images as a <figure> list (null when there are none)
+     */
+    renderQuestionMedia(question) {
+        const media = (question && Array.isArray(question.media) ? question.media : [])
+            .filter(item => item && item.url && (item.type || 'image') === 'image');
+        if (media.length === 0) return null;
+
+        const container = document.createElement('div');
+        container.className = 'question-media';
+
+        media.forEach(item => {
+            const figure = document.createElement('figure');
+            figure.className = 'question-media-item';
+            figure.appendChild(this.createImage(item.url, item.alt_text, 'question-media-image'));
+
+            if (item.caption) {
+                const caption = document.createElement('figcaption');
+                caption.className = 'question-media-caption';
+                caption.textContent = item.caption;
+                figure.appendChild(caption);
+            }
+
+            container.appendChild(figure);
+        });
+
+        return container;
+    }
+
+    /**
+     * Image for an option, looked up by its original (pre-shuffle) index
+     */
+    renderOptionImage(question, originalIndex) {
+        const media = question && Array.isArray(question.option_media)
+            ? question.option_media[originalIndex]
+            : null;
+        if (!media || !media.image_url) return null;
+
+        return this.createImage(media.image_url, media.alt_text, 'option-image');
+    }
+
+    /**
+     * Alt text of an option image, used when the option has no text of its own
+     */
+    optionAltText(question, originalIndex) {
+        const media = question && Array.isArray(question.option_media)
+            ? question.option_media[originalIndex]
+            : null;
+        return (media && media.alt_text) || '';
+    }
+
+    createImage(url, altText, className) {
+        const img = document.createElement('img');
+        img.className = className;
+        img.src = url;
+        img.alt = altText || '';
+        img.loading = 'lazy';
+        img.decoding = 'async';
+        img.crossOrigin = 'anonymous'; // Lets the service worker cache the response
+        img.draggable = false;
+
+        const zoomButton = document.createElement('button');
+        zoomButton.type = 'button';
+        zoomButton.className = `${className}-zoom media-zoom-btn`;
+        zoomButton.setAttribute('aria-label', altText ? `Enlarge image: ${altText}` : 'Enlarge image');
+        zoomButton.appendChild(img);
+
+        // Option images sit inside a clickable option: zooming must not answer it
+        zoomButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.openViewer(url, altText);
+        });
+        zoomButton.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') e.stopPropagation();
+        });
+
+        img.addEventListener('error', () => {
+            zoomButton.classList.add('media-unavailable');
+            zoomButton.disabled = true;
+            zoomButton.setAttribute('aria-label', altText ? `Image unavailable: ${altText}` : 'Image unavailable');
+        }, { once: true });
+
+        return zoomButton;
+    }
+
+    // ========================================================================
+    // Zoom viewer
+    // ========================================================================
+
+    resetTransform() {
+        this.scale = 1;
+        this.translateX = 0;
+        this.translateY = 0;
+        this.pinchStart = null;
+        this.panStart = null;
+    }
+
+    ensureViewer() {
+        if (this.viewer) return this.viewer;
+
+        const viewer = document.createElement('div');
+        viewer.className = 'media-viewer';
+        viewer.id = 'media-viewer';
+        viewer.hidden = true;
+        viewer.setAttribute('role', 'dialog');
+        viewer.setAttribute('aria-modal', 'true');
+        viewer.innerHTML = `
+            <button type="button" class="media-viewer-close" aria-label="Close image">✕</button>
+            <div class="media-viewer-stage">
+                <img class="media-viewer-image" alt="" draggable="false">
+            </div>
+            <p class="media-viewer-alt"></p>
+        `;
+
+        const stage = viewer.querySelector('.media-viewer-stage');
+        viewer.querySelector('.media-viewer-close').addEventListener('click', () => this.closeViewer());
+
+        stage.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        stage.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        stage.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        stage.addEventListener('pointercancel', (e) => this.onPointerUp(e));
+        stage.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.setScale(this.scale * (e.deltaY < 0 ? 1.15 : 1 / 1.15));
+        }, { passive: false });
+        stage.addEventListener('dblclick', () => {
+            this.setScale(this.scale > 1 ? 1 : 2.5);
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !viewer.hidden) this.closeViewer();
+        });
+
+        document.body.appendChild(viewer);
+        this.viewer = viewer;
+        return viewer;
+    }
+
+    openViewer(url, altText) {
+        const viewer = this.ensureViewer();
+        const image = viewer.querySelector('.media-viewer-image');
+
+        this.returnFocusTo = document.activeElement;
+        this.resetTransform();
+        this.pointers.clear();
+
+        image.src = url;
+        image.alt = altText || '';
+        viewer.querySelector('.media-viewer-alt').textContent = altText || '';
+        viewer.setAttribute('aria-label', altText || 'Image');
+        this.applyTransform();
+
+        viewer.hidden = false;
+        document.body.classList.add('media-viewer-open');
+        viewer.querySelector('.media-viewer-close').focus();
+
+        if (window.HapticsEngine) HapticsEngine.tap();
+    }
+
+    closeViewer() {
+        if (!this.viewer || this.viewer.hidden) return;
+
+        this.viewer.hidden = true;
+        this.viewer.querySelector('.media-viewer-image').removeAttribute('src');
+        document.body.classList.remove('media-viewer-open');
+        this.pointers.clear();
+
+        if (this.returnFocusTo && typeof this.returnFocusTo.focus === 'function') {
+            this.returnFocusTo.focus();
+        }
+    }
+
+    setScale(scale) {
+        this.scale = Math.min(this.MAX_SCALE, Math.max(this.MIN_SCALE, scale));
+        if (this.scale === this.MIN_SCALE) {
+            this.translateX = 0;
+            this.translateY = 0;
+        }
+        this.applyTransform();
+    }
+
+    applyTransform() {
+        if (!this.viewer) return;
+        const image = this.viewer.querySelector('.media-viewer-image');
+        image.style.transform = `translate(${this.translateX}px, ${this.translateY}px) scale(${this.scale})`;
+    }
+
+    pointerDistance() {
+        const [a, b] = [...this.pointers.values()];
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    onPointerDown(e) {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (this.pointers.size === 2) {
+            this.pinchStart = { distance: this.pointerDistance(), scale: this.scale };
+            this.panStart = null;
+        } else if (this.pointers.size === 1) {
+            this.panStart = { x: e.clientX - this.translateX, y: e.clientY - this.translateY };
+        }
+    }
+
+    onPointerMove(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (this.pointers.size === 2 && this.pinchStart && this.pinchStart.distance > 0) {
+            this.setScale(this.pinchStart.scale * (this.pointerDistance() / this.pinchStart.distance));
+        } else if (this.pointers.size === 1 && this.panStart && this.scale > 1) {
+            this.translateX = e.clientX - this.panStart.x;
+            this.translateY = e.clientY - this.panStart.y;
+            this.applyTransform();
+        }
+    }
+
+    onPointerUp(e) {
+        this.pointers.delete(e.pointerId);
+        this.pinchStart = null;
+
+        // Lifting one finger of a pinch continues as a pan from where it is
+        if (this.pointers.size === 1) {
+            const [remaining] = [...this.pointers.values()];
+            this.panStart = { x: remaining.x - this.translateX, y: remaining.y - this.translateY };
+        } else {
+            this.panStart = null;
+        }
+    }
+
+    // ========================================================================
+    // Offline caching
+    // ========================================================================
+
+    /**
+     * Every image URL used by a lecture's questions and options
+     */
+    collectUrls(lecture) {
+        const urls = new Set();
+
+        (lecture && Array.isArray(lecture.questions) ? lecture.questions : []).forEach(question => {
+            (Array.isArray(question.media) ? question.media : []).forEach(item => {
+                if (item && item.url) urls.add(item.url);
+            });
+            (Array.isArray(question.option_media) ? question.option_media : []).forEach(item => {
+                if (item && item.image_url) urls.add(item.image_url);
+            });
+        });
+
+        return [...urls];
+    }
+
+    /**
+     * Ask the service worker to keep a lecture's images in IMAGE_CACHE
+     * (pinned: PINNED_IMAGE_CACHE, which is never trimmed, for offline downloads)
+     */
+    precache(lecture, { pinned = false } = {}) {
+        const urls = this.collectUrls(lecture);
+        if (urls.length === 0) return;
+
+        if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({ type: 'CACHE_IMAGES', urls, pinned });
+        }
+    }
+
+    /**
+     * Hand the images of lectures removed from offline downloads back to IMAGE_CACHE
+     */
+    release(lectures) {
+        const urls = [...new Set(lectures.flatMap(lecture => this.collectUrls(lecture)))];
+        if (urls.length === 0) return;
+
+        if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({ type: 'RELEASE_IMAGES', urls });
+        }
+    }
+}
+
+// Create global instance
+window.questionMedia = new QuestionMedia();
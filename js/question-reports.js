@@ -0,0 +1,195 @@
+/**
+ * Question Reports - Harvi PWA
+ * "Report a problem" with a question: wrong key, typo, outdated guideline...
+ *
+ * Opened from the Report button under the question or by long-pressing the
+ * question text (NativeTouchEngine context menu). Reports go to
+ * POST /api/questions/:id/reports, or are queued through harviDB.queueSync
+ * while offline. Each report carries a clientReportId, so a replay is never
+ * filed twice. Guests can report too.
+ */
+class QuestionReports {
+    constructor() {
+        this.MAX_DETAILS_LENGTH = 2000; // Mirrors the server limit
+        this.CATEGORIES = [
+            { id: 'wrong_key', label: 'Wrong answer marked correct' },
+            { id: 'typo', label: 'Typo or formatting' },
+            { id: 'outdated', label: 'Outdated guideline' },
+            { id: 'ambiguous', label: 'Ambiguous or unclear' },
+            { id: 'image', label: 'Image missing or wrong' },
+            { id: 'other', label: 'Something else' }
+        ];
+    }
+
+    /**
+     * File a report now, or queue it until the connection returns.
+     * Resolves to 'sent' or 'queued'.
+     */
+    async submit({ questionId, lectureId, category, details }) {
+        const report = {
+            questionId,
+            lectureId: lectureId || null,
+            category,
+            details: String(details || '').slice(0, this.MAX_DETAILS_LENGTH).trim(),
+            clientReportId: this.createReportId(),
+            reportedAt: new Date().toISOString()
+        };
+
+        if (navigator.onLine && await this.push(report)) {
+            return 'sent';
+        }
+
+        // Replayed by MCQApp.syncPendingData when the connection returns
+        await harviDB.queueSync('reportQuestion', report);
+        return 'queued';
+    }
+
+    /**
+     * Send one report. True when the server is done with it: filed, already
+     * filed, or rejected for good (question removed, invalid report).
+     */
+    async push(report) {
+        try {
+            const { questionId, lectureId, ...body } = report;
+            const response = await window.app.authFetch(`./api/questions/${encodeURIComponent(questionId)}/reports`, {
+                method: 'POST',
+                headers: window.app.getAuthHeaders(),
+                body: JSON.stringify(body),
+                timeout: 15000,
+                retries: 1
+            });
+
+            if (response.status === 400 || response.status === 404) {
+                console.warn(`Dropped report on ${questionId}: ${response.status}`);
+                return true;
+            }
+            return response.ok;
+        } catch (error) {
+            console.warn('Failed to send question report:', error);
+            return false;
+        }
+    }
+
+    createReportId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    }
+
+    /**
+     * Category list + free text sheet for one question
+     */
+    open({ questionId, lectureId, questionText }) {
+        if (!questionId || document.querySelector('.report-modal')) return;
+
+        const backdrop = document.createElement('div');
+        backdrop.className = 'modal-backdrop';
+
+        const modal = document.createElement('div');
+        modal.className = 'glass-modal report-modal';
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        modal.setAttribute('aria-labelledby', 'report-modal-title');
+
+        modal.innerHTML = `
+            <div class="glass-modal-header">
+                <div class="glass-modal-icon report-modal-icon">⚑</div>
+                <h2 class="glass-modal-title" id="report-modal-title">Report a Problem</h2>
+            </div>
+            <p class="glass-modal-description report-question-text"></p>
+            <form class="report-form" novalidate>
+                <fieldset class="report-categories">
+                    <legend>What's wrong?</legend>
+                    ${this.CATEGORIES.map(category => `
+                        <label class="report-category">
+                            <input type="radio" name="category" value="${category.id}">
+                            <span>${category.label}</span>
+                        </label>
+                    `).join('')}
+                </fieldset>
+                <label class="report-details">
+                    <span>Details (optional)</span>
+                    <textarea name="details" rows="3" maxlength="${this.MAX_DETAILS_LENGTH}"
+                        placeholder="Which option should be correct? Which guideline changed?"></textarea>
+                </label>
+                <p class="report-message" role="status" aria-live="polite"></p>
+                <div class="glass-modal-actions">
+                    <button type="submit" class="glass-modal-btn glass-modal-btn-primary">Send Report</button>
+                    <button type="button" class="glass-modal-btn glass-modal-btn-cancel" data-action="close">Cancel</button>
+                </div>
+            </form>
+        `;
+
+        // Question text is content: set as text, never as HTML
+        modal.querySelector('.report-question-text').textContent = questionText || '';
+
+        document.body.appendChild(backdrop);
+        document.body.appendChild(modal);
+
+        const form = modal.querySelector('.report-form');
+        const message = modal.querySelector('.report-message');
+        const submitBtn = form.querySelector('button[type="submit"]');
+
+        const close = () => {
+            backdrop.remove();
+            modal.remove();
+        };
+
+        const showMessage = (text) => {
+            message.textContent = text;
+            message.classList.toggle('error', !!text);
+        };
+
+        form.addEventListener('change', () => showMessage(''));
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const category = form.elements.category.value;
+            const details = form.elements.details.value.trim();
+
+            if (!category) {
+                showMessage('Choose what is wrong with the question.');
+                return;
+            }
+            if (category === 'other' && !details) {
+                showMessage('Tell us what is wrong.');
+                form.elements.details.focus();
+                return;
+            }
+
+            submitBtn.disabled = true;
+
+            try {
+                const outcome = await this.submit({ questionId, lectureId, category, details });
+                if (window.HapticsEngine) window.HapticsEngine.success();
+                close();
+
+                if (window.dynamicIsland) {
+                    window.dynamicIsland.show({
+                        title: '⚑ Report Sent',
+                        subtitle: outcome === 'queued' ? 'It will be sent when you are back online' : 'Thanks, an editor will review it',
+                        type: 'success',
+                        duration: 2500
+                    });
+                }
+            } catch (error) {
+                console.error('Failed to report question:', error);
+                if (window.HapticsEngine) window.HapticsEngine.error();
+                showMessage('Could not save the report. Try again.');
+                submitBtn.disabled = false;
+            }
+        });
+
+        modal.querySelector('[data-action="close"]').onclick = close;
+        backdrop.onclick = close;
+    }
+}
+
+// Create global instance
+window.questionReports = new QuestionReports();
+
+// Context menu actions are looked up on window by name (NativeTouchEngine)
+window.reportCurrentQuestion = () => {
+    if (window.app && window.app.quiz) window.app.quiz.reportQuestion();
+};
@@ -0,0 +1,397 @@
+/**
+ * Quiz Builder - Harvi PWA
+ * Custom mixed quizzes across years, modules, subjects and lectures.
+ *
+ * Students tick any combination of nodes from the /api/years hierarchy,
+ * choose a question count, difficulty range and an answer-history filter,
+ * and get one randomized session sampled by POST /api/quiz/sample.
+ * Offline, the sample is drawn from lectures cached in IndexedDB.
+ * Adaptive order samples a larger pool and lets js/adaptive-engine.js pick
+ * questions for the student's level, with the count as the cap.
+ */
+class QuizBuilder {
+    constructor(app) {
+        this.app = app;
+        this.selectedLectures = new Set();
+        this.expanded = new Set();
+        this.options = {
+            count: 20,
+            difficultyMin: 1,
+            difficultyMax: 3,
+            filter: 'all',
+            order: 'random'
+        };
+        this.DECK_ID = 'deck:custom';
+        this.COUNT_CHOICES = [10, 20, 40, 60];
+        this.DIFFICULTY_LABELS = { 1: 'Easy', 2: 'Medium', 3: 'Hard' };
+        this.ADAPTIVE_POOL_SIZE = 100; // Mirrors the /api/quiz/sample limit
+    }
+
+    /**
+     * Render the builder inside the navigation screen
+     */
+    show() {
+        const navigation = this.app.navigation;
+        const years = navigation.remoteYears || [];
+
+        this.app.showScreen('navigation-screen');
+
+        // Tool pages sit one level below home so the back button returns to Years
+        navigation.currentPath = [{ id: 'quiz-builder', name: 'Custom Quiz', isTool: true }];
+        navigation.updateHeader('Custom Quiz');
+        navigation.updateBackNavigation();
+
+        const container = document.getElementById('cards-container');
+        if (!container) return;
+
+        navigation.renderWithTransition(container, () => {
+            if (years.length === 0) {
+                return navigation.createEmptyState('Open the course list once while online to build a custom quiz.');
+            }
+
+            const wrapper = document.createElement('div');
+            wrapper.className = 'quiz-builder';
+            wrapper.innerHTML = `
+                <section class="builder-section">
+                    <h3 class="builder-section-title">Topics</h3>
+                    <div class="builder-tree" id="builder-tree"></div>
+                </section>
+                <section class="builder-section">
+                    <h3 class="builder-section-title">Questions</h3>
+                    <div class="exam-segments" id="builder-count"></div>
+                </section>
+                <section class="builder-section">
+                    <h3 class="builder-section-title">Difficulty</h3>
+                    <div class="builder-range">
+                        <select id="builder-difficulty-min" aria-label="Minimum difficulty"></select>
+                        <span>to</span>
+                        <select id="builder-difficulty-max" aria-label="Maximum difficulty"></select>
+                    </div>
+                </section>
+                <section class="builder-section">
+                    <h3 class="builder-section-title">Include</h3>
+                    <div class="exam-segments" id="builder-filter"></div>
+                    <p class="builder-hint" id="builder-filter-hint"></p>
+                </section>
+                <section class="builder-section">
+                    <h3 class="builder-section-title">Order</h3>
+                    <div class="exam-segments" id="builder-order"></div>
+                    <p class="builder-hint" id="builder-order-hint"></p>
+                </section>
+                <button class="builder-start-btn" id="builder-start-btn"></button>
+            `;
+
+            this.root = wrapper;
+            this.renderTree(years);
+            this.renderOptions();
+            this.updateStartButton();
+
+            wrapper.querySelector('#builder-start-btn').addEventListener('click', () => this.start());
+            return wrapper;
+        });
+    }
+
+    // ========================================================================
+    // HIERARCHY TREE
+    // ========================================================================
+
+    /**
+     * All lecture ids below a node (year, module, subject or lecture)
+     */
+    lectureIdsOf(node) {
+        if (node.lectures) return node.lectures.map(l => l.id);
+        if (node.subjects) return node.subjects.flatMap(s => this.lectureIdsOf(s));
+        if (node.modules) return node.modules.flatMap(m => this.lectureIdsOf(m));
+        return [node.id];
+    }
+
+    childrenOf(node) {
+        return node.modules || node.subjects || node.lectures || [];
+    }
+
+    renderTree(years) {
+        const tree = this.root.querySelector('#builder-tree');
+        tree.innerHTML = '';
+        years.forEach(year => tree.appendChild(this.createTreeNode(year, 0)));
+    }
+
+    createTreeNode(node, depth) {
+        const children = this.childrenOf(node);
+        const lectureIds = this.lectureIdsOf(node);
+        const selectedCount = lectureIds.filter(id => this.selectedLectures.has(id)).length;
+
+        const item = document.createElement('div');
+        item.className = 'builder-node';
+        item.style.setProperty('--depth', depth);
+
+        const row = document.createElement('div');
+        row.className = 'builder-node-row';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = lectureIds.length > 0 && selectedCount === lectureIds.length;
+        checkbox.indeterminate = selectedCount > 0 && selectedCount < lectureIds.length;
+        checkbox.setAttribute('aria-label', `Select ${node.name}`);
+        checkbox.addEventListener('change', () => {
+            lectureIds.forEach(id => checkbox.checked
+                ? this.selectedLectures.add(id)
+                : this.selectedLectures.delete(id));
+            if (window.HapticsEngine) window.HapticsEngine.selection();
+            this.renderTree(this.app.navigation.remoteYears);
+            this.updateStartButton();
+        });
+
+        const label = document.createElement('button');
+        label.className = 'builder-node-label';
+        label.textContent = node.name;
+
+        row.appendChild(checkbox);
+        row.appendChild(label);
+
+        if (children.length > 0) {
+            const isOpen = this.expanded.has(node.id);
+            const chevron = document.createElement('span');
+            chevron.className = `builder-node-chevron ${isOpen ? 'open' : ''}`;
+            chevron.textContent = '›';
+            row.appendChild(chevron);
+
+            label.addEventListener('click', () => {
+                isOpen ? this.expanded.delete(node.id) : this.expanded.add(node.id);
+                this.renderTree(this.app.navigation.remoteYears);
+            });
+        } else {
+            label.addEventListener('click', () => checkbox.click());
+        }
+
+        item.appendChild(row);
+
+        if (children.length > 0 && this.expanded.has(node.id)) {
+            children.forEach(child => item.appendChild(this.createTreeNode(child, depth + 1)));
+        }
+
+        return item;
+    }
+
+    /**
+     * Compress the selection to the highest fully-ticked nodes
+     * so the request stays small (a whole year is sent as one id).
+     */
+    collectSelection() {
+        const selection = { yearIds: [], moduleIds: [], subjectIds: [], lectureIds: [] };
+        const keys = ['yearIds', 'moduleIds', 'subjectIds', 'lectureIds'];
+
+        const walk = (node, level) => {
+            const ids = this.lectureIdsOf(node);
+            const selected = ids.filter(id => this.selectedLectures.has(id)).length;
+
+            if (selected === 0) return;
+            if (selected === ids.length) {
+                selection[keys[level]].push(node.id);
+                return;
+            }
+            this.childrenOf(node).forEach(child => walk(child, level + 1));
+        };
+
+        (this.app.navigation.remoteYears || []).forEach(year => walk(year, 0));
+        return selection;
+    }
+
+    // ========================================================================
+    // OPTIONS
+    // ========================================================================
+
+    renderOptions() {
+        const countEl = this.root.querySelector('#builder-count');
+        countEl.innerHTML = this.COUNT_CHOICES.map(value => `
+            <button class="exam-segment ${this.options.count === value ? 'active' : ''}" data-value="${value}">${value}</button>
+        `).join('');
+        countEl.querySelectorAll('.exam-segment').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.options.count = Number(btn.dataset.value);
+                this.renderOptions();
+            });
+        });
+
+        ['min', 'max'].forEach(bound => {
+            const select = this.root.querySelector(`#builder-difficulty-${bound}`);
+            const key = bound === 'min' ? 'difficultyMin' : 'difficultyMax';
+            select.innerHTML = Object.entries(this.DIFFICULTY_LABELS).map(([value, label]) => `
+                <option value="${value}" ${this.options[key] === Number(value) ? 'selected' : ''}>${label}</option>
+            `).join('');
+            select.onchange = () => {
+                this.options[key] = Number(select.value);
+                // Keep the range ordered
+                if (this.options.difficultyMin > this.options.difficultyMax) {
+                    const other = key === 'difficultyMin' ? 'difficultyMax' : 'difficultyMin';
+                    this.options[other] = this.options[key];
+                }
+                this.renderOptions();
+            };
+        });
+
+        const signedIn = !!this.app.getAuthToken();
+        const filters = [
+            { value: 'all', label: 'All' },
+            { value: 'unanswered', label: 'Unanswered' },
+            { value: 'wrong', label: 'Previously wrong' }
+        ];
+        if (!signedIn) this.options.filter = 'all';
+
+        const filterEl = this.root.querySelector('#builder-filter');
+        filterEl.innerHTML = filters.map(f => `
+            <button class="exam-segment ${this.options.filter === f.value ? 'active' : ''}" data-value="${f.value}" ${!signedIn && f.value !== 'all' ? 'disabled' : ''}>${f.label}</button>
+        `).join('');
+        filterEl.querySelectorAll('.exam-segment:not([disabled])').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.options.filter = btn.dataset.value;
+                this.renderOptions();
+            });
+        });
+
+        this.root.querySelector('#builder-filter-hint').textContent = signedIn
+            ? ''
+            : 'Sign in to filter by your answer history.';
+
+        const orders = [
+            { value: 'random', label: 'Random' },
+            { value: 'adaptive', label: 'Adaptive' }
+        ];
+        const orderEl = this.root.querySelector('#builder-order');
+        orderEl.innerHTML = orders.map(o => `
+            <button class="exam-segment ${this.options.order === o.value ? 'active' : ''}" data-value="${o.value}">${o.label}</button>
+        `).join('');
+        orderEl.querySelectorAll('.exam-segment').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.options.order = btn.dataset.value;
+                this.renderOptions();
+            });
+        });
+
+        this.root.querySelector('#builder-order-hint').textContent = this.options.order === 'adaptive'
+            ? `Questions are picked for your level, stopping once it has settled (up to ${this.options.count}).`
+            : '';
+    }
+
+    updateStartButton() {
+        const btn = this.root?.querySelector('#builder-start-btn');
+        if (!btn) return;
+
+        const lectureCount = this.selectedLectures.size;
+        btn.disabled = lectureCount === 0;
+        btn.textContent = lectureCount === 0
+            ? 'Select topics to start'
+            : `Start Quiz • ${lectureCount} lecture${lectureCount === 1 ? '' : 's'}`;
+    }
+
+    // ========================================================================
+    // SAMPLING
+    // ========================================================================
+
+    async start() {
+        if (this.selectedLectures.size === 0) return;
+
+        const adaptive = this.options.order === 'adaptive';
+        const count = adaptive ? this.ADAPTIVE_POOL_SIZE : this.options.count;
+
+        this.app.showLoading();
+        let questions = [];
+        try {
+            questions = navigator.onLine
+                ? await this.sampleRemote(count)
+                : await this.sampleOffline(count);
+        } catch (error) {
+            console.warn('Remote sampling failed, using cached lectures:', error);
+            questions = await this.sampleOffline(count);
+        } finally {
+            this.app.hideLoading();
+        }
+
+        if (questions.length === 0) {
+            if (window.dynamicIsland) {
+                window.dynamicIsland.show({
+                    title: 'No Matching Questions',
+                    subtitle: 'Try more topics or a wider difficulty range',
+                    type: 'info',
+                    duration: 3000
+                });
+            }
+            return;
+        }
+
+        const pathInfo = {
+            lecture: 'Custom Quiz',
+            lectureId: this.DECK_ID,
+            deck: 'custom'
+        };
+
+        if (adaptive) {
+            this.app.startAdaptiveQuiz(this.withSubjects(questions), { ...pathInfo, maxQuestions: this.options.count });
+        } else {
+            this.app.startQuiz(questions, pathInfo);
+        }
+    }
+
+    /**
+     * Tag questions with their subject (abilities are kept per subject)
+     */
+    withSubjects(questions) {
+        const subjectByLecture = new Map();
+        (this.app.navigation.remoteYears || []).forEach(year => (year.modules || []).forEach(module =>
+            (module.subjects || []).forEach(subject =>
+                (subject.lectures || []).forEach(lecture => subjectByLecture.set(lecture.id, subject.id)))));
+
+        return questions.map(question => ({
+            ...question,
+            subjectId: question.subjectId || subjectByLecture.get(question.lectureId) || null
+        }));
+    }
+
+    async sampleRemote(count) {
+        const response = await this.app.authFetch('./api/quiz/sample', {
+            method: 'POST',
+            headers: this.app.getAuthHeaders(),
+            body: JSON.stringify({ ...this.collectSelection(), ...this.options, count }),
+            timeout: 15000,
+            retries: 1
+        });
+
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const { questions } = await response.json();
+        return questions || [];
+    }
+
+    /**
+     * Offline fallback: sample from cached lectures (history filters need the server)
+     */
+    async sampleOffline(count) {
+        if (typeof harviDB === 'undefined') return [];
+
+        const lectures = await harviDB.getLecturesByIds([...this.selectedLectures]);
+        const pool = [];
+
+        lectures.forEach(lecture => {
+            (lecture.questions || []).forEach(question => {
+                const difficulty = question.difficulty_level || 1;
+                if (difficulty < this.options.difficultyMin || difficulty > this.options.difficultyMax) return;
+                pool.push({ ...question, lectureId: lecture.id, lectureName: lecture.name });
+            });
+        });
+
+        if (this.options.filter !== 'all' && window.dynamicIsland) {
+            window.dynamicIsland.show({
+                title: 'Offline',
+                subtitle: 'History filters need a connection - sampling all cached questions',
+                type: 'warning',
+                duration: 3000
+            });
+        }
+
+        for (let i = pool.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [pool[i], pool[j]] = [pool[j], pool[i]];
+        }
+
+        return pool.slice(0, count);
+    }
+}
@@ -9,6 +9,16 @@ class Quiz {
         this.selectedOptionIndex = -1;
         this.answers = []; // CRITICAL FIX: Array to collect answers for backend submission
 
+        // Multi-select and true/false questions: original option index -> chosen / marked true
+        this.MULTI_ANSWER_TYPES = ['multi', 'true_false'];
+        this.selection = new Map();
+
+        // Exam mode: deferred grading, countdown, flags (see EXAM MODE section)
+        this.mode = 'practice';
+        this.examTimer = null;
+        this.questionDeadline = null;
+        this.examSubmitting = false;
+
         this.keyboardHandler = null;
         this.continueClickHandler = null;
         this.backClickHandler = null;
@@ -44,6 +54,8 @@ class Quiz {
 
         this.keyboardHandler = (e) => {
             if (!document.getElementById('quiz-screen')?.classList.contains('active')) return;
+            // Typing a note must not answer the question
+            if (e.target.closest && e.target.closest('textarea, input')) return;
 
             switch (e.key) {
                 case 'ArrowUp':
@@ -59,7 +71,7 @@ class Quiz {
                 case 'Enter':
                 case ' ':
                     e.preventDefault();
-                    if (this.hasAnswered) {
+                    if (this.hasAnswered || e.target === this.continueBtn) {
                         this.nextQuestion();
                     } else {
                         this.selectOptionWithKeyboard();
@@ -108,7 +120,12 @@ class Quiz {
     }
 
     handleExit() {
-        if (confirm('Are you sure you want to exit the quiz?')) {
+        const prompt = this.mode === 'exam'
+            ? 'Exit the exam? The timer keeps running and your answers are kept until you return.'
+            : 'Are you sure you want to exit the quiz?';
+
+        if (confirm(prompt)) {
+            this.teardownExamMode();
             if (this.app && typeof this.app.goBack === 'function') {
                 this.app.goBack();
             } else {
@@ -179,6 +196,39 @@ class Quiz {
         return array;
     }
 
+    /**
+     * Shuffle questions, keeping each clinical case / EMQ set together
+     * and in its authored order
+     */
+    orderQuestions(questions) {
+        const units = [];
+        const groups = new Map();
+
+        questions.forEach(question => {
+            const groupId = question && question.group && question.group.id;
+            if (!groupId) {
+                units.push([question]);
+                return;
+            }
+            if (!groups.has(groupId)) {
+                groups.set(groupId, []);
+                units.push(groups.get(groupId));
+            }
+            groups.get(groupId).push(question);
+        });
+
+        groups.forEach(members => members.sort((a, b) => (a.group_order || 0) - (b.group_order || 0)));
+        return this.shuffleArray(units).flat();
+    }
+
+    questionType(question) {
+        return (question && question.question_type) || 'single';
+    }
+
+    isMultiAnswer(question) {
+        return this.MULTI_ANSWER_TYPES.includes(this.questionType(question));
+    }
+
     start(questions, metadata) {
         const isResuming = metadata?.fromSavedProgress === true;
 
@@ -190,9 +240,10 @@ class Quiz {
                 options: Array.isArray(q.options) ? [...q.options] : q.options
             }));
 
-            this.questions = this.shuffleArray(clonedQuestions);
+            this.questions = this.orderQuestions(clonedQuestions);
             this.questions.forEach(question => {
-                if (question && question.options && question.options.length > 0) {
+                // EMQ items share one list: keep it in the same order for every item
+                if (question && question.options && question.options.length > 0 && this.questionType(question) !== 'emq') {
                     // CRITICAL FIX: Create shuffledOptions map that tracks both visual and original positions
                     // This is required because backend grading uses originalIndex to verify correctness
 
@@ -226,17 +277,51 @@ class Quiz {
                     question.options = shuffledOptions.map(opt => opt.text);
                 }
             });
+
+            // Adaptive practice: questions come out of a pool one at a time (js/adaptive-engine.js)
+            if (metadata?.adaptive && metadata.mode !== 'exam' && window.adaptiveEngine) {
+                const adaptiveSession = window.adaptiveEngine.createSession(this.questions, metadata);
+                this.questions = window.adaptiveEngine.nextQuestions(adaptiveSession);
+                metadata = { ...metadata, adaptiveSession };
+            }
         }
 
         // CRITICAL FIX: Reset answers array to prevent accumulation from previous sessions
         this.answers = [];
 
         this.metadata = metadata;
+
+        // Answers are recorded server-side as one numbered attempt (quiz_sessions);
+        // a resumed quiz continues the attempt it started
+        if (!isResuming || !this.metadata.clientSessionId) {
+            this.metadata = {
+                ...this.metadata,
+                clientSessionId: this.createSessionId(),
+                startedAt: new Date().toISOString()
+            };
+        }
+
+        // Practice answers and exam submissions go through a server-issued session (see ensureSessionToken)
+        this.sessionTokenPromise = null;
+        if (!isResuming) {
+            this.metadata = { ...this.metadata, sessionToken: null };
+        }
+
         this.currentIndex = isResuming ? (metadata.currentIndex || 0) : 0;
         this.score = isResuming ? (metadata.score || 0) : 0;
         this.hasAnswered = false;
         this.selectedOptionIndex = -1;
 
+        this.teardownExamMode();
+        this.mode = metadata?.mode === 'exam' ? 'exam' : 'practice';
+        if (this.mode === 'exam') {
+            this.setupExamMode(isResuming);
+        } else if (!isResuming || !this.metadata.practiceLog) {
+            // Per-question results feed the review on the results screen
+            // (kept on metadata so a resumed session keeps them)
+            this.metadata = { ...this.metadata, practiceLog: {} };
+        }
+
         this.app.showScreen('quiz-screen');
 
         // REFACTORED: Hide Unified Header for Concentration (User Request)
@@ -244,8 +329,14 @@ class Quiz {
             window.HeaderController.hide();
         }
 
+        this.ensureSessionToken(); // Warm up while the first question renders
+
         this.waitForDOMElements().then(() => {
             this.attachButtonListeners(); // Ensure listeners are attached to current DOM
+            if (this.mode === 'exam') {
+                this.renderExamToolbar();
+                this.startExamTimer();
+            }
             this.showQuestion();
         }).catch(err => {
             console.error('Quiz start error:', err);
@@ -253,6 +344,40 @@ class Quiz {
         });
     }
 
+    /**
+     * Token of the server-issued practice session (null offline: answers of
+     * downloaded lectures are then graded from their answer envelope keys).
+     * Concurrent callers share one request.
+     */
+    ensureSessionToken() {
+        if (this.metadata.sessionToken) return Promise.resolve(this.metadata.sessionToken);
+
+        if (!this.sessionTokenPromise) {
+            const quizId = this.metadata.clientSessionId;
+
+            // Adaptive sessions may still serve anything left in their pool
+            const pool = this.metadata.adaptiveSession ? this.metadata.adaptiveSession.pool : [];
+            this.sessionTokenPromise = this.app.startPracticeSession([...this.questions, ...pool].map(q => q.id))
+                .then(token => {
+                    // Ignore replies for a quiz that has since been replaced
+                    if (this.metadata.clientSessionId === quizId) {
+                        this.metadata.sessionToken = token;
+                        this.sessionTokenPromise = null;
+                    }
+                    return token;
+                });
+        }
+
+        return this.sessionTokenPromise;
+    }
+
+    createSessionId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    }
+
     async waitForDOMElements() {
         const maxAttempts = 20;
         for (let attempt = 0; attempt < maxAttempts; attempt++) {
@@ -266,7 +391,7 @@ class Quiz {
 
             if (this.optionsContainer && this.questionTextElement && this.continueBtn) {
                 if (this.totalQuestionsElement) {
-                    this.totalQuestionsElement.textContent = this.questions.length;
+                    this.totalQuestionsElement.textContent = this.progressTotal();
                 }
                 return true;
             }
@@ -279,10 +404,14 @@ class Quiz {
         const currentQuestion = this.questions[this.currentIndex];
         this.hasAnswered = false;
         this.selectedOptionIndex = -1;
+        this.selection = new Map();
+        this.questionShownAt = Date.now(); // Response time feeds the review scheduler
 
         // cleanup previous explanation if any
         const existingExpl = document.getElementById('q-explanation');
         if (existingExpl) existingExpl.remove();
+        document.getElementById('multi-answer-notes')?.remove();
+        document.getElementById('cohort-summary')?.remove();
 
         if (this.contentArea) {
             // 1. HARD LOCK: Hide container via both opacity and visibility
@@ -295,6 +424,10 @@ class Quiz {
                 this.questionTextElement.textContent = currentQuestion.text || 'Question missing';
             }
 
+            this.renderQuestionGroup(currentQuestion);
+            this.renderQuestionMedia(currentQuestion);
+            this.renderQuestionTypeHint(currentQuestion);
+
             if (this.optionsContainer && currentQuestion && currentQuestion.options) {
                 this.optionsContainer.innerHTML = '';
 
@@ -307,15 +440,23 @@ class Quiz {
                     }));
 
                 optionsToRender.forEach((optionData, visualIndex) => {
-                    const optionElement = this.createOption(optionData, visualIndex);
+                    const optionElement = this.createOption(optionData, visualIndex, currentQuestion);
                     this.optionsContainer.appendChild(optionElement);
                 });
             }
 
+            this.renderQuestionTools(currentQuestion);
+
             if (this.progressBar) this.updateProgress();
             if (this.continueBtn) {
                 this.continueBtn.disabled = true;
-                this.continueBtn.textContent = 'Continue'; // Reset button text for next question
+                // Reset button text for next question (multi-answer questions are checked explicitly)
+                this.continueBtn.textContent = this.isMultiAnswer(currentQuestion) ? 'Check Answer' : 'Continue';
+            }
+
+            // Exam mode: restore the stored choice, allow skipping, restart per-question clock
+            if (this.mode === 'exam') {
+                this.prepareExamQuestion(currentQuestion);
             }
 
             // 3. SECURE REVEAL: Wait for frame synchronization
@@ -350,7 +491,23 @@ class Quiz {
         }
     }
 
-    createOption(optionData, visualIndex) {
+    /**
+     * Stem images between the question text and the options (js/question-media.js)
+     */
+    renderQuestionMedia(question) {
+        const existing = document.getElementById('question-media');
+        if (existing) existing.remove();
+
+        if (!window.questionMedia || !this.optionsContainer) return;
+
+        const media = window.questionMedia.renderQuestionMedia(question);
+        if (!media) return;
+
+        media.id = 'question-media';
+        this.optionsContainer.insertAdjacentElement('beforebegin', media);
+    }
+
+    createOption(optionData, visualIndex, question) {
         // CRITICAL FIX: optionData is now an object with {text, originalIndex, id}
         // Extract text safely for both Object and String formats
         let optionText;
@@ -365,11 +522,17 @@ class Quiz {
             originalIndex = visualIndex;
         }
 
+        const questionType = this.questionType(question);
+
         const option = document.createElement('div');
         option.className = 'option';
         option.tabIndex = 0;
-        option.setAttribute('role', 'button');
-        option.setAttribute('aria-label', `Option ${String.fromCharCode(65 + visualIndex)}: ${optionText}`);
+        option.setAttribute('role', questionType === 'multi' ? 'checkbox' : 'button');
+        if (questionType === 'multi') option.setAttribute('aria-checked', 'false');
+        // Option images are keyed by the original index, so they follow the shuffle
+        const optionImage = window.questionMedia ? window.questionMedia.renderOptionImage(question, originalIndex) : null;
+        const optionLabel = optionText || (window.questionMedia ? window.questionMedia.optionAltText(question, originalIndex) : '') || 'Image';
+        option.setAttribute('aria-label', `Option ${String.fromCharCode(65 + visualIndex)}: ${optionLabel}`);
 
         // CRITICAL: Store originalIndex on DOM element for retrieval in selectAnswer()
         option.dataset.originalIndex = originalIndex;
@@ -387,9 +550,20 @@ class Quiz {
         optionText_el.textContent = optionText;
 
         optionContent.appendChild(optionLetter);
-        optionContent.appendChild(optionText_el);
+        if (optionImage) {
+            option.classList.add('option-has-image');
+            optionContent.appendChild(optionImage);
+        }
+        if (optionText || !optionImage) optionContent.appendChild(optionText_el);
         option.appendChild(optionContent);
 
+        if (questionType === 'multi') {
+            option.classList.add('option-multi');
+        } else if (questionType === 'true_false') {
+            option.classList.add('option-statement');
+            option.appendChild(this.createStatementToggle(option, originalIndex));
+        }
+
         const handleSelection = async (e) => {
             if (!this.hasAnswered) {
                 if (window.HapticsEngine) HapticsEngine.selection();
@@ -421,6 +595,18 @@ class Quiz {
     }
 
     async selectAnswer(selectedOption, visualIndex, originalIndex) {
+        // Multi-select / true-false: taps build a selection that is checked as a whole
+        if (this.isMultiAnswer(this.questions[this.currentIndex])) {
+            this.toggleSelection(selectedOption, originalIndex);
+            return;
+        }
+
+        // Exam mode: record only, feedback is deferred until submission
+        if (this.mode === 'exam') {
+            this.selectExamAnswer(selectedOption, originalIndex);
+            return;
+        }
+
         this.hasAnswered = true;
         const currentQuestion = this.questions[this.currentIndex];
 
@@ -440,11 +626,16 @@ class Quiz {
 
         try {
             // 3. API Call: Verify answer with Backend (Practice Mode)
-            const result = await this.app.checkAnswer(currentQuestion.id, originalIndex);
+            const result = await this.checkPracticeAnswer(currentQuestion, originalIndex);
 
             selectedOption.classList.remove('selected'); // Remove neutral state
 
             if (result && result.success) {
+                // Graded from the lecture's answer envelope; the server confirms on sync
+                if (result.offline) {
+                    selectedOption.insertAdjacentHTML('beforeend', ' <span class="offline-graded-badge">Checked offline</span>');
+                }
+
                 // A. Correct Answer
                 if (result.is_correct) {
                     selectedOption.classList.add('correct');
@@ -487,29 +678,18 @@ class Quiz {
                     }
                 }
 
-                // C. Show Explanation
-                if (result.explanation) {
-                    const existingExpl = document.getElementById('q-explanation');
-                    if (existingExpl) existingExpl.remove();
-
-                    const explDiv = document.createElement('div');
-                    explDiv.id = 'q-explanation';
-                    explDiv.className = 'explanation-card fade-in-up';
-                    explDiv.style.cssText = 'margin-top: 1.5rem; padding: 1rem; background: var(--bg-secondary, #f5f5f7); border-radius: 12px; border-left: 4px solid var(--accent-color, #007aff); animation: fadeInUp 0.3s ease-out forwards;';
-                    explDiv.innerHTML = `
-                        <h4 style="margin:0 0 0.5rem 0; font-size: 0.9rem; text-transform:uppercase; color: var(--text-secondary, #666);">Explanation</h4>
-                        <p style="margin:0; line-height: 1.5; color: var(--text-primary, #000);">${result.explanation}</p>
-                    `;
-                    this.optionsContainer.parentNode.appendChild(explDiv);
-
-                    setTimeout(() => explDiv.scrollIntoView({ behavior: 'smooth', block: 'nearest' }), 100);
-                }
+                // C. Show Explanation and how other students answered
+                this.showExplanation(result.explanation);
+                this.renderCohortStats(result.cohort, currentQuestion);
 
             } else {
-                // Fallback: Network Error or Offline
+                // Fallback: refused by the server, or offline without a key
                 console.warn('Grading result missing or failed');
                 selectedOption.classList.add('selected'); // Revert to neutral
-                selectedOption.innerHTML += ' <span style="font-size:0.8em;opacity:0.7">( Offline )</span>';
+                const reason = document.createElement('span');
+                reason.style.cssText = 'font-size:0.8em;opacity:0.7';
+                reason.textContent = `( ${this.uncheckedReason(result)} )`;
+                selectedOption.append(' ', reason);
             }
 
         } catch (err) {
@@ -530,6 +710,398 @@ class Quiz {
         }
     }
 
+    /**
+     * Check a practice answer (an index, or indices for multi / true-false)
+     * and log it for the results review and the review scheduler
+     */
+    async checkPracticeAnswer(question, selectedAnswer) {
+        // Review decks mix lectures, so prefer the question's own lecture
+        const lectureId = question.lectureId || this.metadata.lectureId;
+        const result = await this.app.checkAnswer(question.id, selectedAnswer, lectureId, {
+            sessionToken: await this.ensureSessionToken(),
+            renewSessionToken: () => {
+                this.metadata.sessionToken = null;
+                return this.ensureSessionToken();
+            },
+            clientSessionId: this.metadata.clientSessionId,
+            deck: this.metadata.deck,
+            totalQuestions: this.progressTotal(),
+            responseTimeMs: Date.now() - this.questionShownAt
+        });
+
+        if (!result || !result.success) return result;
+
+        const isSet = Array.isArray(selectedAnswer);
+        this.metadata.practiceLog[question.id] = {
+            question_id: question.id,
+            question_type: this.questionType(question),
+            selected_answer_index: isSet ? null : selectedAnswer,
+            selected_answer_indices: isSet ? selectedAnswer : null,
+            is_correct: result.is_correct === true,
+            score: result.score ?? (result.is_correct ? 1 : 0),
+            correct_answer_index: result.correct_answer_index ?? null,
+            correct_answer_indices: result.correct_answer_indices ?? null,
+            explanation: result.explanation || null
+        };
+
+        if (this.metadata.adaptiveSession && window.adaptiveEngine) {
+            window.adaptiveEngine.recordAnswer(this.metadata.adaptiveSession, question, this.metadata.practiceLog[question.id].score);
+        }
+
+        // Spaced repetition: schedule the next review (non-blocking)
+        if (window.reviewScheduler) {
+            window.reviewScheduler.recordAnswer({
+                questionId: question.id,
+                lectureId,
+                isCorrect: result.is_correct,
+                responseTimeMs: Date.now() - this.questionShownAt
+            });
+        }
+
+        return result;
+    }
+
+    showExplanation(explanation) {
+        if (!explanation) return;
+
+        const existingExpl = document.getElementById('q-explanation');
+        if (existingExpl) existingExpl.remove();
+
+        const explDiv = document.createElement('div');
+        explDiv.id = 'q-explanation';
+        explDiv.className = 'explanation-card fade-in-up';
+        explDiv.style.cssText = 'margin-top: 1.5rem; padding: 1rem; background: var(--bg-secondary, #f5f5f7); border-radius: 12px; border-left: 4px solid var(--accent-color, #007aff); animation: fadeInUp 0.3s ease-out forwards;';
+        explDiv.innerHTML = `
+            <h4 style="margin:0 0 0.5rem 0; font-size: 0.9rem; text-transform:uppercase; color: var(--text-secondary, #666);">Explanation</h4>
+            <p style="margin:0; line-height: 1.5; color: var(--text-primary, #000);">${explanation}</p>
+        `;
+        this.optionsContainer.parentNode.appendChild(explDiv);
+
+        setTimeout(() => explDiv.scrollIntoView({ behavior: 'smooth', block: 'nearest' }), 100);
+    }
+
+    /**
+     * Cohort distribution from check-answer: a bar per option with the share
+     * of students who picked it (marked it TRUE for true/false) on their
+     * first attempt, plus the overall correct rate. Absent offline and for
+     * questions with too few answers.
+     */
+    renderCohortStats(cohort, question) {
+        document.getElementById('cohort-summary')?.remove();
+        if (!cohort || !Array.isArray(cohort.optionRates) || !this.optionsContainer) return;
+
+        const verb = this.questionType(question) === 'true_false' ? 'marked this true' : 'chose this';
+        const fills = [];
+
+        this.optionsContainer.querySelectorAll('.option').forEach(opt => {
+            const rate = cohort.optionRates[parseInt(opt.dataset.originalIndex, 10)] ?? 0;
+
+            const bar = document.createElement('div');
+            bar.className = 'cohort-bar';
+            bar.setAttribute('role', 'img');
+            bar.setAttribute('aria-label', `${rate}% of students ${verb}`);
+            bar.innerHTML = '<span class="cohort-bar-fill"></span><span class="cohort-bar-label"></span>';
+            bar.querySelector('.cohort-bar-label').textContent = `${rate}%`;
+
+            opt.classList.add('has-cohort');
+            opt.appendChild(bar);
+            fills.push([bar.querySelector('.cohort-bar-fill'), rate]);
+        });
+
+        // Grow from zero once the bars are in the DOM
+        requestAnimationFrame(() => {
+            fills.forEach(([fill, rate]) => { fill.style.width = `${rate}%`; });
+        });
+
+        const summary = document.createElement('p');
+        summary.id = 'cohort-summary';
+        summary.className = 'cohort-summary';
+        summary.textContent = `${cohort.correctRate}% of students got this right first time · ${cohort.responses} answer${cohort.responses === 1 ? '' : 's'}`;
+        this.optionsContainer.insertAdjacentElement('afterend', summary);
+    }
+
+    // ========================================================================
+    // QUESTION TYPES
+    // Clinical cases / EMQ sets (shared stem), select-all-that-apply and
+    // true/false statement groups. Multi-answer selections live in
+    // this.selection and are checked as a whole (partial credit).
+    // ========================================================================
+
+    /**
+     * Shared case vignette or EMQ theme above the question
+     */
+    renderQuestionGroup(question) {
+        document.getElementById('question-group')?.remove();
+
+        const group = question && question.group;
+        if (!group || !this.questionTextElement) return;
+
+        const members = this.questions.filter(q => q.group && q.group.id === group.id);
+        const position = members.indexOf(question) + 1;
+
+        const section = document.createElement('section');
+        section.id = 'question-group';
+        section.className = `question-group question-group--${group.group_type}`;
+
+        const label = document.createElement('div');
+        label.className = 'question-group-label';
+        label.textContent = `${group.group_type === 'emq' ? 'Extended matching' : 'Clinical case'}`
+            + (members.length > 1 ? ` · ${position} of ${members.length}` : '');
+        section.appendChild(label);
+
+        if (group.title) {
+            const title = document.createElement('h3');
+            title.className = 'question-group-title';
+            title.textContent = group.title;
+            section.appendChild(title);
+        }
+
+        if (group.stem) {
+            const stem = document.createElement('p');
+            stem.className = 'question-group-stem';
+            stem.textContent = group.stem;
+            section.appendChild(stem);
+        }
+
+        const media = window.questionMedia ? window.questionMedia.renderQuestionMedia(group) : null;
+        if (media) section.appendChild(media);
+
+        this.questionTextElement.insertAdjacentElement('beforebegin', section);
+    }
+
+    renderQuestionTypeHint(question) {
+        document.getElementById('question-type-hint')?.remove();
+
+        const hints = {
+            multi: 'Select all that apply',
+            true_false: 'Mark each statement true or false',
+            emq: 'Choose the best match - each option may be used once, more than once or not at all'
+        };
+        const hint = hints[this.questionType(question)];
+        if (!hint || !this.optionsContainer) return;
+
+        const element = document.createElement('p');
+        element.id = 'question-type-hint';
+        element.className = 'question-type-hint';
+        element.textContent = hint;
+        this.optionsContainer.insertAdjacentElement('beforebegin', element);
+    }
+
+    /**
+     * True / False buttons for one statement
+     */
+    createStatementToggle(option, originalIndex) {
+        const toggle = document.createElement('div');
+        toggle.className = 'statement-toggle';
+        toggle.setAttribute('role', 'radiogroup');
+
+        [['true', 'True'], ['false', 'False']].forEach(([value, label]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'statement-toggle-btn';
+            button.dataset.value = value;
+            button.textContent = label;
+            button.setAttribute('role', 'radio');
+            button.setAttribute('aria-checked', 'false');
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (this.hasAnswered) return;
+                this.markStatement(option, originalIndex, value === 'true');
+            });
+            toggle.appendChild(button);
+        });
+
+        return toggle;
+    }
+
+    /**
+     * Tap on a multi-select option (toggle) or a statement (cycles true → false)
+     */
+    toggleSelection(option, originalIndex) {
+        if (this.hasAnswered) return;
+
+        const question = this.questions[this.currentIndex];
+        if (this.questionType(question) === 'true_false') {
+            this.markStatement(option, originalIndex, this.selection.get(originalIndex) !== true);
+            return;
+        }
+
+        if (this.selection.has(originalIndex)) {
+            this.selection.delete(originalIndex);
+        } else {
+            this.selection.set(originalIndex, true);
+        }
+
+        const isSelected = this.selection.has(originalIndex);
+        option.classList.toggle('selected', isSelected);
+        option.setAttribute('aria-checked', String(isSelected));
+        if (window.HapticsEngine) HapticsEngine.tap();
+
+        this.afterSelectionChange(question);
+    }
+
+    markStatement(option, originalIndex, isTrue) {
+        const question = this.questions[this.currentIndex];
+        this.paintSelection(option, originalIndex, isTrue);
+        if (window.HapticsEngine) HapticsEngine.tap();
+
+        this.afterSelectionChange(question);
+    }
+
+    /**
+     * Record a choice and reflect it on the option (no feedback or saving)
+     */
+    paintSelection(option, originalIndex, isChosen) {
+        this.selection.set(originalIndex, isChosen);
+        option.classList.add('selected');
+        if (option.getAttribute('role') === 'checkbox') option.setAttribute('aria-checked', String(isChosen));
+        option.querySelectorAll('.statement-toggle-btn').forEach(button => {
+            const isActive = (button.dataset.value === 'true') === isChosen;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-checked', String(isActive));
+        });
+    }
+
+    /**
+     * Indices chosen (multi) or marked true (true_false), in option order
+     */
+    selectedIndices() {
+        return [...this.selection]
+            .filter(([, chosen]) => chosen)
+            .map(([index]) => index)
+            .sort((a, b) => a - b);
+    }
+
+    isSelectionComplete(question) {
+        if (this.questionType(question) === 'true_false') {
+            return this.selection.size === (question.options || []).length;
+        }
+        return this.selection.size > 0;
+    }
+
+    afterSelectionChange(question) {
+        if (this.mode === 'exam') {
+            this.recordExamSelection(question);
+            return;
+        }
+
+        if (this.continueBtn) {
+            this.continueBtn.disabled = !this.isSelectionComplete(question);
+        }
+    }
+
+    /**
+     * Practice mode: check the whole selection, then mark every option
+     */
+    async checkMultiAnswer() {
+        const currentQuestion = this.questions[this.currentIndex];
+        if (this.hasAnswered || !this.isSelectionComplete(currentQuestion)) return;
+
+        this.hasAnswered = true;
+        const selectedIndices = this.selectedIndices();
+
+        const allOptions = this.optionsContainer.querySelectorAll('.option');
+        allOptions.forEach(opt => {
+            opt.classList.add('disabled');
+            opt.style.pointerEvents = 'none';
+        });
+
+        if (this.continueBtn) {
+            this.continueBtn.disabled = true;
+        }
+
+        try {
+            const result = await this.checkPracticeAnswer(currentQuestion, selectedIndices);
+
+            if (result && result.success) {
+                const correctSet = new Set(result.correct_answer_indices || []);
+                const isTrueFalse = this.questionType(currentQuestion) === 'true_false';
+
+                allOptions.forEach(opt => {
+                    const index = parseInt(opt.dataset.originalIndex, 10);
+                    opt.classList.remove('selected');
+
+                    if (isTrueFalse) {
+                        const isRight = this.selection.get(index) === correctSet.has(index);
+                        opt.classList.add(isRight ? 'correct' : 'incorrect');
+                        opt.dataset.answer = correctSet.has(index) ? 'True' : 'False';
+                    } else if (correctSet.has(index)) {
+                        // Correct options the student left out are shown as missed
+                        opt.classList.add(this.selection.has(index) ? 'correct' : 'missed');
+                    } else if (this.selection.has(index)) {
+                        opt.classList.add('incorrect');
+                    }
+                });
+
+                const credit = result.score ?? (result.is_correct ? 1 : 0);
+                this.score += credit;
+
+                if (!result.is_correct) {
+                    this.showMultiAnswerNote(credit > 0
+                        ? `Partly correct - ${Math.round(credit * 100)}% credit`
+                        : 'Incorrect - no credit', 'partial-credit-badge');
+                }
+
+                // Graded from the lecture's answer envelope; the server confirms on sync
+                if (result.offline) {
+                    this.showMultiAnswerNote('Checked offline', 'offline-graded-badge');
+                }
+
+                if (result.is_correct) {
+                    if (window.HapticsEngine && typeof HapticsEngine.success === 'function') HapticsEngine.success();
+                    this.triggerConfetti();
+                    if (window.audioToolkit) window.audioToolkit.play('ding');
+                } else {
+                    if (window.HapticsEngine && typeof HapticsEngine.error === 'function') HapticsEngine.error();
+                    if (window.audioToolkit) window.audioToolkit.play('thud');
+                }
+
+                this.showExplanation(result.explanation);
+                this.renderCohortStats(result.cohort, currentQuestion);
+            } else {
+                console.warn('Grading result missing or failed');
+                this.showMultiAnswerNote(`Not checked ( ${this.uncheckedReason(result)} )`, 'offline-graded-badge');
+            }
+        } catch (err) {
+            console.error('Check answer flow error:', err);
+        } finally {
+            if (this.continueBtn) {
+                this.continueBtn.disabled = false;
+                this.continueBtn.textContent = 'Continue';
+                this.continueBtn.style.pointerEvents = 'auto';
+                setTimeout(() => this.continueBtn.focus(), 150);
+            }
+        }
+    }
+
+    /**
+     * Why an answer came back unchecked (see app.checkAnswer)
+     */
+    uncheckedReason(result) {
+        if (result && result.code === 'RATE_LIMITED') {
+            const minutes = Math.max(1, Math.ceil((result.retryAfterSeconds || 60) / 60));
+            return `Too many answers checked, try again in ${minutes} min`;
+        }
+        if (result && result.code === 'ALREADY_ANSWERED') return 'Already answered in this quiz';
+        if (result && result.status) return 'Could not be checked';
+        return 'Offline';
+    }
+
+    showMultiAnswerNote(text, className) {
+        let notes = document.getElementById('multi-answer-notes');
+        if (!notes) {
+            notes = document.createElement('div');
+            notes.id = 'multi-answer-notes';
+            notes.className = 'multi-answer-notes';
+            this.optionsContainer.insertAdjacentElement('afterend', notes);
+        }
+
+        const note = document.createElement('span');
+        note.className = className;
+        note.textContent = text;
+        notes.appendChild(note);
+    }
+
     async prevQuestion() {
         if (this.currentIndex <= 0) return;
 
@@ -563,7 +1135,14 @@ class Quiz {
     }
 
     async nextQuestion() {
-        if (!this.hasAnswered) return; // Prevent skipping by accidental double clicks
+        // Multi-answer questions: the first press checks the selection
+        if (!this.hasAnswered && this.mode !== 'exam' && this.isMultiAnswer(this.questions[this.currentIndex])) {
+            await this.checkMultiAnswer();
+            return;
+        }
+
+        // Prevent skipping by accidental double clicks (exam questions may be left blank)
+        if (!this.hasAnswered && this.mode !== 'exam') return;
 
         // 1. Visual Transition (Start Immediately)
         if (this.contentArea) {
@@ -573,6 +1152,11 @@ class Quiz {
         // 2. State Update (Synchronous)
         this.currentIndex++;
 
+        // Adaptive practice: pick the next question from the updated ability (none once it has settled)
+        if (this.metadata.adaptiveSession && this.currentIndex >= this.questions.length && window.adaptiveEngine) {
+            this.questions.push(...window.adaptiveEngine.nextQuestions(this.metadata.adaptiveSession));
+        }
+
         // 3. Background Persistence (Non-blocking / Fire-and-Forget)
         // We do NOT await this. It happens in the background to avoid UI jank.
         if (this.app.lastLectureId && harviDB) {
@@ -596,6 +1180,11 @@ class Quiz {
     }
 
     finishQuiz() {
+        if (this.mode === 'exam') {
+            this.submitExam();
+            return;
+        }
+
         this.cleanup();
 
         // PRACTICE MODE UPDATE:
@@ -604,17 +1193,22 @@ class Quiz {
         // We can show results immediately without a batch submission.
 
         // Pass the locally verified results to the results screen logic
+        const { practiceLog, adaptiveSession, ...metadata } = this.metadata;
         this.app.showResults(
-            this.score,
+            Math.round(this.score * 10) / 10, // Partial credit can leave fractions
             this.questions.length,
             {
-                ...this.metadata,
-                mode: 'practice'
+                ...metadata,
+                mode: 'practice',
+                gradedDetails: Object.values(practiceLog || {}),
+                ...(adaptiveSession && window.adaptiveEngine && { adaptiveSummary: window.adaptiveEngine.summary(adaptiveSession) })
             }
         );
     }
 
     cleanup() {
+        this.flushNote();
+
         if (this.keyboardHandler) {
             document.removeEventListener('keydown', this.keyboardHandler);
             this.keyboardHandler = null;
@@ -631,14 +1225,478 @@ class Quiz {
         }
     }
 
+    // ========================================================================
+    // BOOKMARKS & NOTES
+    // Stored per question by window.savedQuestions (js/saved-questions.js)
+    // ========================================================================
+
+    /**
+     * Bookmark toggle, note editor and problem report under the question text.
+     * Built once and reset for every question.
+     */
+    renderQuestionTools(question) {
+        if (!window.savedQuestions || !this.questionTextElement || !question) return;
+
+        // Save the note typed on the previous question before switching
+        this.flushNote();
+
+        let tools = document.getElementById('question-tools');
+        if (!tools) {
+            tools = document.createElement('div');
+            tools.className = 'question-tools';
+            tools.id = 'question-tools';
+            tools.innerHTML = `
+                <button class="question-tool-btn" id="bookmark-btn" aria-pressed="false">
+                    <span class="question-tool-icon" aria-hidden="true">☆</span> Save
+                </button>
+                <button class="question-tool-btn" id="note-btn" aria-expanded="false" aria-controls="question-note">
+                    <span class="question-tool-icon" aria-hidden="true">✎</span> Note
+                </button>
+                <button class="question-tool-btn question-report-btn" id="report-btn" aria-haspopup="dialog">
+                    <span class="question-tool-icon" aria-hidden="true">⚑</span> Report
+                </button>
+            `;
+
+            const editor = document.createElement('div');
+            editor.className = 'question-note';
+            editor.id = 'question-note';
+            editor.hidden = true;
+            editor.innerHTML = `
+                <textarea id="question-note-input" rows="3" maxlength="${window.savedQuestions.MAX_NOTE_LENGTH}"
+                    placeholder="Your note - mnemonics, links to other topics, why you got it wrong"></textarea>
+                <span class="question-note-status" id="question-note-status" aria-live="polite"></span>
+            `;
+
+            this.questionTextElement.insertAdjacentElement('afterend', tools);
+            tools.insertAdjacentElement('afterend', editor);
+
+            tools.querySelector('#bookmark-btn').addEventListener('click', () => this.toggleBookmark());
+            tools.querySelector('#note-btn').addEventListener('click', () => this.toggleNoteEditor());
+            tools.querySelector('#report-btn').addEventListener('click', () => this.reportQuestion());
+
+            // Long-press on the question text (js/native-touch-engine.js)
+            this.questionTextElement.dataset.contextMenu = JSON.stringify([
+                { label: '⚑ Report a problem', action: 'reportCurrentQuestion' }
+            ]);
+
+            const input = editor.querySelector('#question-note-input');
+            input.addEventListener('input', () => {
+                this.noteDirty = true;
+                document.getElementById('question-note-status').textContent = '';
+                clearTimeout(this.noteTimer);
+                this.noteTimer = setTimeout(() => this.flushNote(), 800);
+            });
+            input.addEventListener('blur', () => this.flushNote());
+        }
+
+        this.noteTarget = {
+            questionId: question.id,
+            lectureId: question.lectureId || this.metadata.lectureId
+        };
+        this.noteDirty = false;
+        this.applyAnnotation(null);
+
+        window.savedQuestions.get(question.id).then(annotation => {
+            // The student may have moved on while IndexedDB was reading
+            if (this.noteTarget?.questionId !== question.id) return;
+            this.applyAnnotation(annotation);
+        }).catch(console.warn);
+    }
+
+    applyAnnotation(annotation) {
+        const bookmarkBtn = document.getElementById('bookmark-btn');
+        const noteBtn = document.getElementById('note-btn');
+        const editor = document.getElementById('question-note');
+        const input = document.getElementById('question-note-input');
+        if (!bookmarkBtn || !editor || !input) return;
+
+        const bookmarked = !!annotation?.bookmarked;
+        bookmarkBtn.classList.toggle('active', bookmarked);
+        bookmarkBtn.setAttribute('aria-pressed', String(bookmarked));
+        bookmarkBtn.querySelector('.question-tool-icon').textContent = bookmarked ? '★' : '☆';
+
+        const note = annotation?.note || '';
+        if (!this.noteDirty) input.value = note;
+        noteBtn.classList.toggle('active', !!note);
+        editor.hidden = !note;
+        noteBtn.setAttribute('aria-expanded', String(!editor.hidden));
+        document.getElementById('question-note-status').textContent = '';
+    }
+
+    async toggleBookmark() {
+        if (!this.noteTarget) return;
+
+        try {
+            const annotation = await window.savedQuestions.toggleBookmark(this.noteTarget);
+            if (this.noteTarget?.questionId !== annotation.questionId) return;
+
+            if (window.HapticsEngine) window.HapticsEngine.selection();
+            const bookmarkBtn = document.getElementById('bookmark-btn');
+            bookmarkBtn.classList.toggle('active', annotation.bookmarked);
+            bookmarkBtn.setAttribute('aria-pressed', String(annotation.bookmarked));
+            bookmarkBtn.querySelector('.question-tool-icon').textContent = annotation.bookmarked ? '★' : '☆';
+        } catch (error) {
+            console.warn('Failed to toggle bookmark:', error);
+        }
+    }
+
+    reportQuestion() {
+        if (!window.questionReports || !this.noteTarget) return;
+
+        if (window.HapticsEngine) window.HapticsEngine.tap();
+        window.questionReports.open({
+            ...this.noteTarget,
+            questionText: this.questionTextElement ? this.questionTextElement.textContent : ''
+        });
+    }
+
+    toggleNoteEditor() {
+        const editor = document.getElementById('question-note');
+        const noteBtn = document.getElementById('note-btn');
+        if (!editor) return;
+
+        editor.hidden = !editor.hidden;
+        noteBtn.setAttribute('aria-expanded', String(!editor.hidden));
+        if (!editor.hidden) {
+            document.getElementById('question-note-input').focus();
+        } else {
+            this.flushNote();
+        }
+    }
+
+    /**
+     * Persist the note being edited (debounced on input, immediate on blur/switch)
+     */
+    flushNote() {
+        clearTimeout(this.noteTimer);
+        this.noteTimer = null;
+
+        const input = document.getElementById('question-note-input');
+        if (!window.savedQuestions || !this.noteTarget || !input) return;
+
+        const target = this.noteTarget;
+        window.savedQuestions.saveNote({ ...target, body: input.value }).then(annotation => {
+            if (this.noteTarget?.questionId !== target.questionId) return;
+            this.noteDirty = false;
+            document.getElementById('note-btn')?.classList.toggle('active', !!annotation?.note);
+            const status = document.getElementById('question-note-status');
+            if (status && annotation?.note) status.textContent = 'Saved';
+        }).catch(error => console.warn('Failed to save note:', error));
+    }
+
+    // ========================================================================
+    // EXAM MODE
+    // Timed, no per-question feedback, flag & jump, one batch submission
+    // through /api/quiz-results at the end.
+    // ========================================================================
+
+    /**
+     * Initialise exam state. State lives on metadata.examState so that
+     * saveQuizProgress persists it and a resumed exam keeps its deadline.
+     */
+    setupExamMode(isResuming) {
+        this.examSubmitting = false;
+
+        if (isResuming && this.metadata.examState) return;
+
+        const timeLimitSec = this.metadata.timeLimitSec || 0;
+        this.metadata.examState = {
+            answers: {},   // questionId -> original option index
+            flagged: [],   // questionIds
+            startedAt: Date.now(),
+            deadline: timeLimitSec > 0 ? Date.now() + timeLimitSec * 1000 : null,
+            perQuestionSec: this.metadata.perQuestionSec || 0
+        };
+    }
+
+    renderExamToolbar() {
+        const header = document.querySelector('#quiz-screen .quiz-header');
+        if (!header) return;
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'exam-toolbar';
+        toolbar.id = 'exam-toolbar';
+        toolbar.innerHTML = `
+            <span class="exam-timer" id="exam-timer" aria-live="off"></span>
+            <button class="exam-tool-btn" id="exam-flag-btn" aria-pressed="false" aria-label="Flag question">⚑</button>
+            <button class="exam-tool-btn" id="exam-grid-btn" aria-label="Show all questions">☷</button>
+        `;
+        header.appendChild(toolbar);
+
+        toolbar.querySelector('#exam-flag-btn').addEventListener('click', () => this.toggleFlag());
+        toolbar.querySelector('#exam-grid-btn').addEventListener('click', () => this.toggleExamNavigator());
+    }
+
+    startExamTimer() {
+        clearInterval(this.examTimer);
+        this.examTimer = setInterval(() => this.tickExamTimer(), 1000);
+        this.tickExamTimer();
+    }
+
+    tickExamTimer() {
+        const state = this.metadata.examState;
+        if (!state || this.examSubmitting) return;
+
+        const now = Date.now();
+        const timerEl = document.getElementById('exam-timer');
+
+        if (state.deadline) {
+            const remaining = Math.max(0, state.deadline - now);
+            if (timerEl) {
+                timerEl.textContent = this.formatDuration(remaining);
+                timerEl.classList.toggle('exam-timer--warning', remaining <= 60 * 1000);
+            }
+
+            if (remaining === 0) {
+                this.submitExam({ timeUp: true });
+                return;
+            }
+        } else if (timerEl) {
+            // No overall limit: show elapsed time instead
+            timerEl.textContent = this.formatDuration(now - state.startedAt);
+        }
+
+        // Optional per-question limit: move on when it runs out
+        if (this.questionDeadline && now >= this.questionDeadline) {
+            this.questionDeadline = null;
+            this.hasAnswered = true;
+            this.nextQuestion();
+        }
+    }
+
+    formatDuration(ms) {
+        const totalSeconds = Math.ceil(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        const mm = String(minutes).padStart(hours > 0 ? 2 : 1, '0');
+        const ss = String(seconds).padStart(2, '0');
+        return hours > 0 ? `${hours}:${mm}:${ss}` : `${mm}:${ss}`;
+    }
+
+    prepareExamQuestion(question) {
+        const state = this.metadata.examState;
+        const chosen = state.answers[question.id];
+
+        if (Array.isArray(chosen)) {
+            // Multi-answer: [originalIndex, chosen] pairs
+            chosen.forEach(([index, isChosen]) => {
+                const option = this.optionsContainer.querySelector(`.option[data-original-index="${index}"]`);
+                if (option) this.paintSelection(option, index, isChosen);
+            });
+        } else if (chosen !== undefined) {
+            const chosenOption = this.optionsContainer.querySelector(`.option[data-original-index="${chosen}"]`);
+            if (chosenOption) chosenOption.classList.add('selected');
+        }
+
+        if (this.continueBtn) {
+            this.continueBtn.disabled = false;
+            this.continueBtn.textContent = this.currentIndex === this.questions.length - 1 ? 'Submit Exam' : 'Next';
+        }
+
+        const flagBtn = document.getElementById('exam-flag-btn');
+        if (flagBtn) {
+            const isFlagged = state.flagged.includes(question.id);
+            flagBtn.classList.toggle('active', isFlagged);
+            flagBtn.setAttribute('aria-pressed', String(isFlagged));
+        }
+
+        this.questionDeadline = state.perQuestionSec > 0
+            ? Date.now() + state.perQuestionSec * 1000
+            : null;
+    }
+
+    selectExamAnswer(selectedOption, originalIndex) {
+        const question = this.questions[this.currentIndex];
+
+        this.optionsContainer.querySelectorAll('.option.selected').forEach(opt => opt.classList.remove('selected'));
+        selectedOption.classList.add('selected');
+
+        this.metadata.examState.answers[question.id] = originalIndex;
+        if (window.HapticsEngine) HapticsEngine.tap();
+
+        this.saveExamProgress();
+    }
+
+    recordExamSelection(question) {
+        const state = this.metadata.examState;
+        if (this.selection.size > 0) {
+            state.answers[question.id] = [...this.selection];
+        } else {
+            delete state.answers[question.id];
+        }
+
+        this.saveExamProgress();
+    }
+
+    toggleFlag() {
+        const question = this.questions[this.currentIndex];
+        const state = this.metadata.examState;
+        if (!question || !state) return;
+
+        const isFlagged = state.flagged.includes(question.id);
+        state.flagged = isFlagged
+            ? state.flagged.filter(id => id !== question.id)
+            : [...state.flagged, question.id];
+
+        const flagBtn = document.getElementById('exam-flag-btn');
+        if (flagBtn) {
+            flagBtn.classList.toggle('active', !isFlagged);
+            flagBtn.setAttribute('aria-pressed', String(!isFlagged));
+        }
+
+        if (window.HapticsEngine) HapticsEngine.selection();
+        this.saveExamProgress();
+    }
+
+    /**
+     * Question grid: answered / flagged / current, tap to jump
+     */
+    toggleExamNavigator() {
+        const existing = document.getElementById('exam-navigator');
+        if (existing) {
+            existing.remove();
+            return;
+        }
+
+        const state = this.metadata.examState;
+        const panel = document.createElement('div');
+        panel.id = 'exam-navigator';
+        panel.className = 'exam-navigator';
+
+        const answeredCount = Object.keys(state.answers).length;
+        panel.innerHTML = `
+            <div class="exam-navigator-summary">${answeredCount}/${this.questions.length} answered • ${state.flagged.length} flagged</div>
+            <div class="exam-navigator-grid"></div>
+            <button class="exam-navigator-submit" id="exam-navigator-submit">Submit Exam</button>
+        `;
+
+        const grid = panel.querySelector('.exam-navigator-grid');
+        this.questions.forEach((question, index) => {
+            const cell = document.createElement('button');
+            cell.className = 'exam-navigator-cell';
+            cell.textContent = index + 1;
+            if (state.answers[question.id] !== undefined) cell.classList.add('answered');
+            if (state.flagged.includes(question.id)) cell.classList.add('flagged');
+            if (index === this.currentIndex) cell.classList.add('current');
+            cell.addEventListener('click', () => this.jumpToQuestion(index));
+            grid.appendChild(cell);
+        });
+
+        panel.querySelector('#exam-navigator-submit').addEventListener('click', () => {
+            panel.remove();
+            this.submitExam();
+        });
+
+        document.querySelector('#quiz-screen .quiz-container')?.appendChild(panel);
+    }
+
+    jumpToQuestion(index) {
+        document.getElementById('exam-navigator')?.remove();
+        if (index === this.currentIndex || index < 0 || index >= this.questions.length) return;
+
+        if (window.HapticsEngine) HapticsEngine.selection();
+        this.currentIndex = index;
+        this.saveExamProgress();
+        this.showQuestion();
+    }
+
+    saveExamProgress() {
+        if (this.app.lastLectureId && harviDB) {
+            harviDB.saveQuizProgress(this.app.lastLectureId, {
+                currentIndex: this.currentIndex,
+                score: this.score,
+                questions: this.questions,
+                metadata: this.metadata
+            }).catch(err => console.warn('Background exam save warning:', err));
+        }
+    }
+
+    /**
+     * Submit every answer in one batch. Unanswered questions are sent with
+     * selectedAnswerIndex: null and graded wrong by the server.
+     */
+    async submitExam({ timeUp = false } = {}) {
+        if (this.examSubmitting) return;
+
+        const state = this.metadata.examState;
+        const unansweredCount = this.questions.filter(q => state.answers[q.id] === undefined).length;
+
+        if (!timeUp && unansweredCount > 0 && this.app.profile) {
+            const confirmed = await this.app.profile.showConfirmModal({
+                title: 'Submit Exam?',
+                description: `${unansweredCount} unanswered question${unansweredCount === 1 ? '' : 's'} will be marked wrong.`,
+                confirmText: 'Submit Now',
+                cancelText: 'Keep Working'
+            });
+            if (!confirmed) return;
+        }
+
+        this.examSubmitting = true;
+
+        if (timeUp && window.dynamicIsland) {
+            window.dynamicIsland.show({
+                title: '⏱ Time\'s Up',
+                subtitle: 'Submitting your exam...',
+                type: 'warning',
+                duration: 2500
+            });
+        }
+
+        const answers = this.questions.map(question => {
+            const chosen = state.answers[question.id];
+            return {
+                questionId: question.id,
+                // Multi-answer pairs are sent as the sorted chosen / TRUE indices
+                selectedAnswerIndex: Array.isArray(chosen)
+                    ? chosen.filter(([, isChosen]) => isChosen).map(([index]) => index).sort((a, b) => a - b)
+                    : chosen ?? null
+            };
+        });
+
+        // The graded reply carries the answer keys: only for this quiz's session
+        const sessionToken = await this.ensureSessionToken();
+
+        // Drop the live exam state; retakes start a fresh clock
+        const { examState, fromSavedProgress, ...metadata } = this.metadata;
+
+        this.teardownExamMode();
+        this.cleanup();
+
+        await this.app.submitQuizAnswers(answers, this.questions.length, {
+            ...metadata,
+            sessionToken,
+            mode: 'exam',
+            flagged: [...examState.flagged],
+            timeSpent: Date.now() - examState.startedAt
+        });
+    }
+
+    teardownExamMode() {
+        clearInterval(this.examTimer);
+        this.examTimer = null;
+        this.questionDeadline = null;
+        document.getElementById('exam-toolbar')?.remove();
+        document.getElementById('exam-navigator')?.remove();
+    }
+
     updateProgress() {
         if (this.progressBar && this.currentQuestionElement) {
-            const progress = ((this.currentIndex + 1) / this.questions.length) * 100;
+            const progress = ((this.currentIndex + 1) / this.progressTotal()) * 100;
             this.progressBar.style.width = `${progress}%`;
             this.currentQuestionElement.textContent = this.currentIndex + 1;
+            if (this.totalQuestionsElement) this.totalQuestionsElement.textContent = this.progressTotal();
         }
     }
 
+    /**
+     * Adaptive sessions grow as they go: measure against their question cap
+     */
+    progressTotal() {
+        const adaptiveSession = this.metadata.adaptiveSession;
+        return adaptiveSession ? Math.max(this.questions.length, adaptiveSession.maxQuestions) : this.questions.length;
+    }
+
     triggerConfetti() {
         if (this.confettiCanvas && this.confetti) {
             this.confettiCanvas.style.display = 'block';
@@ -21,7 +21,7 @@
     const CONFIG = {
         // Minimum time between requests to same endpoint (ms)
         ENDPOINT_COOLDOWNS: {
-            '/api/years': 60 * 60 * 1000,       // 1 hour - years data rarely changes
+            '/api/years': 60 * 60 * 1000,       // 1 hour - years data rarely changes (bypassed when /api/changes reports a change)
             '/api/lectures/batch': 5 * 60 * 1000, // 5 minutes per batch
             'default': 1000                      // 1 second for unknown endpoints
         },
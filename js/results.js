@@ -1,6 +1,6 @@
 /**
  * Results Screen Manager
- * Handles quiz results display, sharing, and retake functionality
+ * Handles quiz results display, answer review, sharing, and retake functionality
  */
 class Results {
     constructor(app) {
@@ -10,6 +10,9 @@ class Results {
         this.lastQuizMetadata = null;
         this.lastScore = 0;
         this.lastTotal = 0;
+        this.lastGradedDetails = [];
+        this.reviewFilter = 'all';
+        this.RETRY_DECK_ID = 'deck:retry';
     }
 
     /**
@@ -58,18 +61,30 @@ class Results {
         if (shareBtn) {
             shareBtn.addEventListener('click', () => this.shareResults());
         }
+
+        document.getElementById('review-answers')?.addEventListener('click', () => this.toggleReview());
+        document.getElementById('retry-wrong')?.addEventListener('click', () => this.retryWrong());
+        document.querySelectorAll('#results-review-filter .exam-segment').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.reviewFilter = btn.dataset.filter;
+                this.renderReview();
+            });
+        });
     }
 
     show(score, total, metadata = {}) {
         this.app.showScreen('results-screen');
 
-        this.lastQuizMetadata = metadata && typeof metadata === 'object' ? metadata : {};
+        this.lastQuizMetadata = this.sessionMetadata(metadata);
         this.lastQuizQuestions = this.app.currentQuiz.questions;
         this.lastScore = score;
         this.lastTotal = total;
 
         // CRITICAL FIX: Store backend-graded details for review screen
         this.lastGradedDetails = metadata.gradedDetails || [];
+        // Adaptive sessions serve only part of their pool
+        this.servedQuestionIds = metadata.adaptiveSummary ? metadata.adaptiveSummary.questionIds : null;
+        this.resetReview();
 
         const percentage = total > 0 ? Math.round((score / total) * 100) : 0;
 
@@ -111,6 +126,20 @@ class Results {
         messageElement.textContent = message;
         document.getElementById('score-percentage').style.color = color;
 
+        const adaptive = metadata.adaptiveSummary;
+        if (adaptive && adaptive.level) {
+            const sign = adaptive.change > 0 ? '+' : '';
+            messageElement.textContent = `${message} Level: ${adaptive.level} (${sign}${adaptive.change})`
+                + (adaptive.converged ? `, settled after ${total} questions.` : '.');
+        }
+
+        // Exam submitted without a connection: answers are queued, no score yet
+        if (metadata.gradingPending) {
+            messageElement.textContent = 'Your answers are saved. The exam will be graded as soon as you are back online.';
+            document.getElementById('score-percentage').textContent = 'Grading pending';
+            document.getElementById('score-percentage').style.color = '';
+        }
+
         // Dynamic Island notification removed as per user request
 
         // Show share button if Web Share API is available
@@ -125,6 +154,209 @@ class Results {
         celebrateQuizCompletion(score, total);
     }
 
+    /**
+     * Metadata to restart the same session: drops the previous run's answers and grading
+     */
+    sessionMetadata(metadata) {
+        if (!metadata || typeof metadata !== 'object') return {};
+
+        const { gradedDetails, answers, gradingPending, flagged, timeSpent, clientSessionId, startedAt, sessionToken, adaptiveSummary, ...session } = metadata;
+        return session;
+    }
+
+    // ========================================================================
+    // ANSWER REVIEW
+    // Every question with the student's choice, the correct option and the
+    // explanation, built from gradedDetails (exam batch or practice checks).
+    // ========================================================================
+
+    resetReview() {
+        this.reviewFilter = 'all';
+
+        const reviewBtn = document.getElementById('review-answers');
+        const review = document.getElementById('results-review');
+        if (reviewBtn) {
+            reviewBtn.hidden = this.lastGradedDetails.length === 0;
+            reviewBtn.querySelector('span').textContent = 'Review Answers';
+        }
+        if (review) review.hidden = true;
+    }
+
+    toggleReview() {
+        const review = document.getElementById('results-review');
+        if (!review) return;
+
+        review.hidden = !review.hidden;
+        document.querySelector('#review-answers span').textContent = review.hidden ? 'Review Answers' : 'Hide Review';
+
+        if (!review.hidden) {
+            if (window.HapticsEngine) window.HapticsEngine.selection();
+            this.renderReview();
+            setTimeout(() => review.scrollIntoView({ behavior: 'smooth', block: 'start' }), 100);
+        }
+    }
+
+    /**
+     * Session questions (original option order) paired with their graded detail
+     */
+    getReviewItems() {
+        let questions = this.app.masterCopyQuestions || this.lastQuizQuestions || [];
+        if (this.servedQuestionIds) {
+            const byId = new Map(questions.map(question => [question.id, question]));
+            questions = this.servedQuestionIds.map(id => byId.get(id)).filter(Boolean);
+        }
+        const details = new Map(this.lastGradedDetails.map(detail => [String(detail.question_id), detail]));
+
+        return questions.map((question, index) => {
+            const detail = details.get(String(question.id));
+            let status = 'unchecked'; // Answered offline: never graded
+            if (detail) {
+                const isUnanswered = (detail.selected_answer_index === null || detail.selected_answer_index === undefined)
+                    && !Array.isArray(detail.selected_answer_indices);
+                if (detail.is_correct) status = 'correct';
+                else if (isUnanswered) status = 'unanswered';
+                else if (detail.score > 0) status = 'partial'; // Multi-answer partial credit
+                else status = 'wrong';
+            }
+            return { question, detail, status, number: index + 1 };
+        });
+    }
+
+    getWrongItems() {
+        return this.getReviewItems().filter(item => ['wrong', 'partial', 'unanswered'].includes(item.status));
+    }
+
+    renderReview() {
+        const list = document.getElementById('results-review-list');
+        if (!list) return;
+
+        document.querySelectorAll('#results-review-filter .exam-segment').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.filter === this.reviewFilter);
+        });
+
+        const items = this.reviewFilter === 'wrong' ? this.getWrongItems() : this.getReviewItems();
+        const wrongCount = this.getWrongItems().length;
+
+        const retryBtn = document.getElementById('retry-wrong');
+        if (retryBtn) {
+            retryBtn.hidden = wrongCount === 0;
+            retryBtn.querySelector('span').textContent = `Retry Wrong Questions (${wrongCount})`;
+        }
+
+        if (items.length === 0) {
+            list.innerHTML = `<p class="results-review-empty">${this.reviewFilter === 'wrong' ? 'No wrong answers - nothing to retry.' : 'No questions to review.'}</p>`;
+            return;
+        }
+
+        list.innerHTML = items.map(item => this.renderReviewItem(item)).join('');
+    }
+
+    renderReviewItem({ question, detail, status, number }) {
+        const statusLabels = {
+            correct: 'Correct',
+            wrong: 'Wrong',
+            partial: 'Partly correct',
+            unanswered: 'Not answered',
+            unchecked: 'Not graded (offline)'
+        };
+
+        // Multi-answer details carry index sets; true/false sets list the TRUE statements
+        const correctSet = new Set(Array.isArray(detail?.correct_answer_indices)
+            ? detail.correct_answer_indices
+            : [detail?.correct_answer_index]);
+        const chosenSet = new Set(Array.isArray(detail?.selected_answer_indices)
+            ? detail.selected_answer_indices
+            : [detail?.selected_answer_index]);
+        const isTrueFalse = detail?.question_type === 'true_false';
+        // Skipped exam questions come back without their key
+        const hasKey = Boolean(detail) && (Array.isArray(detail.correct_answer_indices) || Number.isInteger(detail.correct_answer_index));
+
+        const options = this.originalOptions(question).map((text, index) => {
+            const isCorrect = hasKey && correctSet.has(index);
+            const isChosen = Boolean(detail) && chosenSet.has(index);
+
+            let className = 'review-option';
+            let badge = isChosen ? '<span class="review-option-badge">Your answer</span>' : '';
+
+            if (isTrueFalse && hasKey) {
+                className += isCorrect === isChosen ? ' review-option--correct' : ' review-option--chosen';
+                badge = `<span class="review-option-badge">${isCorrect ? 'True' : 'False'}${isCorrect === isChosen ? '' : ` (you said ${isChosen ? 'true' : 'false'})`}</span>`;
+            } else if (isCorrect) {
+                className += ' review-option--correct';
+            } else if (isChosen) {
+                className += ' review-option--chosen';
+            }
+
+            return `<li class="${className}">${this.escapeHTML(text)}${badge}</li>`;
+        }).join('');
+
+        const explanation = detail?.explanation
+            ? `<div class="review-explanation"><strong>Explanation</strong><p>${this.escapeHTML(detail.explanation)}</p></div>`
+            : '';
+
+        return `
+            <article class="review-item review-item--${status}">
+                <header class="review-item-header">
+                    <span class="review-item-number">Q${number}</span>
+                    <span class="review-item-status">${statusLabels[status]}${status === 'partial' ? ` · ${Math.round(detail.score * 100)}%` : ''}</span>
+                </header>
+                ${question.group?.stem ? `<p class="review-item-stem">${this.escapeHTML(question.group.stem)}</p>` : ''}
+                <p class="review-item-text">${this.escapeHTML(question.text)}</p>
+                <ol class="review-options" type="A">${options}</ol>
+                ${explanation}
+            </article>
+        `;
+    }
+
+    /**
+     * Option texts in original order (gradedDetails use original indices).
+     * Resumed sessions carry the shuffled copy, so undo it via shuffledOptions.
+     */
+    originalOptions(question) {
+        if (Array.isArray(question.shuffledOptions)) {
+            return [...question.shuffledOptions]
+                .sort((a, b) => a.originalIndex - b.originalIndex)
+                .map(option => option.text);
+        }
+        return (question.options || []).map(option =>
+            typeof option === 'object' && option !== null ? option.text : option);
+    }
+
+    escapeHTML(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Start a practice session from just the wrong (and unanswered) questions.
+     * Runs as a deck so the partial run is not recorded as a lecture attempt.
+     */
+    retryWrong() {
+        const metadata = this.lastQuizMetadata || {};
+        const questions = this.getWrongItems().map(({ question }) => {
+            const { shuffledOptions, ...retryQuestion } = structuredClone(question);
+            return {
+                ...retryQuestion,
+                options: this.originalOptions(question),
+                lectureId: question.lectureId || metadata.lectureId,
+                lectureName: question.lectureName || metadata.lecture
+            };
+        });
+
+        if (questions.length === 0) return;
+        if (window.HapticsEngine) window.HapticsEngine.selection();
+
+        this.app.startQuiz(questions, {
+            lecture: `Retry: ${metadata.lecture || 'Quiz'}`,
+            lectureId: this.RETRY_DECK_ID,
+            deck: 'retry',
+            mode: 'practice'
+        });
+    }
+
     animateScore(targetScore) {
         const scoreElement = document.getElementById('score-number');
         let currentScore = 0;
@@ -135,7 +367,8 @@ class Results {
                 currentScore = targetScore;
                 clearInterval(timer);
             }
-            const val = Math.floor(currentScore);
+            // Partial credit can leave a fractional final score
+            const val = currentScore === targetScore ? targetScore : Math.floor(currentScore);
             scoreElement.textContent = val;
             const currentScoreVal = document.getElementById('current-score-val');
             if (currentScoreVal) currentScoreVal.textContent = val;
@@ -0,0 +1,259 @@
+/**
+ * Review Scheduler - Harvi PWA
+ * Spaced repetition (SM-2) built on per-question answer history.
+ *
+ * Every checked answer updates a reviewItem in IndexedDB. Items whose
+ * dueAt has passed form the cross-lecture "Due for review" deck.
+ * When the student is signed in, items are mirrored to /api/reviews
+ * (last-write-wins on lastReviewedAt) so the queue follows them across devices.
+ */
+class ReviewScheduler {
+    constructor() {
+        this.DEFAULT_EASE = 2.5;
+        this.MIN_EASE = 1.3;
+        this.DAY_MS = 24 * 60 * 60 * 1000;
+
+        // Response-time thresholds used to derive SM-2 quality from a correct answer
+        this.FAST_ANSWER_MS = 10 * 1000;
+        this.SLOW_ANSWER_MS = 30 * 1000;
+
+        this.MAX_SESSION_SIZE = 20;
+        this.MAX_BATCH_LECTURES = 50; // Mirrors the /api/lectures/batch limit
+        this.REVIEW_DECK_ID = 'deck:review';
+
+        // Debounced remote sync (one PUT per burst of answers)
+        this.pendingRemote = new Map();
+        this.syncTimer = null;
+        this.SYNC_DELAY_MS = 3000;
+    }
+
+    /**
+     * Map an answer to SM-2 quality (0-5)
+     * Wrong answers are lapses; correct answers are graded by response time.
+     */
+    gradeQuality(isCorrect, responseTimeMs) {
+        if (!isCorrect) return 1;
+        if (responseTimeMs && responseTimeMs < this.FAST_ANSWER_MS) return 5;
+        if (responseTimeMs && responseTimeMs > this.SLOW_ANSWER_MS) return 3;
+        return 4;
+    }
+
+    /**
+     * Apply one SM-2 step to an item and return the updated item
+     */
+    schedule(item, quality, now = new Date()) {
+        const next = {
+            easeFactor: this.DEFAULT_EASE,
+            intervalDays: 0,
+            repetitions: 0,
+            lapses: 0,
+            ...item
+        };
+
+        if (quality >= 3) {
+            if (next.repetitions === 0) {
+                next.intervalDays = 1;
+            } else if (next.repetitions === 1) {
+                next.intervalDays = 6;
+            } else {
+                next.intervalDays = Math.round(next.intervalDays * next.easeFactor);
+            }
+            next.repetitions++;
+        } else {
+            next.repetitions = 0;
+            next.intervalDays = 1;
+            next.lapses++;
+        }
+
+        const delta = 5 - quality;
+        next.easeFactor = Math.max(
+            this.MIN_EASE,
+            Math.round((next.easeFactor + (0.1 - delta * (0.08 + delta * 0.02))) * 100) / 100
+        );
+
+        next.lastReviewedAt = now.toISOString();
+        next.dueAt = new Date(now.getTime() + next.intervalDays * this.DAY_MS).toISOString();
+
+        return next;
+    }
+
+    /**
+     * Record a graded answer (called by Quiz after a successful check)
+     */
+    async recordAnswer({ questionId, lectureId, isCorrect, responseTimeMs }) {
+        if (!questionId || typeof harviDB === 'undefined') return null;
+
+        try {
+            const existing = await harviDB.getReviewItem(questionId);
+            const quality = this.gradeQuality(isCorrect, responseTimeMs);
+
+            const item = this.schedule(
+                existing || { questionId, lectureId: this.isDeckId(lectureId) ? null : lectureId },
+                quality
+            );
+
+            // Keep the home lecture up to date, but never overwrite it with a deck id
+            if (lectureId && !this.isDeckId(lectureId)) {
+                item.lectureId = lectureId;
+            }
+
+            await harviDB.saveReviewItem(item);
+            this.queueRemoteSync(item);
+
+            return item;
+        } catch (error) {
+            console.warn('Failed to record review item:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Number of questions currently due
+     */
+    async getDueCount() {
+        if (typeof harviDB === 'undefined') return 0;
+        const due = await harviDB.getDueReviewItems();
+        return due.length;
+    }
+
+    /**
+     * Build a due-for-review question list across lectures (most overdue first).
+     * Questions are resolved from the lecture cache, fetching missing lectures if online.
+     */
+    async buildDueSession(limit = this.MAX_SESSION_SIZE) {
+        const due = (await harviDB.getDueReviewItems())
+            .sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt))
+            .slice(0, limit);
+
+        if (due.length === 0) return [];
+
+        const lectureIds = [...new Set(due.map(item => item.lectureId).filter(Boolean))];
+        const lectures = await harviDB.getLecturesByIds(lectureIds);
+
+        const missing = lectureIds.filter(id => !lectures.has(id));
+        if (missing.length > 0 && navigator.onLine) {
+            const fetched = await this.fetchLectures(missing);
+            fetched.forEach(lecture => lectures.set(lecture.id, lecture));
+        }
+
+        const questions = [];
+        for (const item of due) {
+            const lecture = lectures.get(item.lectureId);
+            const question = lecture?.questions?.find(q => q.id === item.questionId);
+            if (!question) continue;
+
+            questions.push({
+                ...structuredClone(question),
+                lectureId: lecture.id,
+                lectureName: lecture.name
+            });
+        }
+
+        return questions;
+    }
+
+    /**
+     * Fetch and cache lectures that are not in IndexedDB yet
+     */
+    async fetchLectures(lectureIds) {
+        try {
+            const ids = lectureIds.slice(0, this.MAX_BATCH_LECTURES);
+            const response = await SafeFetch.fetch(`./api/lectures/batch?ids=${ids.join(',')}`, {
+                timeout: 15000,
+                retries: 1
+            });
+
+            if (!response.ok) return [];
+
+            const lectures = await response.json();
+            await Promise.all(lectures.map(lecture => harviDB.saveLecture(lecture).catch(() => { })));
+            return lectures;
+        } catch (error) {
+            console.warn('Failed to fetch lectures for review deck:', error);
+            return [];
+        }
+    }
+
+    isDeckId(lectureId) {
+        return typeof lectureId === 'string' && lectureId.startsWith('deck:');
+    }
+
+    // ========================================================================
+    // REMOTE MIRROR (signed-in students only)
+    // ========================================================================
+
+    queueRemoteSync(item) {
+        if (!window.app || !window.app.getAuthToken()) return;
+
+        this.pendingRemote.set(item.questionId, item);
+
+        clearTimeout(this.syncTimer);
+        this.syncTimer = setTimeout(() => this.flushRemoteSync(), this.SYNC_DELAY_MS);
+    }
+
+    async flushRemoteSync() {
+        if (this.pendingRemote.size === 0) return;
+
+        const items = Array.from(this.pendingRemote.values());
+        this.pendingRemote.clear();
+
+        const pushed = navigator.onLine && await this.pushItems(items);
+        if (!pushed) {
+            // Hand over to the offline sync queue (replayed by MCQApp.syncPendingData)
+            await harviDB.queueSync('saveReviewItems', { items }).catch(console.warn);
+        }
+    }
+
+    async pushItems(items) {
+        try {
+            const response = await window.app.authFetch('./api/reviews', {
+                method: 'PUT',
+                headers: window.app.getAuthHeaders(),
+                body: JSON.stringify({ items }),
+                timeout: 15000,
+                retries: 1
+            });
+            return response.ok;
+        } catch (error) {
+            console.warn('Failed to push review items:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Merge the server copy into IndexedDB (newest lastReviewedAt wins)
+     */
+    async pullRemote() {
+        if (!window.app || !window.app.getAuthToken() || !navigator.onLine) return;
+
+        try {
+            const response = await window.app.authFetch('./api/reviews', {
+                headers: window.app.getAuthHeaders(),
+                timeout: 15000,
+                retries: 1
+            });
+
+            if (!response.ok) return;
+
+            const { items } = await response.json();
+            let merged = 0;
+
+            for (const remote of items || []) {
+                const local = await harviDB.getReviewItem(remote.questionId);
+                if (!local || new Date(remote.lastReviewedAt) > new Date(local.lastReviewedAt)) {
+                    await harviDB.saveReviewItem(remote);
+                    merged++;
+                }
+            }
+
+            if (merged > 0) {
+                console.log(`✓ Merged ${merged} review items from server`);
+            }
+        } catch (error) {
+            console.warn('Failed to pull review items:', error);
+        }
+    }
+}
+
+// Create global instance
+window.reviewScheduler = new ReviewScheduler();
@@ -0,0 +1,280 @@
+/**
+ * Saved Questions - Harvi PWA
+ * Per-question bookmarks and personal notes.
+ *
+ * Both live in one questionAnnotations item per question in IndexedDB:
+ * { questionId, lectureId, bookmarked, bookmarkUpdatedAt, note, noteUpdatedAt }
+ * Bookmarked or annotated questions form the cross-lecture "Saved questions" deck.
+ * When the student is signed in, changes are mirrored to /api/bookmarks and
+ * /api/notes, or queued through harviDB.queueSync while offline.
+ */
+class SavedQuestions {
+    constructor() {
+        this.SAVED_DECK_ID = 'deck:saved';
+        this.MAX_SESSION_SIZE = 50;
+        this.MAX_NOTE_LENGTH = 5000; // Mirrors the /api/notes limit
+    }
+
+    /**
+     * Annotation for a question (null when it has neither bookmark nor note)
+     */
+    async get(questionId) {
+        if (!questionId || typeof harviDB === 'undefined') return null;
+        return harviDB.getAnnotation(questionId);
+    }
+
+    /**
+     * Flip the bookmark on a question and return the updated annotation
+     */
+    async toggleBookmark({ questionId, lectureId }) {
+        const existing = await this.get(questionId);
+        const now = new Date().toISOString();
+
+        const annotation = this.withLecture({
+            questionId,
+            bookmarked: false,
+            note: '',
+            noteUpdatedAt: null,
+            ...existing,
+            bookmarkUpdatedAt: now
+        }, lectureId);
+        annotation.bookmarked = !annotation.bookmarked;
+
+        await this.persist(annotation);
+        this.syncChange('saveBookmark', {
+            questionId,
+            lectureId: annotation.lectureId,
+            bookmarked: annotation.bookmarked,
+            createdAt: now
+        });
+
+        return annotation;
+    }
+
+    /**
+     * Save the note on a question (an empty note removes it)
+     */
+    async saveNote({ questionId, lectureId, body }) {
+        const existing = await this.get(questionId);
+        const note = String(body || '').slice(0, this.MAX_NOTE_LENGTH).trim();
+
+        if ((existing?.note || '') === note) return existing;
+
+        const annotation = this.withLecture({
+            questionId,
+            bookmarked: false,
+            bookmarkUpdatedAt: null,
+            ...existing,
+            note,
+            noteUpdatedAt: new Date().toISOString()
+        }, lectureId);
+
+        await this.persist(annotation);
+        this.syncChange('saveNote', {
+            questionId,
+            lectureId: annotation.lectureId,
+            body: note,
+            updatedAt: annotation.noteUpdatedAt
+        });
+
+        return annotation;
+    }
+
+    /**
+     * Keep the home lecture, but never store a deck id in its place
+     */
+    withLecture(annotation, lectureId) {
+        if (lectureId && !this.isDeckId(lectureId)) {
+            annotation.lectureId = lectureId;
+        }
+        if (this.isDeckId(annotation.lectureId)) {
+            annotation.lectureId = null;
+        }
+        return annotation;
+    }
+
+    isDeckId(lectureId) {
+        return typeof lectureId === 'string' && lectureId.startsWith('deck:');
+    }
+
+    /**
+     * Write the annotation, dropping it once nothing is left on it
+     */
+    async persist(annotation) {
+        if (!annotation.bookmarked && !annotation.note) {
+            await harviDB.deleteAnnotation(annotation.questionId);
+        } else {
+            await harviDB.saveAnnotation(annotation);
+        }
+    }
+
+    /**
+     * Saved items, most recently touched first
+     */
+    async getSaved() {
+        if (typeof harviDB === 'undefined') return [];
+
+        const annotations = await harviDB.getAllAnnotations();
+        const touchedAt = item => Math.max(
+            new Date(item.bookmarkUpdatedAt || 0).getTime(),
+            new Date(item.noteUpdatedAt || 0).getTime()
+        );
+
+        return annotations
+            .filter(item => item.bookmarked || item.note)
+            .sort((a, b) => touchedAt(b) - touchedAt(a));
+    }
+
+    async getCount() {
+        const saved = await this.getSaved();
+        return saved.length;
+    }
+
+    /**
+     * Build the saved-questions deck. Questions are resolved from the lecture
+     * cache, fetching missing lectures if online (same path as the review deck).
+     */
+    async buildSession(limit = this.MAX_SESSION_SIZE) {
+        const saved = (await this.getSaved()).slice(0, limit);
+        if (saved.length === 0) return [];
+
+        const lectureIds = [...new Set(saved.map(item => item.lectureId).filter(Boolean))];
+        const lectures = await harviDB.getLecturesByIds(lectureIds);
+
+        const missing = lectureIds.filter(id => !lectures.has(id));
+        if (missing.length > 0 && navigator.onLine && window.reviewScheduler) {
+            const fetched = await window.reviewScheduler.fetchLectures(missing);
+            fetched.forEach(lecture => lectures.set(lecture.id, lecture));
+        }
+
+        const questions = [];
+        for (const item of saved) {
+            const lecture = lectures.get(item.lectureId);
+            const question = lecture?.questions?.find(q => q.id === item.questionId);
+            if (!question) continue;
+
+            questions.push({
+                ...structuredClone(question),
+                lectureId: lecture.id,
+                lectureName: lecture.name
+            });
+        }
+
+        return questions;
+    }
+
+    // ========================================================================
+    // REMOTE MIRROR (signed-in students only)
+    // ========================================================================
+
+    async syncChange(action, data) {
+        if (!window.app || !window.app.getAuthToken()) return;
+
+        const pushed = navigator.onLine && await this.push(action, data);
+        if (!pushed) {
+            // Replayed by MCQApp.syncPendingData when the connection returns
+            await harviDB.queueSync(action, data).catch(console.warn);
+        }
+    }
+
+    /**
+     * Send one queued change to the server
+     */
+    async push(action, data) {
+        const id = encodeURIComponent(data.questionId);
+        let url;
+        let options;
+
+        if (action === 'saveBookmark') {
+            url = `./api/bookmarks/${id}`;
+            options = data.bookmarked
+                ? { method: 'PUT', body: JSON.stringify({ lectureId: data.lectureId, createdAt: data.createdAt }) }
+                : { method: 'DELETE' };
+        } else if (action === 'saveNote') {
+            url = `./api/notes/${id}`;
+            options = {
+                method: 'PUT',
+                body: JSON.stringify({ lectureId: data.lectureId, body: data.body, updatedAt: data.updatedAt })
+            };
+        } else {
+            return false;
+        }
+
+        try {
+            const response = await window.app.authFetch(url, {
+                ...options,
+                headers: window.app.getAuthHeaders(),
+                timeout: 15000,
+                retries: 1
+            });
+            return response.ok;
+        } catch (error) {
+            console.warn(`Failed to push ${action}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Merge server bookmarks and notes into IndexedDB.
+     * A local change newer than the server copy is kept.
+     */
+    async pullRemote() {
+        if (!window.app || !window.app.getAuthToken() || !navigator.onLine) return;
+
+        try {
+            const headers = window.app.getAuthHeaders();
+            const [bookmarksRes, notesRes] = await Promise.all([
+                window.app.authFetch('./api/bookmarks', { headers, timeout: 15000, retries: 1 }),
+                window.app.authFetch('./api/notes', { headers, timeout: 15000, retries: 1 })
+            ]);
+
+            if (!bookmarksRes.ok || !notesRes.ok) return;
+
+            const { bookmarks } = await bookmarksRes.json();
+            const { notes } = await notesRes.json();
+            const isNewer = (remoteAt, localAt) => !localAt || new Date(remoteAt) > new Date(localAt);
+            let merged = 0;
+
+            for (const remote of bookmarks || []) {
+                const local = await harviDB.getAnnotation(remote.questionId);
+                if (local?.bookmarked || !isNewer(remote.createdAt, local?.bookmarkUpdatedAt)) continue;
+
+                await harviDB.saveAnnotation({
+                    note: '',
+                    noteUpdatedAt: null,
+                    ...local,
+                    questionId: remote.questionId,
+                    lectureId: local?.lectureId || remote.lectureId,
+                    bookmarked: true,
+                    bookmarkUpdatedAt: remote.createdAt
+                });
+                merged++;
+            }
+
+            for (const remote of notes || []) {
+                const local = await harviDB.getAnnotation(remote.questionId);
+                if (!isNewer(remote.updatedAt, local?.noteUpdatedAt)) continue;
+
+                await harviDB.saveAnnotation({
+                    bookmarked: false,
+                    bookmarkUpdatedAt: null,
+                    ...local,
+                    questionId: remote.questionId,
+                    lectureId: local?.lectureId || remote.lectureId,
+                    note: remote.body,
+                    noteUpdatedAt: remote.updatedAt
+                });
+                merged++;
+            }
+
+            if (merged > 0) {
+                console.log(`✓ Merged ${merged} bookmarks/notes from server`);
+            }
+        } catch (error) {
+            console.warn('Failed to pull bookmarks and notes:', error);
+        }
+    }
+}
+
+// Create global instance
+window.savedQuestions = new SavedQuestions();
@@ -0,0 +1,211 @@
+/**
+ * Search Screen Manager
+ * Full-text question search reachable from the header.
+ * Online: GET /api/search (Postgres full-text search).
+ * Offline: scans lectures cached in the IndexedDB `lectures` store.
+ */
+class Search {
+    constructor(app) {
+        this.app = app;
+        this.containerId = 'search-content';
+        this.debounceTimer = null;
+        this.DEBOUNCE_MS = 300;
+        this.MIN_QUERY_LENGTH = 2;
+        this.MAX_RESULTS = 30;
+        this.lastQuery = '';
+        this.requestSeq = 0; // Drops responses that arrive after a newer query
+        this.DECK_ID = 'deck:search';
+    }
+
+    /**
+     * Open the search screen and focus the field
+     */
+    open() {
+        this.app.showScreen('search-screen');
+        setTimeout(() => document.getElementById('search-input')?.focus(), 350);
+    }
+
+    init() {
+        const container = document.getElementById(this.containerId);
+        if (!container) {
+            console.warn(`[Search] Container #${this.containerId} not found`);
+            return;
+        }
+
+        // Keep the field and results when coming back to the tab
+        if (container.querySelector('#search-input')) return;
+
+        container.innerHTML = `
+            <div class="search-field">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><circle cx="11" cy="11" r="7"/><path d="M20 20L16.5 16.5"/></svg>
+                <input type="search" id="search-input" placeholder="Search questions, options, explanations" autocomplete="off" enterkeyhint="search">
+            </div>
+            <p class="search-status" id="search-status">Try "brachial plexus" or "nephrotic syndrome"</p>
+            <div class="search-results" id="search-results"></div>
+        `;
+
+        const input = container.querySelector('#search-input');
+        input.addEventListener('input', () => {
+            clearTimeout(this.debounceTimer);
+            this.debounceTimer = setTimeout(() => this.run(input.value), this.DEBOUNCE_MS);
+        });
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                clearTimeout(this.debounceTimer);
+                this.run(input.value);
+                input.blur();
+            }
+        });
+    }
+
+    async run(rawQuery) {
+        const query = rawQuery.trim();
+        if (query === this.lastQuery) return;
+        this.lastQuery = query;
+
+        const status = document.getElementById('search-status');
+        const resultsEl = document.getElementById('search-results');
+
+        if (query.length < this.MIN_QUERY_LENGTH) {
+            resultsEl.innerHTML = '';
+            status.textContent = '';
+            return;
+        }
+
+        const seq = ++this.requestSeq;
+        status.textContent = 'Searching…';
+
+        let results = [];
+        let offline = !navigator.onLine;
+
+        if (!offline) {
+            try {
+                results = await this.searchRemote(query);
+            } catch (error) {
+                console.warn('[Search] Remote search failed, using cached lectures:', error);
+                offline = true;
+            }
+        }
+
+        if (offline) {
+            results = await this.searchOffline(query);
+        }
+
+        if (seq !== this.requestSeq) return;
+
+        status.textContent = results.length === 0
+            ? 'No questions found'
+            : `${results.length} result${results.length === 1 ? '' : 's'}${offline ? ' in downloaded lectures' : ''}`;
+
+        this.renderResults(resultsEl, results, query);
+    }
+
+    async searchRemote(query) {
+        const response = await SafeFetch.fetch(`./api/search?q=${encodeURIComponent(query)}&limit=${this.MAX_RESULTS}`, {
+            timeout: 10000,
+            retries: 1
+        });
+
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const { results } = await response.json();
+        return results || [];
+    }
+
+    /**
+     * Offline fallback: every term must appear in the question text, an option or the explanation
+     */
+    async searchOffline(query) {
+        if (typeof harviDB === 'undefined') return [];
+
+        const terms = this.tokenize(query);
+        const lectures = await harviDB.getAllLectures();
+        const results = [];
+
+        for (const lecture of lectures) {
+            for (const question of lecture.questions || []) {
+                const optionTexts = (question.options || []).map(opt => typeof opt === 'object' && opt !== null ? opt.text : opt);
+                const haystack = [question.text, ...optionTexts, question.explanation].join(' ').toLowerCase();
+
+                if (terms.every(term => haystack.includes(term))) {
+                    // Rank text hits above option/explanation hits
+                    const textHits = terms.filter(term => (question.text || '').toLowerCase().includes(term)).length;
+                    results.push({ ...question, lectureId: lecture.id, lectureName: lecture.name, rank: textHits });
+                }
+            }
+        }
+
+        return results
+            .sort((a, b) => b.rank - a.rank)
+            .slice(0, this.MAX_RESULTS);
+    }
+
+    tokenize(query) {
+        return query.toLowerCase().split(/\s+/).filter(term => term.length > 1);
+    }
+
+    escapeHTML(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Wrap every query term in <mark>. The raw text is split on the matches
+     * first and each piece escaped on its own, so terms never match inside
+     * entities ("amp" in &amp;) or inside an earlier <mark>.
+     */
+    highlight(value, terms) {
+        const text = String(value ?? '');
+        const alternatives = [...terms]
+            .sort((a, b) => b.length - a.length)
+            .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+        if (alternatives.length === 0) return this.escapeHTML(text);
+
+        // Capturing group: split() keeps the matches at odd indices
+        return text
+            .split(new RegExp(`(${alternatives.join('|')})`, 'gi'))
+            .map((piece, index) => index % 2 === 1
+                ? `<mark>${this.escapeHTML(piece)}</mark>`
+                : this.escapeHTML(piece))
+            .join('');
+    }
+
+    renderResults(container, results, query) {
+        const terms = this.tokenize(query);
+        container.innerHTML = '';
+
+        results.forEach(question => {
+            const optionTexts = (question.options || []).map(opt => typeof opt === 'object' && opt !== null ? opt.text : opt);
+            const matchingOptions = optionTexts.filter(text =>
+                terms.some(term => String(text).toLowerCase().includes(term)));
+
+            const card = document.createElement('button');
+            card.className = 'search-result-card';
+            card.innerHTML = `
+                <div class="search-result-context">${this.escapeHTML([question.subjectName, question.lectureName].filter(Boolean).join(' • '))}</div>
+                <div class="search-result-text">${this.highlight(question.text, terms)}</div>
+                ${matchingOptions.length ? `<div class="search-result-options">${matchingOptions.map(text => this.highlight(text, terms)).join(' · ')}</div>` : ''}
+            `;
+            card.addEventListener('click', () => this.openPracticeCard(question));
+            container.appendChild(card);
+        });
+    }
+
+    /**
+     * Practice a single result (answer checked through /api/practice/check-answer)
+     */
+    openPracticeCard(question) {
+        if (window.HapticsEngine) window.HapticsEngine.selection();
+
+        const { rank, subjectName, ...practiceQuestion } = question;
+        this.app.startQuiz([practiceQuestion], {
+            lecture: question.lectureName || 'Search',
+            lectureId: this.DECK_ID,
+            deck: 'search'
+        });
+    }
+}
@@ -1,11 +1,18 @@
 /**
  * Stats Screen Manager - Premium Dashboard Edition
  * Displays quiz history and performance statistics in a Bento Grid
+ *
+ * Signed-in students see /api/student/analytics (same numbers on every device,
+ * last copy cached for offline use); guests fall back to local quizResults.
  */
 class Stats {
     constructor(app) {
         this.app = app;
         this.container = document.getElementById('stats-content');
+        this.TREND_DAYS = 90;
+        this.TREND_WEEKS = 8;
+        this.ANALYTICS_CACHE_KEY = 'studentAnalytics';
+        this.DIFFICULTY_LABELS = { 1: 'Easy', 2: 'Medium', 3: 'Hard' };
     }
 
     /**
@@ -15,27 +22,61 @@ class Stats {
         if (!this.container) return;
 
         try {
-            const results = await harviDB.getAllResults();
-            this.renderStats(results);
+            const [results, analytics] = await Promise.all([
+                harviDB.getAllResults(),
+                this.loadAnalytics()
+            ]);
+            this.renderStats(results, analytics);
         } catch (error) {
             console.error('Failed to load stats:', error);
             this.renderError();
         }
     }
 
+    /**
+     * Server analytics for signed-in students (null for guests or when never fetched)
+     */
+    async loadAnalytics() {
+        if (!this.app.getAuthToken()) return null;
+
+        if (navigator.onLine) {
+            try {
+                const params = `days=${this.TREND_DAYS}&tzOffset=${new Date().getTimezoneOffset()}`;
+                const response = await this.app.authFetch(`./api/student/analytics?${params}`, {
+                    headers: this.app.getAuthHeaders(),
+                    timeout: 15000,
+                    retries: 1
+                });
+
+                if (response.ok) {
+                    const analytics = await response.json();
+                    harviDB.setSetting(this.ANALYTICS_CACHE_KEY, analytics).catch(console.warn);
+                    return analytics;
+                }
+            } catch (error) {
+                console.warn('[Stats] Analytics unavailable, using cached copy:', error);
+            }
+        }
+
+        return harviDB.getSetting(this.ANALYTICS_CACHE_KEY).catch(() => null);
+    }
+
     /**
      * Render statistics content using Bento Grid Layout
      */
-    renderStats(results) {
-        if (!results || results.length === 0) {
+    renderStats(results, analytics = null) {
+        const hasServerData = analytics && analytics.summary && analytics.summary.answered > 0;
+
+        if ((!results || results.length === 0) && !hasServerData) {
             this.renderEmptyState();
             return;
         }
 
         // 1. Process Data
-        const stats = this.calculateStats(results);
-        const streak = this.calculateStreak(results);
-        const weeklyData = this.calculateWeeklyActivity(results);
+        const stats = hasServerData ? this.statsFromAnalytics(analytics, results) : this.calculateStats(results);
+        const streak = hasServerData ? this.streakFromAnalytics(analytics) : this.calculateStreak(results);
+        const weeklyData = hasServerData ? this.weeklyActivityFromAnalytics(analytics) : this.calculateWeeklyActivity(results);
+        const maxDayCount = Math.max(...weeklyData.map(day => day.count), 1);
 
         // 2. Build Dashboard
         this.container.innerHTML = `
@@ -62,7 +103,7 @@ class Stats {
                             <span class="ring-percent">${stats.averageScore}%</span>
                         </div>
                     </div>
-                    <div class="ring-label">Average Accuracy</div>
+                    <div class="ring-label">${hasServerData ? `Accuracy • ${stats.answered} answered` : 'Average Accuracy'}</div>
                 </div>
 
                 <!-- 3. Weekly Activity Chart (Span 2) -->
@@ -75,7 +116,7 @@ class Stats {
                         ${weeklyData.map(day => `
                             <div class="bar-column ${day.isToday ? 'today' : ''}">
                                 <div class="bar-bg">
-                                    <div class="bar-fill" style="height: ${Math.min(day.count * 10, 100)}%;"></div>
+                                    <div class="bar-fill" style="height: ${Math.round((day.count / maxDayCount) * 100)}%;"></div>
                                 </div>
                                 <div class="bar-label">${day.label}</div>
                             </div>
@@ -90,7 +131,7 @@ class Stats {
                         <span>Completed</span>
                     </div>
                     <div class="metric-value">${stats.totalQuizzes}</div>
-                    <div class="metric-context" style="color: #3B82F6;">Quizzes</div>
+                    <div class="metric-context" style="color: #3B82F6;">${hasServerData ? 'Sessions' : 'Quizzes'}</div>
                 </div>
 
                 <!-- 5. Best Score -->
@@ -99,16 +140,20 @@ class Stats {
                         <svg class="card-icon" viewBox="0 0 24 24" fill="currentColor"><path d="M12 17.27L18.18 21l-1.64-7.03L22 9.24l-7.19-.61L12 2 9.19 8.63 2 9.24l5.46 4.73L5.82 21z"/></svg>
                         <span>Best Run</span>
                     </div>
-                    <div class="metric-value" style="color: #34C759;">${stats.bestScore}%</div>
+                    <div class="metric-value" style="color: #34C759;">${stats.bestScore === null ? '–' : `${stats.bestScore}%`}</div>
                     <div class="metric-context">High Score</div>
                 </div>
             </div>
 
-            <!-- Recent History List -->
-            <h3 class="list-section-title">Recent History</h3>
-            <div class="ios-list-group">
-                ${results.slice(0, 10).map((result, index) => this.renderListItem(result, index)).join('')}
-            </div>
+            ${hasServerData ? this.renderAnalyticsSections(analytics) : ''}
+
+            ${results && results.length > 0 ? `
+                <!-- Recent History List -->
+                <h3 class="list-section-title">Recent History</h3>
+                <div class="ios-list-group">
+                    ${results.slice(0, 10).map((result, index) => this.renderListItem(result, index)).join('')}
+                </div>
+            ` : ''}
         `;
 
         // 3. Post-Render Animations
@@ -130,6 +175,101 @@ class Stats {
         });
     }
 
+    /**
+     * Weak areas, difficulty breakdown, weekly trend and time on question
+     */
+    renderAnalyticsSections(analytics) {
+        const weakSubjects = analytics.weakSubjects || [];
+        const difficulty = (analytics.byDifficulty || []).filter(bucket => bucket.level !== null);
+        const weeks = (analytics.trends?.weekly || []).slice(-this.TREND_WEEKS);
+        const time = analytics.timeOnQuestion || {};
+
+        return `
+            <div class="stats-grid">
+                <div class="bento-card col-span-2">
+                    <div class="card-header">
+                        <svg class="card-icon" viewBox="0 0 24 24" fill="currentColor"><path d="M3 13h2v8H3zm4-5h2v13H7zm4-5h2v18h-2zm4 9h2v9h-2zm4-3h2v12h-2z"/></svg>
+                        <span>Weekly Accuracy</span>
+                    </div>
+                    <div class="chart-container">
+                        ${weeks.map(week => `
+                            <div class="bar-column" title="${week.answered} answered">
+                                <div class="bar-bg">
+                                    <div class="bar-fill" style="height: ${week.accuracy}%;"></div>
+                                </div>
+                                <div class="bar-label">${this.formatWeekLabel(week.weekStart)}</div>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+
+                <div class="bento-card col-span-2">
+                    <div class="card-header">
+                        <svg class="card-icon" viewBox="0 0 24 24" fill="currentColor"><path d="M12 2a10 10 0 1 0 0 20 10 10 0 0 0 0-20zm1 11h-5v-2h3V6h2z"/></svg>
+                        <span>Time per Question</span>
+                    </div>
+                    <div class="metric-value">${this.formatSeconds(time.medianMs)} <span class="metric-unit">median</span></div>
+                    <div class="metric-context">
+                        ${time.sampled > 0
+                            ? `Correct ${this.formatSeconds(time.correctAvgMs)} • Wrong ${this.formatSeconds(time.wrongAvgMs)} on average`
+                            : 'Timed from practice answers'}
+                    </div>
+                </div>
+            </div>
+
+            ${difficulty.length > 0 ? `
+                <h3 class="list-section-title">By Difficulty</h3>
+                <div class="ios-list-group">
+                    ${difficulty.map((bucket, index) => this.renderAnalyticsRow({
+                        title: this.DIFFICULTY_LABELS[bucket.level] || `Level ${bucket.level}`,
+                        subtitle: `${bucket.answered} answered${bucket.avgResponseTimeMs ? ` • ${this.formatSeconds(bucket.avgResponseTimeMs)} avg` : ''}`,
+                        accuracy: bucket.accuracy,
+                        badge: bucket.level
+                    }, index)).join('')}
+                </div>
+            ` : ''}
+
+            <h3 class="list-section-title">Weakest Subjects</h3>
+            <div class="ios-list-group">
+                ${weakSubjects.length > 0
+                    ? weakSubjects.map((subject, index) => this.renderAnalyticsRow({
+                        title: subject.name,
+                        subtitle: `${subject.moduleName ? `${subject.moduleName} • ` : ''}${subject.answered} answered • likely ${Math.round(subject.interval.lower * 100)}–${Math.round(subject.interval.upper * 100)}%`,
+                        accuracy: subject.accuracy,
+                        badge: (subject.name || 'S').substring(0, 2).toUpperCase()
+                    }, index)).join('')
+                    : '<div class="ios-list-item"><div class="item-content"><div class="item-subtitle">Answer a few more questions per subject to find your weak areas.</div></div></div>'}
+            </div>
+        `;
+    }
+
+    renderAnalyticsRow({ title, subtitle, accuracy, badge }, index = 0) {
+        const scoreClass = accuracy >= 80 ? 'score-high' : (accuracy >= 50 ? 'score-med' : 'score-low');
+
+        return `
+            <div class="ios-list-item">
+                <div class="item-icon-box color-${index % 5}">${badge}</div>
+                <div class="item-content">
+                    <div class="item-title">${title}</div>
+                    <div class="item-subtitle">${subtitle}</div>
+                </div>
+                <div class="item-trailing">
+                    <div class="score-badge ${scoreClass}">${accuracy}%</div>
+                </div>
+            </div>
+        `;
+    }
+
+    formatSeconds(ms) {
+        if (ms === null || ms === undefined) return '–';
+        return `${(ms / 1000).toFixed(ms < 10000 ? 1 : 0)}s`;
+    }
+
+    formatWeekLabel(weekStart) {
+        const date = new Date(`${weekStart}T00:00:00`);
+        return `${date.getDate()}/${date.getMonth() + 1}`;
+    }
+
     renderListItem(result, index) {
         // Initials from lecture name
         const initials = (result.lectureName || 'L').substring(0, 2).toUpperCase();
@@ -194,9 +334,43 @@ class Stats {
         };
     }
 
+    /**
+     * Headline numbers from server analytics (best run stays a local, per-device record)
+     */
+    statsFromAnalytics(analytics, results) {
+        return {
+            totalQuizzes: analytics.summary.sessions,
+            answered: analytics.summary.answered,
+            averageScore: analytics.summary.accuracy,
+            bestScore: results && results.length > 0 ? Math.max(...results.map(r => r.percentage || 0)) : null
+        };
+    }
+
+    /**
+     * Server days are YYYY-MM-DD in the student's timezone
+     */
+    analyticsDayStrings(analytics) {
+        return (analytics.trends?.daily || [])
+            .filter(day => day.answered > 0)
+            .map(day => new Date(`${day.date}T00:00:00`).toDateString());
+    }
+
+    streakFromAnalytics(analytics) {
+        return this.streakFromDates(this.analyticsDayStrings(analytics));
+    }
+
+    weeklyActivityFromAnalytics(analytics) {
+        const answeredByDay = new Map((analytics.trends?.daily || [])
+            .map(day => [new Date(`${day.date}T00:00:00`).toDateString(), day.answered]));
+        return this.weeklyActivity(dayStr => answeredByDay.get(dayStr) || 0);
+    }
+
     calculateStreak(results) {
-        // Sort by date descending
-        const dates = [...new Set(results.map(r => new Date(r.date).toDateString()))];
+        return this.streakFromDates(results.map(r => new Date(r.date).toDateString()));
+    }
+
+    streakFromDates(dateStrings) {
+        const dates = [...new Set(dateStrings)];
         let streak = 0;
         const today = new Date().toDateString();
         const yesterday = new Date(Date.now() - 86400000).toDateString();
@@ -222,6 +396,12 @@ class Stats {
     }
 
     calculateWeeklyActivity(results) {
+        // Count quizzes for each day
+        return this.weeklyActivity(dayStr =>
+            results.filter(r => new Date(r.date).toDateString() === dayStr).length);
+    }
+
+    weeklyActivity(countForDay) {
         const week = [];
         const days = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
 
@@ -230,12 +410,9 @@ class Stats {
             d.setDate(d.getDate() - i);
             const dayStr = d.toDateString();
 
-            // Count quizzes for this day
-            const count = results.filter(r => new Date(r.date).toDateString() === dayStr).length;
-
             week.push({
                 label: days[d.getDay()],
-                count: count,
+                count: countForDay(dayStr),
                 isToday: i === 0
             });
         }
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+/**
+ * Question bank import CLI: CSV, Aiken or Moodle GIFT file → one lecture
+ *
+ *   npm run import -- --lecture year1_mod1_sub1_lec1 bank.gift            Preview
+ *   npm run import -- --lecture year1_mod1_sub1_lec1 bank.gift --commit   Insert
+ *
+ * Options:
+ *   --lecture <id>         Target lecture (UUID or external_id), required
+ *   --format <format>      csv | aiken | gift (default: from the extension;
+ *                          .csv → csv, .gift → gift, .txt → aiken)
+ *   --columns <mapping>    CSV headers, e.g. text=Stem,answer=Key,options=A|B|C|D
+ *   --delimiter <char>     CSV delimiter (default: detected from the header)
+ *   --commit               Write the questions (otherwise preview only)
+ *   --skip-invalid         With --commit, import the valid questions and skip
+ *                          the rest (otherwise any error blocks the import)
+ *
+ * Same parsing and checks as POST /api/admin/lectures/:lectureId/import
+ * (server/question-import.js), without its per-request size limit.
+ * Exits 1 when the file has errors (unless skipped) or a write fails.
+ */
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+const { IMPORT_FORMATS, prepareImport, commitImport } = require('./question-import');
+require('dotenv').config();
+
+const FORMAT_BY_EXTENSION = { '.csv': 'csv', '.gift': 'gift', '.txt': 'aiken', '.aiken': 'aiken' };
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// ============================================================================
+// ARGUMENTS
+// ============================================================================
+function parseArgs(argv) {
+    const args = { file: null, lecture: null, format: null, columns: undefined, delimiter: undefined, commit: false, skipInvalid: false, help: false };
+    const valueOf = (i, flag) => {
+        if (argv[i + 1] === undefined) throw new Error(`${flag} needs a value`);
+        return argv[i + 1];
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--commit') args.commit = true;
+        else if (arg === '--skip-invalid') args.skipInvalid = true;
+        else if (arg === '--help' || arg === '-h') args.help = true;
+        else if (arg === '--lecture') args.lecture = valueOf(i++, arg);
+        else if (arg === '--format') args.format = valueOf(i++, arg);
+        else if (arg === '--columns') args.columns = parseColumns(valueOf(i++, arg));
+        else if (arg === '--delimiter') args.delimiter = valueOf(i++, arg).replace('\\t', '\t');
+        else if (arg.startsWith('--')) throw new Error(`Unknown argument: ${arg}`);
+        else if (!args.file) args.file = path.resolve(arg);
+        else throw new Error(`Unexpected argument: ${arg}`);
+    }
+
+    return args;
+}
+
+// "text=Stem,answer=Key,options=A|B|C|D" → { text, answer, options: [...] }
+function parseColumns(value) {
+    return Object.fromEntries(value.split(',').map(pair => {
+        const [field, header = ''] = pair.split('=');
+        if (!field.trim() || !header.trim()) throw new Error(`Invalid --columns entry "${pair}" (use field=Header)`);
+        return [field.trim(), field.trim() === 'options' ? header.split('|').map(h => h.trim()) : header.trim()];
+    }));
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+async function main(argv = process.argv.slice(2)) {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        return 1;
+    }
+
+    if (args.help || !args.file || !args.lecture) {
+        console.log('Usage: node server/import-questions.js --lecture <id> <file> [--format csv|aiken|gift] [--columns map] [--delimiter ;] [--commit [--skip-invalid]]');
+        return args.help ? 0 : 1;
+    }
+
+    const format = args.format || FORMAT_BY_EXTENSION[path.extname(args.file).toLowerCase()];
+    if (!IMPORT_FORMATS.includes(format)) {
+        console.error(`❌ Cannot tell the format of ${path.basename(args.file)}; pass --format ${IMPORT_FORMATS.join('|')}`);
+        return 1;
+    }
+
+    let content;
+    try {
+        content = fs.readFileSync(args.file, 'utf8');
+    } catch (err) {
+        console.error(`❌ Cannot read ${args.file}: ${err.message}`);
+        return 1;
+    }
+
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+        console.error('❌ SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set (see .env)');
+        return 1;
+    }
+
+    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+    try {
+        const { data: lecture, error } = await supabase
+            .from('lectures')
+            .select('id, external_id, name')
+            .eq(UUID_PATTERN.test(args.lecture) ? 'id' : 'external_id', args.lecture)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!lecture) {
+            console.error(`❌ Lecture not found: ${args.lecture}`);
+            return 1;
+        }
+
+        const { total, rows, errors } = await prepareImport(supabase, lecture, {
+            format,
+            content,
+            columns: args.columns,
+            delimiter: args.delimiter
+        });
+
+        console.log(`📥 ${path.basename(args.file)} (${format}) → ${lecture.external_id} "${lecture.name}": ${total} found, ${rows.length} valid, ${errors.length} problem(s)`);
+        rows.forEach(({ line, row }) => {
+            const key = (row.correct_answer_indices || [row.correct_answer_index]).map(i => String.fromCharCode(65 + i)).join(',');
+            console.log(`   + line ${line}: ${row.external_id} [${row.question_type}, ${row.options.length} options, key ${key}] ${row.text.slice(0, 60)}`);
+        });
+        errors.forEach(({ line, externalId, message }) => {
+            console.error(`   ✗ line ${line}${externalId ? ` (${externalId})` : ''}: ${message}`);
+        });
+
+        if (!args.commit) {
+            console.log('📋 Preview only: pass --commit to import');
+            return errors.length > 0 ? 1 : 0;
+        }
+
+        if (errors.length > 0 && !args.skipInvalid) {
+            console.error('❌ Nothing imported: fix the lines above or pass --skip-invalid');
+            return 1;
+        }
+
+        const created = await commitImport(supabase, rows);
+        console.log(`✅ Imported ${created.length} questions`);
+        return 0;
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    main().then(code => process.exit(code));
+}
+
+module.exports = { main };
@@ -0,0 +1,47 @@
+/*
+╔════════════════════════════════════════════════════════════════════════════╗
+║              MIGRATION 001: Spaced-Repetition Review Items                ║
+║                                                                            ║
+║ Server-side mirror of the client `reviewItems` IndexedDB store.           ║
+║ One row per (user, question) holding the SM-2 scheduling state.           ║
+║                                                                            ║
+║ The scheduler runs on the client (js/review-scheduler.js); the server     ║
+║ only stores the latest state so it follows the student across devices.    ║
+║ Conflicts are resolved last-write-wins on last_reviewed_at.                ║
+║                                                                            ║
+╚════════════════════════════════════════════════════════════════════════════╝
+*/
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.question_reviews (
+    user_id          UUID        NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    question_id      UUID        NOT NULL REFERENCES public.questions(id) ON DELETE CASCADE,
+    lecture_id       UUID        REFERENCES public.lectures(id) ON DELETE SET NULL,
+    ease_factor      NUMERIC(4,2) NOT NULL DEFAULT 2.50 CHECK (ease_factor >= 1.30),
+    interval_days    INTEGER     NOT NULL DEFAULT 0 CHECK (interval_days >= 0),
+    repetitions      INTEGER     NOT NULL DEFAULT 0 CHECK (repetitions >= 0),
+    lapses           INTEGER     NOT NULL DEFAULT 0 CHECK (lapses >= 0),
+    due_at           TIMESTAMPTZ NOT NULL DEFAULT now(),
+    last_reviewed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+    PRIMARY KEY (user_id, question_id)
+);
+
+-- "What is due for this student?" is the hot query
+CREATE INDEX IF NOT EXISTS idx_question_reviews_user_due
+    ON public.question_reviews (user_id, due_at);
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- RLS: students can only see their own schedule
+-- (the API uses the service role and filters by the JWT user id)
+-- ═══════════════════════════════════════════════════════════════════════════
+ALTER TABLE public.question_reviews ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS question_reviews_owner ON public.question_reviews;
+CREATE POLICY question_reviews_owner ON public.question_reviews
+    FOR ALL
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+COMMIT;
@@ -0,0 +1,47 @@
+/*
+╔════════════════════════════════════════════════════════════════════════════╗
+║                MIGRATION 002: Full-Text Question Search                   ║
+║                                                                            ║
+║ Adds a weighted tsvector over question text (A), option texts (B) and     ║
+║ explanation (C), a GIN index, and the search_questions() RPC used by      ║
+║ GET /api/search.                                                           ║
+║                                                                            ║
+║ The function never returns correct_answer_index or explanation; the       ║
+║ explanation is searchable but only revealed after answering.              ║
+║                                                                            ║
+╚════════════════════════════════════════════════════════════════════════════╝
+*/
+
+BEGIN;
+
+ALTER TABLE public.questions
+    ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(text, '')), 'A') ||
+        setweight(jsonb_to_tsvector('english', coalesce(options, '[]'::jsonb), '["string"]'), 'B') ||
+        setweight(to_tsvector('english', coalesce(explanation, '')), 'C')
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_questions_search_vector
+    ON public.questions USING GIN (search_vector);
+
+CREATE OR REPLACE FUNCTION public.search_questions(search_query TEXT, max_results INTEGER DEFAULT 20)
+RETURNS TABLE (
+    id               UUID,
+    lecture_id       UUID,
+    text             TEXT,
+    options          JSONB,
+    difficulty_level INTEGER,
+    rank             REAL
+)
+LANGUAGE sql STABLE
+AS $$
+    SELECT q.id, q.lecture_id, q.text, q.options, q.difficulty_level::INTEGER,
+           ts_rank(q.search_vector, websearch_to_tsquery('english', search_query)) AS rank
+    FROM public.questions q
+    WHERE q.search_vector @@ websearch_to_tsquery('english', search_query)
+    ORDER BY rank DESC, q.question_order ASC
+    LIMIT LEAST(GREATEST(max_results, 1), 50);
+$$;
+
+COMMIT;
@@ -0,0 +1,59 @@
+/*
+╔════════════════════════════════════════════════════════════════════════════╗
+║              MIGRATION 003: Question Bookmarks & Personal Notes           ║
+║                                                                            ║
+║ Server-side mirror of the client `questionAnnotations` IndexedDB store.   ║
+║ Bookmarks and notes are kept in separate tables so either can be synced   ║
+║ (and removed) on its own. One row per (user, question) in each table.     ║
+║                                                                            ║
+║ Notes are resolved last-write-wins on updated_at, which the client sets   ║
+║ when the note is edited (not when it is synced).                          ║
+║                                                                            ║
+╚════════════════════════════════════════════════════════════════════════════╝
+*/
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.question_bookmarks (
+    user_id     UUID        NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    question_id UUID        NOT NULL REFERENCES public.questions(id) ON DELETE CASCADE,
+    lecture_id  UUID        REFERENCES public.lectures(id) ON DELETE SET NULL,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+    PRIMARY KEY (user_id, question_id)
+);
+
+CREATE TABLE IF NOT EXISTS public.question_notes (
+    user_id     UUID        NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    question_id UUID        NOT NULL REFERENCES public.questions(id) ON DELETE CASCADE,
+    lecture_id  UUID        REFERENCES public.lectures(id) ON DELETE SET NULL,
+    body        TEXT        NOT NULL CHECK (char_length(body) BETWEEN 1 AND 5000),
+    updated_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+    PRIMARY KEY (user_id, question_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_question_bookmarks_user_created
+    ON public.question_bookmarks (user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_question_notes_user_updated
+    ON public.question_notes (user_id, updated_at DESC);
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- RLS: students can only see their own bookmarks and notes
+-- (the API uses the service role and filters by the JWT user id)
+-- ═══════════════════════════════════════════════════════════════════════════
+ALTER TABLE public.question_bookmarks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.question_notes ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS question_bookmarks_owner ON public.question_bookmarks;
+CREATE POLICY question_bookmarks_owner ON public.question_bookmarks
+    FOR ALL
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS question_notes_owner ON public.question_notes;
+CREATE POLICY question_notes_owner ON public.question_notes
+    FOR ALL
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+COMMIT;
@@ -0,0 +1,89 @@
+/*
+╔════════════════════════════════════════════════════════════════════════════╗
+║                 MIGRATION 004: Quiz Sessions (Attempt History)            ║
+║                                                                            ║
+║ Until now /api/quiz-results and /api/practice/check-answer deleted the    ║
+║ student's previous user_responses before inserting, and attempt_number    ║
+║ was always 1. Every answer is now kept and grouped into a numbered        ║
+║ quiz_sessions row (start/end time, mode, lecture set).                    ║
+║                                                                            ║
+║ user_responses.attempt_number now counts answers to the same question     ║
+║ (1 = first time the student answered it).                                 ║
+║                                                                            ║
+╚════════════════════════════════════════════════════════════════════════════╝
+*/
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.quiz_sessions (
+    id                UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id           UUID        NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    client_session_id TEXT        CHECK (char_length(client_session_id) <= 64),
+    session_number    INTEGER     NOT NULL DEFAULT 1 CHECK (session_number >= 1),
+    mode              TEXT        NOT NULL DEFAULT 'practice' CHECK (mode IN ('practice', 'exam')),
+    deck              TEXT,       -- 'review' | 'custom' | 'search' | 'saved' | 'retry' (NULL = single lecture)
+    lecture_ids       UUID[]      NOT NULL DEFAULT '{}',
+    question_count    INTEGER     CHECK (question_count >= 0),
+    started_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+    ended_at          TIMESTAMPTZ, -- Last answer (practice) or submission (exam)
+    UNIQUE (user_id, client_session_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_quiz_sessions_user_started
+    ON public.quiz_sessions (user_id, started_at DESC);
+
+-- "Attempts for this lecture" filter
+CREATE INDEX IF NOT EXISTS idx_quiz_sessions_lecture_ids
+    ON public.quiz_sessions USING GIN (lecture_ids);
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- user_responses: link answers to their session
+-- ═══════════════════════════════════════════════════════════════════════════
+ALTER TABLE public.user_responses
+    ADD COLUMN IF NOT EXISTS session_id UUID REFERENCES public.quiz_sessions(id) ON DELETE SET NULL;
+
+-- One answer per question per session (also makes retried requests idempotent).
+-- NULL session_id (anonymous guests, rows before this migration) never conflicts.
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'user_responses_session_question_key'
+          AND conrelid = 'public.user_responses'::regclass
+    ) THEN
+        ALTER TABLE public.user_responses
+            ADD CONSTRAINT user_responses_session_question_key UNIQUE (session_id, question_id);
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_user_responses_user_question
+    ON public.user_responses (user_id, question_id);
+
+-- Drop any legacy unique constraint that allowed only one answer per
+-- (user, question) or (user, lecture, question): history needs repeats.
+DO $$
+DECLARE
+    legacy RECORD;
+BEGIN
+    FOR legacy IN
+        SELECT conname FROM pg_constraint
+        WHERE conrelid = 'public.user_responses'::regclass
+          AND contype = 'u'
+          AND conname <> 'user_responses_session_question_key'
+    LOOP
+        EXECUTE format('ALTER TABLE public.user_responses DROP CONSTRAINT %I', legacy.conname);
+    END LOOP;
+END $$;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- RLS: students can only read their own sessions
+-- (the API uses the service role and filters by the JWT user id)
+-- ═══════════════════════════════════════════════════════════════════════════
+ALTER TABLE public.quiz_sessions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS quiz_sessions_owner_read ON public.quiz_sessions;
+CREATE POLICY quiz_sessions_owner_read ON public.quiz_sessions
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+COMMIT;
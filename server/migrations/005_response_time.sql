@@ -0,0 +1,21 @@
+/*
+╔════════════════════════════════════════════════════════════════════════════╗
+║                  MIGRATION 005: Time on Question                          ║
+║                                                                            ║
+║ Practice answers now carry the time between showing the question and     ║
+║ the answer (measured on the client). Used by /api/student/analytics.      ║
+║ Exam answers and rows recorded before this migration stay NULL.           ║
+║                                                                            ║
+╚════════════════════════════════════════════════════════════════════════════╝
+*/
+
+BEGIN;
+
+ALTER TABLE public.user_responses
+    ADD COLUMN IF NOT EXISTS response_time_ms INTEGER CHECK (response_time_ms >= 0);
+
+-- Analytics scan a student's responses in time order
+CREATE INDEX IF NOT EXISTS idx_user_responses_user_created
+    ON public.user_responses (user_id, created_at);
+
+COMMIT;
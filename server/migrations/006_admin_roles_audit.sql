@@ -0,0 +1,55 @@
+/*
+╔════════════════════════════════════════════════════════════════════════════╗
+║                MIGRATION 006: Admin Roles & Audit Log                     ║
+║                                                                            ║
+║ /api/admin/* now requires a signed-in admin. A user's role comes from     ║
+║ their Supabase app_metadata (set with the service role, not editable by   ║
+║ the user) or from a row in admin_users:                                   ║
+║   editor - read content, create and update years                          ║
+║   owner  - everything an editor can do, plus deletes and the audit log    ║
+║                                                                            ║
+║ Every admin write is recorded in admin_audit_log with the row before and  ║
+║ after the change.                                                          ║
+║                                                                            ║
+╚════════════════════════════════════════════════════════════════════════════╝
+*/
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.admin_users (
+    user_id    UUID        PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    role       TEXT        NOT NULL CHECK (role IN ('editor', 'owner')),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    created_by UUID        REFERENCES auth.users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS public.admin_audit_log (
+    id          BIGSERIAL   PRIMARY KEY,
+    actor_id    UUID        REFERENCES auth.users(id) ON DELETE SET NULL,
+    actor_email TEXT,       -- Kept so entries stay readable after the account is gone
+    actor_role  TEXT        NOT NULL,
+    action      TEXT        NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+    entity      TEXT        NOT NULL, -- 'year' | 'module' | 'subject' | 'lecture' | 'question'
+    entity_id   TEXT        NOT NULL,
+    before      JSONB,      -- NULL for creates
+    after       JSONB,      -- NULL for deletes
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created
+    ON public.admin_audit_log (created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_entity
+    ON public.admin_audit_log (entity, entity_id);
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- RLS: no direct access; only the API (service role) reads and writes these
+-- ═══════════════════════════════════════════════════════════════════════════
+ALTER TABLE public.admin_users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.admin_audit_log ENABLE ROW LEVEL SECURITY;
+
+-- Bootstrap the first owner by hand, e.g.:
+-- INSERT INTO public.admin_users (user_id, role)
+--     SELECT id, 'owner' FROM auth.users WHERE email = 'you@example.com';
+
+COMMIT;
@@ -0,0 +1,63 @@
+/*
+╔════════════════════════════════════════════════════════════════════════════╗
+║            MIGRATION 007: Practice Sessions & Answer Reveals              ║
+║                                                                            ║
+║ /api/practice/check-answer used to return the answer key for any          ║
+║ questionId, anonymously and without limit. Practice quizzes now start     ║
+║ with POST /api/quiz/session, which issues a short-lived session listing   ║
+║ the question ids it may check; each question is revealed once per         ║
+║ session.                                                                   ║
+║                                                                            ║
+║ Every reveal (practice check or graded submission) is logged in           ║
+║ practice_reveals, which is also the per-user / per-IP rate limit window.  ║
+║ IPs are stored as keyed hashes, never in clear.                           ║
+║                                                                            ║
+╚════════════════════════════════════════════════════════════════════════════╝
+*/
+
+-- Housekeeping (safe to run any time, e.g. from a scheduled job):
+--   DELETE FROM public.practice_sessions WHERE expires_at < now() - interval '7 days';
+--   DELETE FROM public.practice_reveals WHERE revealed_at < now() - interval '7 days';
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.practice_sessions (
+    id           UUID        PRIMARY KEY DEFAULT gen_random_uuid(), -- The session token
+    user_id      UUID        REFERENCES auth.users(id) ON DELETE CASCADE, -- NULL = guest
+    ip_hash      TEXT        NOT NULL,
+    question_ids UUID[]      NOT NULL,
+    created_at   TIMESTAMPTZ NOT NULL DEFAULT now(),
+    expires_at   TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_practice_sessions_user_created
+    ON public.practice_sessions (user_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_practice_sessions_ip_created
+    ON public.practice_sessions (ip_hash, created_at);
+
+CREATE TABLE IF NOT EXISTS public.practice_reveals (
+    id                    BIGSERIAL   PRIMARY KEY,
+    session_id            UUID        REFERENCES public.practice_sessions(id) ON DELETE CASCADE, -- NULL = graded submission / offline replay
+    question_id           UUID        NOT NULL REFERENCES public.questions(id) ON DELETE CASCADE,
+    user_id               UUID        REFERENCES auth.users(id) ON DELETE CASCADE,
+    ip_hash               TEXT        NOT NULL,
+    selected_answer_index INTEGER,
+    is_correct            BOOLEAN,
+    revealed_at           TIMESTAMPTZ NOT NULL DEFAULT now(),
+    UNIQUE (session_id, question_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_practice_reveals_user_revealed
+    ON public.practice_reveals (user_id, revealed_at);
+
+CREATE INDEX IF NOT EXISTS idx_practice_reveals_ip_revealed
+    ON public.practice_reveals (ip_hash, revealed_at);
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- RLS: no direct access; only the API (service role) reads and writes these
+-- ═══════════════════════════════════════════════════════════════════════════
+ALTER TABLE public.practice_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.practice_reveals ENABLE ROW LEVEL SECURITY;
+
+COMMIT;
@@ -0,0 +1,66 @@
+/*
+╔════════════════════════════════════════════════════════════════════════════╗
+║                 MIGRATION 008: Question & Option Media                    ║
+║                                                                            ║
+║ Questions can show images under the stem (histology slides, X-rays, ECG   ║
+║ strips) and options can be images. Question-level media lives in the new  ║
+║ questions.media column:                                                   ║
+║   [{ "type": "image", "url": "...", "alt_text": "...", "caption": "" }]   ║
+║ Option images stay inside the existing options JSONB:                     ║
+║   [{ "id": 1, "text": "...", "image_url": "...", "alt_text": "..." }]     ║
+║                                                                            ║
+║ Files are uploaded by the admin panel to the public `question-media`      ║
+║ storage bucket. Anyone can read them; only admins can upload.             ║
+║                                                                            ║
+╚════════════════════════════════════════════════════════════════════════════╝
+*/
+
+BEGIN;
+
+ALTER TABLE public.questions
+    ADD COLUMN IF NOT EXISTS media JSONB NOT NULL DEFAULT '[]'::jsonb
+        CHECK (jsonb_typeof(media) = 'array');
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Storage bucket: public read, admin-only writes
+-- ═══════════════════════════════════════════════════════════════════════════
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES (
+    'question-media',
+    'question-media',
+    true,
+    5242880, -- 5 MB
+    ARRAY['image/png', 'image/jpeg', 'image/webp', 'image/gif', 'image/svg+xml']
+)
+ON CONFLICT (id) DO NOTHING;
+
+-- Same role sources as the API's requireAdmin (migration 006)
+CREATE OR REPLACE FUNCTION public.is_content_admin()
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT
+        coalesce(auth.jwt() -> 'app_metadata' ->> 'role', '') IN ('editor', 'owner', 'admin')
+        OR coalesce(auth.jwt() -> 'app_metadata' ->> 'is_admin', '') = 'true'
+        OR EXISTS (SELECT 1 FROM public.admin_users WHERE user_id = auth.uid());
+$$;
+
+DROP POLICY IF EXISTS question_media_admin_insert ON storage.objects;
+CREATE POLICY question_media_admin_insert ON storage.objects
+    FOR INSERT TO authenticated
+    WITH CHECK (bucket_id = 'question-media' AND public.is_content_admin());
+
+DROP POLICY IF EXISTS question_media_admin_update ON storage.objects;
+CREATE POLICY question_media_admin_update ON storage.objects
+    FOR UPDATE TO authenticated
+    USING (bucket_id = 'question-media' AND public.is_content_admin());
+
+DROP POLICY IF EXISTS question_media_admin_delete ON storage.objects;
+CREATE POLICY question_media_admin_delete ON storage.objects
+    FOR DELETE TO authenticated
+    USING (bucket_id = 'question-media' AND public.is_content_admin());
+
+COMMIT;
@@ -0,0 +1,199 @@
+/*
+╔════════════════════════════════════════════════════════════════════════════╗
+║                   MIGRATION 009: Question Types & Groups                  ║
+║                                                                            ║
+║ questions.question_type:                                                  ║
+║   single     - one best answer (correct_answer_index), as before          ║
+║   multi      - select all that apply (correct_answer_indices), partial    ║
+║                credit = (right picks - wrong picks) / correct, min 0      ║
+║   true_false - options are statements; correct_answer_indices lists the   ║
+║                TRUE ones; credit per statement judged right               ║
+║   emq        - extended matching item; one index into the option list of  ║
+║                its question_groups row                                    ║
+║                                                                            ║
+║ question_groups bundle questions under a shared stem: 'case' (clinical    ║
+║ vignette followed by several questions) or 'emq' (theme, lead-in and one  ║
+║ option list shared by every item).                                        ║
+║                                                                            ║
+║ user_responses gains selected_answer_indices and score (0-1). Grading     ║
+║ moves to grade_answer(), used by the auto_grade_response trigger and      ║
+║ mirrored by gradeAnswer() in server/routes.js.                            ║
+║                                                                            ║
+╚════════════════════════════════════════════════════════════════════════════╝
+*/
+
+BEGIN;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Groups: clinical cases and EMQ sets
+-- ═══════════════════════════════════════════════════════════════════════════
+CREATE TABLE IF NOT EXISTS public.question_groups (
+    id          UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+    external_id TEXT        UNIQUE,
+    lecture_id  UUID        NOT NULL REFERENCES public.lectures(id) ON DELETE CASCADE,
+    group_type  TEXT        NOT NULL CHECK (group_type IN ('case', 'emq')),
+    title       TEXT,       -- EMQ theme or case title
+    stem        TEXT        NOT NULL DEFAULT '', -- Vignette or EMQ lead-in
+    options     JSONB,      -- EMQ only: shared list, same format as questions.options
+    media       JSONB       NOT NULL DEFAULT '[]'::jsonb CHECK (jsonb_typeof(media) = 'array'),
+    group_order INTEGER     NOT NULL DEFAULT 0,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+    CHECK (group_type <> 'emq' OR jsonb_typeof(options) = 'array')
+);
+
+CREATE INDEX IF NOT EXISTS idx_question_groups_lecture
+    ON public.question_groups (lecture_id, group_order);
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Questions
+-- ═══════════════════════════════════════════════════════════════════════════
+ALTER TABLE public.questions
+    ADD COLUMN IF NOT EXISTS question_type TEXT NOT NULL DEFAULT 'single'
+        CHECK (question_type IN ('single', 'multi', 'true_false', 'emq')),
+    ADD COLUMN IF NOT EXISTS correct_answer_indices INTEGER[],
+    ADD COLUMN IF NOT EXISTS group_id UUID REFERENCES public.question_groups(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS group_order INTEGER NOT NULL DEFAULT 0;
+
+-- Multi-answer types keep their key in correct_answer_indices instead
+ALTER TABLE public.questions
+    ALTER COLUMN correct_answer_index DROP NOT NULL;
+
+ALTER TABLE public.questions DROP CONSTRAINT IF EXISTS questions_answer_key_check;
+ALTER TABLE public.questions
+    ADD CONSTRAINT questions_answer_key_check CHECK (
+        CASE question_type
+            WHEN 'multi'      THEN cardinality(correct_answer_indices) > 0
+            WHEN 'true_false' THEN correct_answer_indices IS NOT NULL
+            WHEN 'emq'        THEN correct_answer_index IS NOT NULL AND group_id IS NOT NULL
+            ELSE correct_answer_index IS NOT NULL
+        END
+    );
+
+CREATE INDEX IF NOT EXISTS idx_questions_group
+    ON public.questions (group_id, group_order)
+    WHERE group_id IS NOT NULL;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Responses: array answers and partial credit
+-- ═══════════════════════════════════════════════════════════════════════════
+ALTER TABLE public.user_responses
+    ALTER COLUMN selected_answer_index DROP NOT NULL,
+    ADD COLUMN IF NOT EXISTS selected_answer_indices INTEGER[],
+    ADD COLUMN IF NOT EXISTS score NUMERIC(4, 3) CHECK (score BETWEEN 0 AND 1);
+
+ALTER TABLE public.user_responses DROP CONSTRAINT IF EXISTS user_responses_one_answer_check;
+ALTER TABLE public.user_responses
+    ADD CONSTRAINT user_responses_one_answer_check
+        CHECK ((selected_answer_index IS NULL) <> (selected_answer_indices IS NULL));
+
+-- Earlier single-answer rows: full or no credit
+UPDATE public.user_responses
+    SET score = CASE WHEN is_correct THEN 1 ELSE 0 END
+    WHERE score IS NULL;
+
+ALTER TABLE public.practice_reveals
+    ADD COLUMN IF NOT EXISTS selected_answer_indices INTEGER[];
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Grading
+-- ═══════════════════════════════════════════════════════════════════════════
+CREATE OR REPLACE FUNCTION public.grade_answer(
+    p_question_id      UUID,
+    p_selected_index   INTEGER,
+    p_selected_indices INTEGER[],
+    OUT is_correct     BOOLEAN,
+    OUT score          NUMERIC
+)
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+    q            RECORD;
+    option_count INTEGER;
+    correct_set  INTEGER[];
+    selected     INTEGER[];
+    hits         INTEGER;
+    wrong        INTEGER;
+    matches      INTEGER;
+BEGIN
+    SELECT question_type, options, correct_answer_index, correct_answer_indices
+        INTO q
+        FROM public.questions
+        WHERE id = p_question_id;
+
+    IF NOT FOUND THEN
+        is_correct := false;
+        score := 0;
+        RETURN;
+    END IF;
+
+    IF q.question_type IN ('multi', 'true_false') THEN
+        option_count := CASE WHEN jsonb_typeof(q.options) = 'array' THEN jsonb_array_length(q.options) ELSE 0 END;
+        correct_set := coalesce(q.correct_answer_indices, '{}');
+        -- Duplicates and indices outside the option list are ignored
+        selected := ARRAY(
+            SELECT DISTINCT s FROM unnest(coalesce(p_selected_indices, '{}')) AS s
+            WHERE s >= 0 AND s < option_count
+        );
+        hits := cardinality(ARRAY(SELECT unnest(selected) INTERSECT SELECT unnest(correct_set)));
+        wrong := cardinality(selected) - hits;
+
+        IF q.question_type = 'multi' THEN
+            is_correct := hits = cardinality(correct_set) AND wrong = 0;
+            score := CASE WHEN cardinality(correct_set) = 0 THEN 0
+                          ELSE greatest(0, (hits - wrong)::NUMERIC / cardinality(correct_set)) END;
+        ELSE
+            -- TRUE statements marked true + FALSE statements left unmarked
+            matches := hits + (option_count - cardinality(correct_set) - wrong);
+            is_correct := matches = option_count;
+            score := CASE WHEN option_count = 0 THEN 0 ELSE matches::NUMERIC / option_count END;
+        END IF;
+    ELSE
+        is_correct := p_selected_index IS NOT NULL AND p_selected_index = q.correct_answer_index;
+        score := CASE WHEN is_correct THEN 1 ELSE 0 END;
+    END IF;
+
+    score := round(score, 3);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.auto_grade_response()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    graded RECORD;
+BEGIN
+    SELECT * INTO graded
+        FROM public.grade_answer(NEW.question_id, NEW.selected_answer_index, NEW.selected_answer_indices);
+
+    NEW.is_correct := graded.is_correct;
+    NEW.score := graded.score;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS auto_grade_response ON public.user_responses;
+CREATE TRIGGER auto_grade_response
+    BEFORE INSERT OR UPDATE OF selected_answer_index, selected_answer_indices, question_id
+    ON public.user_responses
+    FOR EACH ROW
+    EXECUTE FUNCTION public.auto_grade_response();
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- RLS: groups hold no answer key; anyone reads, admins write (migration 008)
+-- ═══════════════════════════════════════════════════════════════════════════
+ALTER TABLE public.question_groups ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS question_groups_read ON public.question_groups;
+CREATE POLICY question_groups_read ON public.question_groups
+    FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS question_groups_admin_write ON public.question_groups;
+CREATE POLICY question_groups_admin_write ON public.question_groups
+    FOR ALL TO authenticated
+    USING (public.is_content_admin())
+    WITH CHECK (public.is_content_admin());
+
+COMMIT;
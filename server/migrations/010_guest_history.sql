@@ -0,0 +1,50 @@
+/*
+╔════════════════════════════════════════════════════════════════════════════╗
+║                 MIGRATION 010: Imported Guest Quiz History                ║
+║                                                                            ║
+║ Before signing in, a student's quiz results live only in the IndexedDB    ║
+║ `quizResults` store of one device. On first sign-in the PWA uploads them  ║
+║ here once (POST /api/student/history/import), and every later sign-in on  ║
+║ another device downloads them again (GET /api/student/history).           ║
+║                                                                            ║
+║ Rows are summaries (score / total), not per-question answers: guests      ║
+║ never sent their answers to the server. client_key (lecture + finish      ║
+║ time) makes re-uploads from the same device idempotent.                   ║
+║                                                                            ║
+╚════════════════════════════════════════════════════════════════════════════╝
+*/
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.imported_quiz_results (
+    id             UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id        UUID        NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    client_key     TEXT        NOT NULL CHECK (char_length(client_key) BETWEEN 1 AND 200),
+    lecture_ref    TEXT        NOT NULL, -- Lecture UUID / external_id, or a deck id (deck:review, ...)
+    lecture_id     UUID        REFERENCES public.lectures(id) ON DELETE SET NULL,
+    lecture_name   TEXT,
+    score          NUMERIC(6, 1) NOT NULL CHECK (score >= 0),
+    total          INTEGER     NOT NULL CHECK (total > 0),
+    mode           TEXT        NOT NULL DEFAULT 'practice' CHECK (mode IN ('practice', 'exam')),
+    time_spent_ms  INTEGER     CHECK (time_spent_ms >= 0),
+    completed_at   TIMESTAMPTZ NOT NULL,
+    imported_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+    UNIQUE (user_id, client_key),
+    CHECK (score <= total)
+);
+
+CREATE INDEX IF NOT EXISTS idx_imported_quiz_results_user_completed
+    ON public.imported_quiz_results (user_id, completed_at DESC);
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- RLS: students can only see their own history
+-- (the API uses the service role and filters by the JWT user id)
+-- ═══════════════════════════════════════════════════════════════════════════
+ALTER TABLE public.imported_quiz_results ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS imported_quiz_results_owner ON public.imported_quiz_results;
+CREATE POLICY imported_quiz_results_owner ON public.imported_quiz_results
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+COMMIT;
@@ -0,0 +1,155 @@
+/*
+╔════════════════════════════════════════════════════════════════════════════╗
+║                MIGRATION 011: Cohort Answer Distributions                 ║
+║                                                                            ║
+║ question_answer_stats keeps, per question, how students answered it the   ║
+║ first time (user_responses.attempt_number = 1): number of responses,      ║
+║ fully correct answers, summed partial credit, and how often each option   ║
+║ was picked (option_counts: {"<original index>": count}). For true_false   ║
+║ questions an option counts as picked when the statement was marked TRUE.  ║
+║                                                                            ║
+║ Kept current by the track_answer_stats trigger (insert, delete, changed   ║
+║ answer), so /api/practice/check-answer reads one row instead of scanning  ║
+║ user_responses. rebuild_question_answer_stats() recomputes everything.    ║
+║                                                                            ║
+╚════════════════════════════════════════════════════════════════════════════╝
+*/
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.question_answer_stats (
+    question_id   UUID           PRIMARY KEY REFERENCES public.questions(id) ON DELETE CASCADE,
+    responses     INTEGER        NOT NULL DEFAULT 0 CHECK (responses >= 0),
+    correct       INTEGER        NOT NULL DEFAULT 0 CHECK (correct >= 0),
+    score_sum     NUMERIC(12, 3) NOT NULL DEFAULT 0,
+    option_counts JSONB          NOT NULL DEFAULT '{}'::jsonb CHECK (jsonb_typeof(option_counts) = 'object'),
+    updated_at    TIMESTAMPTZ    NOT NULL DEFAULT now()
+);
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Incremental maintenance
+-- ═══════════════════════════════════════════════════════════════════════════
+CREATE OR REPLACE FUNCTION public.apply_answer_stats(
+    p_question_id      UUID,
+    p_selected_index   INTEGER,
+    p_selected_indices INTEGER[],
+    p_is_correct       BOOLEAN,
+    p_score            NUMERIC,
+    p_sign             INTEGER -- 1 = add the answer, -1 = take it back
+)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    picks INTEGER[];
+    pick  INTEGER;
+BEGIN
+    picks := CASE
+        WHEN p_selected_indices IS NOT NULL THEN ARRAY(SELECT DISTINCT s FROM unnest(p_selected_indices) AS s WHERE s >= 0)
+        WHEN p_selected_index >= 0 THEN ARRAY[p_selected_index]
+        ELSE '{}'::INTEGER[]
+    END;
+
+    INSERT INTO public.question_answer_stats (question_id)
+        VALUES (p_question_id)
+        ON CONFLICT (question_id) DO NOTHING;
+
+    UPDATE public.question_answer_stats
+        SET responses  = greatest(responses + p_sign, 0),
+            correct    = greatest(correct + CASE WHEN p_is_correct THEN p_sign ELSE 0 END, 0),
+            score_sum  = score_sum + p_sign * coalesce(p_score, CASE WHEN p_is_correct THEN 1 ELSE 0 END),
+            updated_at = now()
+        WHERE question_id = p_question_id;
+
+    FOREACH pick IN ARRAY picks LOOP
+        UPDATE public.question_answer_stats
+            SET option_counts = jsonb_set(
+                    option_counts,
+                    ARRAY[pick::TEXT],
+                    to_jsonb(greatest(coalesce((option_counts ->> pick::TEXT)::INTEGER, 0) + p_sign, 0))
+                )
+            WHERE question_id = p_question_id;
+    END LOOP;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.track_answer_stats()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    -- Runs after auto_grade_response (BEFORE trigger) has set is_correct and score
+    IF TG_OP IN ('UPDATE', 'DELETE') AND OLD.attempt_number = 1 THEN
+        PERFORM public.apply_answer_stats(OLD.question_id, OLD.selected_answer_index,
+            OLD.selected_answer_indices, OLD.is_correct, OLD.score, -1);
+    END IF;
+
+    IF TG_OP IN ('INSERT', 'UPDATE') AND NEW.attempt_number = 1 THEN
+        PERFORM public.apply_answer_stats(NEW.question_id, NEW.selected_answer_index,
+            NEW.selected_answer_indices, NEW.is_correct, NEW.score, 1);
+    END IF;
+
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS track_answer_stats ON public.user_responses;
+CREATE TRIGGER track_answer_stats
+    AFTER INSERT OR DELETE
+        OR UPDATE OF selected_answer_index, selected_answer_indices, question_id, attempt_number
+    ON public.user_responses
+    FOR EACH ROW
+    EXECUTE FUNCTION public.track_answer_stats();
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Full rebuild (also the backfill for existing answers)
+-- ═══════════════════════════════════════════════════════════════════════════
+CREATE OR REPLACE FUNCTION public.rebuild_question_answer_stats()
+RETURNS VOID
+LANGUAGE sql
+AS $$
+    DELETE FROM public.question_answer_stats;
+
+    WITH first_answers AS (
+        SELECT question_id, selected_answer_index, selected_answer_indices, is_correct, score
+        FROM public.user_responses
+        WHERE attempt_number = 1
+    ),
+    picks AS (
+        SELECT question_id, pick, count(*) AS picked
+        FROM first_answers,
+            LATERAL unnest(CASE
+                WHEN selected_answer_indices IS NOT NULL THEN ARRAY(SELECT DISTINCT s FROM unnest(selected_answer_indices) AS s)
+                ELSE ARRAY[selected_answer_index]
+            END) AS pick
+        WHERE pick >= 0
+        GROUP BY question_id, pick
+    )
+    INSERT INTO public.question_answer_stats (question_id, responses, correct, score_sum, option_counts)
+    SELECT
+        a.question_id,
+        count(*),
+        count(*) FILTER (WHERE a.is_correct),
+        sum(coalesce(a.score, CASE WHEN a.is_correct THEN 1 ELSE 0 END)),
+        coalesce((
+            SELECT jsonb_object_agg(p.pick::TEXT, p.picked)
+            FROM picks p
+            WHERE p.question_id = a.question_id
+        ), '{}'::jsonb)
+    FROM first_answers a
+    GROUP BY a.question_id;
+$$;
+
+SELECT public.rebuild_question_answer_stats();
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- RLS: students see distributions through the API; admins read directly
+-- ═══════════════════════════════════════════════════════════════════════════
+ALTER TABLE public.question_answer_stats ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS question_answer_stats_admin_read ON public.question_answer_stats;
+CREATE POLICY question_answer_stats_admin_read ON public.question_answer_stats
+    FOR SELECT TO authenticated
+    USING (public.is_content_admin());
+
+COMMIT;
@@ -0,0 +1,67 @@
+/*
+╔════════════════════════════════════════════════════════════════════════════╗
+║                    MIGRATION 012: Question Problem Reports                ║
+║                                                                            ║
+║ Students (signed in or guests) report a problem with a question from the  ║
+║ quiz screen: POST /api/questions/:questionId/reports. Offline reports are ║
+║ queued on the device and replayed with the same client_report_id, which   ║
+║ keeps the insert idempotent.                                              ║
+║                                                                            ║
+║ Admins triage through /api/admin/question-reports: open reports grouped   ║
+║ by question, then resolved (fixed) or dismissed (no change needed).       ║
+║ Guests are identified by a keyed hash of their IP only (also the rate     ║
+║ limit window, like practice_reveals).                                     ║
+║                                                                            ║
+╚════════════════════════════════════════════════════════════════════════════╝
+*/
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.question_reports (
+    id               UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+    client_report_id TEXT        UNIQUE CHECK (char_length(client_report_id) <= 64),
+    question_id      UUID        NOT NULL REFERENCES public.questions(id) ON DELETE CASCADE,
+    lecture_id       UUID        REFERENCES public.lectures(id) ON DELETE SET NULL,
+    user_id          UUID        REFERENCES auth.users(id) ON DELETE SET NULL, -- NULL = guest
+    ip_hash          TEXT,
+    category         TEXT        NOT NULL CHECK (category IN (
+                                     'wrong_key', 'typo', 'outdated', 'ambiguous', 'image', 'other'
+                                 )),
+    details          TEXT        NOT NULL DEFAULT '' CHECK (char_length(details) <= 2000),
+    status           TEXT        NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'dismissed')),
+    resolution_note  TEXT        CHECK (char_length(resolution_note) <= 2000),
+    resolved_by      UUID        REFERENCES auth.users(id) ON DELETE SET NULL,
+    resolved_at      TIMESTAMPTZ,
+    reported_at      TIMESTAMPTZ NOT NULL DEFAULT now(), -- When the student reported it (may be offline)
+    created_at       TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Triage list: open reports, busiest questions first
+CREATE INDEX IF NOT EXISTS idx_question_reports_status_question
+    ON public.question_reports (status, question_id);
+
+-- Rate limit windows
+CREATE INDEX IF NOT EXISTS idx_question_reports_user_created
+    ON public.question_reports (user_id, created_at)
+    WHERE user_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_question_reports_ip_created
+    ON public.question_reports (ip_hash, created_at);
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- RLS: written through the API; admins read and triage (migration 006)
+-- ═══════════════════════════════════════════════════════════════════════════
+ALTER TABLE public.question_reports ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS question_reports_admin_read ON public.question_reports;
+CREATE POLICY question_reports_admin_read ON public.question_reports
+    FOR SELECT TO authenticated
+    USING (public.is_content_admin());
+
+DROP POLICY IF EXISTS question_reports_admin_update ON public.question_reports;
+CREATE POLICY question_reports_admin_update ON public.question_reports
+    FOR UPDATE TO authenticated
+    USING (public.is_content_admin())
+    WITH CHECK (public.is_content_admin());
+
+COMMIT;
@@ -0,0 +1,174 @@
+/*
+╔════════════════════════════════════════════════════════════════════════════╗
+║                 MIGRATION 013: Adaptive Practice Abilities                ║
+║                                                                            ║
+║ student_abilities keeps one Elo-style ability estimate per student and    ║
+║ subject, on the logit scale of a Rasch model: a student of ability a      ║
+║ answers a question of difficulty d correctly with p = 1/(1 + e^(d - a)).  ║
+║                                                                            ║
+║ question_difficulty() places a question on that scale: the authored       ║
+║ difficulty_level (1 → -1, 2 → 0, 3 → +1) blended with its first-attempt   ║
+║ correct rate (question_answer_stats) as answers accumulate.               ║
+║                                                                            ║
+║ Every new answer (user_responses insert) moves the ability by             ║
+║ k * (score - p); k shrinks from 1.0 towards 0.2 as the student answers    ║
+║ more in the subject. rebuild_student_abilities() replays all answers.     ║
+║ server/routes.js (questionDifficulty) and js/adaptive-engine.js mirror    ║
+║ these formulas.                                                           ║
+║                                                                            ║
+╚════════════════════════════════════════════════════════════════════════════╝
+*/
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.student_abilities (
+    user_id    UUID          NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    subject_id UUID          NOT NULL REFERENCES public.subjects(id) ON DELETE CASCADE,
+    ability    NUMERIC(6, 3) NOT NULL DEFAULT 0, -- Logits, clamped to [-4, 4]
+    responses  INTEGER       NOT NULL DEFAULT 0 CHECK (responses >= 0),
+    updated_at TIMESTAMPTZ   NOT NULL DEFAULT now(),
+    PRIMARY KEY (user_id, subject_id)
+);
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Item difficulty (logits)
+-- ═══════════════════════════════════════════════════════════════════════════
+CREATE OR REPLACE FUNCTION public.question_difficulty(p_question_id UUID)
+RETURNS NUMERIC
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+    prior     NUMERIC;
+    n         INTEGER;
+    p         NUMERIC;
+    empirical NUMERIC;
+BEGIN
+    SELECT CASE q.difficulty_level WHEN 1 THEN -1 WHEN 3 THEN 1 ELSE 0 END,
+           coalesce(s.responses, 0),
+           -- Partial credit counts; +0.5 / +1 keeps 0% and 100% finite
+           (coalesce(s.score_sum, 0) + 0.5) / (coalesce(s.responses, 0) + 1)
+        INTO prior, n, p
+        FROM public.questions q
+        LEFT JOIN public.question_answer_stats s ON s.question_id = q.id
+        WHERE q.id = p_question_id;
+
+    IF NOT FOUND THEN
+        RETURN 0;
+    END IF;
+
+    empirical := greatest(-3, least(3, ln((1 - p) / p)));
+
+    -- Trust the answers over the authored level once there are ~20 of them
+    RETURN round((prior * 20 + empirical * n) / (20 + n), 3);
+END;
+$$;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Ability update
+-- ═══════════════════════════════════════════════════════════════════════════
+CREATE OR REPLACE FUNCTION public.apply_ability_update(
+    p_user_id     UUID,
+    p_question_id UUID,
+    p_lecture_id  UUID,
+    p_is_correct  BOOLEAN,
+    p_score       NUMERIC,
+    p_answered_at TIMESTAMPTZ
+)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_subject_id UUID;
+    prev         RECORD;
+    expected     NUMERIC;
+    k            NUMERIC;
+BEGIN
+    SELECT l.subject_id INTO v_subject_id
+        FROM public.lectures l
+        WHERE l.id = coalesce(p_lecture_id, (SELECT lecture_id FROM public.questions WHERE id = p_question_id));
+
+    IF v_subject_id IS NULL THEN
+        RETURN;
+    END IF;
+
+    INSERT INTO public.student_abilities (user_id, subject_id)
+        VALUES (p_user_id, v_subject_id)
+        ON CONFLICT (user_id, subject_id) DO NOTHING;
+
+    SELECT ability, responses INTO prev
+        FROM public.student_abilities
+        WHERE user_id = p_user_id AND subject_id = v_subject_id
+        FOR UPDATE;
+
+    expected := 1 / (1 + exp(public.question_difficulty(p_question_id) - prev.ability));
+    k := greatest(0.2, 1 / (1 + prev.responses * 0.05));
+
+    UPDATE public.student_abilities
+        SET ability    = greatest(-4, least(4, prev.ability
+                             + k * (coalesce(p_score, CASE WHEN p_is_correct THEN 1 ELSE 0 END) - expected))),
+            responses  = prev.responses + 1,
+            updated_at = greatest(updated_at, coalesce(p_answered_at, now()))
+        WHERE user_id = p_user_id AND subject_id = v_subject_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.track_student_ability()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    -- Runs after auto_grade_response (BEFORE trigger) has set is_correct and score
+    IF NEW.user_id IS NOT NULL THEN
+        PERFORM public.apply_ability_update(NEW.user_id, NEW.question_id, NEW.lecture_id,
+            NEW.is_correct, NEW.score, NEW.created_at);
+    END IF;
+
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS track_student_ability ON public.user_responses;
+CREATE TRIGGER track_student_ability
+    AFTER INSERT
+    ON public.user_responses
+    FOR EACH ROW
+    EXECUTE FUNCTION public.track_student_ability();
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Full rebuild (also the backfill for existing answers), oldest answer first
+-- ═══════════════════════════════════════════════════════════════════════════
+CREATE OR REPLACE FUNCTION public.rebuild_student_abilities()
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    r RECORD;
+BEGIN
+    DELETE FROM public.student_abilities;
+
+    FOR r IN
+        SELECT user_id, question_id, lecture_id, is_correct, score, created_at
+        FROM public.user_responses
+        WHERE user_id IS NOT NULL
+        ORDER BY created_at, id
+    LOOP
+        PERFORM public.apply_ability_update(r.user_id, r.question_id, r.lecture_id,
+            r.is_correct, r.score, r.created_at);
+    END LOOP;
+END;
+$$;
+
+SELECT public.rebuild_student_abilities();
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- RLS: students read their own estimates; written only by the trigger
+-- ═══════════════════════════════════════════════════════════════════════════
+ALTER TABLE public.student_abilities ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS student_abilities_own_read ON public.student_abilities;
+CREATE POLICY student_abilities_own_read ON public.student_abilities
+    FOR SELECT TO authenticated
+    USING (auth.uid() = user_id);
+
+COMMIT;
@@ -0,0 +1,113 @@
+/*
+╔════════════════════════════════════════════════════════════════════════════╗
+║                  MIGRATION 014: Content Change Log                        ║
+║                                                                            ║
+║ content_changes gets one row per insert, update or delete of a year,      ║
+║ module, subject, lecture, question or question group, written by          ║
+║ triggers so edits from admin-v2 (direct Supabase writes), the API, the    ║
+║ seeder and the importer are all caught.                                   ║
+║                                                                            ║
+║ GET /api/changes?since= reads it so the PWA refetches only the lectures   ║
+║ that changed instead of re-downloading on a timer. A question moved to    ║
+║ another lecture is logged as a delete from the old lecture and an upsert  ║
+║ in the new one.                                                           ║
+║                                                                            ║
+║ Rows older than 90 days can be pruned with prune_content_changes(); the   ║
+║ API asks clients that fell further behind to resync everything.           ║
+║                                                                            ║
+╚════════════════════════════════════════════════════════════════════════════╝
+*/
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.content_changes (
+    id         BIGSERIAL   PRIMARY KEY,
+    entity     TEXT        NOT NULL CHECK (entity IN ('year', 'module', 'subject', 'lecture', 'question', 'question_group')),
+    entity_id  UUID        NOT NULL,
+    lecture_id UUID,       -- Lecture whose payload changed (NULL above lecture level)
+    action     TEXT        NOT NULL CHECK (action IN ('upsert', 'delete')),
+    changed_at TIMESTAMPTZ NOT NULL DEFAULT clock_timestamp()
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_changes_changed
+    ON public.content_changes (changed_at);
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Trigger: one function for every content table
+-- ═══════════════════════════════════════════════════════════════════════════
+CREATE OR REPLACE FUNCTION public.log_content_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER -- admin-v2 writes as an authenticated user; the log has no policies
+SET search_path = public
+AS $$
+DECLARE
+    v_entity     TEXT := CASE TG_TABLE_NAME
+        WHEN 'years' THEN 'year'
+        WHEN 'modules' THEN 'module'
+        WHEN 'subjects' THEN 'subject'
+        WHEN 'lectures' THEN 'lecture'
+        WHEN 'questions' THEN 'question'
+        ELSE 'question_group'
+    END;
+    v_old_lecture UUID;
+    v_new_lecture UUID;
+BEGIN
+    -- Separate statements: OLD.lecture_id does not exist on lectures
+    IF TG_TABLE_NAME = 'lectures' THEN
+        IF TG_OP <> 'INSERT' THEN v_old_lecture := OLD.id; END IF;
+        IF TG_OP <> 'DELETE' THEN v_new_lecture := NEW.id; END IF;
+    ELSIF TG_TABLE_NAME IN ('questions', 'question_groups') THEN
+        IF TG_OP <> 'INSERT' THEN v_old_lecture := OLD.lecture_id; END IF;
+        IF TG_OP <> 'DELETE' THEN v_new_lecture := NEW.lecture_id; END IF;
+    END IF;
+
+    IF TG_OP = 'DELETE'
+        OR (TG_OP = 'UPDATE' AND TG_TABLE_NAME <> 'lectures' AND v_old_lecture IS DISTINCT FROM v_new_lecture) THEN
+        INSERT INTO public.content_changes (entity, entity_id, lecture_id, action)
+            VALUES (v_entity, OLD.id, v_old_lecture, 'delete');
+    END IF;
+
+    IF TG_OP <> 'DELETE' THEN
+        INSERT INTO public.content_changes (entity, entity_id, lecture_id, action)
+            VALUES (v_entity, NEW.id, v_new_lecture, 'upsert');
+    END IF;
+
+    RETURN NULL;
+END;
+$$;
+
+DO $$
+DECLARE
+    t TEXT;
+BEGIN
+    FOREACH t IN ARRAY ARRAY['years', 'modules', 'subjects', 'lectures', 'questions', 'question_groups'] LOOP
+        EXECUTE format('DROP TRIGGER IF EXISTS log_content_change ON public.%I', t);
+        EXECUTE format(
+            'CREATE TRIGGER log_content_change AFTER INSERT OR UPDATE OR DELETE ON public.%I '
+            'FOR EACH ROW EXECUTE FUNCTION public.log_content_change()', t);
+    END LOOP;
+END;
+$$;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Retention
+-- ═══════════════════════════════════════════════════════════════════════════
+CREATE OR REPLACE FUNCTION public.prune_content_changes(p_keep INTERVAL DEFAULT interval '90 days')
+RETURNS INTEGER
+LANGUAGE sql
+AS $$
+    WITH pruned AS (
+        DELETE FROM public.content_changes
+        WHERE changed_at < now() - p_keep
+        RETURNING 1
+    )
+    SELECT count(*)::INTEGER FROM pruned;
+$$;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- RLS: no direct access; the API (service role) reads, the trigger writes
+-- ═══════════════════════════════════════════════════════════════════════════
+ALTER TABLE public.content_changes ENABLE ROW LEVEL SECURITY;
+
+COMMIT;
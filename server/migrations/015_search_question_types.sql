@@ -0,0 +1,45 @@
+/*
+╔════════════════════════════════════════════════════════════════════════════╗
+║              MIGRATION 015: Question Types in Search Results              ║
+║                                                                            ║
+║ search_questions() (migration 002) predates question types, groups and    ║
+║ media (migrations 008, 009), so search results opened in practice cards   ║
+║ rendered every question as single-answer and without images or case       ║
+║ stems. It now also returns question_type, group_id, group_order and       ║
+║ media; GET /api/search attaches the groups like the lecture routes do.    ║
+║                                                                            ║
+║ The result columns change, so the function is dropped and recreated.      ║
+║ It still never returns correct_answer_index(es) or explanation.           ║
+║                                                                            ║
+╚════════════════════════════════════════════════════════════════════════════╝
+*/
+
+BEGIN;
+
+DROP FUNCTION IF EXISTS public.search_questions(TEXT, INTEGER);
+
+CREATE FUNCTION public.search_questions(search_query TEXT, max_results INTEGER DEFAULT 20)
+RETURNS TABLE (
+    id               UUID,
+    lecture_id       UUID,
+    text             TEXT,
+    options          JSONB,
+    difficulty_level INTEGER,
+    question_type    TEXT,
+    group_id         UUID,
+    group_order      INTEGER,
+    media            JSONB,
+    rank             REAL
+)
+LANGUAGE sql STABLE
+AS $$
+    SELECT q.id, q.lecture_id, q.text, q.options, q.difficulty_level::INTEGER,
+           q.question_type, q.group_id, q.group_order, q.media,
+           ts_rank(q.search_vector, websearch_to_tsquery('english', search_query)) AS rank
+    FROM public.questions q
+    WHERE q.search_vector @@ websearch_to_tsquery('english', search_query)
+    ORDER BY rank DESC, q.question_order ASC
+    LIMIT LEAST(GREATEST(max_results, 1), 50);
+$$;
+
+COMMIT;
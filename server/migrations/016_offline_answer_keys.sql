@@ -0,0 +1,32 @@
+/*
+╔════════════════════════════════════════════════════════════════════════════╗
+║                 MIGRATION 016: Offline Answer Envelope Keys               ║
+║                                                                            ║
+║ Answer envelopes (server/routes.js) are HMAC tags whose per-question keys ║
+║ never travel with the lecture. POST /api/quiz/session { offlineKeys }     ║
+║ releases the keys of the session's questions so they can be graded        ║
+║ offline; practice_sessions.keys_released counts them, and its total over  ║
+║ the rolling hour counts toward the per-user / per-IP reveal limit.        ║
+║                                                                            ║
+║ Offline answers are replayed against the session that released their      ║
+║ key, once per question, and logged in practice_reveals with replayed =    ║
+║ true (they reveal nothing, so the reveal rate limit skips them). Those    ║
+║ sessions are kept longer than the 7 days of migration 007.                ║
+║                                                                            ║
+╚════════════════════════════════════════════════════════════════════════════╝
+*/
+
+-- Housekeeping (replaces the practice_sessions line of migration 007):
+--   DELETE FROM public.practice_sessions
+--   WHERE expires_at < now() - CASE WHEN keys_released > 0 THEN interval '30 days' ELSE interval '7 days' END;
+
+BEGIN;
+
+ALTER TABLE public.practice_sessions
+    ADD COLUMN IF NOT EXISTS keys_released INTEGER NOT NULL DEFAULT 0
+        CHECK (keys_released >= 0);
+
+ALTER TABLE public.practice_reveals
+    ADD COLUMN IF NOT EXISTS replayed BOOLEAN NOT NULL DEFAULT false;
+
+COMMIT;
@@ -0,0 +1,870 @@
+/**
+ * Question exports: Anki (.apkg), Moodle GIFT, IMS QTI 1.2 and PDF worksheets
+ *
+ * Used by the export endpoints in server/routes.js (ENDPOINT 7d). Every
+ * format renders the same deck:
+ *   { title, questions: [{ id, externalId, text, type, options: [string],
+ *     correct: [index] | null, explanation, source, note, media, group }] }
+ * `correct: null` means the key is withheld (a student who has not answered
+ * the question yet); exports then say so instead of showing an answer.
+ *
+ * No dependencies: the Anki collection is a SQLite file written page by page
+ * (writeSqlite) and the PDF uses the standard Helvetica fonts. Archives are
+ * left to the caller (buildZip in server/routes.js): renderExport returns
+ * either a body or the files to zip.
+ */
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+const EXPORT_FORMATS = ['apkg', 'gift', 'qti', 'pdf'];
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// ============================================================================
+// SHARED
+// ============================================================================
+
+const letterOf = index => LETTERS[index] || String(index + 1);
+
+function escapeHtml(text) {
+    return String(text === null || text === undefined ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+const htmlLines = text => escapeHtml(text).replace(/\r?\n/g, '<br>');
+
+/**
+ * The answer as one line of text: "B. Femur", "A. x; C. y", or for
+ * true/false statements "A. True; B. False; ..."
+ */
+function answerText(question) {
+    if (!question.correct) return null;
+
+    if (question.type === 'true_false') {
+        return question.options
+            .map((option, index) => `${letterOf(index)}. ${question.correct.includes(index) ? 'True' : 'False'}`)
+            .join('; ');
+    }
+
+    return question.correct.map(index => `${letterOf(index)}. ${question.options[index] || ''}`).join('; ');
+}
+
+function instructionFor(question) {
+    if (question.type === 'multi') return 'Select all that apply.';
+    if (question.type === 'true_false') return 'Mark each statement true or false.';
+    return null;
+}
+
+// First question of each case / EMQ set carries the shared stem
+function withGroupStarts(questions) {
+    let previousGroup = null;
+    return questions.map(question => {
+        const groupId = question.group ? question.group.id : null;
+        const startsGroup = !!groupId && groupId !== previousGroup;
+        previousGroup = groupId;
+        return { question, startsGroup };
+    });
+}
+
+function slug(text) {
+    return String(text || 'harvi').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'harvi';
+}
+
+// ============================================================================
+// MOODLE GIFT
+// ============================================================================
+
+const escapeGift = text => String(text || '').replace(/([~=#{}:\\])/g, '\\$1').replace(/\r?\n/g, '\\n');
+
+function giftWeight(value) {
+    return String(Math.round(value * 100000) / 100000);
+}
+
+function toGift(deck) {
+    const lines = [
+        `// Harvi export: ${deck.title.replace(/\r?\n/g, ' ')} (${deck.questions.length} questions)`,
+        `$CATEGORY: $course$/Harvi/${deck.title.replace(/[\r\n/]/g, ' ')}`,
+        ''
+    ];
+
+    deck.questions.forEach(question => {
+        const stem = [question.group && question.group.stem, question.text].filter(Boolean).join('\n\n');
+        const title = escapeGift(question.externalId || question.id);
+        const feedback = question.explanation ? ` ####${escapeGift(question.explanation)}` : '';
+
+        if (!question.correct) {
+            lines.push(`// ${title}: answer key withheld, not exported`, '');
+            return;
+        }
+
+        // GIFT true/false holds one statement: one question per statement
+        if (question.type === 'true_false') {
+            question.options.forEach((statement, index) => {
+                lines.push(`::${title}_${letterOf(index).toLowerCase()}:: ${escapeGift(`${stem}\n\n${statement}`)} {${question.correct.includes(index) ? 'T' : 'F'}${feedback.trim()}}`, '');
+            });
+            return;
+        }
+
+        let answers;
+        if (question.type === 'multi') {
+            // Mirrors the app's partial credit: (right picks - wrong picks) / correct options
+            const weight = giftWeight(100 / question.correct.length);
+            answers = question.options.map((option, index) => (question.correct.includes(index)
+                ? `~%${weight}%${escapeGift(option)}`
+                : `~%-${weight}%${escapeGift(option)}`));
+        } else {
+            answers = question.options.map((option, index) => `${question.correct.includes(index) ? '=' : '~'}${escapeGift(option)}`);
+        }
+
+        if (feedback) answers.push(feedback.trim());
+        lines.push(`::${title}:: ${escapeGift(stem)} {`, ...answers.map(answer => `    ${answer}`), '}', '');
+    });
+
+    return lines.join('\n');
+}
+
+// ============================================================================
+// IMS QTI 1.2 (Canvas, Blackboard, Moodle via plugin)
+// ============================================================================
+
+const escapeXml = text => escapeHtml(text).replace(/'/g, '&apos;');
+
+function qtiItem(ident, title, type, stemHtml, options, correct, explanation) {
+    const multiple = type === 'multiple_answers_question';
+    const labels = options.map((option, index) => `
+            <response_label ident="${index + 1}">
+              <material><mattext texttype="text/plain">${escapeXml(option)}</mattext></material>
+            </response_label>`).join('');
+
+    const condition = multiple
+        ? `<and>${options.map((option, index) => (correct.includes(index)
+            ? `<varequal respident="response1">${index + 1}</varequal>`
+            : `<not><varequal respident="response1">${index + 1}</varequal></not>`)).join('')}</and>`
+        : `<varequal respident="response1">${correct[0] + 1}</varequal>`;
+
+    return `
+    <item ident="${escapeXml(ident)}" title="${escapeXml(title)}">
+      <itemmetadata>
+        <qtimetadata>
+          <qtimetadatafield><fieldlabel>question_type</fieldlabel><fieldentry>${type}</fieldentry></qtimetadatafield>
+          <qtimetadatafield><fieldlabel>points_possible</fieldlabel><fieldentry>1</fieldentry></qtimetadatafield>
+        </qtimetadata>
+      </itemmetadata>
+      <presentation>
+        <material><mattext texttype="text/html">${escapeXml(stemHtml)}</mattext></material>
+        <response_lid ident="response1" rcardinality="${multiple ? 'Multiple' : 'Single'}">
+          <render_choice>${labels}
+          </render_choice>
+        </response_lid>
+      </presentation>
+      <resprocessing>
+        <outcomes><decvar maxvalue="100" minvalue="0" varname="SCORE" vartype="Decimal"/></outcomes>
+        <respcondition continue="No">
+          <conditionvar>${condition}</conditionvar>
+          <setvar action="Set" varname="SCORE">100</setvar>
+        </respcondition>
+      </resprocessing>${explanation ? `
+      <itemfeedback ident="general_fb">
+        <flow_mat><material><mattext texttype="text/html">${escapeXml(htmlLines(explanation))}</mattext></material></flow_mat>
+      </itemfeedback>` : ''}
+    </item>`;
+}
+
+/**
+ * @returns {Array<{ name, content }>} imsmanifest.xml + assessment.xml (zip them)
+ */
+function toQtiFiles(deck) {
+    const items = [];
+
+    deck.questions.filter(question => question.correct).forEach(question => {
+        const ident = question.externalId || question.id;
+        const stemHtml = [question.group && question.group.stem, question.text].filter(Boolean).map(htmlLines).join('<br><br>');
+
+        if (question.type === 'true_false') {
+            question.options.forEach((statement, index) => {
+                items.push(qtiItem(`${ident}_${letterOf(index).toLowerCase()}`, `${ident} ${letterOf(index)}`, 'true_false_question',
+                    `${stemHtml}<br><br>${htmlLines(statement)}`, ['True', 'False'], [question.correct.includes(index) ? 0 : 1], question.explanation));
+            });
+        } else {
+            items.push(qtiItem(ident, ident, question.type === 'multi' ? 'multiple_answers_question' : 'multiple_choice_question',
+                stemHtml, question.options, question.correct, question.explanation));
+        }
+    });
+
+    const assessmentId = `harvi_${crypto.createHash('sha1').update(deck.title).digest('hex').slice(0, 12)}`;
+    const assessment = `<?xml version="1.0" encoding="UTF-8"?>
+<questestinterop xmlns="http://www.imsglobal.org/xsd/ims_qtiasiv1p2">
+  <assessment ident="${assessmentId}" title="${escapeXml(deck.title)}">
+   <section ident="root_section">${items.join('')}
+   </section>
+  </assessment>
+</questestinterop>
+`;
+
+    const manifest = `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${assessmentId}_manifest" xmlns="http://www.imsglobal.org/xsd/imscp_v1p1">
+  <metadata>
+    <schema>IMS Content</schema>
+    <schemaversion>1.1.3</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+    <resource identifier="${assessmentId}" type="imsqti_xmlv1p2">
+      <file href="assessment.xml"/>
+    </resource>
+  </resources>
+</manifest>
+`;
+
+    return [
+        { name: 'imsmanifest.xml', content: manifest },
+        { name: 'assessment.xml', content: assessment }
+    ];
+}
+
+// ============================================================================
+// SQLITE
+// Just enough of the file format for a fresh Anki collection: table b-trees
+// (leaf + interior pages, overflow chains), no indexes, no free pages.
+// ============================================================================
+
+const SQLITE_PAGE_SIZE = 4096;
+
+function sqliteVarint(value) {
+    const bytes = [value % 128];
+    let rest = Math.floor(value / 128);
+    while (rest > 0) {
+        bytes.unshift((rest % 128) | 0x80);
+        rest = Math.floor(rest / 128);
+    }
+    return Buffer.from(bytes);
+}
+
+// Record: header (serial types) + body; integers use the smallest size that fits
+function sqliteRecord(values) {
+    const types = [];
+    const bodies = [];
+
+    values.forEach(value => {
+        if (value === null || value === undefined) {
+            types.push(0);
+        } else if (Number.isInteger(value)) {
+            if (value === 0 || value === 1) {
+                types.push(value === 0 ? 8 : 9);
+                return;
+            }
+            const [type, size] = [[1, 1], [2, 2], [3, 3], [4, 4], [5, 6], [6, 8]]
+                .find(([, bytes]) => bytes === 8 || Math.abs(value) < 2 ** (bytes * 8 - 1));
+            const body = Buffer.alloc(size);
+            if (size === 8) body.writeBigInt64BE(BigInt(value));
+            else body.writeIntBE(value, 0, size);
+            types.push(type);
+            bodies.push(body);
+        } else if (typeof value === 'number') {
+            const body = Buffer.alloc(8);
+            body.writeDoubleBE(value);
+            types.push(7);
+            bodies.push(body);
+        } else {
+            const body = Buffer.from(String(value), 'utf8');
+            types.push(body.length * 2 + 13);
+            bodies.push(body);
+        }
+    });
+
+    const typeBytes = Buffer.concat(types.map(sqliteVarint));
+    let headerSize = typeBytes.length + 1;
+    if (sqliteVarint(headerSize).length > 1) headerSize = typeBytes.length + sqliteVarint(typeBytes.length + 2).length;
+
+    return Buffer.concat([sqliteVarint(headerSize), typeBytes, ...bodies]);
+}
+
+/**
+ * @param {Array<{ name, sql, rows: Array<{ rowid, values }> }>} tables
+ * @returns {Buffer} The database file
+ */
+function writeSqlite(tables) {
+    const usable = SQLITE_PAGE_SIZE;
+    const pages = [null]; // pages[n - 1] is page n; page 1 is sqlite_master
+
+    const allocate = () => pages.push(null);
+
+    function buildPage(type, cells, { headerOffset = 0, rightMost = 0 } = {}) {
+        const page = Buffer.alloc(usable);
+        const headerSize = type === 0x05 ? 12 : 8;
+        let contentStart = usable;
+
+        cells.forEach((cell, i) => {
+            contentStart -= cell.length;
+            cell.copy(page, contentStart);
+            page.writeUInt16BE(contentStart, headerOffset + headerSize + i * 2);
+        });
+
+        page[headerOffset] = type;
+        page.writeUInt16BE(cells.length, headerOffset + 3);
+        page.writeUInt16BE(contentStart % 65536, headerOffset + 5);
+        if (type === 0x05) page.writeUInt32BE(rightMost, headerOffset + 8);
+        return page;
+    }
+
+    // Leaf cell; payload past the local limit goes to a chain of overflow pages
+    function leafCell(rowid, payload) {
+        const maxLocal = usable - 35;
+        const minLocal = Math.floor((usable - 12) * 32 / 255) - 23;
+        let local = payload.length;
+        if (payload.length > maxLocal) {
+            const k = minLocal + ((payload.length - minLocal) % (usable - 4));
+            local = k <= maxLocal ? k : minLocal;
+        }
+
+        const parts = [sqliteVarint(payload.length), sqliteVarint(rowid), payload.subarray(0, local)];
+        if (local < payload.length) {
+            let rest = payload.subarray(local);
+            let pageNumber = allocate();
+            const first = Buffer.alloc(4);
+            first.writeUInt32BE(pageNumber);
+            parts.push(first);
+
+            while (rest.length > 0) {
+                const chunk = rest.subarray(0, usable - 4);
+                rest = rest.subarray(usable - 4);
+                const next = rest.length > 0 ? allocate() : 0;
+                const page = Buffer.alloc(usable);
+                page.writeUInt32BE(next, 0);
+                chunk.copy(page, 4);
+                pages[pageNumber - 1] = page;
+                pageNumber = next;
+            }
+        }
+
+        return Buffer.concat(parts);
+    }
+
+    // Packs cells into pages of one level; returns [{ page, cells, maxKey }]
+    function pack(entries, capacity) {
+        const groups = [];
+        let current = null;
+
+        entries.forEach(entry => {
+            if (!current || current.used + entry.cell.length + 2 > capacity) {
+                current = { entries: [], used: 0 };
+                groups.push(current);
+            }
+            current.entries.push(entry);
+            current.used += entry.cell.length + 2;
+        });
+
+        return groups.length > 0 ? groups : [{ entries: [], used: 0 }];
+    }
+
+    // Returns the root page number (page 1 for sqlite_master)
+    function writeTable(rows, isMaster = false) {
+        const sorted = [...rows].sort((a, b) => a.rowid - b.rowid);
+        const entries = sorted.map(row => ({ key: row.rowid, cell: leafCell(row.rowid, sqliteRecord(row.values)) }));
+
+        const leaves = pack(entries, usable - 8 - (isMaster ? 100 : 0));
+        if (isMaster) {
+            if (leaves.length > 1) throw new Error('Schema does not fit on the first page');
+            pages[0] = buildPage(0x0D, leaves[0].entries.map(entry => entry.cell), { headerOffset: 100 });
+            return 1;
+        }
+
+        let level = leaves.map(leaf => {
+            const page = allocate();
+            pages[page - 1] = buildPage(0x0D, leaf.entries.map(entry => entry.cell));
+            return { page, maxKey: leaf.entries.length > 0 ? leaf.entries[leaf.entries.length - 1].key : 0 };
+        });
+
+        // Interior levels: a cell per child except the right-most one
+        while (level.length > 1) {
+            const children = level;
+            const groups = [];
+            let group = [];
+            let used = 0;
+            children.forEach(child => {
+                const size = 4 + sqliteVarint(child.maxKey).length + 2;
+                if (group.length > 0 && used + size > usable - 12) {
+                    groups.push(group);
+                    group = [];
+                    used = 0;
+                }
+                group.push(child);
+                used += size;
+            });
+            groups.push(group);
+
+            level = groups.map(members => {
+                const cells = members.slice(0, -1).map(child => {
+                    const pointer = Buffer.alloc(4);
+                    pointer.writeUInt32BE(child.page);
+                    return Buffer.concat([pointer, sqliteVarint(child.maxKey)]);
+                });
+                const last = members[members.length - 1];
+                const page = allocate();
+                pages[page - 1] = buildPage(0x05, cells, { rightMost: last.page });
+                return { page, maxKey: last.maxKey };
+            });
+        }
+
+        return level[0].page;
+    }
+
+    const master = tables.map((table, index) => ({
+        rowid: index + 1,
+        values: ['table', table.name, table.name, writeTable(table.rows), table.sql]
+    }));
+    writeTable(master, true);
+
+    const header = pages[0];
+    header.write('SQLite format 3\0', 0, 'latin1');
+    header.writeUInt16BE(SQLITE_PAGE_SIZE, 16);
+    header[18] = 1;                          // Legacy (rollback journal) file format
+    header[19] = 1;
+    header[21] = 64;                         // Payload fractions (fixed values)
+    header[22] = 32;
+    header[23] = 32;
+    header.writeUInt32BE(1, 24);             // File change counter
+    header.writeUInt32BE(pages.length, 28);  // Size in pages
+    header.writeUInt32BE(1, 40);             // Schema cookie
+    header.writeUInt32BE(4, 44);             // Schema format
+    header.writeUInt32BE(1, 56);             // UTF-8
+    header.writeUInt32BE(1, 92);             // Version-valid-for (= change counter)
+    header.writeUInt32BE(3045000, 96);
+
+    return Buffer.concat(pages);
+}
+
+// ============================================================================
+// ANKI (.apkg = zip of collection.anki2 + media)
+// One "Harvi MCQ" note type: Question (stem + options), Answer,
+// Explanation, Source, Note. Note guids derive from the question id, so
+// importing an updated export updates the cards instead of duplicating them.
+// ============================================================================
+
+const ANKI_MODEL_ID = 1716200000000;
+const ANKI_SCHEMA = {
+    col: 'CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null)',
+    notes: 'CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null)',
+    cards: 'CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null)',
+    revlog: 'CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null)',
+    graves: 'CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null)'
+};
+const ANKI_FIELDS = ['Question', 'Answer', 'Explanation', 'Source', 'Note'];
+const ANKI_CSS = `.card { font-family: -apple-system, Helvetica, Arial, sans-serif; font-size: 18px; text-align: left; color: #1c1c1e; background: #fff; }
+.case { background: #f2f2f7; border-radius: 8px; padding: 10px 12px; margin-bottom: 12px; font-size: 16px; }
+.instruction { color: #8e8e93; font-size: 14px; }
+ol.options { padding-left: 1.6em; }
+.answer { font-weight: 600; color: #248a3d; }
+.explanation { margin-top: 12px; }
+.source, .note { margin-top: 12px; color: #8e8e93; font-size: 13px; }
+img { max-width: 100%; }`;
+
+function ankiFront(question) {
+    const parts = [];
+    if (question.group && (question.group.stem || question.group.title)) {
+        parts.push(`<div class="case">${question.group.title ? `<b>${htmlLines(question.group.title)}</b><br>` : ''}${htmlLines(question.group.stem)}</div>`);
+    }
+    parts.push(`<div class="stem">${htmlLines(question.text)}</div>`);
+    (question.media || []).forEach(item => parts.push(`<img src="${escapeHtml(item.url)}" alt="${escapeHtml(item.alt_text)}">`));
+
+    const instruction = instructionFor(question);
+    if (instruction) parts.push(`<div class="instruction">${instruction}</div>`);
+    parts.push(`<ol class="options" type="A">${question.options.map(option => `<li>${htmlLines(option)}</li>`).join('')}</ol>`);
+
+    return parts.join('');
+}
+
+function stripHtml(html) {
+    return html.replace(/<[^>]*>/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ').trim();
+}
+
+// Stable positive id per key (Anki ids are millisecond timestamps in spirit)
+function ankiId(key) {
+    return 1500000000000 + parseInt(crypto.createHash('sha1').update(key).digest('hex').slice(0, 10), 16) % 100000000000;
+}
+
+function toAnkiCollection(deck, now = new Date()) {
+    const nowMs = now.getTime();
+    const nowSec = Math.floor(nowMs / 1000);
+    const deckId = ankiId(`deck:${deck.title}`);
+
+    const model = {
+        id: ANKI_MODEL_ID,
+        name: 'Harvi MCQ',
+        type: 0,
+        mod: nowSec,
+        usn: -1,
+        sortf: 0,
+        did: deckId,
+        tmpls: [{
+            name: 'Card 1',
+            ord: 0,
+            qfmt: '{{Question}}',
+            afmt: '{{FrontSide}}<hr id="answer"><div class="answer">{{Answer}}</div>{{#Explanation}}<div class="explanation">{{Explanation}}</div>{{/Explanation}}{{#Note}}<div class="note">{{Note}}</div>{{/Note}}<div class="source">{{Source}}</div>',
+            did: null,
+            bqfmt: '',
+            bafmt: ''
+        }],
+        flds: ANKI_FIELDS.map((name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] })),
+        css: ANKI_CSS,
+        latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+        latexPost: '\\end{document}',
+        tags: [],
+        vers: [],
+        req: [[0, 'all', [0]]]
+    };
+
+    const deckEntry = (id, name) => ({
+        id, name, desc: '', mod: nowSec, usn: -1, dyn: 0, conf: 1, collapsed: false, browserCollapsed: false,
+        extendNew: 10, extendRev: 50, newToday: [0, 0], revToday: [0, 0], lrnToday: [0, 0], timeToday: [0, 0]
+    });
+
+    const dconf = {
+        1: {
+            id: 1, name: 'Default', mod: 0, usn: 0, maxTaken: 60, autoplay: true, timer: 0, replayq: true, dyn: false,
+            new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, order: 1, perDay: 20, bury: true, separate: true },
+            rev: { perDay: 200, ease4: 1.3, fuzz: 0.05, ivlFct: 1, maxIvl: 36500, bury: true, minSpace: 1 },
+            lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 }
+        }
+    };
+
+    const conf = {
+        activeDecks: [deckId], curDeck: deckId, newSpread: 0, collapseTime: 1200, timeLim: 0, estTimes: true,
+        dueCounts: true, curModel: String(ANKI_MODEL_ID), nextPos: deck.questions.length + 1, sortType: 'noteFld',
+        sortBackwards: false, addToCur: true
+    };
+
+    const notes = [];
+    const cards = [];
+    deck.questions.forEach((question, index) => {
+        const answer = answerText(question);
+        const fields = [
+            ankiFront(question),
+            answer ? htmlLines(answer) : '<i>Answer this question in Harvi to see the key.</i>',
+            question.explanation ? htmlLines(question.explanation) : '',
+            escapeHtml(question.source || deck.title),
+            question.note ? htmlLines(question.note) : ''
+        ];
+        const sortField = stripHtml(fields[0]);
+        const noteId = nowMs + index;
+
+        notes.push({
+            rowid: noteId,
+            values: [
+                null, // id (rowid alias)
+                crypto.createHash('sha1').update(`harvi:${question.id}`).digest('base64').slice(0, 10),
+                ANKI_MODEL_ID, nowSec, -1,
+                ` harvi ${slug(question.source || deck.title)} `,
+                fields.join('\x1f'),
+                sortField,
+                parseInt(crypto.createHash('sha1').update(sortField).digest('hex').slice(0, 8), 16),
+                0, ''
+            ]
+        });
+        cards.push({
+            rowid: nowMs + index,
+            values: [null, noteId, deckId, 0, nowSec, -1, 0, 0, index + 1, 0, 0, 0, 0, 0, 0, 0, 0, '']
+        });
+    });
+
+    return writeSqlite([
+        {
+            name: 'col',
+            sql: ANKI_SCHEMA.col,
+            rows: [{
+                rowid: 1,
+                values: [
+                    null, Math.floor(new Date(now).setHours(4, 0, 0, 0) / 1000), nowMs, nowMs, 11, 0, 0, 0,
+                    JSON.stringify(conf),
+                    JSON.stringify({ [ANKI_MODEL_ID]: model }),
+                    JSON.stringify({ 1: deckEntry(1, 'Default'), [deckId]: deckEntry(deckId, deck.title) }),
+                    JSON.stringify(dconf),
+                    '{}'
+                ]
+            }]
+        },
+        { name: 'notes', sql: ANKI_SCHEMA.notes, rows: notes },
+        { name: 'cards', sql: ANKI_SCHEMA.cards, rows: cards },
+        { name: 'revlog', sql: ANKI_SCHEMA.revlog, rows: [] },
+        { name: 'graves', sql: ANKI_SCHEMA.graves, rows: [] }
+    ]);
+}
+
+// ============================================================================
+// PDF WORKSHEET
+// A4 pages in Helvetica (WinAnsi); questions are kept whole on a page and
+// the answer key follows as an appendix.
+// ============================================================================
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 56;
+
+// Advance widths (1/1000 em) for ASCII 32-126
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556,
+    278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667,
+    611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833,
+    556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556,
+    333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778, 667, 778, 722, 667,
+    611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889,
+    611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Characters outside Latin-1 that WinAnsiEncoding still has (0x80-0x9F)
+const WIN_ANSI_EXTRAS = {
+    '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88, '‰': 0x89, 'Š': 0x8A,
+    '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97,
+    '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B, 'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F
+};
+// Common in medical text but missing from the standard fonts
+const TRANSLITERATIONS = {
+    '≥': '>=', '≤': '<=', '→': '->', '←': '<-', '↑': '^', '↓': 'v', '≠': '!=', '≈': '~', '√': 'sqrt', '∞': 'inf',
+    'α': 'alpha', 'β': 'beta', 'γ': 'gamma', 'δ': 'delta', 'Δ': 'Delta', 'κ': 'kappa', 'λ': 'lambda', 'μ': 'µ',
+    'π': 'pi', 'σ': 'sigma', 'τ': 'tau', 'ω': 'omega', '−': '-', '\u00A0': ' ', '\t': ' '
+};
+
+// Text → WinAnsi bytes (as a latin1 string)
+function toWinAnsi(text) {
+    let out = '';
+    for (const ch of String(text || '').replace(/\r?\n/g, ' ')) {
+        const mapped = TRANSLITERATIONS[ch] !== undefined ? TRANSLITERATIONS[ch] : ch;
+        for (const c of mapped) {
+            const code = c.codePointAt(0);
+            if (code >= 32 && code < 127) out += c;
+            else if (code >= 160 && code <= 255) out += c;
+            else if (WIN_ANSI_EXTRAS[c]) out += String.fromCharCode(WIN_ANSI_EXTRAS[c]);
+            else {
+                const plain = c.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+                out += plain && plain.codePointAt(0) < 127 ? plain : '?';
+            }
+        }
+    }
+    return out;
+}
+
+function textWidth(text, bold, size) {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    let total = 0;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        total += code >= 32 && code < 127 ? widths[code - 32] : 556;
+    }
+    return total * size / 1000;
+}
+
+function wrapText(text, { bold = false, size, width }) {
+    const lines = [];
+    let line = '';
+
+    toWinAnsi(text).split(' ').filter(Boolean).forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (textWidth(candidate, bold, size) <= width) {
+            line = candidate;
+            return;
+        }
+        if (line) lines.push(line);
+
+        // Longer than a line on its own (URLs, sequences): break anywhere
+        line = '';
+        for (const ch of word) {
+            if (textWidth(line + ch, bold, size) > width && line) {
+                lines.push(line);
+                line = '';
+            }
+            line += ch;
+        }
+    });
+
+    if (line) lines.push(line);
+    return lines.length > 0 ? lines : [''];
+}
+
+const pdfString = text => `(${text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)')})`;
+
+/**
+ * Lays out blocks (arrays of paragraphs) on pages. A block that fits on a
+ * page is never split across two.
+ */
+class PdfLayout {
+    constructor() {
+        this.pages = [];
+        this.newPage();
+    }
+
+    newPage() {
+        this.ops = [];
+        this.pages.push(this.ops);
+        this.y = PAGE_HEIGHT - MARGIN;
+    }
+
+    measure(paragraphs) {
+        return paragraphs.map(p => {
+            const size = p.size || 10.5;
+            const lines = wrapText(p.text, { bold: p.bold, size, width: PAGE_WIDTH - 2 * MARGIN - (p.indent || 0) });
+            return { ...p, size, lines, height: (p.spaceBefore || 0) + lines.length * size * 1.35 };
+        });
+    }
+
+    block(paragraphs, { spaceAfter = 10 } = {}) {
+        const measured = this.measure(paragraphs);
+        const height = measured.reduce((sum, p) => sum + p.height, 0);
+        const usable = PAGE_HEIGHT - 2 * MARGIN;
+
+        if (height <= usable && this.y - height < MARGIN) this.newPage();
+
+        measured.forEach(p => {
+            this.y -= p.spaceBefore || 0;
+            p.lines.forEach(line => {
+                if (this.y - p.size * 1.35 < MARGIN) this.newPage();
+                this.y -= p.size * 1.35;
+                this.ops.push(`${p.grey ? '0.42 g' : '0 g'} BT /${p.bold ? 'F2' : 'F1'} ${p.size} Tf ${(MARGIN + (p.indent || 0)).toFixed(2)} ${this.y.toFixed(2)} Td ${pdfString(line)} Tj ET`);
+            });
+        });
+
+        this.y -= spaceAfter;
+    }
+}
+
+function buildPdf(pageOps, title) {
+    const objects = [];
+    const add = body => objects.push(body) && objects.length;
+
+    const catalog = add(null);
+    const pagesId = add(null);
+    const regular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const bold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+    const pageIds = pageOps.map((ops, index) => {
+        const footer = `0.42 g BT /F1 8 Tf ${MARGIN} ${MARGIN / 2} Td ${pdfString(toWinAnsi(`${title}  -  ${index + 1} / ${pageOps.length}`))} Tj ET`;
+        const stream = zlib.deflateSync(Buffer.from([...ops, footer].join('\n'), 'latin1'));
+        const content = add(Buffer.concat([
+            Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+            stream,
+            Buffer.from('\nendstream', 'latin1')
+        ]));
+        return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${content} 0 R >>`);
+    });
+
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    const info = add(`<< /Title ${pdfString(toWinAnsi(title))} /Producer (Harvi) >>`);
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+    const offsets = [];
+    let length = chunks[0].length;
+
+    objects.forEach((body, index) => {
+        const chunk = Buffer.concat([
+            Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+            Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+            Buffer.from('\nendobj\n', 'latin1')
+        ]);
+        offsets.push(length);
+        chunks.push(chunk);
+        length += chunk.length;
+    });
+
+    const xref = [
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>`,
+        'startxref',
+        String(length),
+        '%%EOF',
+        ''
+    ].join('\n');
+
+    chunks.push(Buffer.from(xref, 'latin1'));
+    return Buffer.concat(chunks);
+}
+
+function toPdf(deck, now = new Date()) {
+    const layout = new PdfLayout();
+
+    layout.block([
+        { text: deck.title, bold: true, size: 18 },
+        { text: `${deck.questions.length} questions  -  ${now.toISOString().slice(0, 10)}  -  Harvi`, size: 9, grey: true, spaceBefore: 2 }
+    ], { spaceAfter: 18 });
+
+    withGroupStarts(deck.questions).forEach(({ question, startsGroup }, index) => {
+        const paragraphs = [];
+
+        if (startsGroup && (question.group.stem || question.group.title)) {
+            paragraphs.push({ text: question.group.title || (question.group.group_type === 'emq' ? 'Extended matching' : 'Case'), bold: true, size: 10.5, spaceBefore: 4 });
+            if (question.group.stem) paragraphs.push({ text: question.group.stem, size: 10, spaceBefore: 2 });
+        }
+
+        paragraphs.push({ text: `${index + 1}.  ${question.text}`, bold: true, size: 10.5, spaceBefore: paragraphs.length > 0 ? 6 : 0 });
+        if ((question.media || []).length > 0) {
+            paragraphs.push({ text: `[${question.media.length === 1 ? 'Image' : `${question.media.length} images`} - see Harvi]`, size: 9, grey: true, indent: 16 });
+        }
+        const instruction = instructionFor(question);
+        if (instruction) paragraphs.push({ text: instruction, size: 9, grey: true, indent: 16 });
+
+        question.options.forEach((option, optionIndex) => {
+            paragraphs.push({ text: `${letterOf(optionIndex)}.  ${option}`, size: 10.5, indent: 16, spaceBefore: 2 });
+        });
+
+        layout.block(paragraphs, { spaceAfter: 12 });
+    });
+
+    // Answer key appendix
+    layout.newPage();
+    layout.block([{ text: 'Answer Key', bold: true, size: 16 }], { spaceAfter: 12 });
+
+    deck.questions.forEach((question, index) => {
+        const answer = answerText(question);
+        const paragraphs = [{ text: `${index + 1}.  ${answer || 'Not answered yet - answer it in Harvi to see the key'}`, bold: !!answer, size: 10 }];
+        if (question.explanation && answer) paragraphs.push({ text: question.explanation, size: 9, grey: true, indent: 16, spaceBefore: 1 });
+        layout.block(paragraphs, { spaceAfter: 6 });
+    });
+
+    return buildPdf(layout.pages, deck.title);
+}
+
+// ============================================================================
+// ENTRY POINT
+// ============================================================================
+
+/**
+ * @param {string} format - apkg | gift | qti | pdf
+ * @param {Object} deck - { title, questions } (see the file header)
+ * @returns {{ filename, contentType, body } | { filename, contentType, files }}
+ *   `files` must be zipped by the caller
+ */
+function renderExport(format, deck) {
+    const base = `harvi-${slug(deck.title)}`;
+
+    if (format === 'apkg') {
+        return {
+            filename: `${base}.apkg`,
+            contentType: 'application/octet-stream',
+            files: [
+                { name: 'collection.anki2', content: toAnkiCollection(deck) },
+                { name: 'media', content: '{}' }
+            ]
+        };
+    }
+    if (format === 'gift') {
+        return { filename: `${base}.gift.txt`, contentType: 'text/plain; charset=utf-8', body: toGift(deck) };
+    }
+    if (format === 'qti') {
+        return { filename: `${base}-qti.zip`, contentType: 'application/zip', files: toQtiFiles(deck) };
+    }
+    if (format === 'pdf') {
+        return { filename: `${base}.pdf`, contentType: 'application/pdf', body: toPdf(deck) };
+    }
+    throw new Error(`Unknown export format "${format}"`);
+}
+
+module.exports = { EXPORT_FORMATS, renderExport };
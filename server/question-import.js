@@ -0,0 +1,576 @@
+/**
+ * Question bank import: CSV, Aiken and Moodle GIFT → questions rows
+ *
+ * Shared by POST /api/admin/lectures/:lectureId/import (server/routes.js)
+ * and the CLI (server/import-questions.js). Parsing never touches the
+ * database; prepareImport() adds the lecture's ids and order and checks
+ * external_id clashes, commitImport() inserts what prepareImport() accepted.
+ *
+ * Every problem is reported against the line (CSV: row) it starts on, so a
+ * faculty member can fix the source file and preview again.
+ */
+
+const IMPORT_FORMATS = ['csv', 'aiken', 'gift'];
+const QUESTION_TYPES = ['single', 'multi', 'true_false'];
+const MULTI_ANSWER_TYPES = ['multi', 'true_false'];
+const DIFFICULTY_NAMES = { easy: 1, medium: 2, hard: 3 };
+const INSERT_BATCH = 200;
+const LOOKUP_BATCH = 200;  // external_ids per .in() filter (URL length)
+
+// CSV headers recognised without a columns mapping (compared lower-case, "_" as space)
+const DEFAULT_COLUMNS = {
+    text: ['question', 'text', 'stem', 'question text'],
+    answer: ['answer', 'correct', 'correct answer', 'key'],
+    explanation: ['explanation', 'rationale', 'feedback'],
+    difficulty: ['difficulty', 'difficulty level'],
+    type: ['type', 'question type'],
+    externalId: ['external id', 'id']
+};
+const OPTION_HEADER = /^(?:option|choice) ?(?:[a-j]|\d{1,2})$|^[a-j]$/;
+
+// ============================================================================
+// SHARED: answer keys and row checks
+// ============================================================================
+
+/**
+ * "B", "A, C", "2" (1-based) or the option's text → 0-based indices
+ * @returns {number[]|null} null when the key cannot be read
+ */
+function parseAnswerKey(value, options) {
+    const key = String(value === undefined || value === null ? '' : value).trim();
+    if (!key) return null;
+
+    const tokens = key.split(/[\s,;]+/).filter(Boolean);
+    if (tokens.every(token => /^[a-z]$/i.test(token) || /^\d+$/.test(token))) {
+        return tokens.map(token => (/^\d+$/.test(token)
+            ? parseInt(token, 10) - 1
+            : token.toUpperCase().charCodeAt(0) - 65));
+    }
+
+    const byText = options.findIndex(option => option.trim().toLowerCase() === key.toLowerCase());
+    return byText === -1 ? null : [byText];
+}
+
+function parseDifficulty(value) {
+    const raw = String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+    if (!raw) return 1;
+    if (DIFFICULTY_NAMES[raw]) return DIFFICULTY_NAMES[raw];
+    return ['1', '2', '3'].includes(raw) ? parseInt(raw, 10) : null;
+}
+
+/**
+ * Parsed question → problems, mirroring validateQuestionOptions /
+ * validateAnswerKey in admin-v2/src/types/database.ts
+ */
+function questionProblems(question) {
+    const problems = [];
+    const { text, options, type, indices } = question;
+
+    if (!text || !text.trim()) problems.push('Question text is required');
+    if (!QUESTION_TYPES.includes(type)) problems.push(`Unknown question type "${type}" (use ${QUESTION_TYPES.join(', ')})`);
+    if (options.length < 2) problems.push('At least 2 options required');
+    if (options.some(option => !option.trim())) problems.push('All options must have text or an image');
+
+    if (indices === null) {
+        problems.push('A correct answer is required');
+    } else if (!MULTI_ANSWER_TYPES.includes(type) && indices.length !== 1) {
+        problems.push('Single answer questions take exactly one correct option');
+    } else if (type === 'multi' && indices.length === 0) {
+        problems.push('Select at least one correct option');
+    } else if (new Set(indices).size !== indices.length) {
+        problems.push('Correct answers must not repeat');
+    } else {
+        const outOfRange = indices.find(index => index < 0 || index >= options.length);
+        if (outOfRange !== undefined) {
+            problems.push(`Correct answer ${outOfRange + 1} exceeds options length (${options.length})`);
+        }
+    }
+
+    if (question.difficulty === null) problems.push('Difficulty must be 1-3 or easy / medium / hard');
+    return problems;
+}
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+/**
+ * RFC 4180 rows (quoted cells may hold delimiters, "" and line breaks)
+ * @returns {Array<{ line: number, cells: string[] }>} blank rows dropped
+ */
+function parseCsvRows(content, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+        row.push(cell);
+        if (row.some(value => value.trim() !== '')) rows.push({ line: rowLine, cells: row });
+        row = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < content.length; i++) {
+        const ch = content[i];
+
+        if (quoted) {
+            if (ch === '"' && content[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                if (ch === '\n') line++;
+                cell += ch;
+            }
+        } else if (ch === '"' && cell.trim() === '') {
+            quoted = true;
+            cell = '';
+        } else if (ch === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && content[i + 1] === '\n') i++;
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            cell += ch;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) endRow();
+    return rows;
+}
+
+// Spreadsheets export ";" or tab in some locales: take the commonest in the header
+function detectDelimiter(content) {
+    const header = content.split(/\r?\n/, 1)[0];
+    return [',', ';', '\t']
+        .map(candidate => ({ candidate, count: header.split(candidate).length }))
+        .sort((a, b) => b.count - a.count)[0].candidate;
+}
+
+const headerKey = header => String(header).trim().toLowerCase().replace(/[_\s]+/g, ' ');
+
+/**
+ * Header row → column index per field. `columns` overrides the defaults:
+ * { text, answer, explanation, difficulty, type, externalId } header names
+ * and `options`, an array of header names in option order.
+ */
+function resolveColumns(headers, columns = {}) {
+    const keys = headers.map(headerKey);
+    const find = name => keys.indexOf(headerKey(name));
+    const resolved = { errors: [] };
+
+    Object.entries(DEFAULT_COLUMNS).forEach(([field, aliases]) => {
+        if (columns[field]) {
+            resolved[field] = find(columns[field]);
+            if (resolved[field] === -1) resolved.errors.push(`Column "${columns[field]}" (${field}) not found`);
+        } else {
+            resolved[field] = aliases.map(find).find(index => index !== -1);
+            if (resolved[field] === undefined) resolved[field] = -1;
+        }
+    });
+
+    if (Array.isArray(columns.options) && columns.options.length > 0) {
+        resolved.options = columns.options.map(find);
+        columns.options
+            .filter((name, i) => resolved.options[i] === -1)
+            .forEach(name => resolved.errors.push(`Column "${name}" (option) not found`));
+    } else {
+        resolved.options = keys.map((key, index) => (OPTION_HEADER.test(key) ? index : -1)).filter(index => index !== -1);
+    }
+
+    if (resolved.text === -1 && !columns.text) resolved.errors.push(`No question column (expected one of: ${DEFAULT_COLUMNS.text.join(', ')})`);
+    if (resolved.answer === -1 && !columns.answer) resolved.errors.push(`No answer column (expected one of: ${DEFAULT_COLUMNS.answer.join(', ')})`);
+    if (resolved.options.length < 2) resolved.errors.push('At least 2 option columns are required (Option A, Option B, ... or a columns.options mapping)');
+
+    return resolved;
+}
+
+function parseCsv(content, { columns, delimiter } = {}) {
+    const rows = parseCsvRows(content, delimiter || detectDelimiter(content));
+    if (rows.length === 0) return { items: [], errors: [{ line: 1, message: 'The file is empty' }] };
+
+    const [header, ...body] = rows;
+    const map = resolveColumns(header.cells, columns || {});
+    if (map.errors.length > 0) {
+        return { items: [], errors: map.errors.map(message => ({ line: header.line, message })) };
+    }
+
+    const cell = (cells, index) => (index === -1 || cells[index] === undefined ? '' : cells[index].trim());
+
+    const items = body.map(({ line, cells }) => {
+        // Trailing empty option columns are unused, not blank options
+        const options = map.options.map(index => cell(cells, index));
+        while (options.length > 0 && options[options.length - 1] === '') options.pop();
+
+        const indices = parseAnswerKey(cell(cells, map.answer), options);
+        const type = cell(cells, map.type).toLowerCase().replace(/[\s-]+/g, '_')
+            || (indices && indices.length > 1 ? 'multi' : 'single');
+
+        return {
+            line,
+            externalId: cell(cells, map.externalId) || null,
+            text: cell(cells, map.text),
+            options,
+            type,
+            indices,
+            explanation: cell(cells, map.explanation) || null,
+            difficulty: parseDifficulty(cell(cells, map.difficulty))
+        };
+    });
+
+    return { items, errors: [] };
+}
+
+// ============================================================================
+// AIKEN
+// Question (one or more lines), options "A." / "A)", then "ANSWER: B"
+// ============================================================================
+
+function parseAiken(content) {
+    const items = [];
+    const errors = [];
+    let current = null;
+
+    const close = () => {
+        if (current && current.stem.length > 0) {
+            errors.push({ line: current.line, message: 'Missing "ANSWER:" line' });
+        }
+        current = null;
+    };
+
+    content.split(/\r?\n/).forEach((raw, index) => {
+        const line = raw.trim();
+        const lineNumber = index + 1;
+        if (!line) return;
+
+        const option = line.match(/^([A-Z])\s*[.)]\s+(.*)$/);
+        const answer = line.match(/^ANSWER\s*:\s*(.*)$/i);
+
+        if (answer && current) {
+            const options = current.options.map(opt => opt.text);
+            const letters = answer[1].trim();
+            const indices = /^[A-Z](\s*,\s*[A-Z])*$/i.test(letters)
+                ? letters.split(/\s*,\s*/).map(letter => current.options.findIndex(opt => opt.letter === letter.toUpperCase()))
+                : null;
+
+            items.push({
+                line: current.line,
+                externalId: null,
+                text: current.stem.join('\n'),
+                options,
+                type: indices && indices.length > 1 ? 'multi' : 'single',
+                // A letter with no option becomes out of range, reported by questionProblems
+                indices: indices && indices.map(i => (i === -1 ? options.length : i)),
+                explanation: null,
+                difficulty: 1
+            });
+            current = null;
+        } else if (answer) {
+            errors.push({ line: lineNumber, message: '"ANSWER:" line without a question' });
+        } else if (option && current && current.stem.length > 0) {
+            current.options.push({ letter: option[1], text: option[2].trim() });
+        } else if (current && current.options.length > 0) {
+            // Text after the options: the previous question never got its ANSWER line
+            close();
+            current = { line: lineNumber, stem: [line], options: [] };
+        } else if (current) {
+            current.stem.push(line);
+        } else {
+            current = { line: lineNumber, stem: [line], options: [] };
+        }
+    });
+
+    close();
+    return { items, errors };
+}
+
+// ============================================================================
+// GIFT (Moodle)
+// Multiple choice (=right ~wrong, ~%50%partial), true/false ({T} / {F}),
+// missing word (text {answers} text), ::title::, [format], #feedback,
+// ####general feedback (→ explanation), // comments, $CATEGORY lines.
+// Short answer, matching, numerical and essay questions are rejected.
+// ============================================================================
+
+function unescapeGift(text) {
+    return text.replace(/\\([~=#{}:\\])/g, '$1').replace(/\\n/g, '\n').trim();
+}
+
+// Index of the first unescaped `target` at or after `from`, or -1
+function findUnescaped(text, target, from = 0) {
+    for (let i = from; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text.startsWith(target, i)) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Answer block ("=A ~B ~C") → [{ marker, text }] split at unescaped = and ~
+ */
+function splitGiftAnswers(body) {
+    const answers = [];
+    let current = null;
+
+    for (let i = 0; i < body.length; i++) {
+        const ch = body[i];
+        if (ch === '\\') {
+            if (current) current.text += ch + (body[i + 1] || '');
+            i++;
+        } else if (ch === '=' || ch === '~') {
+            current = { marker: ch, text: '' };
+            answers.push(current);
+        } else if (current) {
+            current.text += ch;
+        }
+    }
+
+    return answers;
+}
+
+function parseGiftQuestion(block) {
+    let text = block;
+
+    const titleEnd = text.startsWith('::') ? findUnescaped(text, '::', 2) : -1;
+    if (titleEnd !== -1) text = text.slice(titleEnd + 2);
+    text = text.trim().replace(/^\[(html|moodle|plain|markdown)\]/i, '');
+
+    const open = findUnescaped(text, '{');
+    const close = open === -1 ? -1 : findUnescaped(text, '}', open);
+    if (open === -1 || close === -1) return { error: 'No answer block ({...}) found' };
+
+    const before = unescapeGift(text.slice(0, open));
+    const after = unescapeGift(text.slice(close + 1));
+    const stem = after ? `${before} _____ ${after}` : before;
+
+    let body = text.slice(open + 1, close);
+    let explanation = null;
+    const generalFeedback = findUnescaped(body, '####');
+    if (generalFeedback !== -1) {
+        explanation = unescapeGift(body.slice(generalFeedback + 4)) || null;
+        body = body.slice(0, generalFeedback);
+    }
+
+    const trimmed = body.trim();
+    if (!trimmed) return { error: 'Essay questions are not supported' };
+    if (trimmed.startsWith('#')) return { error: 'Numerical questions are not supported' };
+
+    const trueFalse = trimmed.match(/^(T|TRUE|F|FALSE)(\s*#.*)?$/is);
+    if (trueFalse) {
+        return {
+            text: stem,
+            options: ['True', 'False'],
+            type: 'single',
+            indices: [/^T/i.test(trueFalse[1]) ? 0 : 1],
+            explanation
+        };
+    }
+
+    const answers = splitGiftAnswers(body).map(({ marker, text: answerText }) => {
+        let value = answerText;
+        const feedback = findUnescaped(value, '#');
+        if (feedback !== -1) value = value.slice(0, feedback);
+
+        const weight = value.trim().match(/^%(-?\d+(?:\.\d+)?)%/);
+        if (weight) value = value.trim().slice(weight[0].length);
+
+        return {
+            marker,
+            weight: weight ? parseFloat(weight[1]) : null,
+            matching: findUnescaped(value, '->') !== -1,
+            text: unescapeGift(value)
+        };
+    });
+
+    if (answers.length === 0) return { error: 'No answers found in the answer block' };
+    if (answers.some(answer => answer.matching)) return { error: 'Matching questions are not supported' };
+    if (!answers.some(answer => answer.marker === '~')) return { error: 'Short answer questions are not supported' };
+
+    const indices = answers
+        .map((answer, index) => ((answer.marker === '=' || answer.weight > 0) ? index : -1))
+        .filter(index => index !== -1);
+
+    return {
+        text: stem,
+        options: answers.map(answer => answer.text),
+        type: indices.length > 1 || answers.some(answer => answer.weight > 0 && answer.weight < 100) ? 'multi' : 'single',
+        indices,
+        explanation
+    };
+}
+
+function parseGift(content) {
+    const items = [];
+    const errors = [];
+    let block = [];
+    let blockLine = 0;
+
+    const flush = () => {
+        if (block.length === 0) return;
+
+        const parsed = parseGiftQuestion(block.join('\n'));
+        if (parsed.error) {
+            errors.push({ line: blockLine, message: parsed.error });
+        } else {
+            items.push({ line: blockLine, externalId: null, difficulty: 1, ...parsed });
+        }
+        block = [];
+    };
+
+    content.split(/\r?\n/).forEach((raw, index) => {
+        const line = raw.trim();
+        if (line.startsWith('//') || /^\$CATEGORY:/i.test(line)) return;
+
+        if (!line) {
+            // A blank line ends a question, unless its answer block is still open
+            const open = block.join('\n');
+            if (findUnescaped(open, '{') === -1 || findUnescaped(open, '}', findUnescaped(open, '{')) !== -1) flush();
+            return;
+        }
+
+        if (block.length === 0) blockLine = index + 1;
+        block.push(raw);
+    });
+
+    flush();
+    return { items, errors };
+}
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+/**
+ * @param {string} format - csv | aiken | gift
+ * @param {string} content - File contents
+ * @param {Object} [options] - CSV only: { columns, delimiter }
+ * @returns {{ items: Object[], errors: Array<{ line, message }> }}
+ */
+function parseQuestionBank(format, content, options = {}) {
+    const text = String(content || '').replace(/^\uFEFF/, '');
+
+    if (format === 'csv') return parseCsv(text, options);
+    if (format === 'aiken') return parseAiken(text);
+    if (format === 'gift') return parseGift(text);
+    throw new Error(`Unknown format "${format}" (use ${IMPORT_FORMATS.join(', ')})`);
+}
+
+/**
+ * Parse, validate and number a bank for one lecture. Nothing is written.
+ * External ids not given in the file continue the lecture's
+ * `<lecture external_id>_q<n>` sequence (as the admin editor does).
+ *
+ * @param {Object} supabase - Service role client
+ * @param {Object} lecture - { id, external_id }
+ * @returns {Promise<{ total, rows: Array<{ line, row }>, errors: Array<{ line, externalId, message }> }>}
+ */
+async function prepareImport(supabase, lecture, { format, content, columns, delimiter }) {
+    const parsed = parseQuestionBank(format, content, { columns, delimiter });
+    const errors = [...parsed.errors.map(error => ({ ...error, externalId: null }))];
+
+    const { data: existing, error } = await supabase
+        .from('questions')
+        .select('external_id, question_order')
+        .eq('lecture_id', lecture.id);
+
+    if (error) throw error;
+
+    const givenIds = [...new Set(parsed.items.map(item => item.externalId).filter(Boolean))];
+    const takenIds = new Set(existing.map(row => row.external_id));
+    for (let i = 0; i < givenIds.length; i += LOOKUP_BATCH) {
+        const { data, error: lookupError } = await supabase
+            .from('questions')
+            .select('external_id')
+            .in('external_id', givenIds.slice(i, i + LOOKUP_BATCH));
+
+        if (lookupError) throw lookupError;
+        data.forEach(row => takenIds.add(row.external_id));
+    }
+
+    const reserved = new Set(givenIds);
+    const firstLine = new Map();
+    let nextNumber = existing.length + 1;
+    let nextOrder = existing.reduce((max, row) => Math.max(max, row.question_order || 0), 0) + 1;
+    const rows = [];
+
+    parsed.items.forEach(item => {
+        const problems = questionProblems(item);
+
+        if (item.externalId) {
+            if (firstLine.has(item.externalId)) {
+                problems.push(`Duplicate external_id "${item.externalId}" (also on line ${firstLine.get(item.externalId)})`);
+            } else if (takenIds.has(item.externalId)) {
+                problems.push(`Duplicate external_id "${item.externalId}" (already in the question bank)`);
+            } else {
+                firstLine.set(item.externalId, item.line);
+            }
+        }
+
+        if (problems.length > 0) {
+            problems.forEach(message => errors.push({ line: item.line, externalId: item.externalId, message }));
+            return;
+        }
+
+        let externalId = item.externalId;
+        while (!externalId || (externalId !== item.externalId && (takenIds.has(externalId) || reserved.has(externalId)))) {
+            externalId = `${lecture.external_id}_q${nextNumber++}`;
+        }
+        takenIds.add(externalId);
+
+        const multi = MULTI_ANSWER_TYPES.includes(item.type);
+        rows.push({
+            line: item.line,
+            row: {
+                external_id: externalId,
+                lecture_id: lecture.id,
+                text: item.text.trim(),
+                options: item.options.map((text, index) => ({ id: index + 1, text, image_url: null, alt_text: null })),
+                question_type: item.type,
+                correct_answer_index: multi ? null : item.indices[0],
+                correct_answer_indices: multi ? [...item.indices].sort((a, b) => a - b) : null,
+                explanation: item.explanation,
+                question_order: nextOrder++,
+                difficulty_level: item.difficulty
+            }
+        });
+    });
+
+    errors.sort((a, b) => a.line - b.line);
+    return { total: parsed.items.length + parsed.errors.length, rows, errors };
+}
+
+/**
+ * Insert prepared rows (in batches); returns the created questions
+ */
+async function commitImport(supabase, rows) {
+    const created = [];
+
+    for (let i = 0; i < rows.length; i += INSERT_BATCH) {
+        const { data, error } = await supabase
+            .from('questions')
+            .insert(rows.slice(i, i + INSERT_BATCH).map(({ row }) => row))
+            .select('*');
+
+        if (error) throw error;
+        created.push(...data);
+    }
+
+    return created;
+}
+
+module.exports = {
+    IMPORT_FORMATS,
+    parseQuestionBank,
+    prepareImport,
+    commitImport
+};
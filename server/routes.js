@@ -0,0 +1,4430 @@
+/**
+ * Harvi API routes
+ *
+ * The one definition of every /api route and /health, shared by both entry
+ * points so fixes land everywhere at once:
+ * - server/index.js  (Node server: static files, startup checks, listen)
+ * - api/index.js     (Vercel serverless function)
+ *
+ * Entry points add their own app-level middleware (cors, json body parser)
+ * and mount this router at '/'.
+ */
+const express = require('express');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { createClient } = require('@supabase/supabase-js');
+const { IMPORT_FORMATS, prepareImport, commitImport } = require('./question-import');
+const { EXPORT_FORMATS, renderExport } = require('./question-export');
+require('dotenv').config();
+
+// ============================================================================
+// FAIL-SAFE: Prevent MongoDB usage
+// ============================================================================
+/**
+ * CRITICAL: Ensure MongoDB is completely removed from the system.
+ * If these libraries are imported anywhere, the app will crash with a clear message.
+ */
+if (require.cache['mongoose'] || require.cache['mongodb']) {
+    throw new Error(`
+    ❌ FATAL: MongoDB libraries detected in node_modules.
+    This application uses Supabase (PostgreSQL) exclusively.
+    MongoDB must be completely removed from the system.
+    
+    To fix:
+    1. Delete node_modules folder
+    2. Update package.json (mongoose and mongodb must not be listed)
+    3. Run: npm install
+    `);
+}
+
+// Block any require attempts for MongoDB libraries
+const Module = require('module');
+const originalRequire = Module.prototype.require;
+Module.prototype.require = function (id) {
+    if (id === 'mongoose' || id === 'mongodb' || id.includes('mongodb')) {
+        throw new Error(`
+        ❌ FATAL: Attempted to require '${id}'
+        This application uses Supabase (PostgreSQL) exclusively.
+        MongoDB is NOT permitted in this codebase.
+        `);
+    }
+    return originalRequire.apply(this, arguments);
+};
+
+const router = express.Router();
+
+// ============================================================================
+// SETUP: Initialize Supabase Client
+// ============================================================================
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+console.log('✅ Supabase initialized');
+console.log(`   URL: ${process.env.SUPABASE_URL}`);
+
+// ============================================================================
+// FEATURE FLAGS: Enable/Disable features via environment variables
+// ============================================================================
+const FEATURE_FLAGS = {
+    // Enable JSONB-to-String transformation (default: ON)
+    ENABLE_TRANSFORMATION: process.env.ENABLE_TRANSFORMATION !== 'false',
+
+    // Enable stats trigger vs materialized view (default: trigger ON)
+    ENABLE_STATS_TRIGGER: process.env.ENABLE_STATS_TRIGGER !== 'false'
+};
+
+console.log('🚩 Feature Flags:', FEATURE_FLAGS);
+console.log('   To disable transformation: ENABLE_TRANSFORMATION=false');
+console.log('   To disable stats trigger: ENABLE_STATS_TRIGGER=false');
+
+
+// ============================================================================
+// MIDDLEWARE: Authentication (JWT Validation)
+// ============================================================================
+const authMiddleware = async (req, res, next) => {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader) {
+        return res.status(401).json({ error: 'Missing Authorization header' });
+    }
+
+    const token = authHeader.replace('Bearer ', '');
+
+    const { data: { user }, error } = await supabase.auth.getUser(token);
+
+    if (error || !user) {
+        return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    req.user = user;
+    next();
+};
+
+// ============================================================================
+// MIDDLEWARE: Optional Authentication (Does not reject if token is missing)
+// ============================================================================
+const optionalAuthMiddleware = async (req, res, next) => {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader) {
+        req.user = null; // No user
+        return next();
+    }
+
+    const token = authHeader.replace('Bearer ', '');
+
+    // If token is obviously invalid (empty), skip lookup
+    if (!token) {
+        req.user = null;
+        return next();
+    }
+
+    try {
+        const { data: { user }, error } = await supabase.auth.getUser(token);
+        if (error || !user) {
+            // A token was sent but is expired or revoked: tell the client so it
+            // can refresh (js/auth.js) instead of silently answering as a guest
+            return res.status(401).json({ error: 'Invalid or expired token', code: 'INVALID_TOKEN' });
+        }
+        req.user = user;
+    } catch (err) {
+        // Auth service unreachable: proceed as anonymous
+        req.user = null;
+    }
+    next();
+};
+
+// ============================================================================
+// MIDDLEWARE: Admin Roles (editor < owner)
+// ============================================================================
+/**
+ * Only app_metadata is trusted for the role claim: user_metadata can be
+ * edited by the user themselves. Falls back to the admin_users table.
+ * Legacy `is_admin` / `role: 'admin'` claims keep their full access (owner).
+ */
+const ADMIN_ROLES = ['editor', 'owner'];
+
+async function getAdminRole(user) {
+    const claims = user.app_metadata || {};
+
+    if (ADMIN_ROLES.includes(claims.role)) return claims.role;
+    if (claims.role === 'admin' || claims.is_admin === true) return 'owner';
+
+    const { data, error } = await supabase
+        .from('admin_users')
+        .select('role')
+        .eq('user_id', user.id)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data ? data.role : null;
+}
+
+// Usage: router.delete('/api/admin/...', ...requireAdmin('owner'), handler)
+function requireAdmin(minRole = 'editor') {
+    const checkRole = async (req, res, next) => {
+        try {
+            const role = await getAdminRole(req.user);
+
+            if (!role) {
+                return res.status(403).json({ error: 'Admin access required' });
+            }
+
+            if (ADMIN_ROLES.indexOf(role) < ADMIN_ROLES.indexOf(minRole)) {
+                return res.status(403).json({ error: `Requires ${minRole} role`, role });
+            }
+
+            req.adminRole = role;
+            next();
+        } catch (err) {
+            console.error('❌ Admin role check failed:', err.message);
+            res.status(500).json({ error: 'Failed to verify admin role', details: err.message });
+        }
+    };
+
+    return [authMiddleware, checkRole];
+}
+
+// Record who changed what; a failed audit write is logged but does not undo the change
+async function recordAdminAudit(req, { action, entity, entityId, before = null, after = null }) {
+    const { error } = await supabase
+        .from('admin_audit_log')
+        .insert({
+            actor_id: req.user.id,
+            actor_email: req.user.email || null,
+            actor_role: req.adminRole,
+            action,
+            entity,
+            entity_id: String(entityId),
+            before,
+            after
+        });
+
+    if (error) {
+        console.error(`❌ Failed to write audit log (${action} ${entity} ${entityId}):`, error.message);
+    }
+}
+
+// ============================================================================
+// HELPER: Resolve ID (UUID or external_id for backward compatibility)
+// ============================================================================
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+async function resolveId(table, idValue) {
+    const isUuid = UUID_PATTERN.test(idValue);
+
+    if (isUuid) {
+        return idValue;
+    }
+
+    const { data, error } = await supabase
+        .from(table)
+        .select('id')
+        .eq('external_id', idValue)
+        .single();
+
+    if (error || !data) {
+        return null;
+    }
+
+    return data.id;
+}
+
+/**
+ * Batch form of resolveId: one `.in()` query per id kind.
+ * @returns {Promise<Map<string, string>>} requested id → UUID (unknown ids are left out)
+ */
+async function resolveIds(table, idValues) {
+    const ids = [...new Set(idValues.filter(id => id !== undefined && id !== null && id !== '').map(String))];
+    const uuids = ids.filter(id => UUID_PATTERN.test(id));
+    const externalIds = ids.filter(id => !UUID_PATTERN.test(id));
+
+    const [byId, byExternalId] = await Promise.all([
+        uuids.length > 0 ? supabase.from(table).select('id').in('id', uuids) : { data: [] },
+        externalIds.length > 0 ? supabase.from(table).select('id, external_id').in('external_id', externalIds) : { data: [] }
+    ]);
+
+    if (byId.error) throw byId.error;
+    if (byExternalId.error) throw byExternalId.error;
+
+    return new Map([
+        ...byId.data.map(row => [row.id, row.id]),
+        ...byExternalId.data.map(row => [String(row.external_id), row.id])
+    ]);
+}
+
+// ============================================================================
+// HELPER: Transform JSONB Options to Legacy String Array Format
+// ============================================================================
+/**
+ * Question / group media → [{ type, url, alt_text, caption }], dropping entries without a url
+ */
+function normalizeQuestionMedia(media) {
+    if (!Array.isArray(media)) return [];
+
+    return media
+        .filter(item => item && typeof item.url === 'string' && item.url)
+        .map(item => ({
+            type: item.type || 'image',
+            url: item.url,
+            alt_text: item.alt_text || '',
+            caption: item.caption || null
+        }));
+}
+
+/**
+ * Per-option images parallel to `options`, or null when no option has one
+ */
+function optionMediaOf(options) {
+    if (!Array.isArray(options)) return null;
+
+    const media = options.map(opt => (opt && typeof opt === 'object' && opt.image_url)
+        ? { image_url: opt.image_url, alt_text: opt.alt_text || '' }
+        : null);
+
+    return media.some(Boolean) ? media : null;
+}
+
+/**
+ * JSONB option objects → option texts (see transformQuestionsForClient)
+ * @param {Array} options - questions.options or question_groups.options
+ * @param {Object} owner - Row the options belong to (for logging)
+ */
+function flattenOptions(options, owner = {}) {
+    // If options are JSONB objects, extract text property
+    if (Array.isArray(options) && options.length > 0) {
+        if (typeof options[0] === 'object' && options[0] !== null) {
+            if (options[0].text !== undefined) {
+                // ✅ Valid JSONB format with .text property
+                return options.map(opt => opt.text);
+            }
+
+            // ⚠️ MALFORMED JSONB: missing .text property
+            console.error('⚠️ Malformed JSONB detected in question options:', {
+                questionId: owner.id,
+                externalId: owner.external_id,
+                sampleOption: options[0]
+            });
+
+            // Fallback: Generate placeholder text
+            const fallback = options.map((opt, idx) => {
+                // Try various fallback strategies
+                if (opt.text) return opt.text;
+                if (typeof opt === 'string') return opt;
+                if (opt.label) return opt.label;
+                if (opt.value !== undefined) return String(opt.value);
+                // Last resort: alphabetic placeholder
+                return `Option ${String.fromCharCode(65 + idx)}`; // A, B, C, D...
+            });
+
+            console.warn('✅ Applied fallback transformation:', fallback);
+            return fallback;
+        }
+        // else: already string array (legacy format), no transformation needed
+    }
+
+    return options;
+}
+
+/**
+ * Transform JSONB options to legacy string array format for frontend compatibility
+ * 
+ * Database Format (JSONB):  [{"id": 1, "text": "Femur"}, {"id": 2, "text": "Tibia"}]
+ * Frontend Format (Legacy): ["Femur", "Tibia"]
+ * 
+ * This ensures frontend rendering works regardless of database schema changes.
+ * Handles both object and string array formats for backward compatibility.
+ * 
+ * Images survive the flattening (server/migrations/008_question_media.sql):
+ * - `media`: question-level images, [{ type, url, alt_text, caption }]
+ * - `option_media`: parallel to `options`, { image_url, alt_text } or null
+ *   per option; only present when at least one option has an image
+ * 
+ * @param {Array|Object} lectures - Lecture(s) from Supabase query
+ * @returns {Array|Object} - Transformed lecture(s) with string array options
+ */
+function transformQuestionsForClient(lectures) {
+    // 🚩 Feature Flag: Allow instant rollback via environment variable
+    if (!FEATURE_FLAGS.ENABLE_TRANSFORMATION) {
+        console.log('⚠️ Transformation bypassed via feature flag (ENABLE_TRANSFORMATION=false)');
+        return lectures;  // Return data unchanged
+    }
+
+    if (!lectures) return lectures;
+
+    // Handle both single lecture and array of lectures
+    const lectureArray = Array.isArray(lectures) ? lectures : [lectures];
+
+    const transformed = lectureArray.map(lecture => {
+        if (!lecture.questions) return lecture;
+
+        return {
+            ...lecture,
+            questions: lecture.questions.map(question => {
+                const optionMedia = optionMediaOf(question.options);
+                const options = flattenOptions(question.options, question);
+
+                return {
+                    ...question,
+                    options: options,  // Now guaranteed to be string array
+                    ...(question.media !== undefined && { media: normalizeQuestionMedia(question.media) }),
+                    ...(optionMedia && { option_media: optionMedia })
+                };
+            })
+        };
+    });
+
+    // Return same format as input (single object or array)
+    return Array.isArray(lectures) ? transformed : transformed[0];
+}
+
+// ============================================================================
+// HELPER: Question Types, Groups & Grading
+// ============================================================================
+/**
+ * question_type (server/migrations/009_question_types.sql):
+ * - single:     one best answer; selectedAnswerIndex is an option index
+ * - multi:      select all that apply; selectedAnswerIndex is an array of
+ *               option indices. Partial credit: (right picks - wrong picks)
+ *               / correct options, never below 0
+ * - true_false: options are statements; selectedAnswerIndex lists the ones
+ *               marked TRUE (the rest count as marked FALSE). Credit per
+ *               statement judged right
+ * - emq:        extended matching item; one index into its group's option list
+ *
+ * gradeAnswer mirrors public.grade_answer() (the auto_grade_response trigger),
+ * so the manual fallback and practice checks agree with stored grades.
+ */
+const MULTI_ANSWER_TYPES = ['multi', 'true_false'];
+
+function isMultiAnswerType(questionType) {
+    return MULTI_ANSWER_TYPES.includes(questionType);
+}
+
+/**
+ * Validate a submitted answer: an index, or an array of indices for
+ * multi / true_false. Returns { index, indices } (one of them null),
+ * or null when the value is neither.
+ */
+function parseSelectedAnswer(value) {
+    if (Number.isInteger(value)) {
+        return { index: value, indices: null };
+    }
+
+    if (Array.isArray(value) && value.every(Number.isInteger)) {
+        return { index: null, indices: [...new Set(value)].sort((a, b) => a - b) };
+    }
+
+    return null;
+}
+
+// One string per answer, e.g. "2" or "0,3" - used for envelopes and retry checks
+function answerKeyOf(index, indices) {
+    return indices ? indices.join(',') : String(index);
+}
+
+/**
+ * Grade one answer
+ * @param {Object} question - question_type, options, correct_answer_index, correct_answer_indices
+ * @param {{index: number|null, indices: number[]|null}} answer - From parseSelectedAnswer
+ * @returns {{is_correct: boolean, score: number}}
+ */
+function gradeAnswer(question, answer) {
+    const type = question.question_type || 'single';
+
+    if (isMultiAnswerType(type)) {
+        const optionCount = Array.isArray(question.options) ? question.options.length : 0;
+        const correct = new Set(question.correct_answer_indices || []);
+        const selected = new Set(((answer && answer.indices) || []).filter(i => i >= 0 && i < optionCount));
+        const hits = [...selected].filter(i => correct.has(i)).length;
+        const wrong = selected.size - hits;
+
+        let isCorrect;
+        let score;
+
+        if (type === 'multi') {
+            isCorrect = hits === correct.size && wrong === 0;
+            score = correct.size === 0 ? 0 : Math.max(0, (hits - wrong) / correct.size);
+        } else {
+            // TRUE statements marked true + FALSE statements left unmarked
+            const matches = hits + (optionCount - correct.size - wrong);
+            isCorrect = matches === optionCount;
+            score = optionCount === 0 ? 0 : matches / optionCount;
+        }
+
+        return { is_correct: isCorrect, score: Math.round(score * 1000) / 1000 };
+    }
+
+    const isCorrect = !!answer && Number.isInteger(answer.index) && answer.index === question.correct_answer_index;
+    return { is_correct: isCorrect, score: isCorrect ? 1 : 0 };
+}
+
+/**
+ * Attach each grouped question's case / EMQ set as `group`
+ * ({ id, group_type, title, stem, media }) and give EMQ items the shared
+ * option list. Works on the shapes transformQuestionsForClient returns.
+ * @param {Array|Object} lectures - Lecture(s) or { questions }
+ */
+async function withQuestionGroups(lectures) {
+    if (!lectures) return lectures;
+
+    const lectureArray = Array.isArray(lectures) ? lectures : [lectures];
+    const groupIds = [...new Set(lectureArray
+        .flatMap(lecture => lecture.questions || [])
+        .map(question => question.group_id)
+        .filter(Boolean))];
+
+    if (groupIds.length === 0) return lectures;
+
+    const { data: groups, error } = await supabase
+        .from('question_groups')
+        .select('id, group_type, title, stem, options, media, group_order')
+        .in('id', groupIds);
+
+    if (error) throw error;
+
+    const groupMap = new Map(groups.map(group => [group.id, group]));
+
+    const withGroups = lectureArray.map(lecture => {
+        if (!lecture.questions) return lecture;
+
+        return {
+            ...lecture,
+            questions: lecture.questions.map(question => {
+                const group = groupMap.get(question.group_id);
+                if (!group) return question;
+
+                const grouped = {
+                    ...question,
+                    group: {
+                        id: group.id,
+                        group_type: group.group_type,
+                        title: group.title || null,
+                        stem: group.stem || '',
+                        media: normalizeQuestionMedia(group.media),
+                        group_order: group.group_order
+                    }
+                };
+
+                // EMQ items answer from the set's shared list
+                if (group.group_type === 'emq' && (!Array.isArray(question.options) || question.options.length === 0)) {
+                    const optionMedia = optionMediaOf(group.options);
+                    grouped.options = flattenOptions(group.options, group) || [];
+                    if (optionMedia) grouped.option_media = optionMedia;
+                }
+
+                return grouped;
+            })
+        };
+    });
+
+    return Array.isArray(lectures) ? withGroups : withGroups[0];
+}
+
+// ============================================================================
+// HELPER: Answer Envelopes (Offline Grading)
+// ============================================================================
+/**
+ * Lecture payloads carry, instead of correct_answer_index, one HMAC-SHA256
+ * tag per question: tag = HMAC(K_q, `${questionId}:${correctIndex}`).
+ * Multi / true_false questions tag their sorted correct_answer_indices
+ * joined with ',' (answerKeyOf); the client tries every option subset.
+ *
+ * K_q is derived from ANSWER_ENVELOPE_SECRET and never travels with the
+ * lecture, so the payload alone says nothing about the answer. Keys are
+ * released per question only through POST /api/quiz/session (offlineKeys),
+ * to the session that may reveal that answer anyway and under the reveal
+ * rate limit; js/answer-envelope.js stores them next to the cached lecture.
+ * Offline verdicts are still provisional: the answer is recorded through
+ * /api/practice/check-answer (replay) when the sync queue flushes.
+ *
+ * Tags are deterministic, so responses stay byte-identical between requests
+ * (ETag friendly), and a key stays valid when its question is edited.
+ */
+const ANSWER_ENVELOPE_VERSION = 2;
+const ANSWER_ENVELOPE_SECRET = process.env.ANSWER_ENVELOPE_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.ANSWER_ENVELOPE_SECRET) {
+    console.warn('⚠️ ANSWER_ENVELOPE_SECRET not set: answer envelope keys will change on every restart');
+}
+
+function answerEnvelopeKey(questionId) {
+    return crypto.createHmac('sha256', ANSWER_ENVELOPE_SECRET).update(`answer-key:${questionId}`).digest();
+}
+
+function answerEnvelopeTag(questionId, answerKey) {
+    return crypto.createHmac('sha256', answerEnvelopeKey(questionId)).update(`${questionId}:${answerKey}`).digest('hex');
+}
+
+/**
+ * Offline grading keys for the given questions
+ * @param {string[]} questionIds - Question UUIDs
+ * @returns {Object} - { [questionId]: base64url key }
+ */
+function answerEnvelopeKeys(questionIds) {
+    return Object.fromEntries(questionIds.map(id => [id, answerEnvelopeKey(id).toString('base64url')]));
+}
+
+/**
+ * Replace correct_answer_index on every question with the lecture's envelope
+ * @param {Array|Object} lectures - Lecture(s) whose questions include correct_answer_index
+ * @returns {Array|Object} - Same shape, with `answerEnvelope` and no answer key
+ */
+function withAnswerEnvelope(lectures) {
+    if (!lectures) return lectures;
+
+    const lectureArray = Array.isArray(lectures) ? lectures : [lectures];
+
+    const enveloped = lectureArray.map(lecture => {
+        if (!lecture.questions) return lecture;
+
+        const envelope = { version: ANSWER_ENVELOPE_VERSION, algorithm: 'HMAC-SHA256', questions: {} };
+
+        const questions = lecture.questions.map(({ correct_answer_index, correct_answer_indices, ...question }) => {
+            const answerKey = isMultiAnswerType(question.question_type)
+                ? (Array.isArray(correct_answer_indices) ? answerKeyOf(null, [...correct_answer_indices].sort((a, b) => a - b)) : null)
+                : (Number.isInteger(correct_answer_index) ? answerKeyOf(correct_answer_index, null) : null);
+
+            if (answerKey !== null) {
+                envelope.questions[question.id] = answerEnvelopeTag(question.id, answerKey);
+            }
+            return question;
+        });
+
+        return { ...lecture, questions, answerEnvelope: envelope };
+    });
+
+    return Array.isArray(lectures) ? enveloped : enveloped[0];
+}
+
+// ============================================================================
+// HELPER: Content ETags (If-None-Match → 304)
+// ============================================================================
+/**
+ * Strong ETag over the serialized payload, so it is identical on every
+ * instance as long as the content is (answer envelope tags are stable too,
+ * given ANSWER_ENVELOPE_SECRET). `Cache-Control: no-cache` makes browsers and
+ * the service worker revalidate instead of trusting a stored copy; an
+ * unchanged revalidation costs a 304 with no body.
+ *
+ * Express only answers If-None-Match on GET; this also covers
+ * POST /api/lectures/batch, whose ids do not fit in a URL.
+ */
+function sendWithEtag(req, res, payload) {
+    const body = JSON.stringify(payload);
+    const etag = `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+    const ifNoneMatch = req.get('If-None-Match') || '';
+    const matches = ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+
+    res.set({ ETag: etag, 'Cache-Control': 'no-cache' });
+    if (matches) return res.status(304).end();
+    return res.type('application/json').send(body);
+}
+
+// ============================================================================
+// ENDPOINT 1: Load Full Structure (Years → Modules → Subjects → Lectures)
+// ============================================================================
+router.get('/api/years', async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('years')
+            .select(`
+                id,
+                external_id,
+                name,
+                icon,
+                modules (
+                    id,
+                    external_id,
+                    name,
+                    subjects (
+                        id,
+                        external_id,
+                        name,
+                        lectures (
+                            id,
+                            external_id,
+                            name,
+                            order_index
+                        )
+                    )
+                )
+            `)
+            .order('external_id', { ascending: true });
+
+        if (error) throw error;
+
+        console.log(`✅ Loaded hierarchy: ${data.length} years`);
+        sendWithEtag(req, res, data);
+    } catch (err) {
+        console.error('❌ Error fetching years:', err.message);
+        res.status(500).json({ error: 'Failed to fetch structure', details: err.message });
+    }
+});
+
+// ============================================================================
+// ENDPOINT 1a: Content Changes Feed (Delta Sync)
+// ============================================================================
+/**
+ * GET /api/changes?since=ISO
+ *
+ * What changed in the content since a timestamp, from the content_changes
+ * log (server/migrations/014, filled by triggers):
+ *   { since, cursor, resync, hierarchyChanged,
+ *     lectures: { changed: [id], deleted: [id] },
+ *     questions: { changed: [id], deleted: [id] } }
+ * lectures.changed lists every lecture whose payload differs (the lecture
+ * row or any of its questions / groups); hierarchyChanged means /api/years
+ * differs. Pass `cursor` as the next `since`.
+ *
+ * The window starts CHANGES_OVERLAP_MS before `since` so a slow transaction
+ * that committed after the previous read is not missed; replays are harmless.
+ * `resync: true` (since older than the log keeps, or too many changes)
+ * means: treat every cached lecture as stale.
+ */
+const CHANGES_OVERLAP_MS = 60 * 1000;
+const CHANGES_RETENTION_DAYS = 90; // prune_content_changes() default
+const MAX_CHANGE_ROWS = 5000;
+
+router.get('/api/changes', async (req, res) => {
+    try {
+        const since = Date.parse(req.query.since);
+        if (!req.query.since || Number.isNaN(since)) {
+            return res.status(400).json({ error: 'since must be an ISO timestamp' });
+        }
+
+        const cursor = new Date().toISOString();
+        const empty = { lectures: { changed: [], deleted: [] }, questions: { changed: [], deleted: [] } };
+
+        if (Date.now() - since > CHANGES_RETENTION_DAYS * 24 * 60 * 60 * 1000) {
+            return res.json({ since: req.query.since, cursor, resync: true, hierarchyChanged: true, ...empty });
+        }
+
+        const { data: rows, error } = await supabase
+            .from('content_changes')
+            .select('entity, entity_id, lecture_id, action')
+            .gt('changed_at', new Date(since - CHANGES_OVERLAP_MS).toISOString())
+            .lte('changed_at', cursor)
+            .order('changed_at', { ascending: true })
+            .order('id', { ascending: true })
+            .limit(MAX_CHANGE_ROWS + 1);
+
+        if (error) throw error;
+
+        if (rows.length > MAX_CHANGE_ROWS) {
+            return res.json({ since: req.query.since, cursor, resync: true, hierarchyChanged: true, ...empty });
+        }
+
+        // Latest action per lecture / question wins
+        const lectureActions = new Map();
+        const questionActions = new Map();
+        let hierarchyChanged = false;
+
+        rows.forEach(row => {
+            if (row.entity === 'lecture') {
+                lectureActions.set(row.entity_id, row.action);
+            } else if (row.lecture_id && (row.entity === 'question' || row.entity === 'question_group')) {
+                if (lectureActions.get(row.lecture_id) !== 'delete') lectureActions.set(row.lecture_id, 'upsert');
+            }
+            if (row.entity === 'question') questionActions.set(row.entity_id, row.action);
+            if (['year', 'module', 'subject', 'lecture'].includes(row.entity)) hierarchyChanged = true;
+        });
+
+        const idsWith = (actions, action) => [...actions].filter(([, value]) => value === action).map(([id]) => id);
+
+        res.json({
+            since: req.query.since,
+            cursor,
+            resync: false,
+            hierarchyChanged,
+            lectures: { changed: idsWith(lectureActions, 'upsert'), deleted: idsWith(lectureActions, 'delete') },
+            questions: { changed: idsWith(questionActions, 'upsert'), deleted: idsWith(questionActions, 'delete') }
+        });
+    } catch (err) {
+        console.error('❌ Error fetching content changes:', err.message);
+        res.status(500).json({ error: 'Failed to fetch content changes', details: err.message });
+    }
+});
+
+// ============================================================================
+// ENDPOINT 2a: Load Lectures Batch (Must be BEFORE :lectureId to prevent route masking)
+// ============================================================================
+const MAX_BATCH_SIZE = 50;
+
+router.get('/api/lectures/batch', async (req, res) => {
+    try {
+        const lectureIds = req.query.ids?.split(',') || [];
+
+        if (lectureIds.length === 0) {
+            return res.status(400).json({ error: 'ids query parameter required' });
+        }
+
+        if (lectureIds.length > MAX_BATCH_SIZE) {
+            return res.status(400).json({ error: `Maximum batch size is ${MAX_BATCH_SIZE}` });
+        }
+
+        // Resolve all IDs
+        const resolvedIds = [];
+        for (const id of lectureIds) {
+            const resolved = await resolveId('lectures', id);
+            if (resolved) resolvedIds.push(resolved);
+        }
+
+        const { data, error } = await supabase
+            .from('lectures')
+            .select(`
+                id, external_id, name, order_index,
+                questions (
+                    id, external_id, text, options, media, explanation, question_order, difficulty_level,
+                    question_type, group_id, group_order,
+                    correct_answer_index, correct_answer_indices
+                )
+            `)
+            .in('id', resolvedIds);
+
+        if (error) throw error;
+
+        // Transform JSONB options to string array; cases / EMQ sets; answer key → envelope
+        const transformedData = withAnswerEnvelope(await withQuestionGroups(transformQuestionsForClient(data)));
+        sendWithEtag(req, res, transformedData);
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to fetch lectures', details: err.message });
+    }
+});
+
+// ============================================================================
+// ENDPOINT 2b: Load Lecture with Questions (Correct Answers Hidden)
+// 🔐 SECURITY CRITICAL: correct_answer_index MUST NEVER be sent to client
+// 
+// WHY: Students can inspect network responses and see all correct answers
+// HOW: The auto_grade_response trigger computes scores server-side
+// 
+// If you add correct_answer_index to any API response, you have broken security.
+// Grade tampering protection relies on the client NEVER seeing this field.
+// Lecture routes select it only to build the answer envelope, which strips it.
+// ============================================================================
+router.get('/api/lectures/:lectureId', async (req, res) => {
+    try {
+        const { lectureId } = req.params;
+        const resolvedId = await resolveId('lectures', lectureId);
+
+        if (!resolvedId) {
+            return res.status(404).json({ error: 'Lecture not found' });
+        }
+
+        const { data, error } = await supabase
+            .from('lectures')
+            .select(`
+                id,
+                external_id,
+                name,
+                order_index,
+                questions (
+                    id,
+                    external_id,
+                    text,
+                    options,
+                    media,
+                    explanation,
+                    question_order,
+                    difficulty_level,
+                    question_type,
+                    group_id,
+                    group_order,
+                    correct_answer_index,
+                    correct_answer_indices
+                )
+            `)
+            .eq('id', resolvedId)
+            .single();
+
+        if (error || !data) {
+            return res.status(404).json({ error: 'Lecture not found' });
+        }
+
+        // Transform JSONB options to string array; cases / EMQ sets; answer key → envelope
+        const transformedData = withAnswerEnvelope(await withQuestionGroups(transformQuestionsForClient(data)));
+        console.log(`✅ Loaded lecture: ${transformedData.external_id} with ${transformedData.questions.length} questions`);
+        sendWithEtag(req, res, transformedData);
+    } catch (err) {
+        console.error('❌ Error fetching lecture:', err.message);
+        res.status(500).json({ error: 'Failed to fetch lecture', details: err.message });
+    }
+});
+
+// ============================================================================
+// ENDPOINT 3: Load Lectures Batch
+// ============================================================================
+router.post('/api/lectures/batch', async (req, res) => {
+    try {
+        const { lectureIds } = req.body;
+
+        if (!Array.isArray(lectureIds) || lectureIds.length === 0) {
+            return res.status(400).json({ error: 'lectureIds must be a non-empty array' });
+        }
+
+        if (lectureIds.length > MAX_BATCH_SIZE) {
+            return res.status(400).json({ error: `Maximum batch size is ${MAX_BATCH_SIZE}` });
+        }
+
+        // Resolve all IDs (handle both UUIDs and external_ids)
+        const resolvedIds = [];
+        for (const id of lectureIds) {
+            const resolved = await resolveId('lectures', id);
+            if (resolved) resolvedIds.push(resolved);
+        }
+
+        const { data, error } = await supabase
+            .from('lectures')
+            .select(`
+                id,
+                external_id,
+                name,
+                order_index,
+                questions (
+                    id,
+                    external_id,
+                    text,
+                    options,
+                    media,
+                    explanation,
+                    question_order,
+                    difficulty_level,
+                    question_type,
+                    group_id,
+                    group_order,
+                    correct_answer_index,
+                    correct_answer_indices
+                )
+            `)
+            .in('id', resolvedIds);
+
+        if (error) throw error;
+
+        // Transform JSONB options to string array; cases / EMQ sets; answer key → envelope
+        const transformedData = withAnswerEnvelope(await withQuestionGroups(transformQuestionsForClient(data)));
+        console.log(`✅ Loaded ${transformedData.length} lectures`);
+        sendWithEtag(req, res, transformedData);
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to fetch lectures', details: err.message });
+    }
+});
+
+// ============================================================================
+// ENDPOINT 3a: Custom Quiz - Sample Questions Across the Hierarchy
+// ============================================================================
+/**
+ * POST /api/quiz/sample
+ * Body: { yearIds, moduleIds, subjectIds, lectureIds, count,
+ *         difficultyMin, difficultyMax, filter: 'all' | 'unanswered' | 'wrong' }
+ *
+ * Expands the ticked nodes to lectures, filters, and returns a random sample.
+ * correct_answer_index is never selected; answers are checked per question
+ * through /api/practice/check-answer as usual.
+ */
+const MAX_SAMPLE_SIZE = 100;
+const MAX_SAMPLE_NODES = 200;
+
+async function expandToLectureIds({ yearIds = [], moduleIds = [], subjectIds = [], lectureIds = [] }) {
+    const resolveAll = async (table, ids) => {
+        const resolved = [];
+        for (const id of ids) {
+            const value = await resolveId(table, id);
+            if (value) resolved.push(value);
+        }
+        return resolved;
+    };
+
+    const moduleSet = new Set(await resolveAll('modules', moduleIds));
+    const subjectSet = new Set(await resolveAll('subjects', subjectIds));
+    const lectureSet = new Set(await resolveAll('lectures', lectureIds));
+
+    const resolvedYears = await resolveAll('years', yearIds);
+    if (resolvedYears.length > 0) {
+        const { data, error } = await supabase.from('modules').select('id').in('year_id', resolvedYears);
+        if (error) throw error;
+        data.forEach(m => moduleSet.add(m.id));
+    }
+
+    if (moduleSet.size > 0) {
+        const { data, error } = await supabase.from('subjects').select('id').in('module_id', [...moduleSet]);
+        if (error) throw error;
+        data.forEach(s => subjectSet.add(s.id));
+    }
+
+    if (subjectSet.size > 0) {
+        const { data, error } = await supabase.from('lectures').select('id').in('subject_id', [...subjectSet]);
+        if (error) throw error;
+        data.forEach(l => lectureSet.add(l.id));
+    }
+
+    return [...lectureSet];
+}
+
+router.post('/api/quiz/sample', optionalAuthMiddleware, async (req, res) => {
+    try {
+        const {
+            yearIds = [], moduleIds = [], subjectIds = [], lectureIds = [],
+            count = 20, difficultyMin = 1, difficultyMax = 3, filter = 'all'
+        } = req.body;
+        const userId = req.user ? req.user.id : null;
+
+        const idLists = { yearIds, moduleIds, subjectIds, lectureIds };
+        for (const [field, ids] of Object.entries(idLists)) {
+            if (!Array.isArray(ids) || !ids.every(id => typeof id === 'string' || Number.isInteger(id))) {
+                return res.status(400).json({ error: `${field} must be an array of ids` });
+            }
+        }
+        if (!Number.isFinite(difficultyMin) || !Number.isFinite(difficultyMax)) {
+            return res.status(400).json({ error: 'difficultyMin and difficultyMax must be numbers' });
+        }
+
+        const nodeCount = yearIds.length + moduleIds.length + subjectIds.length + lectureIds.length;
+        if (nodeCount === 0) {
+            return res.status(400).json({ error: 'Select at least one year, module, subject or lecture' });
+        }
+        if (nodeCount > MAX_SAMPLE_NODES) {
+            return res.status(400).json({ error: `Maximum selection is ${MAX_SAMPLE_NODES} nodes` });
+        }
+        if (!['all', 'unanswered', 'wrong'].includes(filter)) {
+            return res.status(400).json({ error: "filter must be 'all', 'unanswered' or 'wrong'" });
+        }
+        if (filter !== 'all' && !userId) {
+            return res.status(401).json({ error: 'Sign in to filter by answer history' });
+        }
+
+        const sampleSize = Math.min(Math.max(parseInt(count, 10) || 20, 1), MAX_SAMPLE_SIZE);
+        const resolvedLectureIds = await expandToLectureIds({ yearIds, moduleIds, subjectIds, lectureIds });
+
+        if (resolvedLectureIds.length === 0) {
+            return res.status(404).json({ error: 'No lectures found for selection' });
+        }
+
+        // 1. Candidate pool (ids only)
+        const { data: candidates, error: candidateError } = await supabase
+            .from('questions')
+            .select('id')
+            .in('lecture_id', resolvedLectureIds)
+            .gte('difficulty_level', difficultyMin)
+            .lte('difficulty_level', difficultyMax);
+
+        if (candidateError) throw candidateError;
+
+        let pool = candidates.map(q => q.id);
+
+        // 2. History filters (latest response per question wins)
+        if (filter !== 'all' && pool.length > 0) {
+            const { data: responses, error: historyError } = await supabase
+                .from('user_responses')
+                .select('question_id, is_correct, created_at')
+                .eq('user_id', userId)
+                .in('lecture_id', resolvedLectureIds)
+                .order('created_at', { ascending: false });
+
+            if (historyError) throw historyError;
+
+            const latest = new Map();
+            responses.forEach(r => {
+                if (!latest.has(r.question_id)) latest.set(r.question_id, r.is_correct);
+            });
+
+            pool = filter === 'unanswered'
+                ? pool.filter(id => !latest.has(id))
+                : pool.filter(id => latest.get(id) === false);
+        }
+
+        // 3. Random sample (Fisher-Yates)
+        for (let i = pool.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [pool[i], pool[j]] = [pool[j], pool[i]];
+        }
+        const sampledIds = pool.slice(0, sampleSize);
+
+        if (sampledIds.length === 0) {
+            return res.json({ questions: [], available: 0 });
+        }
+
+        // 4. Load the sampled questions (correct_answer_index intentionally omitted)
+        const { data: rows, error: rowsError } = await supabase
+            .from('questions')
+            .select(`
+                id, external_id, text, options, media, explanation, question_order, difficulty_level,
+                question_type, group_id, group_order,
+                lecture_id, lectures ( name )
+            `)
+            .in('id', sampledIds);
+
+        if (rowsError) throw rowsError;
+
+        const order = new Map(sampledIds.map((id, index) => [id, index]));
+        const questions = (await withQuestionGroups(transformQuestionsForClient({ questions: rows }))).questions
+            .sort((a, b) => order.get(a.id) - order.get(b.id))
+            .map(({ lectures, lecture_id, ...question }) => ({
+                ...question,
+                lectureId: lecture_id,
+                lectureName: lectures?.name || null
+            }));
+
+        console.log(`🎲 Sampled ${questions.length}/${pool.length} questions from ${resolvedLectureIds.length} lectures (${filter})`);
+        res.json({ questions, available: pool.length });
+    } catch (err) {
+        console.error('❌ Error sampling questions:', err.message);
+        res.status(500).json({ error: 'Failed to sample questions', details: err.message });
+    }
+});
+
+// ============================================================================
+// ENDPOINT 3b: Full-Text Question Search
+// ============================================================================
+/**
+ * GET /api/search?q=brachial+plexus&limit=20
+ * Postgres full-text search over question text, options and explanation
+ * (search_questions RPC, see server/migrations/002_question_search.sql and
+ * 015_search_question_types.sql).
+ * Results carry their lecture and subject so the client can show context,
+ * and their type, media and case / EMQ group so they can be practised.
+ */
+const MAX_SEARCH_RESULTS = 50;
+
+router.get('/api/search', async (req, res) => {
+    try {
+        const query = (req.query.q || '').trim();
+        const limit = Math.min(parseInt(req.query.limit, 10) || 20, MAX_SEARCH_RESULTS);
+
+        if (query.length < 2) {
+            return res.status(400).json({ error: 'Query must be at least 2 characters' });
+        }
+
+        const { data: matches, error } = await supabase.rpc('search_questions', {
+            search_query: query,
+            max_results: limit
+        });
+
+        if (error) throw error;
+
+        if (matches.length === 0) {
+            return res.json({ query, results: [] });
+        }
+
+        // Lecture / subject names for context
+        const lectureIds = [...new Set(matches.map(m => m.lecture_id))];
+        const { data: lectures, error: lectureError } = await supabase
+            .from('lectures')
+            .select('id, name, subjects ( name )')
+            .in('id', lectureIds);
+
+        if (lectureError) throw lectureError;
+
+        const lectureMap = new Map(lectures.map(l => [l.id, l]));
+        const results = (await withQuestionGroups(transformQuestionsForClient({ questions: matches }))).questions
+            .map(({ lecture_id, rank, ...question }) => ({
+                ...question,
+                lectureId: lecture_id,
+                lectureName: lectureMap.get(lecture_id)?.name || null,
+                subjectName: lectureMap.get(lecture_id)?.subjects?.name || null,
+                rank
+            }));
+
+        res.json({ query, results });
+    } catch (err) {
+        console.error('❌ Search error:', err.message);
+        res.status(500).json({ error: 'Failed to search questions', details: err.message });
+    }
+});
+
+// ============================================================================
+// ENDPOINT 3c: Practice Sessions (Answer Reveal Guard)
+// ============================================================================
+/**
+ * check-answer reveals the answer key, so it only works inside a session the
+ * server issued for a known set of questions:
+ * - POST /api/quiz/session { questionIds } → { sessionToken, expiresAt, questionIds }
+ * - each question is checked once per session (a retry with the same answer
+ *   gets the same result back, a different answer gets 409)
+ * - `offlineKeys: true` (offline downloads only) also returns the answer
+ *   envelope keys of the session's questions (answerKeys), so they can be
+ *   graded offline; each key counts as a reveal (practice_sessions.keys_released)
+ * - new sessions and reveals are rate-limited per signed-in user, or
+ *   per hashed IP for guests, over a rolling hour (the tables are the window)
+ */
+const PRACTICE_SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const MAX_PRACTICE_SESSION_QUESTIONS = 300;
+const RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000;
+const RATE_LIMITS = {
+    sessions: { user: 60, guest: 20 },
+    reveals: { user: 600, guest: 150 },
+    reports: { user: 30, guest: 10 }
+};
+// Each kind sums its sources. sumColumn: the source adds the column's total
+// instead of its row count; where: only rows matching these column values count
+const RATE_LIMIT_SOURCES = {
+    sessions: [{ table: 'practice_sessions', timeColumn: 'created_at' }],
+    // Offline answer keys are reveals handed out ahead of time
+    reveals: [
+        { table: 'practice_reveals', timeColumn: 'revealed_at', where: { replayed: false } },
+        { table: 'practice_sessions', timeColumn: 'created_at', sumColumn: 'keys_released' }
+    ],
+    reports: [{ table: 'question_reports', timeColumn: 'created_at' }]
+};
+
+/**
+ * Proxy hops in front of the app on Vercel (its edge network). Both entry
+ * points pass this to app.set('trust proxy') so req.ip is the address the
+ * edge saw, not the client-controlled start of X-Forwarded-For.
+ */
+const VERCEL_PROXY_HOPS = 1;
+
+// Keyed hash of req.ip so raw IPs are never stored
+function clientIpHash(req) {
+    const ip = req.ip || req.socket?.remoteAddress || 'unknown';
+    return crypto.createHmac('sha256', ANSWER_ENVELOPE_SECRET).update(`ip:${ip}`).digest('hex').substring(0, 32);
+}
+
+// Limits apply to the signed-in user, else to the caller's IP
+function rateLimitSubject(req) {
+    return req.user
+        ? { column: 'user_id', value: req.user.id, tier: 'user' }
+        : { column: 'ip_hash', value: clientIpHash(req), tier: 'guest' };
+}
+
+/**
+ * Whether `needed` more sessions/reveals fit in the caller's window
+ * @returns {Promise<{allowed: boolean, used: number, limit: number, retryAfterSeconds?: number}>}
+ */
+async function rateLimitState(req, kind, needed = 1) {
+    const subject = rateLimitSubject(req);
+    const sources = RATE_LIMIT_SOURCES[kind];
+    const limit = RATE_LIMITS[kind][subject.tier];
+    const windowStart = new Date(Date.now() - RATE_LIMIT_WINDOW_MS).toISOString();
+
+    const inWindow = ({ table, timeColumn, where = {} }, columns, options) => Object.entries(where).reduce(
+        (query, [column, value]) => query.eq(column, value),
+        supabase.from(table).select(columns, options).eq(subject.column, subject.value).gte(timeColumn, windowStart)
+    );
+
+    const usage = await Promise.all(sources.map(async source => {
+        if (source.sumColumn) {
+            const { data, error } = await inWindow(source, source.sumColumn);
+
+            if (error) throw error;
+            return data.reduce((total, row) => total + (row[source.sumColumn] || 0), 0);
+        }
+
+        const { count, error } = await inWindow(source, 'id', { count: 'exact', head: true });
+
+        if (error) throw error;
+        return count || 0;
+    }));
+    const used = usage.reduce((total, count) => total + count, 0);
+
+    if (used + needed <= limit) return { allowed: true, used, limit };
+
+    // The window frees up when its oldest entry (across the sources) ages out
+    const oldest = await Promise.all(sources.map(async source => {
+        const query = source.sumColumn ? inWindow(source, source.timeColumn).gt(source.sumColumn, 0) : inWindow(source, source.timeColumn);
+        const { data } = await query
+            .order(source.timeColumn, { ascending: true })
+            .limit(1);
+
+        return data && data[0] ? Date.parse(data[0][source.timeColumn]) : Infinity;
+    }));
+    const oldestAt = Math.min(...oldest);
+
+    const retryAfterSeconds = Number.isFinite(oldestAt)
+        ? Math.max(1, Math.ceil((oldestAt + RATE_LIMIT_WINDOW_MS - Date.now()) / 1000))
+        : Math.ceil(RATE_LIMIT_WINDOW_MS / 1000);
+
+    console.warn(`⚠️ Rate limit hit (${kind}, ${subject.tier}): ${used}/${limit} per hour`);
+    return { allowed: false, used, limit, retryAfterSeconds };
+}
+
+/**
+ * True when `needed` more sessions/reveals fit in the caller's window;
+ * otherwise responds 429 (with Retry-After) and returns false
+ */
+async function withinRateLimit(req, res, kind, needed = 1) {
+    const { allowed, retryAfterSeconds } = await rateLimitState(req, kind, needed);
+    if (allowed) return true;
+
+    res.set('Retry-After', String(retryAfterSeconds));
+    res.status(429).json({ error: 'Too many requests, try again later', code: 'RATE_LIMITED', retryAfterSeconds });
+    return false;
+}
+
+// Log answer-key reveals (they are also the rate limit window)
+async function recordReveals(req, reveals) {
+    const subject = rateLimitSubject(req);
+    const ipHash = subject.tier === 'guest' ? subject.value : clientIpHash(req);
+
+    return supabase
+        .from('practice_reveals')
+        .insert(reveals.map(reveal => ({
+            session_id: null,
+            ...reveal,
+            user_id: req.user ? req.user.id : null,
+            ip_hash: ipHash
+        })));
+}
+
+// POST /api/quiz/session - Start a practice session for the questions about to be shown
+router.post('/api/quiz/session', optionalAuthMiddleware, async (req, res) => {
+    try {
+        const { questionIds, offlineKeys } = req.body;
+
+        if (!Array.isArray(questionIds) || questionIds.length === 0) {
+            return res.status(400).json({ error: 'questionIds must be a non-empty array' });
+        }
+
+        if (questionIds.length > MAX_PRACTICE_SESSION_QUESTIONS) {
+            return res.status(400).json({ error: `Maximum session size is ${MAX_PRACTICE_SESSION_QUESTIONS}` });
+        }
+
+        if (!(await withinRateLimit(req, res, 'sessions'))) return;
+
+        // Accept UUIDs and legacy external ids; unknown ids are left out
+        const resolvedIds = [...new Set((await resolveIds('questions', questionIds)).values())];
+
+        if (resolvedIds.length === 0) {
+            return res.status(404).json({ error: 'No matching questions' });
+        }
+
+        // Keys reveal answers, so they spend the reveal budget; over it the
+        // session still works online, just without keys
+        const keyLimit = offlineKeys === true ? await rateLimitState(req, 'reveals', resolvedIds.length) : null;
+        const releaseKeys = !!(keyLimit && keyLimit.allowed);
+
+        const { data: session, error } = await supabase
+            .from('practice_sessions')
+            .insert({
+                user_id: req.user ? req.user.id : null,
+                ip_hash: clientIpHash(req),
+                question_ids: resolvedIds,
+                keys_released: releaseKeys ? resolvedIds.length : 0,
+                expires_at: new Date(Date.now() + PRACTICE_SESSION_TTL_MS).toISOString()
+            })
+            .select('id, expires_at')
+            .single();
+
+        if (error) throw error;
+
+        res.status(201).json({
+            sessionToken: session.id,
+            expiresAt: session.expires_at,
+            questionIds: resolvedIds,
+            ...(keyLimit && {
+                answerKeys: releaseKeys ? answerEnvelopeKeys(resolvedIds) : null,
+                ...(!releaseKeys && { keysRetryAfterSeconds: keyLimit.retryAfterSeconds })
+            })
+        });
+    } catch (err) {
+        console.error('❌ Error starting practice session:', err.message);
+        res.status(500).json({ error: 'Failed to start practice session', details: err.message });
+    }
+});
+
+// ============================================================================
+// HELPER: Attempt Sessions (quiz_sessions)
+// ============================================================================
+/**
+ * Graded answers are appended to numbered sessions instead of replacing the
+ * previous attempt. The client generates a clientSessionId when a quiz starts:
+ * practice answers arrive one by one and join the same session, an exam
+ * submission opens and closes its session in one request.
+ */
+const SESSION_MODES = ['practice', 'exam'];
+const MAX_CLIENT_SESSION_ID_LENGTH = 64;
+const MAX_RESPONSE_TIME_MS = 30 * 60 * 1000; // Longer gaps are idle tabs, not thinking time
+
+function toIsoOrNow(value) {
+    return value && !isNaN(Date.parse(value)) ? new Date(value).toISOString() : new Date().toISOString();
+}
+
+// Client clocks drift: never record an answer in the future
+function toPastIsoOrNow(value) {
+    const iso = toIsoOrNow(value);
+    const now = new Date().toISOString();
+    return iso < now ? iso : now;
+}
+
+async function findQuizSession(userId, clientSessionId) {
+    const { data, error } = await supabase
+        .from('quiz_sessions')
+        .select('id, lecture_ids')
+        .eq('user_id', userId)
+        .eq('client_session_id', clientSessionId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+// Find or create the session an answer belongs to; returns its id
+async function openQuizSession(userId, { clientSessionId, mode, deck, lectureId, startedAt, questionCount }) {
+    const sessionKey = typeof clientSessionId === 'string' && clientSessionId.length <= MAX_CLIENT_SESSION_ID_LENGTH
+        ? clientSessionId
+        : null;
+    const now = new Date().toISOString();
+
+    if (sessionKey) {
+        const existing = await findQuizSession(userId, sessionKey);
+
+        if (existing) {
+            const update = { ended_at: now };
+            if (lectureId && !existing.lecture_ids.includes(lectureId)) {
+                update.lecture_ids = [...existing.lecture_ids, lectureId];
+            }
+
+            const { error } = await supabase
+                .from('quiz_sessions')
+                .update(update)
+                .eq('id', existing.id);
+
+            if (error) throw error;
+            return existing.id;
+        }
+    }
+
+    const { count, error: countError } = await supabase
+        .from('quiz_sessions')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId);
+
+    if (countError) throw countError;
+
+    const { data, error } = await supabase
+        .from('quiz_sessions')
+        .insert({
+            user_id: userId,
+            client_session_id: sessionKey,
+            session_number: (count || 0) + 1,
+            mode: SESSION_MODES.includes(mode) ? mode : 'practice',
+            deck: typeof deck === 'string' ? deck.substring(0, 32) : null,
+            lecture_ids: lectureId ? [lectureId] : [],
+            question_count: Number.isInteger(questionCount) && questionCount >= 0 ? questionCount : null,
+            started_at: toIsoOrNow(startedAt),
+            ended_at: now
+        })
+        .select('id')
+        .single();
+
+    if (error) {
+        // Two answers of a new session raced: the other request created it
+        if (error.code === '23505' && sessionKey) {
+            const created = await findQuizSession(userId, sessionKey);
+            if (created) return created.id;
+        }
+        throw error;
+    }
+
+    return data.id;
+}
+
+// Per-question attempt numbers: 1 + earlier answers to the same question
+async function nextAttemptNumbers(userId, questionIds) {
+    const attempts = new Map(questionIds.map(id => [id, 1]));
+
+    if (!userId || questionIds.length === 0) return attempts;
+
+    const { data, error } = await supabase
+        .from('user_responses')
+        .select('question_id')
+        .eq('user_id', userId)
+        .in('question_id', questionIds);
+
+    if (error) throw error;
+
+    data.forEach(row => attempts.set(row.question_id, attempts.get(row.question_id) + 1));
+    return attempts;
+}
+
+// ============================================================================
+// ENDPOINT 4: Submit Quiz (Auto-Grading via Database Trigger)
+// ============================================================================
+/**
+ * POST /api/quiz-results { lectureId, answers, sessionToken, ... }
+ *
+ * The reply carries the answer key of every answered question, so it is
+ * guarded like /api/practice/check-answer: every question must belong to
+ * the lecture and to the caller's practice session (POST /api/quiz/session),
+ * and answered questions count against the hourly reveal budget. Skipped
+ * questions are graded wrong but their key and explanation stay withheld.
+ */
+router.post('/api/quiz-results', optionalAuthMiddleware, async (req, res) => {
+    try {
+        const { lectureId, answers, clientSessionId, mode, deck, startedAt, sessionToken } = req.body;
+        // User might be null if anonymous
+        const userId = req.user ? req.user.id : null;
+
+        if (!answers || !Array.isArray(answers)) {
+            return res.status(400).json({ error: 'Invalid answers format' });
+        }
+
+        if (answers.length === 0) {
+            return res.status(400).json({ error: 'No answers provided' });
+        }
+
+        if (typeof sessionToken !== 'string' || !UUID_PATTERN.test(sessionToken)) {
+            return res.status(401).json({ error: 'Practice session required', code: 'SESSION_REQUIRED' });
+        }
+
+        console.log(`📝 Processing quiz submission from ${userId ? 'user ' + userId.substring(0, 8) : 'anonymous guest'}...`);
+
+        // Resolve Lecture ID
+        const resolvedLectureId = await resolveId('lectures', lectureId);
+
+        if (!resolvedLectureId) {
+            return res.status(404).json({ error: 'Lecture not found' });
+        }
+
+        const questionIds = await resolveIds('questions', answers.map(ans => ans && ans.questionId));
+        const resolvedQuestionIds = [...new Set(questionIds.values())];
+
+        // Only questions of this lecture (unknown ids are skipped below)
+        const { data: lectureQuestions, error: lectureQuestionsError } = resolvedQuestionIds.length > 0
+            ? await supabase.from('questions').select('id').eq('lecture_id', resolvedLectureId).in('id', resolvedQuestionIds)
+            : { data: [], error: null };
+
+        if (lectureQuestionsError) throw lectureQuestionsError;
+
+        const inLecture = new Set(lectureQuestions.map(question => question.id));
+        if (resolvedQuestionIds.some(id => !inLecture.has(id))) {
+            return res.status(400).json({ error: 'Questions must belong to the lecture', code: 'QUESTION_NOT_IN_LECTURE' });
+        }
+
+        // ...and to the caller's unexpired practice session
+        const { data: session, error: sessionError } = await supabase
+            .from('practice_sessions')
+            .select('id, user_id, question_ids, expires_at')
+            .eq('id', sessionToken)
+            .maybeSingle();
+
+        if (sessionError) throw sessionError;
+
+        if (!session || Date.parse(session.expires_at) < Date.now()) {
+            return res.status(401).json({ error: 'Practice session expired', code: 'SESSION_EXPIRED' });
+        }
+
+        if (session.user_id && session.user_id !== userId) {
+            return res.status(403).json({ error: 'Practice session belongs to another user', code: 'SESSION_FORBIDDEN' });
+        }
+
+        if (resolvedQuestionIds.some(id => !session.question_ids.includes(id))) {
+            return res.status(403).json({ error: 'Question is not part of this session', code: 'QUESTION_NOT_IN_SESSION' });
+        }
+
+        // Prepare submissions
+        const submissions = [];
+        const unanswered = []; // Exam mode: skipped questions are graded wrong but not stored
+
+        for (const ans of answers) {
+            const resolvedQuestionId = ans ? questionIds.get(String(ans.questionId)) : null;
+
+            if (!resolvedQuestionId) {
+                console.warn(`⚠️  Question ${ans && ans.questionId} not found, skipping`);
+                continue;
+            }
+
+            // An index, or an array of indices for multi / true_false questions
+            const selected = parseSelectedAnswer(ans.selectedAnswerIndex);
+
+            if (!selected) {
+                unanswered.push(resolvedQuestionId);
+                continue;
+            }
+
+            submissions.push({
+                user_id: userId,
+                lecture_id: resolvedLectureId,
+                question_id: resolvedQuestionId,
+                selected_answer_index: selected.index,
+                selected_answer_indices: selected.indices,
+                attempt_number: 1 // Anonymous guests have no history
+            });
+        }
+
+        if (submissions.length === 0 && unanswered.length === 0) {
+            return res.status(400).json({ error: 'No valid answers to process' });
+        }
+
+        // The reply carries the answered questions' keys: same hourly budget as practice checks
+        if (submissions.length > 0 && !(await withinRateLimit(req, res, 'reveals', submissions.length))) return;
+
+        let savedData = [];
+        let saveSuccess = false;
+        let sessionId = null;
+
+        // Only attempt DB save if userId exists or if your DB allows nulls
+        try {
+            // Keep history: answers join a numbered session instead of replacing the last attempt
+            if (userId) {
+                sessionId = await openQuizSession(userId, {
+                    clientSessionId,
+                    mode,
+                    deck,
+                    lectureId: resolvedLectureId,
+                    startedAt,
+                    questionCount: answers.length
+                });
+
+                const attempts = await nextAttemptNumbers(userId, submissions.map(s => s.question_id));
+                submissions.forEach(s => {
+                    s.session_id = sessionId;
+                    s.attempt_number = attempts.get(s.question_id);
+                });
+            }
+
+            // Insert into database
+            const { data, error } = await supabase
+                .from('user_responses')
+                .insert(submissions)
+                .select('is_correct, score, question_id, selected_answer_index, selected_answer_indices');
+
+            if (error) throw error;
+            savedData = (data || []).map(row => ({
+                ...row,
+                score: row.score === null ? (row.is_correct ? 1 : 0) : Number(row.score)
+            }));
+            saveSuccess = true;
+            console.log(`✅ Quiz graded & saved to DB: ${savedData.filter(r => r.is_correct).length}/${savedData.length}`);
+        } catch (dbError) {
+            console.warn('⚠️  Could not save to DB (Anonymous?), grading manually:', dbError.message);
+
+            // MANUAL GRADING FALLBACK
+            const questionIds = submissions.map(s => s.question_id);
+            const { data: questions, error: qError } = await supabase
+                .from('questions')
+                .select('id, question_type, options, correct_answer_index, correct_answer_indices')
+                .in('id', questionIds);
+
+            if (qError) throw qError;
+
+            // Map question ID to its answer key
+            const questionMap = new Map(questions.map(q => [q.id, q]));
+
+            // Generate "savedData" manually (same rules as the trigger)
+            savedData = submissions.map(sub => {
+                const question = questionMap.get(sub.question_id);
+                const grade = question
+                    ? gradeAnswer(question, { index: sub.selected_answer_index, indices: sub.selected_answer_indices })
+                    : { is_correct: false, score: 0 };
+
+                return {
+                    ...grade,
+                    question_id: sub.question_id,
+                    selected_answer_index: sub.selected_answer_index,
+                    selected_answer_indices: sub.selected_answer_indices
+                };
+            });
+
+            console.log(`✅ Quiz graded manually: ${savedData.filter(r => r.is_correct).length}/${savedData.length}`);
+        }
+
+        // Attach the answer key so the client can render a post-exam review
+        // (skipped questions get their type only: answering them later still means something)
+        const gradedIds = [...savedData.map(r => r.question_id), ...unanswered];
+        const { data: answerKeyRows, error: answerKeyError } = await supabase
+            .from('questions')
+            .select('id, question_type, correct_answer_index, correct_answer_indices, explanation')
+            .in('id', gradedIds);
+
+        if (answerKeyError) throw answerKeyError;
+
+        const answerKey = new Map(answerKeyRows.map(q => [q.id, q]));
+        const answeredDetails = savedData.map(detail => ({
+            ...detail,
+            question_type: answerKey.get(detail.question_id)?.question_type || 'single',
+            correct_answer_index: answerKey.get(detail.question_id)?.correct_answer_index ?? null,
+            correct_answer_indices: answerKey.get(detail.question_id)?.correct_answer_indices ?? null,
+            explanation: answerKey.get(detail.question_id)?.explanation || null
+        }));
+        const gradedDetails = [
+            ...answeredDetails,
+            ...unanswered.map(questionId => ({
+                is_correct: false,
+                score: 0,
+                question_id: questionId,
+                selected_answer_index: null,
+                selected_answer_indices: null,
+                question_type: answerKey.get(questionId)?.question_type || 'single'
+            }))
+        ];
+
+        const { error: revealError } = answeredDetails.length > 0
+            ? await recordReveals(req, answeredDetails.map(detail => ({
+                question_id: detail.question_id,
+                selected_answer_index: detail.selected_answer_index,
+                selected_answer_indices: detail.selected_answer_indices,
+                is_correct: detail.is_correct === true
+            })))
+            : { error: null };
+
+        if (revealError) {
+            console.warn('⚠️  Failed to log answer reveals:', revealError.message);
+        }
+
+        // Calculate final score (partial credit counts towards the score)
+        const total = gradedDetails.length;
+        const correct = gradedDetails.filter(r => r.is_correct === true).length;
+        const points = gradedDetails.reduce((sum, r) => sum + (r.score || 0), 0);
+        const score = Math.round(points * 10) / 10;
+        const percentage = total > 0 ? Math.round((points / total) * 100) : 0;
+
+        res.status(201).json({
+            success: true,
+            results: {
+                score,
+                correct,
+                total,
+                percentage,
+                gradedDetails,
+                sessionId
+            }
+        });
+    } catch (err) {
+        console.error('❌ Quiz submission error:', err.message);
+        res.status(500).json({ error: 'Failed to process submission', details: err.message });
+    }
+});
+
+
+// ============================================================================
+// ENDPOINT 4a: Practice Mode - Check Single Answer
+// ============================================================================
+/**
+ * Cohort distribution from question_answer_stats (migration 011): how
+ * students answered the question the first time. Withheld below
+ * MIN_COHORT_RESPONSES, where percentages would be noise (or one person).
+ */
+const MIN_COHORT_RESPONSES = 5;
+
+async function getCohortStats(questionId, question) {
+    const { data, error } = await supabase
+        .from('question_answer_stats')
+        .select('responses, correct, score_sum, option_counts')
+        .eq('question_id', questionId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data || data.responses < MIN_COHORT_RESPONSES) return null;
+
+    const counts = data.option_counts || {};
+    const optionCount = Array.isArray(question.options)
+        ? question.options.length
+        : Math.max(0, ...Object.keys(counts).map(key => Number(key) + 1));
+    const percent = (count) => Math.round((count / data.responses) * 100);
+
+    return {
+        responses: data.responses,
+        correctRate: percent(data.correct),
+        averageScore: Math.round((Number(data.score_sum) / data.responses) * 100) / 100,
+        // By original option index; for true_false, the share who marked the statement TRUE
+        optionRates: Array.from({ length: optionCount }, (_, index) => percent(counts[index] || 0))
+    };
+}
+
+router.post('/api/practice/check-answer', optionalAuthMiddleware, async (req, res) => {
+    try {
+        const {
+            questionId, selectedAnswerIndex, lectureId, sessionToken, replay,
+            clientSessionId, deck, totalQuestions, responseTimeMs, answeredAt
+        } = req.body;
+        // User might be null if anonymous
+        const userId = req.user ? req.user.id : null;
+
+        if (!questionId || selectedAnswerIndex === undefined) {
+            return res.status(400).json({ error: 'Missing questionId or selectedAnswerIndex' });
+        }
+
+        // An index, or an array of indices for multi / true_false questions
+        const selected = parseSelectedAnswer(selectedAnswerIndex);
+
+        if (!selected) {
+            return res.status(400).json({ error: 'selectedAnswerIndex must be an integer or an array of integers' });
+        }
+
+        // Offline answers replayed by the sync queue: recorded once against the
+        // signed-in student's session that released the question's offline key
+        // (expired is fine), and the reply never carries the verdict
+        const isReplay = replay === true;
+
+        if (isReplay && !userId) {
+            return res.status(401).json({ error: 'Sign in to sync offline answers' });
+        }
+
+        if (typeof sessionToken !== 'string' || !UUID_PATTERN.test(sessionToken)) {
+            return res.status(401).json({ error: 'Practice session required', code: 'SESSION_REQUIRED' });
+        }
+
+        const resolvedQuestionId = await resolveId('questions', questionId);
+
+        if (!resolvedQuestionId) {
+            return res.status(404).json({ error: 'Question not found' });
+        }
+
+        // 1. Guard the answer key: issued session, listed question, once per session
+        let alreadyRevealed = false;
+
+        const { data: session, error: sessionError } = await supabase
+            .from('practice_sessions')
+            .select('id, user_id, question_ids, keys_released, expires_at')
+            .eq('id', sessionToken)
+            .maybeSingle();
+
+        if (sessionError) throw sessionError;
+
+        if (!session || (!isReplay && Date.parse(session.expires_at) < Date.now())) {
+            return res.status(401).json({ error: 'Practice session expired', code: 'SESSION_EXPIRED' });
+        }
+
+        if ((isReplay || session.user_id) && session.user_id !== userId) {
+            return res.status(403).json({ error: 'Practice session belongs to another user', code: 'SESSION_FORBIDDEN' });
+        }
+
+        if (isReplay && !(session.keys_released > 0)) {
+            return res.status(403).json({ error: 'Practice session released no offline keys', code: 'SESSION_FORBIDDEN' });
+        }
+
+        if (!session.question_ids.includes(resolvedQuestionId)) {
+            return res.status(403).json({ error: 'Question is not part of this session', code: 'QUESTION_NOT_IN_SESSION' });
+        }
+
+        if (!isReplay) {
+            const { data: previous, error: previousError } = await supabase
+                .from('practice_reveals')
+                .select('selected_answer_index, selected_answer_indices')
+                .eq('session_id', session.id)
+                .eq('question_id', resolvedQuestionId)
+                .maybeSingle();
+
+            if (previousError) throw previousError;
+
+            if (previous && answerKeyOf(previous.selected_answer_index, previous.selected_answer_indices) !== answerKeyOf(selected.index, selected.indices)) {
+                return res.status(409).json({ error: 'Question already answered in this session', code: 'ALREADY_ANSWERED' });
+            }
+
+            // Same answer again (retried request): nothing new is revealed
+            alreadyRevealed = !!previous;
+        }
+
+        // Replays reveal nothing; the once-per-session insert below bounds them
+        if (!isReplay && !alreadyRevealed && !(await withinRateLimit(req, res, 'reveals'))) return;
+
+        // 2. Get the TRUTH (Correct Answer & Explanation)
+        const { data: question, error: qError } = await supabase
+            .from('questions')
+            .select('question_type, options, correct_answer_index, correct_answer_indices, explanation, lecture_id')
+            .eq('id', resolvedQuestionId)
+            .single();
+
+        if (qError || !question) {
+            return res.status(404).json({ error: 'Question data missing' });
+        }
+
+        const isMultiAnswer = isMultiAnswerType(question.question_type);
+
+        if (isMultiAnswer !== Array.isArray(selected.indices)) {
+            return res.status(400).json({
+                error: isMultiAnswer
+                    ? 'This question takes an array of option indices'
+                    : 'This question takes a single option index'
+            });
+        }
+
+        const { is_correct: isCorrect, score } = gradeAnswer(question, selected);
+
+        if (!alreadyRevealed) {
+            const { error: revealError } = await recordReveals(req, [{
+                session_id: session.id,
+                question_id: resolvedQuestionId,
+                selected_answer_index: selected.index,
+                selected_answer_indices: selected.indices,
+                is_correct: isCorrect,
+                replayed: isReplay
+            }]);
+
+            // A concurrent request for the same question won the race
+            if (revealError && revealError.code === '23505') {
+                return res.status(409).json({ error: 'Question already answered in this session', code: 'ALREADY_ANSWERED' });
+            }
+            if (revealError) throw revealError;
+        }
+
+        // 3. Log the attempt (ONLY IF AUTHENTICATED)
+        if (userId) {
+            // Resolve lectureId first to be safe
+            let relevantLectureId = null;
+            if (lectureId) {
+                relevantLectureId = await resolveId('lectures', lectureId);
+            }
+            if (!relevantLectureId) {
+                relevantLectureId = question.lecture_id;
+            }
+
+            if (relevantLectureId) {
+                try {
+                    // Append to the practice session instead of overwriting the previous answer
+                    const sessionId = await openQuizSession(userId, {
+                        clientSessionId,
+                        mode: 'practice',
+                        deck,
+                        lectureId: relevantLectureId,
+                        questionCount: totalQuestions,
+                        startedAt: answeredAt
+                    });
+                    const attempts = await nextAttemptNumbers(userId, [resolvedQuestionId]);
+
+                    // A retried request for the same question in the same session is ignored
+                    const { error: insertError } = await supabase
+                        .from('user_responses')
+                        .upsert({
+                            user_id: userId,
+                            lecture_id: relevantLectureId,
+                            question_id: resolvedQuestionId,
+                            selected_answer_index: selected.index,
+                            selected_answer_indices: selected.indices,
+                            attempt_number: attempts.get(resolvedQuestionId),
+                            session_id: sessionId,
+                            response_time_ms: Number.isInteger(responseTimeMs) && responseTimeMs >= 0 && responseTimeMs <= MAX_RESPONSE_TIME_MS
+                                ? responseTimeMs
+                                : null,
+                            // Answers graded offline are replayed by the sync queue later
+                            created_at: toPastIsoOrNow(answeredAt)
+                        }, { onConflict: 'session_id,question_id', ignoreDuplicates: true });
+
+                    if (insertError) throw insertError;
+                } catch (saveError) {
+                    console.warn('⚠️ Failed to save practice response:', saveError.message);
+                }
+            }
+        }
+
+        if (isReplay) {
+            return res.json({ success: true, recorded: true });
+        }
+
+        // 4. How everyone else answered (never fails the check itself)
+        const cohort = await getCohortStats(resolvedQuestionId, question).catch(statsError => {
+            console.warn('⚠️ Failed to load cohort stats:', statsError.message);
+            return null;
+        });
+
+        // 5. Return immediate feedback (Works for everyone)
+        res.json({
+            success: true,
+            is_correct: isCorrect,
+            score,
+            question_type: question.question_type || 'single',
+            correct_answer_index: question.correct_answer_index,
+            correct_answer_indices: isMultiAnswer ? question.correct_answer_indices : null,
+            explanation: question.explanation,
+            cohort
+        });
+
+    } catch (err) {
+        console.error('❌ Check answer error:', err.message);
+        res.status(500).json({ error: 'Failed to check answer', details: err.message });
+    }
+});
+
+// ============================================================================
+// ENDPOINT 5: Student Performance Analytics
+// ============================================================================
+router.get('/api/student/performance', authMiddleware, async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const { data, error } = await supabase
+            .from('user_responses')
+            .select(`
+                is_correct,
+                created_at,
+                lectures:lecture_id (
+                    id,
+                    external_id,
+                    name
+                )
+            `)
+            .eq('user_id', userId);
+
+        if (error) throw error;
+
+        const stats = {
+            totalQuestionsAnswered: data.length,
+            overallAccuracy: 0,
+            byLecture: {}
+        };
+
+        let correctCount = 0;
+
+        data.forEach(response => {
+            if (response.is_correct) correctCount++;
+
+            const lecName = response.lectures?.name || 'Unknown';
+
+            if (!stats.byLecture[lecName]) {
+                stats.byLecture[lecName] = { total: 0, correct: 0 };
+            }
+
+            stats.byLecture[lecName].total++;
+            if (response.is_correct) stats.byLecture[lecName].correct++;
+        });
+
+        if (stats.totalQuestionsAnswered > 0) {
+            stats.overallAccuracy = Math.round((correctCount / stats.totalQuestionsAnswered) * 100);
+        }
+
+        console.log(`✅ Loaded performance for user ${userId.substring(0, 8)}...: ${stats.overallAccuracy}% accuracy`);
+        res.json(stats);
+    } catch (err) {
+        console.error('❌ Error fetching performance:', err.message);
+        res.status(500).json({ error: 'Failed to fetch performance', details: err.message });
+    }
+});
+
+// ============================================================================
+// ENDPOINT 5a: Spaced Repetition - Review Schedule Mirror
+// ============================================================================
+/**
+ * The SM-2 scheduler runs on the client (js/review-scheduler.js).
+ * These routes only mirror its per-question state into question_reviews
+ * so the review queue follows the student across devices.
+ *
+ * Conflicts are resolved last-write-wins on lastReviewedAt.
+ */
+const MAX_REVIEW_SYNC_SIZE = 500;
+const ISO_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+function isIsoTimestamp(value) {
+    return typeof value === 'string' && ISO_TIMESTAMP_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+function toReviewItem(row) {
+    return {
+        questionId: row.question_id,
+        lectureId: row.lecture_id,
+        easeFactor: Number(row.ease_factor),
+        intervalDays: row.interval_days,
+        repetitions: row.repetitions,
+        lapses: row.lapses,
+        dueAt: row.due_at,
+        lastReviewedAt: row.last_reviewed_at
+    };
+}
+
+// GET /api/reviews?dueBefore=ISO - List the student's review schedule
+router.get('/api/reviews', authMiddleware, async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        let query = supabase
+            .from('question_reviews')
+            .select('question_id, lecture_id, ease_factor, interval_days, repetitions, lapses, due_at, last_reviewed_at')
+            .eq('user_id', userId);
+
+        if (req.query.dueBefore) {
+            query = query.lte('due_at', req.query.dueBefore);
+        }
+
+        const { data, error } = await query.order('due_at', { ascending: true });
+
+        if (error) throw error;
+
+        res.json({ items: data.map(toReviewItem) });
+    } catch (err) {
+        console.error('❌ Error fetching reviews:', err.message);
+        res.status(500).json({ error: 'Failed to fetch reviews', details: err.message });
+    }
+});
+
+// PUT /api/reviews - Upsert review items computed on the client
+router.put('/api/reviews', authMiddleware, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { items } = req.body;
+
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({ error: 'items must be a non-empty array' });
+        }
+
+        if (items.length > MAX_REVIEW_SYNC_SIZE) {
+            return res.status(400).json({ error: `Maximum sync size is ${MAX_REVIEW_SYNC_SIZE}` });
+        }
+
+        const invalidIndex = items.findIndex(item => !item || !isIsoTimestamp(item.dueAt) || !isIsoTimestamp(item.lastReviewedAt));
+        if (invalidIndex !== -1) {
+            return res.status(400).json({ error: `items[${invalidIndex}]: dueAt and lastReviewedAt must be ISO timestamps` });
+        }
+
+        const [questionIds, lectureIds] = await Promise.all([
+            resolveIds('questions', items.map(item => item.questionId)),
+            resolveIds('lectures', items.map(item => item.lectureId))
+        ]);
+
+        const rows = [];
+
+        for (const item of items) {
+            const resolvedQuestionId = questionIds.get(String(item.questionId));
+
+            if (!resolvedQuestionId) {
+                console.warn(`⚠️  Review item ${item.questionId} invalid, skipping`);
+                continue;
+            }
+
+            rows.push({
+                user_id: userId,
+                question_id: resolvedQuestionId,
+                lecture_id: item.lectureId ? lectureIds.get(String(item.lectureId)) || null : null,
+                ease_factor: Math.max(1.3, Number(item.easeFactor) || 2.5),
+                interval_days: Math.max(0, parseInt(item.intervalDays, 10) || 0),
+                repetitions: Math.max(0, parseInt(item.repetitions, 10) || 0),
+                lapses: Math.max(0, parseInt(item.lapses, 10) || 0),
+                due_at: new Date(item.dueAt).toISOString(),
+                last_reviewed_at: new Date(item.lastReviewedAt).toISOString(),
+                updated_at: new Date().toISOString()
+            });
+        }
+
+        if (rows.length === 0) {
+            return res.status(400).json({ error: 'No valid review items to save' });
+        }
+
+        // Last-write-wins: drop items older than what another device already saved
+        const { data: existing, error: existingError } = await supabase
+            .from('question_reviews')
+            .select('question_id, last_reviewed_at')
+            .eq('user_id', userId)
+            .in('question_id', rows.map(r => r.question_id));
+
+        if (existingError) throw existingError;
+
+        const existingMap = new Map(existing.map(r => [r.question_id, new Date(r.last_reviewed_at).getTime()]));
+        const newerRows = rows.filter(r => {
+            const savedAt = existingMap.get(r.question_id);
+            return savedAt === undefined || new Date(r.last_reviewed_at).getTime() > savedAt;
+        });
+
+        if (newerRows.length > 0) {
+            const { error } = await supabase
+                .from('question_reviews')
+                .upsert(newerRows, { onConflict: 'user_id,question_id' });
+
+            if (error) throw error;
+        }
+
+        console.log(`✅ Synced ${newerRows.length}/${rows.length} review items for user ${userId.substring(0, 8)}...`);
+        res.json({ success: true, saved: newerRows.length, skipped: rows.length - newerRows.length });
+    } catch (err) {
+        console.error('❌ Error saving reviews:', err.message);
+        res.status(500).json({ error: 'Failed to save reviews', details: err.message });
+    }
+});
+
+// ============================================================================
+// ENDPOINT 5b: Bookmarks & Personal Notes
+// ============================================================================
+/**
+ * Mirrors the client `questionAnnotations` store (js/saved-questions.js)
+ * so saved questions and notes follow the student across devices.
+ *
+ * Bookmarks are a set (PUT adds, DELETE removes).
+ * Notes are last-write-wins on updatedAt; an empty body removes the note.
+ */
+const MAX_NOTE_LENGTH = 5000;
+
+// GET /api/bookmarks - List the student's bookmarked questions
+router.get('/api/bookmarks', authMiddleware, async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('question_bookmarks')
+            .select('question_id, lecture_id, created_at')
+            .eq('user_id', req.user.id)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+
+        res.json({
+            bookmarks: data.map(row => ({
+                questionId: row.question_id,
+                lectureId: row.lecture_id,
+                createdAt: row.created_at
+            }))
+        });
+    } catch (err) {
+        console.error('❌ Error fetching bookmarks:', err.message);
+        res.status(500).json({ error: 'Failed to fetch bookmarks', details: err.message });
+    }
+});
+
+// PUT /api/bookmarks/:questionId - Bookmark a question (idempotent)
+router.put('/api/bookmarks/:questionId', authMiddleware, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { lectureId, createdAt } = req.body || {};
+
+        if (createdAt !== undefined && createdAt !== null && !isIsoTimestamp(createdAt)) {
+            return res.status(400).json({ error: 'createdAt must be an ISO timestamp' });
+        }
+
+        const resolvedQuestionId = await resolveId('questions', req.params.questionId);
+
+        if (!resolvedQuestionId) {
+            return res.status(404).json({ error: 'Question not found' });
+        }
+
+        const { error } = await supabase
+            .from('question_bookmarks')
+            .upsert({
+                user_id: userId,
+                question_id: resolvedQuestionId,
+                lecture_id: lectureId ? await resolveId('lectures', lectureId) : null,
+                created_at: createdAt || new Date().toISOString()
+            }, { onConflict: 'user_id,question_id', ignoreDuplicates: true });
+
+        if (error) throw error;
+
+        res.json({ success: true });
+    } catch (err) {
+        console.error('❌ Error saving bookmark:', err.message);
+        res.status(500).json({ error: 'Failed to save bookmark', details: err.message });
+    }
+});
+
+// DELETE /api/bookmarks/:questionId - Remove a bookmark
+router.delete('/api/bookmarks/:questionId', authMiddleware, async (req, res) => {
+    try {
+        const resolvedQuestionId = await resolveId('questions', req.params.questionId);
+
+        if (!resolvedQuestionId) {
+            return res.status(404).json({ error: 'Question not found' });
+        }
+
+        const { error } = await supabase
+            .from('question_bookmarks')
+            .delete()
+            .eq('user_id', req.user.id)
+            .eq('question_id', resolvedQuestionId);
+
+        if (error) throw error;
+
+        res.json({ success: true });
+    } catch (err) {
+        console.error('❌ Error removing bookmark:', err.message);
+        res.status(500).json({ error: 'Failed to remove bookmark', details: err.message });
+    }
+});
+
+// GET /api/notes - List the student's notes
+router.get('/api/notes', authMiddleware, async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('question_notes')
+            .select('question_id, lecture_id, body, updated_at')
+            .eq('user_id', req.user.id)
+            .order('updated_at', { ascending: false });
+
+        if (error) throw error;
+
+        res.json({
+            notes: data.map(row => ({
+                questionId: row.question_id,
+                lectureId: row.lecture_id,
+                body: row.body,
+                updatedAt: row.updated_at
+            }))
+        });
+    } catch (err) {
+        console.error('❌ Error fetching notes:', err.message);
+        res.status(500).json({ error: 'Failed to fetch notes', details: err.message });
+    }
+});
+
+// PUT /api/notes/:questionId - Save (or clear) the note on a question
+router.put('/api/notes/:questionId', authMiddleware, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { lectureId, body, updatedAt } = req.body || {};
+
+        if (typeof body !== 'string') {
+            return res.status(400).json({ error: 'body must be a string' });
+        }
+
+        if (body.length > MAX_NOTE_LENGTH) {
+            return res.status(400).json({ error: `Notes are limited to ${MAX_NOTE_LENGTH} characters` });
+        }
+
+        if (updatedAt !== undefined && updatedAt !== null && !isIsoTimestamp(updatedAt)) {
+            return res.status(400).json({ error: 'updatedAt must be an ISO timestamp' });
+        }
+
+        const resolvedQuestionId = await resolveId('questions', req.params.questionId);
+
+        if (!resolvedQuestionId) {
+            return res.status(404).json({ error: 'Question not found' });
+        }
+
+        const editedAt = updatedAt || new Date().toISOString();
+
+        // Last-write-wins: ignore edits older than what another device already saved
+        const { data: existing, error: existingError } = await supabase
+            .from('question_notes')
+            .select('updated_at')
+            .eq('user_id', userId)
+            .eq('question_id', resolvedQuestionId)
+            .maybeSingle();
+
+        if (existingError) throw existingError;
+
+        if (existing && new Date(existing.updated_at).getTime() > new Date(editedAt).getTime()) {
+            return res.json({ success: true, skipped: true });
+        }
+
+        const trimmed = body.trim();
+
+        if (!trimmed) {
+            const { error } = await supabase
+                .from('question_notes')
+                .delete()
+                .eq('user_id', userId)
+                .eq('question_id', resolvedQuestionId);
+
+            if (error) throw error;
+            return res.json({ success: true, deleted: true });
+        }
+
+        const { error } = await supabase
+            .from('question_notes')
+            .upsert({
+                user_id: userId,
+                question_id: resolvedQuestionId,
+                lecture_id: lectureId ? await resolveId('lectures', lectureId) : null,
+                body: trimmed,
+                updated_at: editedAt
+            }, { onConflict: 'user_id,question_id' });
+
+        if (error) throw error;
+
+        res.json({ success: true });
+    } catch (err) {
+        console.error('❌ Error saving note:', err.message);
+        res.status(500).json({ error: 'Failed to save note', details: err.message });
+    }
+});
+
+// ============================================================================
+// ENDPOINT 5c: Attempt History
+// ============================================================================
+/**
+ * Past quiz sessions with their answers. Scores are computed from the
+ * stored responses; exam questions left blank count as unanswered
+ * (question_count - answered).
+ */
+const DEFAULT_ATTEMPTS_PAGE = 20;
+const MAX_ATTEMPTS_PAGE = 100;
+
+function toAttemptSummary(session, responses, lectureNames) {
+    const answered = responses.length;
+    const correct = responses.filter(r => r.is_correct === true).length;
+
+    return {
+        id: session.id,
+        number: session.session_number,
+        mode: session.mode,
+        deck: session.deck,
+        lectures: session.lecture_ids.map(id => ({ id, name: lectureNames.get(id) || null })),
+        startedAt: session.started_at,
+        endedAt: session.ended_at,
+        questionCount: session.question_count ?? answered,
+        answered,
+        correct,
+        percentage: answered > 0 ? Math.round((correct / answered) * 100) : 0
+    };
+}
+
+async function getLectureNames(lectureIds) {
+    const ids = [...new Set(lectureIds)];
+    if (ids.length === 0) return new Map();
+
+    const { data, error } = await supabase
+        .from('lectures')
+        .select('id, name')
+        .in('id', ids);
+
+    if (error) throw error;
+    return new Map(data.map(l => [l.id, l.name]));
+}
+
+// GET /api/student/attempts?lectureId=&limit=&before=ISO - List past sessions, newest first
+router.get('/api/student/attempts', authMiddleware, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_ATTEMPTS_PAGE, 1), MAX_ATTEMPTS_PAGE);
+
+        let query = supabase
+            .from('quiz_sessions')
+            .select('id, session_number, mode, deck, lecture_ids, question_count, started_at, ended_at')
+            .eq('user_id', userId);
+
+        if (req.query.lectureId) {
+            const resolvedLectureId = await resolveId('lectures', req.query.lectureId);
+            if (!resolvedLectureId) {
+                return res.status(404).json({ error: 'Lecture not found' });
+            }
+            query = query.contains('lecture_ids', [resolvedLectureId]);
+        }
+
+        if (req.query.before) {
+            query = query.lt('started_at', req.query.before);
+        }
+
+        const { data: sessions, error } = await query
+            .order('started_at', { ascending: false })
+            .limit(limit);
+
+        if (error) throw error;
+
+        let responses = [];
+        if (sessions.length > 0) {
+            const { data, error: responsesError } = await supabase
+                .from('user_responses')
+                .select('session_id, is_correct')
+                .eq('user_id', userId)
+                .in('session_id', sessions.map(s => s.id));
+
+            if (responsesError) throw responsesError;
+            responses = data;
+        }
+
+        const lectureNames = await getLectureNames(sessions.flatMap(s => s.lecture_ids));
+
+        res.json({
+            attempts: sessions.map(session => toAttemptSummary(
+                session,
+                responses.filter(r => r.session_id === session.id),
+                lectureNames
+            )),
+            hasMore: sessions.length === limit
+        });
+    } catch (err) {
+        console.error('❌ Error fetching attempts:', err.message);
+        res.status(500).json({ error: 'Failed to fetch attempts', details: err.message });
+    }
+});
+
+// GET /api/student/attempts/:id - One session with every answer and the answer key
+router.get('/api/student/attempts/:id', authMiddleware, async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        if (!UUID_PATTERN.test(req.params.id)) {
+            return res.status(404).json({ error: 'Attempt not found' });
+        }
+
+        const { data: session, error } = await supabase
+            .from('quiz_sessions')
+            .select('id, session_number, mode, deck, lecture_ids, question_count, started_at, ended_at')
+            .eq('user_id', userId)
+            .eq('id', req.params.id)
+            .maybeSingle();
+
+        if (error) throw error;
+
+        if (!session) {
+            return res.status(404).json({ error: 'Attempt not found' });
+        }
+
+        const { data: responses, error: responsesError } = await supabase
+            .from('user_responses')
+            .select(`
+                question_id,
+                lecture_id,
+                selected_answer_index,
+                selected_answer_indices,
+                is_correct,
+                score,
+                attempt_number,
+                created_at,
+                questions:question_id (
+                    text,
+                    options,
+                    question_type,
+                    group_id,
+                    correct_answer_index,
+                    correct_answer_indices,
+                    explanation
+                )
+            `)
+            .eq('user_id', userId)
+            .eq('session_id', session.id)
+            .order('created_at', { ascending: true });
+
+        if (responsesError) throw responsesError;
+
+        const lectureNames = await getLectureNames(session.lecture_ids);
+
+        // The answer key is only returned for questions the student has already answered
+        const questions = (await withQuestionGroups(transformQuestionsForClient({
+            questions: responses.map(r => ({ id: r.question_id, ...r.questions }))
+        }))).questions;
+
+        res.json({
+            attempt: toAttemptSummary(session, responses, lectureNames),
+            responses: responses.map((r, i) => ({
+                questionId: r.question_id,
+                lectureId: r.lecture_id,
+                selectedAnswerIndex: r.selected_answer_indices || r.selected_answer_index,
+                isCorrect: r.is_correct,
+                score: r.score === null ? (r.is_correct ? 1 : 0) : Number(r.score),
+                attemptNumber: r.attempt_number,
+                answeredAt: r.created_at,
+                questionType: questions[i].question_type || 'single',
+                group: questions[i].group || null,
+                text: questions[i].text,
+                options: questions[i].options,
+                correctAnswerIndex: questions[i].correct_answer_indices || questions[i].correct_answer_index,
+                explanation: questions[i].explanation
+            }))
+        });
+    } catch (err) {
+        console.error('❌ Error fetching attempt:', err.message);
+        res.status(500).json({ error: 'Failed to fetch attempt', details: err.message });
+    }
+});
+
+// ============================================================================
+// ENDPOINT 5d: Student Analytics (Rollups, Trends, Weak Areas)
+// ============================================================================
+/**
+ * Server-side view of everything the student has answered, so the stats
+ * screen shows the same numbers on every device:
+ * - accuracy rolled up by year / module / subject / lecture and by difficulty
+ * - daily and weekly trends over the last `days` (buckets in the client's
+ *   timezone via `tzOffset`, minutes as returned by Date#getTimezoneOffset)
+ * - time on question (practice answers only)
+ * - weakest subjects ranked by the upper bound of a 95% Wilson interval,
+ *   so a subject only ranks as weak once there is evidence for it
+ */
+const ANALYTICS_PAGE_SIZE = 1000;
+const MAX_ANALYTICS_ROWS = 50000;
+const DEFAULT_TREND_DAYS = 90;
+const MAX_TREND_DAYS = 365;
+const MIN_WEAK_AREA_ANSWERS = 5;
+const MAX_WEAK_AREAS = 5;
+const WILSON_Z = 1.96;
+
+function wilsonInterval(correct, total, z = WILSON_Z) {
+    if (total === 0) return { lower: 0, upper: 1 };
+
+    const p = correct / total;
+    const denominator = 1 + (z * z) / total;
+    const centre = p + (z * z) / (2 * total);
+    const margin = z * Math.sqrt((p * (1 - p)) / total + (z * z) / (4 * total * total));
+
+    return {
+        lower: Math.round(((centre - margin) / denominator) * 1000) / 1000,
+        upper: Math.round(((centre + margin) / denominator) * 1000) / 1000
+    };
+}
+
+function accuracyOf(bucket) {
+    return bucket.answered > 0 ? Math.round((bucket.correct / bucket.answered) * 100) : 0;
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+function average(values) {
+    return values.length > 0 ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length) : null;
+}
+
+// YYYY-MM-DD of a timestamp in the student's timezone
+function localDayKey(timestamp, tzOffsetMinutes) {
+    return new Date(new Date(timestamp).getTime() - tzOffsetMinutes * 60000).toISOString().substring(0, 10);
+}
+
+// Monday of the week a day key falls in
+function weekStartKey(dayKey) {
+    const date = new Date(`${dayKey}T00:00:00Z`);
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    date.setUTCDate(date.getUTCDate() - daysSinceMonday);
+    return date.toISOString().substring(0, 10);
+}
+
+async function fetchAllUserResponses(userId) {
+    const rows = [];
+
+    for (let from = 0; from < MAX_ANALYTICS_ROWS; from += ANALYTICS_PAGE_SIZE) {
+        const { data, error } = await supabase
+            .from('user_responses')
+            .select(`
+                lecture_id,
+                is_correct,
+                response_time_ms,
+                created_at,
+                questions:question_id (
+                    difficulty_level
+                )
+            `)
+            .eq('user_id', userId)
+            .order('created_at', { ascending: true })
+            .range(from, from + ANALYTICS_PAGE_SIZE - 1);
+
+        if (error) throw error;
+
+        rows.push(...data);
+        if (data.length < ANALYTICS_PAGE_SIZE) break;
+    }
+
+    return rows;
+}
+
+// Lecture → subject → module → year names for the lectures the student answered
+async function fetchHierarchyFor(lectureIds) {
+    const lookup = async (table, columns, ids) => {
+        if (ids.length === 0) return new Map();
+        const { data, error } = await supabase.from(table).select(columns).in('id', ids);
+        if (error) throw error;
+        return new Map(data.map(row => [row.id, row]));
+    };
+
+    const lectures = await lookup('lectures', 'id, name, subject_id', lectureIds);
+    const subjects = await lookup('subjects', 'id, name, module_id', [...new Set([...lectures.values()].map(l => l.subject_id).filter(Boolean))]);
+    const modules = await lookup('modules', 'id, name, year_id', [...new Set([...subjects.values()].map(s => s.module_id).filter(Boolean))]);
+    const years = await lookup('years', 'id, name', [...new Set([...modules.values()].map(m => m.year_id).filter(Boolean))]);
+
+    return { lectures, subjects, modules, years };
+}
+
+// GET /api/student/analytics?days=90&tzOffset=-120
+router.get('/api/student/analytics', authMiddleware, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || DEFAULT_TREND_DAYS, 1), MAX_TREND_DAYS);
+        const tzOffset = Math.min(Math.max(parseInt(req.query.tzOffset, 10) || 0, -14 * 60), 14 * 60);
+
+        const [responses, sessionsResult] = await Promise.all([
+            fetchAllUserResponses(userId),
+            supabase
+                .from('quiz_sessions')
+                .select('id', { count: 'exact', head: true })
+                .eq('user_id', userId)
+        ]);
+
+        if (sessionsResult.error) throw sessionsResult.error;
+
+        const hierarchy = await fetchHierarchyFor([...new Set(responses.map(r => r.lecture_id).filter(Boolean))]);
+
+        const newBucket = (extra = {}) => ({ ...extra, answered: 0, correct: 0 });
+        const levels = { year: new Map(), module: new Map(), subject: new Map(), lecture: new Map() };
+        const byDifficulty = new Map();
+        const daily = new Map();
+        const trendStart = localDayKey(Date.now() - (days - 1) * 86400000, tzOffset);
+        const times = { all: [], correct: [], wrong: [] };
+        let correctTotal = 0;
+
+        const count = (map, key, extra) => {
+            if (!map.has(key)) map.set(key, newBucket(extra));
+            const bucket = map.get(key);
+            bucket.answered++;
+            return bucket;
+        };
+
+        responses.forEach(response => {
+            const isCorrect = response.is_correct === true;
+            if (isCorrect) correctTotal++;
+
+            // Hierarchy rollup
+            const lecture = hierarchy.lectures.get(response.lecture_id);
+            const subject = lecture && hierarchy.subjects.get(lecture.subject_id);
+            const courseModule = subject && hierarchy.modules.get(subject.module_id);
+            const year = courseModule && hierarchy.years.get(courseModule.year_id);
+
+            [
+                ['lecture', lecture, subject?.id],
+                ['subject', subject, courseModule?.id],
+                ['module', courseModule, year?.id],
+                ['year', year, null]
+            ].forEach(([level, node, parentId]) => {
+                if (!node) return;
+                const bucket = count(levels[level], node.id, { id: node.id, name: node.name, parentId });
+                if (isCorrect) bucket.correct++;
+            });
+
+            // Difficulty rollup
+            const difficulty = response.questions?.difficulty_level || null;
+            const difficultyBucket = count(byDifficulty, difficulty, { level: difficulty, times: [] });
+            if (isCorrect) difficultyBucket.correct++;
+
+            // Time on question
+            if (Number.isInteger(response.response_time_ms)) {
+                times.all.push(response.response_time_ms);
+                times[isCorrect ? 'correct' : 'wrong'].push(response.response_time_ms);
+                difficultyBucket.times.push(response.response_time_ms);
+            }
+
+            // Trend window
+            const day = localDayKey(response.created_at, tzOffset);
+            if (day >= trendStart) {
+                const dayBucket = count(daily, day, { date: day });
+                if (isCorrect) dayBucket.correct++;
+            }
+        });
+
+        const withAccuracy = bucket => ({ ...bucket, accuracy: accuracyOf(bucket) });
+        const rollup = map => [...map.values()].map(withAccuracy).sort((a, b) => b.answered - a.answered);
+
+        const weekly = new Map();
+        [...daily.values()].forEach(day => {
+            const week = weekStartKey(day.date);
+            if (!weekly.has(week)) weekly.set(week, newBucket({ weekStart: week }));
+            weekly.get(week).answered += day.answered;
+            weekly.get(week).correct += day.correct;
+        });
+
+        const subjects = rollup(levels.subject).map(subject => ({
+            ...subject,
+            moduleName: levels.module.get(subject.parentId)?.name || null,
+            interval: wilsonInterval(subject.correct, subject.answered)
+        }));
+
+        const weakSubjects = subjects
+            .filter(subject => subject.answered >= MIN_WEAK_AREA_ANSWERS)
+            .sort((a, b) => a.interval.upper - b.interval.upper || a.accuracy - b.accuracy)
+            .slice(0, MAX_WEAK_AREAS);
+
+        res.json({
+            summary: {
+                answered: responses.length,
+                correct: correctTotal,
+                accuracy: accuracyOf({ answered: responses.length, correct: correctTotal }),
+                sessions: sessionsResult.count || 0,
+                firstAnsweredAt: responses[0]?.created_at || null,
+                lastAnsweredAt: responses[responses.length - 1]?.created_at || null,
+                truncated: responses.length >= MAX_ANALYTICS_ROWS
+            },
+            byYear: rollup(levels.year),
+            byModule: rollup(levels.module),
+            bySubject: subjects,
+            byLecture: rollup(levels.lecture),
+            byDifficulty: [...byDifficulty.values()]
+                .map(({ times: bucketTimes, ...bucket }) => ({ ...withAccuracy(bucket), avgResponseTimeMs: average(bucketTimes) }))
+                .sort((a, b) => (a.level ?? 99) - (b.level ?? 99)),
+            trends: {
+                days,
+                tzOffset,
+                daily: [...daily.values()].map(withAccuracy).sort((a, b) => a.date.localeCompare(b.date)),
+                weekly: [...weekly.values()].map(withAccuracy).sort((a, b) => a.weekStart.localeCompare(b.weekStart))
+            },
+            timeOnQuestion: {
+                sampled: times.all.length,
+                avgMs: average(times.all),
+                medianMs: median(times.all),
+                correctAvgMs: average(times.correct),
+                wrongAvgMs: average(times.wrong)
+            },
+            weakSubjects
+        });
+    } catch (err) {
+        console.error('❌ Error fetching analytics:', err.message);
+        res.status(500).json({ error: 'Failed to fetch analytics', details: err.message });
+    }
+});
+
+// ============================================================================
+// ENDPOINT 5e: Student Accounts (Supabase Auth)
+// ============================================================================
+/**
+ * Sign-up, password and magic-link sign-in, token refresh and sign-out for
+ * the student app (js/auth.js), so the PWA needs no Supabase keys of its own.
+ *
+ * Magic links come back to the app with the session in the URL fragment;
+ * the client reads it from there. Sessions are returned as
+ * { accessToken, refreshToken, expiresAt (ms), user: { id, email } }.
+ */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// One short-lived client per request: auth calls store a session on the client,
+// which must never leak into the shared service-role client above
+function authClient() {
+    return createClient(
+        process.env.SUPABASE_URL,
+        process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY,
+        { auth: { persistSession: false, autoRefreshToken: false, detectSessionInUrl: false } }
+    );
+}
+
+function sessionForClient(session) {
+    return {
+        accessToken: session.access_token,
+        refreshToken: session.refresh_token,
+        expiresAt: (session.expires_at || Math.floor(Date.now() / 1000) + (session.expires_in || 3600)) * 1000,
+        user: { id: session.user.id, email: session.user.email || null }
+    };
+}
+
+function readCredentials(req, res, { needsPassword = true } = {}) {
+    const email = typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    const password = typeof req.body?.password === 'string' ? req.body.password : '';
+
+    if (!EMAIL_PATTERN.test(email)) {
+        res.status(400).json({ error: 'A valid email is required' });
+        return null;
+    }
+
+    if (needsPassword && password.length < MIN_PASSWORD_LENGTH) {
+        res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+        return null;
+    }
+
+    return { email, password };
+}
+
+// Only redirect magic links back to this app
+function safeRedirectTo(req) {
+    const redirectTo = req.body?.redirectTo;
+    if (typeof redirectTo !== 'string') return undefined;
+
+    try {
+        const url = new URL(redirectTo);
+        return url.host === req.get('host') ? url.toString() : undefined;
+    } catch (e) {
+        return undefined;
+    }
+}
+
+// POST /api/auth/sign-up - Create an account (session returned unless email confirmation is on)
+router.post('/api/auth/sign-up', async (req, res) => {
+    try {
+        const credentials = readCredentials(req, res);
+        if (!credentials) return;
+
+        const { data, error } = await authClient().auth.signUp({
+            ...credentials,
+            options: { emailRedirectTo: safeRedirectTo(req) }
+        });
+
+        if (error) {
+            return res.status(error.status === 429 ? 429 : 400).json({ error: 'Sign-up failed', details: error.message });
+        }
+
+        console.log(`👤 Student account created: ${data.user?.id}`);
+
+        res.json(data.session
+            ? { success: true, session: sessionForClient(data.session) }
+            : { success: true, confirmationRequired: true });
+    } catch (err) {
+        console.error('❌ Error signing up:', err.message);
+        res.status(500).json({ error: 'Failed to sign up', details: err.message });
+    }
+});
+
+// POST /api/auth/sign-in - Email + password
+router.post('/api/auth/sign-in', async (req, res) => {
+    try {
+        const credentials = readCredentials(req, res);
+        if (!credentials) return;
+
+        const { data, error } = await authClient().auth.signInWithPassword(credentials);
+
+        if (error || !data.session) {
+            return res.status(error?.status === 429 ? 429 : 401).json({ error: 'Sign-in failed', details: error?.message || 'No session' });
+        }
+
+        res.json({ success: true, session: sessionForClient(data.session) });
+    } catch (err) {
+        console.error('❌ Error signing in:', err.message);
+        res.status(500).json({ error: 'Failed to sign in', details: err.message });
+    }
+});
+
+// POST /api/auth/magic-link - Email a one-time sign-in link (creates the account if needed)
+router.post('/api/auth/magic-link', async (req, res) => {
+    try {
+        const credentials = readCredentials(req, res, { needsPassword: false });
+        if (!credentials) return;
+
+        const { error } = await authClient().auth.signInWithOtp({
+            email: credentials.email,
+            options: { emailRedirectTo: safeRedirectTo(req), shouldCreateUser: true }
+        });
+
+        if (error) {
+            return res.status(error.status === 429 ? 429 : 400).json({ error: 'Failed to send sign-in link', details: error.message });
+        }
+
+        res.json({ success: true });
+    } catch (err) {
+        console.error('❌ Error sending magic link:', err.message);
+        res.status(500).json({ error: 'Failed to send sign-in link', details: err.message });
+    }
+});
+
+// POST /api/auth/refresh - Trade a refresh token for a new session
+router.post('/api/auth/refresh', async (req, res) => {
+    try {
+        const refreshToken = req.body?.refreshToken;
+        if (typeof refreshToken !== 'string' || !refreshToken) {
+            return res.status(400).json({ error: 'refreshToken is required' });
+        }
+
+        const { data, error } = await authClient().auth.refreshSession({ refresh_token: refreshToken });
+
+        if (error || !data.session) {
+            // Revoked, reused or expired: the client signs out
+            return res.status(401).json({ error: 'Session expired', code: 'REFRESH_FAILED', details: error?.message });
+        }
+
+        res.json({ success: true, session: sessionForClient(data.session) });
+    } catch (err) {
+        console.error('❌ Error refreshing session:', err.message);
+        res.status(500).json({ error: 'Failed to refresh session', details: err.message });
+    }
+});
+
+// POST /api/auth/sign-out - Revoke the refresh tokens of this session
+router.post('/api/auth/sign-out', authMiddleware, async (req, res) => {
+    try {
+        const token = req.headers.authorization.replace('Bearer ', '');
+        const { error } = await supabase.auth.admin.signOut(token, 'local');
+
+        if (error) throw error;
+
+        res.json({ success: true });
+    } catch (err) {
+        console.error('❌ Error signing out:', err.message);
+        res.status(500).json({ error: 'Failed to sign out', details: err.message });
+    }
+});
+
+// ============================================================================
+// ENDPOINT 5f: Guest History (imported_quiz_results)
+// ============================================================================
+/**
+ * Quiz results a student collected as a guest (IndexedDB `quizResults`),
+ * uploaded once after their first sign-in on a device and downloaded on
+ * every other device they sign in on.
+ */
+const MAX_IMPORTED_RESULTS = 1000;
+
+function toImportedResult(row) {
+    return {
+        clientKey: row.client_key,
+        lectureId: row.lecture_ref,
+        lectureName: row.lecture_name,
+        score: Number(row.score),
+        total: row.total,
+        mode: row.mode,
+        timeSpent: row.time_spent_ms,
+        date: row.completed_at
+    };
+}
+
+// GET /api/student/history - Imported guest results, newest first
+router.get('/api/student/history', authMiddleware, async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('imported_quiz_results')
+            .select('client_key, lecture_ref, lecture_name, score, total, mode, time_spent_ms, completed_at')
+            .eq('user_id', req.user.id)
+            .order('completed_at', { ascending: false })
+            .limit(MAX_IMPORTED_RESULTS);
+
+        if (error) throw error;
+
+        res.json({ results: data.map(toImportedResult) });
+    } catch (err) {
+        console.error('❌ Error fetching history:', err.message);
+        res.status(500).json({ error: 'Failed to fetch history', details: err.message });
+    }
+});
+
+// POST /api/student/history/import - Upload guest results (idempotent per clientKey)
+router.post('/api/student/history/import', authMiddleware, async (req, res) => {
+    try {
+        const { results } = req.body || {};
+
+        if (!Array.isArray(results) || results.length === 0) {
+            return res.status(400).json({ error: 'results must be a non-empty array' });
+        }
+
+        if (results.length > MAX_IMPORTED_RESULTS) {
+            return res.status(400).json({ error: `At most ${MAX_IMPORTED_RESULTS} results per import` });
+        }
+
+        const valid = results.filter(result => result
+            && typeof result.clientKey === 'string' && result.clientKey.length <= 200
+            && result.lectureId
+            && Number.isInteger(result.total) && result.total > 0
+            && Number.isFinite(result.score) && result.score >= 0 && result.score <= result.total
+            && !Number.isNaN(Date.parse(result.date)));
+
+        // Deck results (review / custom / saved) have no lecture row
+        const lectureRefs = [...new Set(valid.map(result => String(result.lectureId)).filter(ref => !ref.startsWith('deck:')))];
+        const resolved = await Promise.all(lectureRefs.map(async ref => [ref, await resolveId('lectures', ref)]));
+
+        // Lectures deleted since the quiz was taken keep only their name
+        const { data: existing, error: lecturesError } = await supabase
+            .from('lectures')
+            .select('id')
+            .in('id', resolved.map(([, id]) => id).filter(Boolean));
+
+        if (lecturesError) throw lecturesError;
+
+        const existingIds = new Set(existing.map(lecture => lecture.id));
+        const lectureIds = new Map(resolved.filter(([, id]) => existingIds.has(id)));
+
+        const rows = valid.map(result => ({
+            user_id: req.user.id,
+            client_key: result.clientKey,
+            lecture_ref: String(result.lectureId),
+            lecture_id: lectureIds.get(String(result.lectureId)) || null,
+            lecture_name: typeof result.lectureName === 'string' ? result.lectureName.slice(0, 300) : null,
+            score: Math.round(result.score * 10) / 10,
+            total: result.total,
+            mode: result.mode === 'exam' ? 'exam' : 'practice',
+            time_spent_ms: Number.isInteger(result.timeSpent) && result.timeSpent >= 0 ? result.timeSpent : null,
+            completed_at: toPastIsoOrNow(result.date)
+        }));
+
+        if (rows.length > 0) {
+            const { error } = await supabase
+                .from('imported_quiz_results')
+                .upsert(rows, { onConflict: 'user_id,client_key', ignoreDuplicates: true });
+
+            if (error) throw error;
+        }
+
+        console.log(`📥 Imported ${rows.length} guest results for ${req.user.id}`);
+
+        res.json({ success: true, imported: rows.length, skipped: results.length - rows.length });
+    } catch (err) {
+        console.error('❌ Error importing history:', err.message);
+        res.status(500).json({ error: 'Failed to import history', details: err.message });
+    }
+});
+
+// ============================================================================
+// HELPER: CSV & ZIP (data export)
+// ============================================================================
+/**
+ * Just enough of the ZIP format (deflate, no zip64) for the personal data
+ * export, so the server needs no archive dependency.
+ */
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) crc = CRC32_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// files: [{ name, content (string | Buffer) }]
+function buildZip(files, modifiedAt = new Date()) {
+    const { time, date } = dosDateTime(modifiedAt);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = Buffer.from(file.name, 'utf8');
+        const data = Buffer.isBuffer(file.content) ? file.content : Buffer.from(String(file.content), 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const checksum = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034B50, 0);
+        local.writeUInt16LE(20, 4);          // Version needed
+        local.writeUInt16LE(0x0800, 6);      // UTF-8 file names
+        local.writeUInt16LE(8, 8);           // Deflate
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(checksum, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014B50, 0);
+        central.writeUInt16LE(20, 4);        // Version made by
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(checksum, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, name, compressed);
+        centralParts.push(central, name);
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    // Spreadsheet apps run cells starting with these as formulas (notes are free text)
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    if (columns.length === 0) return '';
+
+    return [columns.map(csvCell).join(','), ...rows.map(row => columns.map(column => csvCell(row[column])).join(','))]
+        .join('\r\n') + '\r\n';
+}
+
+// ============================================================================
+// ENDPOINT 5g: Personal Data (Export & Account Deletion)
+// ============================================================================
+/**
+ * Everything the server keeps about a student, by table. Columns holding
+ * practice session ids are left out of the export: they are bearer tokens.
+ * admin_audit_log is not listed: admin accounts cannot delete themselves here.
+ * Question reports are anonymised rather than deleted, so a reported error
+ * still reaches the editors after the reporter leaves.
+ */
+const PERSONAL_DATA_TABLES = [
+    { table: 'quiz_sessions', columns: '*', orderBy: 'started_at' },
+    { table: 'user_responses', columns: '*', orderBy: 'created_at' },
+    { table: 'question_reviews', columns: '*', orderBy: 'last_reviewed_at' },
+    { table: 'question_bookmarks', columns: '*', orderBy: 'created_at' },
+    { table: 'question_notes', columns: '*', orderBy: 'updated_at' },
+    { table: 'imported_quiz_results', columns: '*', orderBy: 'completed_at' },
+    { table: 'practice_sessions', columns: 'ip_hash, question_ids, created_at, expires_at', orderBy: 'created_at' },
+    { table: 'practice_reveals', columns: 'question_id, ip_hash, selected_answer_index, selected_answer_indices, is_correct, revealed_at', orderBy: 'revealed_at' },
+    { table: 'student_abilities', columns: '*', orderBy: 'updated_at' },
+    { table: 'question_reports', columns: 'question_id, lecture_id, category, details, status, reported_at, created_at', orderBy: 'created_at', anonymise: true }
+];
+const EXPORT_PAGE_SIZE = 1000; // PostgREST's default max rows per request
+
+async function fetchAllUserRows({ table, columns, orderBy }, userId) {
+    const rows = [];
+
+    for (let from = 0; ; from += EXPORT_PAGE_SIZE) {
+        const { data, error } = await supabase
+            .from(table)
+            .select(columns)
+            .eq('user_id', userId)
+            .order(orderBy, { ascending: true })
+            .range(from, from + EXPORT_PAGE_SIZE - 1);
+
+        if (error) throw error;
+        rows.push(...data);
+        if (data.length < EXPORT_PAGE_SIZE) return rows;
+    }
+}
+
+// GET /api/student/export - Zip of data.json plus one CSV per table
+router.get('/api/student/export', authMiddleware, async (req, res) => {
+    try {
+        const user = req.user;
+        const tables = {};
+
+        for (const source of PERSONAL_DATA_TABLES) {
+            tables[source.table] = await fetchAllUserRows(source, user.id);
+        }
+
+        const exportedAt = new Date();
+        const account = {
+            id: user.id,
+            email: user.email || null,
+            created_at: user.created_at || null,
+            last_sign_in_at: user.last_sign_in_at || null,
+            email_confirmed_at: user.email_confirmed_at || null,
+            user_metadata: user.user_metadata || {}
+        };
+
+        const files = [
+            { name: 'data.json', content: JSON.stringify({ exportedAt: exportedAt.toISOString(), account, ...tables }, null, 2) },
+            { name: 'account.csv', content: toCsv([account]) },
+            ...Object.entries(tables).map(([table, rows]) => ({ name: `${table}.csv`, content: toCsv(rows) }))
+        ];
+
+        const archive = buildZip(files, exportedAt);
+        const rowCount = Object.values(tables).reduce((sum, rows) => sum + rows.length, 0);
+        console.log(`📦 Data export for ${user.id}: ${rowCount} rows, ${archive.length} bytes`);
+
+        res.set({
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename="harvi-data-${exportedAt.toISOString().slice(0, 10)}.zip"`,
+            'Cache-Control': 'no-store'
+        });
+        res.send(archive);
+    } catch (err) {
+        console.error('❌ Error exporting data:', err.message);
+        res.status(500).json({ error: 'Failed to export data', details: err.message });
+    }
+});
+
+// DELETE /api/student/account - Erase the student's rows, then the auth user
+// Body: { confirm: 'DELETE' }
+router.delete('/api/student/account', authMiddleware, async (req, res) => {
+    try {
+        if (!req.body || req.body.confirm !== 'DELETE') {
+            return res.status(400).json({ error: "Send { confirm: 'DELETE' } to delete the account" });
+        }
+
+        // Admins are removed by an owner, so content never loses its last owner by accident
+        if (await getAdminRole(req.user)) {
+            return res.status(409).json({ error: 'Admin accounts cannot be deleted here', code: 'ADMIN_ACCOUNT' });
+        }
+
+        const deleted = {};
+
+        // Explicit deletes rather than relying on ON DELETE CASCADE, which the
+        // base user_responses table may not have. Reverse order: answers and
+        // reveals go before the sessions they point at.
+        for (const { table, anonymise } of [...PERSONAL_DATA_TABLES].reverse()) {
+            const { error, count } = anonymise
+                ? await supabase.from(table).update({ user_id: null, ip_hash: null }, { count: 'exact' }).eq('user_id', req.user.id)
+                : await supabase.from(table).delete({ count: 'exact' }).eq('user_id', req.user.id);
+
+            if (error) throw error;
+            deleted[table] = count || 0;
+        }
+
+        // Former admins: the audit trail stays, without their email
+        const { error: auditError } = await supabase
+            .from('admin_audit_log')
+            .update({ actor_email: null })
+            .eq('actor_id', req.user.id);
+
+        if (auditError) throw auditError;
+
+        const { error: authError } = await supabase.auth.admin.deleteUser(req.user.id);
+        if (authError) throw authError;
+
+        console.log(`🗑️ Deleted account ${req.user.id}`);
+
+        res.json({ success: true, deleted });
+    } catch (err) {
+        console.error('❌ Error deleting account:', err.message);
+        res.status(500).json({ error: 'Failed to delete account', details: err.message });
+    }
+});
+
+// ============================================================================
+// ENDPOINT 5h: Question Reports ("Report a problem")
+// ============================================================================
+/**
+ * Students and guests flag a question from the quiz screen. Reports made
+ * offline are queued (harviDB sync queue) and replayed with the same
+ * clientReportId, so a replay never files the report twice.
+ * Rate-limited like practice reveals; triage lives under ENDPOINT 7b.
+ */
+const REPORT_CATEGORIES = ['wrong_key', 'typo', 'outdated', 'ambiguous', 'image', 'other'];
+const MAX_REPORT_DETAILS_LENGTH = 2000;
+const MAX_CLIENT_REPORT_ID_LENGTH = 64;
+
+// POST /api/questions/:questionId/reports - File a report
+// Body: { category, details?, clientReportId?, reportedAt? }
+router.post('/api/questions/:questionId/reports', optionalAuthMiddleware, async (req, res) => {
+    try {
+        const { category, details = '', clientReportId, reportedAt } = req.body || {};
+
+        if (!REPORT_CATEGORIES.includes(category)) {
+            return res.status(400).json({ error: `category must be one of: ${REPORT_CATEGORIES.join(', ')}` });
+        }
+
+        if (typeof details !== 'string' || details.length > MAX_REPORT_DETAILS_LENGTH) {
+            return res.status(400).json({ error: `details must be a string of at most ${MAX_REPORT_DETAILS_LENGTH} characters` });
+        }
+
+        if (category === 'other' && details.trim() === '') {
+            return res.status(400).json({ error: "details are required for category 'other'" });
+        }
+
+        if (clientReportId !== undefined && clientReportId !== null
+            && (typeof clientReportId !== 'string' || clientReportId.length === 0 || clientReportId.length > MAX_CLIENT_REPORT_ID_LENGTH)) {
+            return res.status(400).json({ error: `clientReportId must be a string of at most ${MAX_CLIENT_REPORT_ID_LENGTH} characters` });
+        }
+
+        const resolvedQuestionId = await resolveId('questions', req.params.questionId);
+        const { data: question, error: questionError } = resolvedQuestionId
+            ? await supabase.from('questions').select('id, lecture_id').eq('id', resolvedQuestionId).maybeSingle()
+            : { data: null, error: null };
+
+        if (questionError) throw questionError;
+        if (!question) {
+            return res.status(404).json({ error: 'Question not found' });
+        }
+
+        // Replayed from the offline queue: already filed
+        if (clientReportId) {
+            const { data: existing, error: existingError } = await supabase
+                .from('question_reports')
+                .select('id, status')
+                .eq('client_report_id', clientReportId)
+                .maybeSingle();
+
+            if (existingError) throw existingError;
+            if (existing) {
+                return res.json({ success: true, duplicate: true, reportId: existing.id, status: existing.status });
+            }
+        }
+
+        if (!(await withinRateLimit(req, res, 'reports'))) return;
+
+        const { data, error } = await supabase
+            .from('question_reports')
+            .upsert({
+                client_report_id: clientReportId || null,
+                question_id: question.id,
+                lecture_id: question.lecture_id,
+                user_id: req.user ? req.user.id : null,
+                ip_hash: clientIpHash(req),
+                category,
+                details: details.trim(),
+                reported_at: toPastIsoOrNow(reportedAt)
+            }, { onConflict: 'client_report_id', ignoreDuplicates: true })
+            .select('id, status');
+
+        if (error) throw error;
+
+        console.log(`🚩 Question ${question.id} reported (${category})`);
+
+        res.status(201).json({
+            success: true,
+            duplicate: data.length === 0,
+            reportId: data[0] ? data[0].id : null,
+            status: data[0] ? data[0].status : 'open'
+        });
+    } catch (err) {
+        console.error('❌ Error filing question report:', err.message);
+        res.status(500).json({ error: 'Failed to file question report', details: err.message });
+    }
+});
+
+// ============================================================================
+// ENDPOINT 5i: Adaptive Practice (Ability Estimates)
+// ============================================================================
+/**
+ * Adaptive sessions (js/adaptive-engine.js) pick each next question so the
+ * student has about a 70% chance of getting it right. Both sides of that
+ * come from here, on the logit scale of migration 013:
+ * - item difficulty: the authored difficulty_level blended with the
+ *   question's first-attempt mean score (question_answer_stats)
+ * - ability: per student and subject (student_abilities), moved by the
+ *   track_student_ability trigger on every recorded answer
+ * Guests get difficulties only and keep their estimate on the device.
+ */
+const ADAPTIVE_TARGET_SUCCESS = 0.7;
+const DIFFICULTY_PRIORS = { 1: -1, 2: 0, 3: 1 };
+const DIFFICULTY_PRIOR_WEIGHT = 20; // Answers needed before they outweigh the authored level
+
+// Mirrors public.question_difficulty() (migration 013)
+function questionDifficulty(difficultyLevel, stats) {
+    const prior = DIFFICULTY_PRIORS[difficultyLevel] ?? 0;
+    const responses = stats ? stats.responses : 0;
+    const p = ((stats ? Number(stats.score_sum) : 0) + 0.5) / (responses + 1);
+    const empirical = Math.max(-3, Math.min(3, Math.log((1 - p) / p)));
+
+    const difficulty = (prior * DIFFICULTY_PRIOR_WEIGHT + empirical * responses) / (DIFFICULTY_PRIOR_WEIGHT + responses);
+    return Math.round(difficulty * 1000) / 1000;
+}
+
+// POST /api/adaptive/state - Difficulties for a question pool, plus the caller's abilities
+// Body: { questionIds }
+router.post('/api/adaptive/state', optionalAuthMiddleware, async (req, res) => {
+    try {
+        const { questionIds } = req.body || {};
+
+        if (!Array.isArray(questionIds) || questionIds.length === 0) {
+            return res.status(400).json({ error: 'questionIds must be a non-empty array' });
+        }
+
+        if (questionIds.length > MAX_PRACTICE_SESSION_QUESTIONS) {
+            return res.status(400).json({ error: `Maximum pool size is ${MAX_PRACTICE_SESSION_QUESTIONS}` });
+        }
+
+        // Accept UUIDs and legacy external ids; unknown ids are left out
+        const resolvedIds = [...new Set((await resolveIds('questions', questionIds)).values())];
+
+        const { data: questions, error: questionsError } = resolvedIds.length > 0
+            ? await supabase.from('questions').select('id, external_id, lecture_id, difficulty_level').in('id', resolvedIds)
+            : { data: [] };
+
+        if (questionsError) throw questionsError;
+
+        const lectureIds = [...new Set(questions.map(q => q.lecture_id).filter(Boolean))];
+
+        const [statsResult, lecturesResult] = await Promise.all([
+            questions.length > 0
+                ? supabase.from('question_answer_stats').select('question_id, responses, score_sum').in('question_id', questions.map(q => q.id))
+                : { data: [] },
+            lectureIds.length > 0
+                ? supabase.from('lectures').select('id, subject_id').in('id', lectureIds)
+                : { data: [] }
+        ]);
+
+        if (statsResult.error) throw statsResult.error;
+        if (lecturesResult.error) throw lecturesResult.error;
+
+        const statsByQuestion = new Map(statsResult.data.map(row => [row.question_id, row]));
+        const subjectByLecture = new Map(lecturesResult.data.map(row => [row.id, row.subject_id]));
+
+        const items = questions.map(q => ({
+            questionId: q.id,
+            externalId: q.external_id || null,
+            subjectId: subjectByLecture.get(q.lecture_id) || null,
+            difficulty: questionDifficulty(q.difficulty_level, statsByQuestion.get(q.id))
+        }));
+
+        let abilities = [];
+        const subjectIds = [...new Set(items.map(item => item.subjectId).filter(Boolean))];
+
+        if (req.user && subjectIds.length > 0) {
+            const { data, error } = await supabase
+                .from('student_abilities')
+                .select('subject_id, ability, responses, updated_at')
+                .eq('user_id', req.user.id)
+                .in('subject_id', subjectIds);
+
+            if (error) throw error;
+
+            abilities = data.map(row => ({
+                subjectId: row.subject_id,
+                ability: Number(row.ability),
+                responses: row.responses,
+                updatedAt: row.updated_at
+            }));
+        }
+
+        res.json({ targetSuccess: ADAPTIVE_TARGET_SUCCESS, items, abilities });
+    } catch (err) {
+        console.error('❌ Error loading adaptive state:', err.message);
+        res.status(500).json({ error: 'Failed to load adaptive state', details: err.message });
+    }
+});
+
+// ============================================================================
+// ENDPOINT 6: Health Check
+// ============================================================================
+router.get('/health', async (req, res) => {
+    try {
+        const { error } = await supabase.from('years').select('count()').limit(1);
+
+        if (error) throw error;
+
+        res.json({
+            status: 'healthy',
+            supabase: 'connected',
+            database: 'postgresql',
+            timestamp: new Date().toISOString()
+        });
+    } catch (err) {
+        console.error('❌ Health check failed:', err.message);
+        res.status(503).json({
+            status: 'unhealthy',
+            error: err.message
+        });
+    }
+});
+
+// ============================================================================
+// ENDPOINT 7: Admin API (Manage Years, Modules, Subjects, Lectures)
+// 🔐 Editors can read and write content; deletes and the audit log need owner
+// ============================================================================
+
+// GET the caller's admin role (used by the dashboard to hide owner-only actions)
+router.get('/api/admin/me', ...requireAdmin('editor'), (req, res) => {
+    res.json({ id: req.user.id, email: req.user.email, role: req.adminRole });
+});
+
+// GET all years (admin)
+router.get('/api/admin/years', ...requireAdmin('editor'), async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('years')
+            .select(`
+                id,
+                external_id,
+                name,
+                icon,
+                modules (
+                    id,
+                    external_id,
+                    name,
+                    subjects (
+                        id,
+                        external_id,
+                        name,
+                        lectures (
+                            id,
+                            external_id,
+                            name
+                        )
+                    )
+                )
+            `)
+            .order('external_id', { ascending: true });
+
+        if (error) throw error;
+        res.json(data);
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to fetch years', details: err.message });
+    }
+});
+
+// CREATE year
+router.post('/api/admin/years', ...requireAdmin('editor'), async (req, res) => {
+    try {
+        const { id, external_id, name, icon } = req.body;
+
+        if (!id || !name) {
+            return res.status(400).json({ error: 'id and name are required' });
+        }
+
+        const { data, error } = await supabase
+            .from('years')
+            .insert([{ id, external_id: external_id || id, name, icon }])
+            .select();
+
+        if (error) throw error;
+
+        await recordAdminAudit(req, { action: 'create', entity: 'year', entityId: data[0].id, after: data[0] });
+        res.status(201).json({ ok: true, data: data[0] });
+    } catch (err) {
+        res.status(400).json({ error: 'Failed to create year', details: err.message });
+    }
+});
+
+// UPDATE year
+router.put('/api/admin/years/:yearId', ...requireAdmin('editor'), async (req, res) => {
+    try {
+        const { yearId } = req.params;
+        const { name, icon } = req.body;
+
+        const { data: before, error: beforeError } = await supabase
+            .from('years')
+            .select('*')
+            .eq('id', yearId)
+            .maybeSingle();
+
+        if (beforeError) throw beforeError;
+        if (!before) return res.status(404).json({ error: 'Year not found' });
+
+        const { data, error } = await supabase
+            .from('years')
+            .update({ name, icon })
+            .eq('id', yearId)
+            .select();
+
+        if (error) throw error;
+        if (data.length === 0) return res.status(404).json({ error: 'Year not found' });
+
+        await recordAdminAudit(req, { action: 'update', entity: 'year', entityId: yearId, before, after: data[0] });
+        res.json({ ok: true, data: data[0] });
+    } catch (err) {
+        res.status(400).json({ error: 'Failed to update year', details: err.message });
+    }
+});
+
+// DELETE year (cascade delete)
+router.delete('/api/admin/years/:yearId', ...requireAdmin('owner'), async (req, res) => {
+    try {
+        const { yearId } = req.params;
+
+        const { data: before, error: beforeError } = await supabase
+            .from('years')
+            .select('*')
+            .eq('id', yearId)
+            .maybeSingle();
+
+        if (beforeError) throw beforeError;
+        if (!before) return res.status(404).json({ error: 'Year not found' });
+
+        // Use RPC function for cascading delete (if implemented in Supabase)
+        // For now, manually cascade
+
+        // Get all modules
+        const { data: modules, error: e1 } = await supabase
+            .from('modules')
+            .select('id')
+            .eq('year_id', yearId);
+
+        if (e1) throw e1;
+
+        // Delete all subjects and lectures for these modules
+        for (const mod of modules) {
+            const { data: subjects } = await supabase
+                .from('subjects')
+                .select('id')
+                .eq('module_id', mod.id);
+
+            for (const sub of subjects) {
+                await supabase.from('lectures').delete().eq('subject_id', sub.id);
+            }
+
+            await supabase.from('subjects').delete().eq('module_id', mod.id);
+        }
+
+        // Delete modules
+        await supabase.from('modules').delete().eq('year_id', yearId);
+
+        // Delete year
+        const { error } = await supabase.from('years').delete().eq('id', yearId);
+        if (error) throw error;
+
+        await recordAdminAudit(req, {
+            action: 'delete',
+            entity: 'year',
+            entityId: yearId,
+            before: { ...before, deletedModuleIds: modules.map(m => m.id) }
+        });
+        res.json({ ok: true, message: 'Year and all related data deleted' });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to delete year', details: err.message });
+    }
+});
+
+// GET all modules (admin)
+router.get('/api/admin/modules', ...requireAdmin('editor'), async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('modules')
+            .select('id, external_id, name, year_id')
+            .order('year_id', { ascending: true });
+
+        if (error) throw error;
+        res.json(data);
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to fetch modules', details: err.message });
+    }
+});
+
+// GET all subjects (admin)
+router.get('/api/admin/subjects', ...requireAdmin('editor'), async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('subjects')
+            .select('id, external_id, name, module_id')
+            .order('module_id', { ascending: true });
+
+        if (error) throw error;
+        res.json(data);
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to fetch subjects', details: err.message });
+    }
+});
+
+// GET all lectures with question counts (admin)
+router.get('/api/admin/lectures', ...requireAdmin('editor'), async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('lectures')
+            .select('id, external_id, name, subject_id, questions(count)')
+            .order('subject_id', { ascending: true });
+
+        if (error) throw error;
+        res.json(data);
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to fetch lectures', details: err.message });
+    }
+});
+
+// GET audit log (owner) ?entity=&entityId=&limit=&before=ISO - newest first
+const DEFAULT_AUDIT_PAGE = 50;
+const MAX_AUDIT_PAGE = 200;
+
+router.get('/api/admin/audit', ...requireAdmin('owner'), async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_AUDIT_PAGE, 1), MAX_AUDIT_PAGE);
+
+        let query = supabase
+            .from('admin_audit_log')
+            .select('id, actor_id, actor_email, actor_role, action, entity, entity_id, before, after, created_at');
+
+        if (req.query.entity) query = query.eq('entity', req.query.entity);
+        if (req.query.entityId) query = query.eq('entity_id', req.query.entityId);
+        if (req.query.before) query = query.lt('created_at', req.query.before);
+
+        const { data, error } = await query
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (error) throw error;
+
+        res.json({
+            entries: data.map(entry => ({
+                id: entry.id,
+                actor: { id: entry.actor_id, email: entry.actor_email, role: entry.actor_role },
+                action: entry.action,
+                entity: entry.entity,
+                entityId: entry.entity_id,
+                before: entry.before,
+                after: entry.after,
+                createdAt: entry.created_at
+            })),
+            hasMore: data.length === limit
+        });
+    } catch (err) {
+        console.error('❌ Error fetching audit log:', err.message);
+        res.status(500).json({ error: 'Failed to fetch audit log', details: err.message });
+    }
+});
+
+// ============================================================================
+// ENDPOINT 7a: Item Analysis (Classical Test Theory)
+// ============================================================================
+/**
+ * Per-question quality report for a lecture, from students' first attempts
+ * (user_responses.attempt_number = 1, signed-in students only):
+ * - difficulty:      p-value, the mean score (0-1, partial credit included)
+ * - discrimination:  point-biserial correlation between the item score and
+ *                    the student's mean score on the lecture's other items
+ *                    (rest score, so the item does not correlate with itself)
+ * - options:         how often each option was picked (true_false: marked TRUE)
+ * - flags:           negative_discrimination, unused_distractors
+ * - proposedDifficulty: 1 easy (p >= 0.8), 2 medium, 3 hard (p < 0.4) when
+ *                    it differs from difficulty_level
+ * Flags and proposals need MIN_ITEM_RESPONSES answers. Reports are cached per
+ * lecture for ITEM_ANALYSIS_TTL_MS (?refresh=true recomputes).
+ */
+const MIN_ITEM_RESPONSES = 20;
+const UNUSED_DISTRACTOR_RATE = 0.05;
+const ITEM_ANALYSIS_TTL_MS = 10 * 60 * 1000;
+const RESPONSE_PAGE_SIZE = 1000;
+const itemAnalysisCache = new Map(); // lectureId → { at, report }
+
+async function fetchFirstAttempts(questionIds) {
+    const rows = [];
+    if (questionIds.length === 0) return rows;
+
+    for (let from = 0; ; from += RESPONSE_PAGE_SIZE) {
+        const { data, error } = await supabase
+            .from('user_responses')
+            .select('id, user_id, question_id, selected_answer_index, selected_answer_indices, is_correct, score')
+            .in('question_id', questionIds)
+            .eq('attempt_number', 1)
+            .not('user_id', 'is', null)
+            .order('id', { ascending: true })
+            .range(from, from + RESPONSE_PAGE_SIZE - 1);
+
+        if (error) throw error;
+        rows.push(...data);
+        if (data.length < RESPONSE_PAGE_SIZE) return rows;
+    }
+}
+
+function pointBiserial(pairs) {
+    if (pairs.length < 3) return null;
+
+    const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+    const xs = pairs.map(([x]) => x);
+    const ys = pairs.map(([, y]) => y);
+    const mx = mean(xs);
+    const my = mean(ys);
+
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (const [x, y] of pairs) {
+        covariance += (x - mx) * (y - my);
+        varianceX += (x - mx) ** 2;
+        varianceY += (y - my) ** 2;
+    }
+
+    // Everyone scored the same on the item or on the rest: undefined
+    if (varianceX === 0 || varianceY === 0) return null;
+    return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+function difficultyLevelFor(pValue) {
+    if (pValue >= 0.8) return 1;
+    if (pValue < 0.4) return 3;
+    return 2;
+}
+
+const round3 = (value) => (value === null ? null : Math.round(value * 1000) / 1000);
+
+async function runItemAnalysis(lecture) {
+    const { data: rawQuestions, error } = await supabase
+        .from('questions')
+        .select('id, external_id, text, options, question_type, correct_answer_index, correct_answer_indices, difficulty_level, group_id, question_order')
+        .eq('lecture_id', lecture.id)
+        .order('question_order', { ascending: true });
+
+    if (error) throw error;
+
+    // EMQ items take their option texts from the group
+    const { questions } = await withQuestionGroups({
+        questions: rawQuestions.map(q => ({ ...q, options: flattenOptions(q.options, q) }))
+    });
+    const responses = await fetchFirstAttempts(questions.map(q => q.id));
+
+    const itemScore = (row) => (row.score === null ? (row.is_correct ? 1 : 0) : Number(row.score));
+
+    // Each student's scores on this lecture's items
+    const byStudent = new Map();
+    for (const row of responses) {
+        if (!byStudent.has(row.user_id)) byStudent.set(row.user_id, new Map());
+        byStudent.get(row.user_id).set(row.question_id, itemScore(row));
+    }
+
+    const byQuestion = new Map(questions.map(q => [q.id, []]));
+    responses.forEach(row => byQuestion.get(row.question_id)?.push(row));
+
+    const items = questions.map(question => {
+        const rows = byQuestion.get(question.id);
+        const type = question.question_type || 'single';
+        const count = rows.length;
+        const difficulty = count > 0 ? rows.reduce((sum, row) => sum + itemScore(row), 0) / count : null;
+
+        const pairs = [];
+        for (const row of rows) {
+            const others = [...byStudent.get(row.user_id)].filter(([questionId]) => questionId !== question.id);
+            if (others.length === 0) continue;
+            pairs.push([itemScore(row), others.reduce((sum, [, score]) => sum + score, 0) / others.length]);
+        }
+        const discrimination = pointBiserial(pairs);
+
+        const correct = isMultiAnswerType(type)
+            ? new Set(question.correct_answer_indices || [])
+            : new Set([question.correct_answer_index]);
+        const picks = new Array((question.options || []).length).fill(0);
+        for (const row of rows) {
+            const chosen = row.selected_answer_indices || [row.selected_answer_index];
+            new Set(chosen).forEach(index => {
+                if (Number.isInteger(index) && index >= 0 && index < picks.length) picks[index]++;
+            });
+        }
+
+        const options = (question.options || []).map((text, index) => ({
+            index,
+            text,
+            isCorrect: correct.has(index),
+            count: picks[index],
+            rate: count > 0 ? round3(picks[index] / count) : null
+        }));
+
+        const sufficientData = count >= MIN_ITEM_RESPONSES;
+        const flags = [];
+        if (sufficientData && discrimination !== null && discrimination < 0) {
+            flags.push('negative_discrimination');
+        }
+        // A true/false statement has no distractors: every statement is judged
+        const unusedDistractors = type === 'true_false'
+            ? []
+            : options.filter(option => !option.isCorrect && option.rate < UNUSED_DISTRACTOR_RATE).map(option => option.index);
+        if (sufficientData && unusedDistractors.length > 0) {
+            flags.push('unused_distractors');
+        }
+
+        const proposedDifficulty = sufficientData ? difficultyLevelFor(difficulty) : null;
+
+        return {
+            questionId: question.id,
+            externalId: question.external_id,
+            text: question.text,
+            questionType: type,
+            responses: count,
+            sufficientData,
+            difficulty: round3(difficulty),
+            discrimination: round3(discrimination),
+            options,
+            unusedDistractors: sufficientData ? unusedDistractors : [],
+            flags,
+            currentDifficulty: question.difficulty_level ?? null,
+            proposedDifficulty: proposedDifficulty !== question.difficulty_level ? proposedDifficulty : null
+        };
+    });
+
+    return {
+        lecture: { id: lecture.id, externalId: lecture.external_id, name: lecture.name },
+        generatedAt: new Date().toISOString(),
+        students: byStudent.size,
+        responses: responses.length,
+        minResponses: MIN_ITEM_RESPONSES,
+        summary: {
+            items: items.length,
+            analysed: items.filter(item => item.sufficientData).length,
+            flagged: items.filter(item => item.flags.length > 0).length,
+            recalibrate: items.filter(item => item.proposedDifficulty !== null).length
+        },
+        items
+    };
+}
+
+// GET item analysis (editor) ?lectureId=&refresh=true
+router.get('/api/admin/item-analysis', ...requireAdmin('editor'), async (req, res) => {
+    try {
+        const { lectureId, refresh } = req.query;
+
+        if (!lectureId) {
+            return res.status(400).json({ error: 'lectureId is required' });
+        }
+
+        const resolvedLectureId = await resolveId('lectures', lectureId);
+        const { data: lecture, error } = resolvedLectureId
+            ? await supabase.from('lectures').select('id, external_id, name').eq('id', resolvedLectureId).maybeSingle()
+            : { data: null, error: null };
+
+        if (error) throw error;
+        if (!lecture) {
+            return res.status(404).json({ error: 'Lecture not found' });
+        }
+
+        const cached = itemAnalysisCache.get(lecture.id);
+        if (cached && refresh !== 'true' && Date.now() - cached.at < ITEM_ANALYSIS_TTL_MS) {
+            return res.json({ ...cached.report, cached: true });
+        }
+
+        const report = await runItemAnalysis(lecture);
+        itemAnalysisCache.set(lecture.id, { at: Date.now(), report });
+        console.log(`📊 Item analysis for ${lecture.name}: ${report.summary.flagged}/${report.items.length} flagged (${report.responses} responses)`);
+
+        res.json({ ...report, cached: false });
+    } catch (err) {
+        console.error('❌ Error running item analysis:', err.message);
+        res.status(500).json({ error: 'Failed to run item analysis', details: err.message });
+    }
+});
+
+// ============================================================================
+// ENDPOINT 7b: Question Report Triage
+// ============================================================================
+/**
+ * Reports from ENDPOINT 5h, grouped by question so an editor fixes a question
+ * once and closes every report about it:
+ * - GET   /api/admin/question-reports?status=open&lectureId=
+ * - PATCH /api/admin/question-reports/:reportId      { status, note? }
+ * - PATCH /api/admin/questions/:questionId/reports   { status, note? } (all open)
+ * status: resolved (the question was fixed), dismissed (no change needed),
+ * or open again.
+ */
+const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+const MAX_TRIAGE_REPORTS = 1000;
+
+function toReportUpdate(req) {
+    const { status, note } = req.body || {};
+
+    if (!REPORT_STATUSES.includes(status)) {
+        return { error: `status must be one of: ${REPORT_STATUSES.join(', ')}` };
+    }
+
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MAX_REPORT_DETAILS_LENGTH)) {
+        return { error: `note must be a string of at most ${MAX_REPORT_DETAILS_LENGTH} characters` };
+    }
+
+    const closed = status !== 'open';
+    return {
+        update: {
+            status,
+            resolution_note: closed && note ? note.trim() : null,
+            resolved_by: closed ? req.user.id : null,
+            resolved_at: closed ? new Date().toISOString() : null
+        }
+    };
+}
+
+function toAdminReport(row) {
+    return {
+        id: row.id,
+        category: row.category,
+        details: row.details,
+        status: row.status,
+        reporter: row.user_id ? 'student' : 'guest',
+        reportedAt: row.reported_at,
+        resolutionNote: row.resolution_note,
+        resolvedAt: row.resolved_at
+    };
+}
+
+// GET reports grouped by question (editor), most reported first
+router.get('/api/admin/question-reports', ...requireAdmin('editor'), async (req, res) => {
+    try {
+        const status = req.query.status || 'open';
+
+        if (status !== 'all' && !REPORT_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: all, ${REPORT_STATUSES.join(', ')}` });
+        }
+
+        let query = supabase
+            .from('question_reports')
+            .select('id, question_id, lecture_id, user_id, category, details, status, reported_at, resolution_note, resolved_at');
+
+        if (status !== 'all') query = query.eq('status', status);
+        if (req.query.lectureId) {
+            const resolvedLectureId = await resolveId('lectures', req.query.lectureId);
+            if (!resolvedLectureId) return res.status(404).json({ error: 'Lecture not found' });
+            query = query.eq('lecture_id', resolvedLectureId);
+        }
+
+        const { data: reports, error } = await query
+            .order('reported_at', { ascending: false })
+            .limit(MAX_TRIAGE_REPORTS);
+
+        if (error) throw error;
+
+        const questionIds = [...new Set(reports.map(report => report.question_id))];
+        const { data: questions, error: questionError } = questionIds.length > 0
+            ? await supabase.from('questions').select('id, external_id, text, lecture_id').in('id', questionIds)
+            : { data: [], error: null };
+
+        if (questionError) throw questionError;
+
+        const questionById = new Map(questions.map(q => [q.id, q]));
+        const lectureNames = await getLectureNames([...new Set(questions.map(q => q.lecture_id).filter(Boolean))]);
+        const byQuestion = new Map();
+
+        for (const report of reports) {
+            if (!byQuestion.has(report.question_id)) {
+                const question = questionById.get(report.question_id) || {};
+                byQuestion.set(report.question_id, {
+                    questionId: report.question_id,
+                    externalId: question.external_id || null,
+                    text: question.text || null,
+                    lectureId: question.lecture_id || report.lecture_id,
+                    lectureName: lectureNames.get(question.lecture_id || report.lecture_id) || null,
+                    openCount: 0,
+                    categories: {},
+                    latestReportAt: report.reported_at,
+                    reports: []
+                });
+            }
+
+            const entry = byQuestion.get(report.question_id);
+            if (report.status === 'open') entry.openCount++;
+            entry.categories[report.category] = (entry.categories[report.category] || 0) + 1;
+            entry.reports.push(toAdminReport(report));
+        }
+
+        const grouped = [...byQuestion.values()].sort((a, b) =>
+            b.openCount - a.openCount || b.reports.length - a.reports.length || b.latestReportAt.localeCompare(a.latestReportAt));
+
+        res.json({
+            status,
+            totalReports: reports.length,
+            truncated: reports.length === MAX_TRIAGE_REPORTS,
+            questions: grouped
+        });
+    } catch (err) {
+        console.error('❌ Error fetching question reports:', err.message);
+        res.status(500).json({ error: 'Failed to fetch question reports', details: err.message });
+    }
+});
+
+// PATCH one report (editor): resolve, dismiss or reopen
+router.patch('/api/admin/question-reports/:reportId', ...requireAdmin('editor'), async (req, res) => {
+    try {
+        const { reportId } = req.params;
+        const { update, error: validationError } = toReportUpdate(req);
+
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { data: before, error: beforeError } = UUID_PATTERN.test(reportId)
+            ? await supabase.from('question_reports').select('*').eq('id', reportId).maybeSingle()
+            : { data: null, error: null };
+
+        if (beforeError) throw beforeError;
+        if (!before) return res.status(404).json({ error: 'Report not found' });
+
+        const { data, error } = await supabase
+            .from('question_reports')
+            .update(update)
+            .eq('id', reportId)
+            .select('*');
+
+        if (error) throw error;
+
+        await recordAdminAudit(req, { action: 'update', entity: 'question_report', entityId: reportId, before, after: data[0] });
+        res.json({ ok: true, data: toAdminReport(data[0]) });
+    } catch (err) {
+        console.error('❌ Error updating question report:', err.message);
+        res.status(500).json({ error: 'Failed to update question report', details: err.message });
+    }
+});
+
+// PATCH every open report on a question (editor): resolve or dismiss them together
+router.patch('/api/admin/questions/:questionId/reports', ...requireAdmin('editor'), async (req, res) => {
+    try {
+        const { update, error: validationError } = toReportUpdate(req);
+
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        if (update.status === 'open') {
+            return res.status(400).json({ error: 'Reopen reports one at a time' });
+        }
+
+        const resolvedQuestionId = await resolveId('questions', req.params.questionId);
+        if (!resolvedQuestionId) {
+            return res.status(404).json({ error: 'Question not found' });
+        }
+
+        const { data: before, error: beforeError } = await supabase
+            .from('question_reports')
+            .select('*')
+            .eq('question_id', resolvedQuestionId)
+            .eq('status', 'open');
+
+        if (beforeError) throw beforeError;
+        if (before.length === 0) return res.json({ ok: true, updated: 0 });
+
+        const { data, error } = await supabase
+            .from('question_reports')
+            .update(update)
+            .in('id', before.map(row => row.id))
+            .eq('status', 'open')
+            .select('*');
+
+        if (error) throw error;
+
+        const beforeById = new Map(before.map(row => [row.id, row]));
+        await Promise.all(data.map(row => recordAdminAudit(req, {
+            action: 'update',
+            entity: 'question_report',
+            entityId: row.id,
+            before: beforeById.get(row.id),
+            after: row
+        })));
+
+        res.json({ ok: true, updated: data.length });
+    } catch (err) {
+        console.error('❌ Error updating question reports:', err.message);
+        res.status(500).json({ error: 'Failed to update question reports', details: err.message });
+    }
+});
+
+// ============================================================================
+// ENDPOINT 7c: Question Bank Import
+// ============================================================================
+/**
+ * POST /api/admin/lectures/:lectureId/import (editor)
+ * Body: { format: csv|aiken|gift, content, columns?, delimiter?, commit?, skipInvalid? }
+ *
+ * Without commit: a preview of every parsed question and per-line errors.
+ * With commit: inserts the questions (one audit entry each). Any error
+ * blocks the commit unless skipInvalid is set, which imports the valid
+ * questions only. Parsing lives in server/question-import.js (also used by
+ * the server/import-questions.js CLI for banks over the JSON body limit).
+ */
+const MAX_IMPORT_QUESTIONS = 500;
+
+router.post('/api/admin/lectures/:lectureId/import', ...requireAdmin('editor'), async (req, res) => {
+    try {
+        const { format, content, columns, delimiter, commit = false, skipInvalid = false } = req.body || {};
+
+        if (!IMPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `format must be one of: ${IMPORT_FORMATS.join(', ')}` });
+        }
+        if (typeof content !== 'string' || !content.trim()) {
+            return res.status(400).json({ error: 'content (the file text) is required' });
+        }
+        if (columns !== undefined && (typeof columns !== 'object' || columns === null || Array.isArray(columns))) {
+            return res.status(400).json({ error: 'columns must be an object of header names' });
+        }
+        if (delimiter !== undefined && (typeof delimiter !== 'string' || delimiter.length !== 1)) {
+            return res.status(400).json({ error: 'delimiter must be a single character' });
+        }
+
+        const resolvedLectureId = await resolveId('lectures', req.params.lectureId);
+        const { data: lecture, error: lectureError } = resolvedLectureId
+            ? await supabase.from('lectures').select('id, external_id, name').eq('id', resolvedLectureId).maybeSingle()
+            : { data: null, error: null };
+
+        if (lectureError) throw lectureError;
+        if (!lecture) return res.status(404).json({ error: 'Lecture not found' });
+
+        const { total, rows, errors } = await prepareImport(supabase, lecture, { format, content, columns, delimiter });
+
+        if (rows.length > MAX_IMPORT_QUESTIONS) {
+            return res.status(400).json({
+                error: `At most ${MAX_IMPORT_QUESTIONS} questions per import (found ${rows.length}); split the file or use the import CLI`
+            });
+        }
+
+        const summary = {
+            format,
+            lecture: { id: lecture.id, externalId: lecture.external_id, name: lecture.name },
+            total,
+            valid: rows.length,
+            errors
+        };
+
+        if (!commit) {
+            return res.json({
+                ...summary,
+                questions: rows.map(({ line, row }) => ({
+                    line,
+                    externalId: row.external_id,
+                    text: row.text,
+                    type: row.question_type,
+                    options: row.options.map(option => option.text),
+                    correct: row.correct_answer_indices || [row.correct_answer_index],
+                    explanation: row.explanation,
+                    difficulty: row.difficulty_level
+                }))
+            });
+        }
+
+        if (errors.length > 0 && !skipInvalid) {
+            return res.status(400).json({ error: 'Fix the listed lines or import with skipInvalid', ...summary });
+        }
+        if (rows.length === 0) {
+            return res.status(400).json({ error: 'No valid questions to import', ...summary });
+        }
+
+        const created = await commitImport(supabase, rows);
+        await Promise.all(created.map(question => recordAdminAudit(req, {
+            action: 'create',
+            entity: 'question',
+            entityId: question.id,
+            after: question
+        })));
+
+        const lineOf = new Map(rows.map(({ line, row }) => [row.external_id, line]));
+        console.log(`✅ Imported ${created.length} ${format} questions into ${lecture.external_id}`);
+        res.status(201).json({
+            ok: true,
+            ...summary,
+            created: created.length,
+            questions: created.map(question => ({ line: lineOf.get(question.external_id), id: question.id, externalId: question.external_id }))
+        });
+    } catch (err) {
+        console.error('❌ Error importing questions:', err.message);
+        res.status(500).json({ error: 'Failed to import questions', details: err.message });
+    }
+});
+
+// ============================================================================
+// ENDPOINT 7d: Question Exports (Anki, GIFT, QTI, PDF)
+// ============================================================================
+/**
+ * GET /api/admin/export?format=apkg|gift|qti|pdf&lectureId=|subjectId= (editor)
+ * GET /api/student/decks/:deck/export?format=apkg|pdf (signed in)
+ *   deck: saved (bookmarked or noted) | wrong (latest answer was wrong)
+ *
+ * Student decks carry the answer key and explanation only for questions the
+ * student has already answered or revealed, as in the app. Rendering lives
+ * in server/question-export.js; Anki and QTI come back as zips.
+ */
+const STUDENT_EXPORT_FORMATS = ['apkg', 'pdf'];
+const STUDENT_DECKS = { saved: 'Saved questions', wrong: 'Wrong answers' };
+const MAX_EXPORT_QUESTIONS = 2000;
+const EXPORT_ID_CHUNK = 200; // Keeps .in() filters well under URL limits
+
+const EXPORT_QUESTION_COLUMNS = `
+    id, external_id, text, options, media, explanation, question_type,
+    correct_answer_index, correct_answer_indices, question_order, group_id, group_order,
+    lecture_id, lectures ( name, subjects ( name ) )
+`;
+
+// Questions of the given lectures (in that order) or with the given ids
+async function fetchExportQuestions({ lectureIds = null, questionIds = null }) {
+    const rows = [];
+
+    if (lectureIds) {
+        for (let from = 0; rows.length < MAX_EXPORT_QUESTIONS; from += EXPORT_PAGE_SIZE) {
+            const { data, error } = await supabase
+                .from('questions')
+                .select(EXPORT_QUESTION_COLUMNS)
+                .in('lecture_id', lectureIds)
+                .order('question_order', { ascending: true })
+                .order('id', { ascending: true })
+                .range(from, from + EXPORT_PAGE_SIZE - 1);
+
+            if (error) throw error;
+            rows.push(...data);
+            if (data.length < EXPORT_PAGE_SIZE) break;
+        }
+
+        const lectureOrder = new Map(lectureIds.map((id, index) => [id, index]));
+        rows.sort((a, b) => lectureOrder.get(a.lecture_id) - lectureOrder.get(b.lecture_id));
+    } else {
+        for (let i = 0; i < questionIds.length; i += EXPORT_ID_CHUNK) {
+            const { data, error } = await supabase
+                .from('questions')
+                .select(EXPORT_QUESTION_COLUMNS)
+                .in('id', questionIds.slice(i, i + EXPORT_ID_CHUNK));
+
+            if (error) throw error;
+            rows.push(...data);
+        }
+
+        const questionOrder = new Map(questionIds.map((id, index) => [id, index]));
+        rows.sort((a, b) => questionOrder.get(a.id) - questionOrder.get(b.id));
+    }
+
+    const flattened = rows.slice(0, MAX_EXPORT_QUESTIONS).map(row => ({ ...row, options: flattenOptions(row.options, row) }));
+    return (await withQuestionGroups({ questions: flattened })).questions;
+}
+
+function toExportQuestion(question, { withKey = true, note = null } = {}) {
+    const lectureName = question.lectures?.name || null;
+    const subjectName = question.lectures?.subjects?.name || null;
+
+    return {
+        id: question.id,
+        externalId: question.external_id,
+        text: question.text,
+        type: question.question_type || 'single',
+        options: question.options || [],
+        correct: withKey
+            ? (isMultiAnswerType(question.question_type) ? question.correct_answer_indices || [] : [question.correct_answer_index])
+            : null,
+        explanation: withKey ? question.explanation || null : null,
+        source: [subjectName, lectureName].filter(Boolean).join(' / ') || null,
+        note,
+        media: normalizeQuestionMedia(question.media),
+        group: question.group || null
+    };
+}
+
+function sendExport(res, format, deck) {
+    const rendered = renderExport(format, deck);
+    const body = rendered.files ? buildZip(rendered.files) : rendered.body;
+
+    res.set({
+        'Content-Type': rendered.contentType,
+        'Content-Disposition': `attachment; filename="${rendered.filename}"`,
+        'Cache-Control': 'no-store'
+    });
+    res.send(body);
+    return body.length;
+}
+
+// GET /api/admin/export - A lecture or a whole subject, with answer keys
+router.get('/api/admin/export', ...requireAdmin('editor'), async (req, res) => {
+    try {
+        const { format, lectureId, subjectId } = req.query;
+
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+        }
+        if (!lectureId === !subjectId) {
+            return res.status(400).json({ error: 'Pass either lectureId or subjectId' });
+        }
+
+        let title;
+        let lectureIds;
+
+        if (lectureId) {
+            const resolvedLectureId = await resolveId('lectures', lectureId);
+            const { data: lecture, error } = resolvedLectureId
+                ? await supabase.from('lectures').select('id, name').eq('id', resolvedLectureId).maybeSingle()
+                : { data: null, error: null };
+
+            if (error) throw error;
+            if (!lecture) return res.status(404).json({ error: 'Lecture not found' });
+
+            title = lecture.name;
+            lectureIds = [lecture.id];
+        } else {
+            const resolvedSubjectId = await resolveId('subjects', subjectId);
+            const { data: subject, error } = resolvedSubjectId
+                ? await supabase.from('subjects').select('id, name, lectures ( id, order_index )').eq('id', resolvedSubjectId).maybeSingle()
+                : { data: null, error: null };
+
+            if (error) throw error;
+            if (!subject) return res.status(404).json({ error: 'Subject not found' });
+
+            title = subject.name;
+            lectureIds = (subject.lectures || [])
+                .sort((a, b) => (a.order_index ?? 0) - (b.order_index ?? 0))
+                .map(lecture => lecture.id);
+        }
+
+        const questions = lectureIds.length > 0 ? await fetchExportQuestions({ lectureIds }) : [];
+        if (questions.length === 0) {
+            return res.status(404).json({ error: 'No questions to export' });
+        }
+
+        const bytes = sendExport(res, format, { title, questions: questions.map(question => toExportQuestion(question)) });
+        console.log(`📤 Exported ${questions.length} questions of "${title}" as ${format} (${bytes} bytes)`);
+    } catch (err) {
+        console.error('❌ Error exporting questions:', err.message);
+        res.status(500).json({ error: 'Failed to export questions', details: err.message });
+    }
+});
+
+// GET /api/student/decks/:deck/export - The student's saved or wrong questions
+router.get('/api/student/decks/:deck/export', authMiddleware, async (req, res) => {
+    try {
+        const { deck } = req.params;
+        const format = req.query.format || 'apkg';
+
+        if (!STUDENT_DECKS[deck]) {
+            return res.status(400).json({ error: `deck must be one of: ${Object.keys(STUDENT_DECKS).join(', ')}` });
+        }
+        if (!STUDENT_EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `format must be one of: ${STUDENT_EXPORT_FORMATS.join(', ')}` });
+        }
+
+        const userId = req.user.id;
+        const [responses, reveals, notes, bookmarks] = await Promise.all([
+            fetchAllUserRows({ table: 'user_responses', columns: 'question_id, is_correct, created_at', orderBy: 'created_at' }, userId),
+            fetchAllUserRows({ table: 'practice_reveals', columns: 'question_id, revealed_at', orderBy: 'revealed_at' }, userId),
+            fetchAllUserRows({ table: 'question_notes', columns: 'question_id, body, updated_at', orderBy: 'updated_at' }, userId),
+            deck === 'saved'
+                ? fetchAllUserRows({ table: 'question_bookmarks', columns: 'question_id, created_at', orderBy: 'created_at' }, userId)
+                : []
+        ]);
+
+        // Latest response per question wins (rows are oldest first)
+        const latest = new Map();
+        responses.forEach(response => latest.set(response.question_id, response.is_correct));
+        const answered = new Set([...latest.keys(), ...reveals.map(reveal => reveal.question_id)]);
+        const noteOf = new Map(notes.map(note => [note.question_id, note.body]));
+
+        const questionIds = deck === 'saved'
+            ? [...new Set([...bookmarks, ...notes].map(row => row.question_id))]
+            : [...latest.entries()].filter(([, isCorrect]) => isCorrect === false).map(([questionId]) => questionId);
+
+        const questions = questionIds.length > 0 ? await fetchExportQuestions({ questionIds }) : [];
+        if (questions.length === 0) {
+            return res.status(404).json({ error: 'No questions in this deck yet' });
+        }
+
+        const bytes = sendExport(res, format, {
+            title: STUDENT_DECKS[deck],
+            questions: questions.map(question => toExportQuestion(question, {
+                withKey: answered.has(question.id),
+                note: noteOf.get(question.id) || null
+            }))
+        });
+        console.log(`📤 ${deck} deck export for ${userId}: ${questions.length} questions as ${format} (${bytes} bytes)`);
+    } catch (err) {
+        console.error('❌ Error exporting deck:', err.message);
+        res.status(500).json({ error: 'Failed to export deck', details: err.message });
+    }
+});
+
+module.exports = { router, supabase, FEATURE_FLAGS, VERCEL_PROXY_HOPS };
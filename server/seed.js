@@ -0,0 +1,430 @@
+#!/usr/bin/env node
+/**
+ * Content seeder: loads server/seed/hierarchy.json into Supabase
+ *
+ *   npm run seed                      Upsert every year, module, subject, lecture and question
+ *   npm run seed -- --dry-run         Validate and print what would change, write nothing
+ *   npm run seed -- --prune           Also delete rows the file no longer contains
+ *   npm run seed -- --file path.json  Seed another file in the same format
+ *
+ * Rows are matched by external_id (UPSERT ... ON CONFLICT (external_id)), so
+ * re-running produces the same end state. External IDs are derived from the
+ * position in the file: year1 → year1_mod1 → year1_mod1_sub1 →
+ * year1_mod1_sub1_lec1 → year1_mod1_sub1_lec1_q1 (the question's own "id").
+ *
+ * --prune treats the file as the whole catalogue: anything missing from it,
+ * including questions added in the admin panel, is deleted (children first).
+ *
+ * Exits 1 when the file is invalid (every problem is listed) or a write fails.
+ */
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config();
+
+const DEFAULT_FILE = path.join(__dirname, 'seed', 'hierarchy.json');
+const PAGE_SIZE = 1000;   // Supabase's default row limit per request
+const WRITE_BATCH = 500;
+const QUESTION_TYPES = ['single', 'multi', 'true_false'];
+const MULTI_ANSWER_TYPES = ['multi', 'true_false'];
+
+// Parents first; --prune deletes in the reverse order
+const LEVELS = [
+    { table: 'years', parentKey: null, fields: ['name', 'icon'] },
+    { table: 'modules', parentKey: 'year_id', fields: ['name'] },
+    { table: 'subjects', parentKey: 'module_id', fields: ['name'] },
+    { table: 'lectures', parentKey: 'subject_id', fields: ['name', 'order_index'] },
+    {
+        table: 'questions',
+        parentKey: 'lecture_id',
+        fields: ['text', 'options', 'question_type', 'correct_answer_index', 'correct_answer_indices',
+            'explanation', 'question_order', 'difficulty_level']
+    }
+];
+
+// ============================================================================
+// ARGUMENTS
+// ============================================================================
+function parseArgs(argv) {
+    const args = { dryRun: false, prune: false, file: DEFAULT_FILE, help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') args.dryRun = true;
+        else if (arg === '--prune') args.prune = true;
+        else if (arg === '--help' || arg === '-h') args.help = true;
+        else if (arg === '--file') args.file = path.resolve(argv[++i] || '');
+        else if (arg.startsWith('--file=')) args.file = path.resolve(arg.slice('--file='.length));
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+
+    return args;
+}
+
+// ============================================================================
+// VALIDATION + ROWS
+// Walks the file once: collects every problem (with its JSON path) and the
+// rows to upsert, keyed by external_id.
+// ============================================================================
+
+/**
+ * @param {Object} data - Parsed hierarchy.json
+ * @returns {{ errors: string[], rows: Object<string, Object[]> }} rows per table;
+ *   each row carries `parent` (the parent's external_id) until upsert time
+ */
+function buildRows(data) {
+    const errors = [];
+    const rows = Object.fromEntries(LEVELS.map(level => [level.table, []]));
+    const seen = new Set();
+
+    const requireName = (node, where) => {
+        if (typeof node.name !== 'string' || !node.name.trim()) {
+            errors.push(`${where}: name is required`);
+            return false;
+        }
+        return true;
+    };
+
+    const claim = (externalId, where) => {
+        if (seen.has(externalId)) {
+            errors.push(`${where}: duplicate id "${externalId}"`);
+            return false;
+        }
+        seen.add(externalId);
+        return true;
+    };
+
+    const listOf = (node, key, where, required) => {
+        if (node[key] === undefined && !required) return [];
+        if (!Array.isArray(node[key])) {
+            errors.push(`${where}: ${key} must be an array`);
+            return [];
+        }
+        return node[key];
+    };
+
+    if (!data || typeof data !== 'object') {
+        return { errors: ['File must contain a JSON object'], rows };
+    }
+
+    listOf(data, 'years', 'root', true).forEach((year, y) => {
+        const where = `years[${y}]`;
+        const yearId = typeof year.id === 'string' && year.id.trim() ? year.id.trim() : `year${y + 1}`;
+        if (!/^[a-z0-9_-]+$/i.test(yearId)) errors.push(`${where}: id "${yearId}" may only contain letters, digits, - and _`);
+        if (requireName(year, where) && claim(yearId, where)) {
+            rows.years.push({ external_id: yearId, name: year.name.trim(), icon: year.icon || null });
+        }
+
+        listOf(year, 'modules', where).forEach((mod, m) => {
+            const modWhere = `${where}.modules[${m}]`;
+            const modId = `${yearId}_mod${m + 1}`;
+            if (requireName(mod, modWhere) && claim(modId, modWhere)) {
+                rows.modules.push({ external_id: modId, parent: yearId, name: mod.name.trim() });
+            }
+
+            listOf(mod, 'subjects', modWhere).forEach((subject, s) => {
+                const subWhere = `${modWhere}.subjects[${s}]`;
+                const subId = `${modId}_sub${s + 1}`;
+                if (requireName(subject, subWhere) && claim(subId, subWhere)) {
+                    rows.subjects.push({ external_id: subId, parent: modId, name: subject.name.trim() });
+                }
+
+                listOf(subject, 'lectures', subWhere).forEach((lecture, l) => {
+                    const lecWhere = `${subWhere}.lectures[${l}]`;
+                    const lecId = `${subId}_lec${l + 1}`;
+                    if (requireName(lecture, lecWhere) && claim(lecId, lecWhere)) {
+                        rows.lectures.push({ external_id: lecId, parent: subId, name: lecture.name.trim(), order_index: l });
+                    }
+
+                    listOf(lecture, 'questions', lecWhere).forEach((question, q) => {
+                        const qWhere = `${lecWhere}.questions[${q}]`;
+                        const row = toQuestionRow(question, q, lecId, qWhere, errors);
+                        if (row && claim(row.external_id, qWhere)) rows.questions.push(row);
+                    });
+                });
+            });
+        });
+    });
+
+    return { errors, rows };
+}
+
+/**
+ * One question from the file → questions row (options become JSONB {id, text})
+ * @returns {Object|null} null when invalid (problems pushed onto errors)
+ */
+function toQuestionRow(question, index, lectureId, where, errors) {
+    const before = errors.length;
+    const localId = question.id === undefined ? `q${index + 1}` : String(question.id).trim();
+    const type = question.type || 'single';
+    const multi = MULTI_ANSWER_TYPES.includes(type);
+
+    if (!/^[a-z0-9_-]+$/i.test(localId)) errors.push(`${where}: id "${localId}" may only contain letters, digits, - and _`);
+    if (typeof question.text !== 'string' || !question.text.trim()) errors.push(`${where}: text is required`);
+    if (!QUESTION_TYPES.includes(type)) errors.push(`${where}: type must be one of ${QUESTION_TYPES.join(', ')}`);
+
+    const options = Array.isArray(question.options) ? question.options : [];
+    if (options.length < 2) errors.push(`${where}: at least 2 options are required`);
+
+    const optionRows = options.map((opt, o) => {
+        const option = typeof opt === 'string' ? { text: opt } : (opt && typeof opt === 'object' ? opt : {});
+        if (typeof option.text !== 'string' || (!option.text.trim() && !option.image_url)) {
+            errors.push(`${where}.options[${o}]: text is required`);
+        }
+        return {
+            id: o + 1,
+            text: String(option.text || '').trim(),
+            ...(option.image_url && { image_url: option.image_url, alt_text: option.alt_text || '' })
+        };
+    });
+
+    const inRange = value => Number.isInteger(value) && value >= 0 && value < options.length;
+    const answer = question.correctAnswer;
+    if (multi) {
+        if (!Array.isArray(answer) || (type === 'multi' && answer.length === 0) || !answer.every(inRange)) {
+            errors.push(`${where}: correctAnswer must be an array of option indexes (0-${options.length - 1}) for ${type}`);
+        }
+    } else if (!inRange(answer)) {
+        errors.push(`${where}: correctAnswer must be an option index (0-${Math.max(options.length - 1, 0)}), got ${JSON.stringify(answer)}`);
+    }
+
+    const difficulty = question.difficulty === undefined ? 1 : question.difficulty;
+    if (![1, 2, 3].includes(difficulty)) errors.push(`${where}: difficulty must be 1, 2 or 3`);
+
+    if (question.explanation !== undefined && question.explanation !== null && typeof question.explanation !== 'string') {
+        errors.push(`${where}: explanation must be a string`);
+    }
+
+    if (errors.length > before) return null;
+
+    return {
+        external_id: `${lectureId}_${localId}`,
+        parent: lectureId,
+        text: question.text.trim(),
+        options: optionRows,
+        question_type: type,
+        correct_answer_index: multi ? null : answer,
+        correct_answer_indices: multi ? [...new Set(answer)].sort((a, b) => a - b) : null,
+        explanation: question.explanation || null,
+        question_order: index + 1,
+        difficulty_level: difficulty
+    };
+}
+
+// ============================================================================
+// DIFF
+// ============================================================================
+
+/**
+ * Order-insensitive comparison (JSONB does not keep key order)
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * @param {Object} rows - buildRows() output
+ * @param {Object} existing - table → Map(external_id → row with id and parent external_id)
+ * @returns {Object} table → { create: [], update: [{ row, changed }], unchanged: 0, remove: [] }
+ */
+function diffRows(rows, existing) {
+    const plan = {};
+
+    LEVELS.forEach(({ table, parentKey, fields }) => {
+        const current = existing[table];
+        const wanted = new Set(rows[table].map(row => row.external_id));
+        const entry = { create: [], update: [], unchanged: 0, remove: [] };
+
+        rows[table].forEach(row => {
+            const found = current.get(row.external_id);
+            if (!found) {
+                entry.create.push(row);
+                return;
+            }
+
+            const changed = fields.filter(field => stableStringify(found[field]) !== stableStringify(row[field]));
+            if (parentKey && found.parent !== row.parent) changed.push(parentKey);
+
+            if (changed.length > 0) entry.update.push({ row, changed });
+            else entry.unchanged++;
+        });
+
+        current.forEach((found, externalId) => {
+            if (!wanted.has(externalId)) entry.remove.push(found);
+        });
+
+        plan[table] = entry;
+    });
+
+    return plan;
+}
+
+function printPlan(plan, { dryRun, prune }) {
+    console.log(`\n📋 ${dryRun ? 'Dry run: nothing will be written' : 'Changes'}`);
+    console.log('   table        create  update  same  remove');
+
+    LEVELS.forEach(({ table }) => {
+        const { create, update, unchanged, remove } = plan[table];
+        const removeLabel = prune ? String(remove.length) : `(${remove.length})`;
+        console.log(`   ${table.padEnd(12)} ${String(create.length).padStart(6)}  ${String(update.length).padStart(6)}  ${String(unchanged).padStart(4)}  ${removeLabel.padStart(6)}`);
+    });
+
+    LEVELS.forEach(({ table }) => {
+        const { create, update, remove } = plan[table];
+        create.forEach(row => console.log(`   + ${table} ${row.external_id} "${row.name || row.text}"`));
+        update.forEach(({ row, changed }) => console.log(`   ~ ${table} ${row.external_id} (${changed.join(', ')})`));
+        remove.forEach(row => console.log(`   ${prune ? '-' : '?'} ${table} ${row.external_id}${prune ? '' : ' (not in file, kept without --prune)'}`));
+    });
+}
+
+// ============================================================================
+// DATABASE
+// ============================================================================
+
+async function fetchAll(supabase, table, columns) {
+    const all = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await supabase
+            .from(table)
+            .select(columns)
+            .order('external_id', { ascending: true })
+            .range(from, from + PAGE_SIZE - 1);
+
+        if (error) throw new Error(`Failed to read ${table}: ${error.message}`);
+        all.push(...data);
+        if (data.length < PAGE_SIZE) return all;
+    }
+}
+
+/**
+ * Current rows per table, with the parent's external_id resolved from its UUID
+ */
+async function loadExisting(supabase) {
+    const existing = {};
+    const externalIdOf = new Map(); // UUID → external_id, filled parents first
+
+    for (const { table, parentKey, fields } of LEVELS) {
+        const columns = ['id', 'external_id', parentKey, ...fields].filter(Boolean).join(', ');
+        const data = await fetchAll(supabase, table, columns);
+
+        existing[table] = new Map();
+        data.forEach(row => {
+            externalIdOf.set(row.id, row.external_id);
+            // Rows without an external_id cannot be matched (or pruned) by the seeder
+            if (!row.external_id) return;
+            existing[table].set(row.external_id, {
+                ...row,
+                parent: parentKey ? externalIdOf.get(row[parentKey]) || null : null
+            });
+        });
+    }
+
+    return existing;
+}
+
+/**
+ * Upsert parents before children, resolving each row's parent UUID
+ */
+async function applyPlan(supabase, plan, { prune }) {
+    const idOf = new Map(); // external_id → UUID
+
+    for (const { table, parentKey, fields } of LEVELS) {
+        const { create, update } = plan[table];
+        const writes = [...create, ...update.map(({ row }) => row)].map(({ parent, ...row }) => {
+            const data = Object.fromEntries(['external_id', ...fields].map(field => [field, row[field]]));
+            if (parentKey) data[parentKey] = idOf.get(parent);
+            return data;
+        });
+
+        for (let i = 0; i < writes.length; i += WRITE_BATCH) {
+            const { error } = await supabase
+                .from(table)
+                .upsert(writes.slice(i, i + WRITE_BATCH), { onConflict: 'external_id' });
+
+            if (error) throw new Error(`Failed to upsert ${table}: ${error.message}`);
+        }
+
+        // Children of unchanged rows need their UUIDs too
+        const rows = await fetchAll(supabase, table, 'id, external_id');
+        rows.forEach(row => idOf.set(row.external_id, row.id));
+
+        if (writes.length > 0) console.log(`✅ ${table}: ${create.length} created, ${update.length} updated`);
+    }
+
+    if (!prune) return;
+
+    for (const { table } of [...LEVELS].reverse()) {
+        const ids = plan[table].remove.map(row => row.id);
+        for (let i = 0; i < ids.length; i += WRITE_BATCH) {
+            const { error } = await supabase.from(table).delete().in('id', ids.slice(i, i + WRITE_BATCH));
+            if (error) throw new Error(`Failed to prune ${table}: ${error.message}`);
+        }
+        if (ids.length > 0) console.log(`🗑️  ${table}: ${ids.length} removed`);
+    }
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+async function main(argv = process.argv.slice(2)) {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        return 1;
+    }
+
+    if (args.help) {
+        console.log('Usage: node server/seed.js [--dry-run] [--prune] [--file path/to/hierarchy.json]');
+        return 0;
+    }
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(args.file, 'utf8'));
+    } catch (err) {
+        console.error(`❌ Cannot read ${args.file}: ${err.message}`);
+        return 1;
+    }
+
+    const { errors, rows } = buildRows(data);
+    if (errors.length > 0) {
+        console.error(`❌ ${path.relative(process.cwd(), args.file)} has ${errors.length} problem(s):`);
+        errors.forEach(error => console.error(`   - ${error}`));
+        return 1;
+    }
+
+    console.log(`🌱 ${path.relative(process.cwd(), args.file)}: ${LEVELS.map(({ table }) => `${rows[table].length} ${table}`).join(', ')}`);
+
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+        console.error('❌ SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set (see .env)');
+        return 1;
+    }
+
+    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+    try {
+        const plan = diffRows(rows, await loadExisting(supabase));
+        printPlan(plan, args);
+
+        if (args.dryRun) return 0;
+
+        await applyPlan(supabase, plan, args);
+        console.log('✅ Seeding complete');
+        return 0;
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    main().then(code => process.exit(code));
+}
+
+module.exports = { buildRows, diffRows, main };
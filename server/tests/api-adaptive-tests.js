@@ -0,0 +1,57 @@
+const assert = require('assert/strict');
+const { describeApi, standIn } = require('./helpers/api-harness');
+const { IDS, STUDENT, OTHER_STUDENT, USERS, seed } = require('./helpers/fixtures');
+
+describeApi('Adaptive practice state', ({ request }) => {
+    const adaptiveState = (questionIds, token) =>
+        request('POST', '/api/adaptive/state', { body: { questionIds }, token });
+
+    beforeEach(() => {
+        standIn.reset({
+            ...seed(),
+            student_abilities: [
+                { user_id: STUDENT.id, subject_id: IDS.subject, ability: '0.750', responses: 12, updated_at: '2026-01-05T10:00:00.000Z' },
+                { user_id: OTHER_STUDENT.id, subject_id: IDS.subject, ability: '-1.200', responses: 3, updated_at: '2026-01-05T10:00:00.000Z' }
+            ]
+        });
+        standIn.users = { ...USERS };
+    });
+
+    it('starts item difficulties at the authored level', async () => {
+        const { status, body } = await adaptiveState(['q1', IDS.q2, 'missing']);
+
+        assert.equal(status, 200);
+        assert.equal(body.targetSuccess, 0.7);
+        assert.deepEqual(body.items.map(item => [item.externalId, item.subjectId, item.difficulty]).sort(), [
+            ['q1', IDS.subject, -1],
+            ['q2', IDS.subject, 0]
+        ]);
+    });
+
+    it('moves difficulties towards how the cohort actually scored', async () => {
+        // 20 first attempts, a quarter right: weighs as much as the authored "easy"
+        standIn.table('question_answer_stats').push({ question_id: IDS.q1, responses: 20, score_sum: '5.000' });
+
+        const { body } = await adaptiveState(['q1']);
+
+        assert.equal(body.items[0].difficulty, 0.018);
+    });
+
+    it("returns the signed-in student's own abilities only", async () => {
+        const guest = await adaptiveState(['q1']);
+        const student = await adaptiveState(['q1'], 'student-token');
+
+        assert.deepEqual(guest.body.abilities, []);
+        assert.deepEqual(student.body.abilities, [
+            { subjectId: IDS.subject, ability: 0.75, responses: 12, updatedAt: '2026-01-05T10:00:00.000Z' }
+        ]);
+    });
+
+    it('rejects empty and oversized pools', async () => {
+        const empty = await adaptiveState([]);
+        const oversized = await adaptiveState(Array.from({ length: 301 }, (_, i) => `q${i}`));
+
+        assert.equal(empty.status, 400);
+        assert.equal(oversized.status, 400);
+    });
+});
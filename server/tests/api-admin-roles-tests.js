@@ -0,0 +1,84 @@
+const assert = require('assert/strict');
+const { describeApi, standIn } = require('./helpers/api-harness');
+const { IDS, STUDENT, OTHER_STUDENT, EDITOR, OWNER, USERS, seed } = require('./helpers/fixtures');
+
+describeApi('Admin roles and audit log', ({ request }) => {
+    beforeEach(() => {
+        standIn.reset(seed());
+        standIn.users = { ...USERS };
+    });
+
+    it('rejects callers without a token or an admin role', async () => {
+        const anonymous = await request('GET', '/api/admin/years');
+        const student = await request('GET', '/api/admin/years', { token: 'student-token' });
+
+        assert.equal(anonymous.status, 401);
+        assert.equal(student.status, 403);
+    });
+
+    it('trusts app_metadata and admin_users, never user_metadata', async () => {
+        standIn.users['self-promoted-token'] = { ...STUDENT, user_metadata: { role: 'owner' } };
+        const selfPromoted = await request('GET', '/api/admin/me', { token: 'self-promoted-token' });
+        assert.equal(selfPromoted.status, 403);
+
+        standIn.table('admin_users').push({ user_id: STUDENT.id, role: 'editor' });
+        const listed = await request('GET', '/api/admin/me', { token: 'student-token' });
+        assert.equal(listed.status, 200);
+        assert.equal(listed.body.role, 'editor');
+
+        standIn.users['legacy-token'] = { ...OTHER_STUDENT, app_metadata: { is_admin: true } };
+        const legacy = await request('GET', '/api/admin/me', { token: 'legacy-token' });
+        assert.equal(legacy.body.role, 'owner');
+    });
+
+    it('lets editors write content and records who did it', async () => {
+        const created = await request('POST', '/api/admin/years', {
+            body: { id: 'y2', name: 'Year 2', icon: '📘' },
+            token: 'editor-token'
+        });
+
+        assert.equal(created.status, 201);
+
+        const [entry] = standIn.table('admin_audit_log');
+        assert.equal(entry.actor_id, EDITOR.id);
+        assert.equal(entry.actor_role, 'editor');
+        assert.equal(entry.action, 'create');
+        assert.equal(entry.entity, 'year');
+        assert.equal(entry.after.name, 'Year 2');
+
+        const renamed = await request('PUT', `/api/admin/years/${IDS.year}`, { body: { name: 'First Year' }, token: 'editor-token' });
+        assert.equal(renamed.status, 200);
+
+        const update = standIn.table('admin_audit_log')[1];
+        assert.equal(update.before.name, 'Year 1');
+        assert.equal(update.after.name, 'First Year');
+    });
+
+    it('keeps deletes and the audit log for owners', async () => {
+        const editorDelete = await request('DELETE', `/api/admin/years/${IDS.year}`, { token: 'editor-token' });
+        assert.equal(editorDelete.status, 403);
+        assert.equal(standIn.table('years').length, 1);
+
+        const editorAudit = await request('GET', '/api/admin/audit', { token: 'editor-token' });
+        assert.equal(editorAudit.status, 403);
+
+        const ownerDelete = await request('DELETE', `/api/admin/years/${IDS.year}`, { token: 'owner-token' });
+        assert.equal(ownerDelete.status, 200);
+        assert.equal(standIn.table('years').length, 0);
+        assert.equal(standIn.table('lectures').length, 0);
+
+        const audit = await request('GET', '/api/admin/audit?entity=year', { token: 'owner-token' });
+        assert.equal(audit.status, 200);
+        assert.equal(audit.body.entries.length, 1);
+        assert.equal(audit.body.entries[0].action, 'delete');
+        assert.deepEqual(audit.body.entries[0].actor, { id: OWNER.id, email: OWNER.email, role: 'owner' });
+        assert.deepEqual(audit.body.entries[0].before.deletedModuleIds, [IDS.module]);
+    });
+
+    it('answers 404 without an audit entry for unknown years', async () => {
+        const { status } = await request('PUT', '/api/admin/years/missing', { body: { name: 'x' }, token: 'owner-token' });
+
+        assert.equal(status, 404);
+        assert.equal(standIn.table('admin_audit_log').length, 0);
+    });
+});
@@ -0,0 +1,62 @@
+const assert = require('assert/strict');
+const crypto = require('crypto');
+const { describeApi, standIn } = require('./helpers/api-harness');
+const { IDS, USERS, seed, autoGrade } = require('./helpers/fixtures');
+
+// HMAC(K_q, `${questionId}:${answerKey}`), K_q derived from the harness's ANSWER_ENVELOPE_SECRET
+const hmacHex = (key, text) => crypto.createHmac('sha256', key).update(text).digest('hex');
+const envelopeKey = questionId =>
+    crypto.createHmac('sha256', process.env.ANSWER_ENVELOPE_SECRET).update(`answer-key:${questionId}`).digest();
+
+describeApi('Answer envelopes', ({ request }) => {
+    beforeEach(() => {
+        standIn.reset(seed());
+        standIn.users = { ...USERS };
+        standIn.triggers = { user_responses: autoGrade };
+    });
+
+    it('ships an HMAC tag per question instead of the answer key, and no key to open it', async () => {
+        const { body } = await request('GET', '/api/lectures/l1');
+
+        assert.equal(body.answerEnvelope.version, 2);
+        assert.equal(body.answerEnvelope.algorithm, 'HMAC-SHA256');
+        assert.ok(body.questions.every(question => !('correct_answer_index' in question)));
+        assert.ok(!/salt|answerKeys/.test(JSON.stringify(body)));
+
+        const tag = body.answerEnvelope.questions[IDS.q2];
+        assert.match(tag, /^[0-9a-f]{64}$/);
+        const matches = [0, 1, 2, 3].filter(index => hmacHex(envelopeKey(IDS.q2), `${IDS.q2}:${index}`) === tag);
+        assert.deepEqual(matches, [2]);
+    });
+
+    it('keeps tags stable between requests and endpoints', async () => {
+        const first = await request('GET', '/api/lectures/l1');
+        const second = await request('GET', '/api/lectures/l1');
+        const [batched] = (await request('POST', '/api/lectures/batch', { body: { lectureIds: ['l1'] } })).body;
+
+        assert.deepEqual(second.body.answerEnvelope, first.body.answerEnvelope);
+        assert.deepEqual(batched.answerEnvelope, first.body.answerEnvelope);
+    });
+
+    it('records replayed offline answers at the time they were given, never in the future', async () => {
+        const answeredAt = '2026-01-05T10:00:00.000Z';
+        const { body: { sessionToken } } = await request('POST', '/api/quiz/session', {
+            body: { questionIds: ['q1', 'q2'], offlineKeys: true },
+            token: 'student-token'
+        });
+
+        await request('POST', '/api/practice/check-answer', {
+            body: { questionId: 'q1', selectedAnswerIndex: 0, sessionToken, clientSessionId: 'offline-1', answeredAt, replay: true },
+            token: 'student-token'
+        });
+        await request('POST', '/api/practice/check-answer', {
+            body: { questionId: 'q2', selectedAnswerIndex: 2, sessionToken, clientSessionId: 'offline-1', answeredAt: '2999-01-01T00:00:00.000Z', replay: true },
+            token: 'student-token'
+        });
+
+        const [past, future] = standIn.table('user_responses');
+        assert.equal(past.created_at, answeredAt);
+        assert.ok(future.created_at <= new Date().toISOString());
+        assert.equal(standIn.table('quiz_sessions')[0].started_at, answeredAt);
+    });
+});
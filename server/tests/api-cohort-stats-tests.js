@@ -0,0 +1,40 @@
+const assert = require('assert/strict');
+const { describeApi, standIn } = require('./helpers/api-harness');
+const { IDS, seed } = require('./helpers/fixtures');
+
+describeApi('Cohort answer distributions', ({ request }) => {
+    async function check(questionId, selectedAnswerIndex) {
+        const { body: session } = await request('POST', '/api/quiz/session', { body: { questionIds: [questionId] } });
+        return request('POST', '/api/practice/check-answer', {
+            body: { questionId, selectedAnswerIndex, sessionToken: session.sessionToken }
+        });
+    }
+
+    beforeEach(() => {
+        standIn.reset({
+            ...seed(),
+            question_answer_stats: [
+                { question_id: IDS.q1, responses: 10, correct: 6, score_sum: '6.000', option_counts: { 0: 6, 1: 3, 3: 1 } },
+                { question_id: IDS.q2, responses: 4, correct: 1, score_sum: '1.000', option_counts: { 2: 1, 0: 3 } }
+            ]
+        });
+    });
+
+    it('sends how the cohort answered with the verdict', async () => {
+        const { body } = await check('q1', 1);
+
+        assert.deepEqual(body.cohort, {
+            responses: 10,
+            correctRate: 60,
+            averageScore: 0.6,
+            optionRates: [60, 30, 0, 10]
+        });
+    });
+
+    it('withholds the distribution below five responses', async () => {
+        const { status, body } = await check('q2', 2);
+
+        assert.equal(status, 200);
+        assert.equal(body.cohort, null);
+    });
+});
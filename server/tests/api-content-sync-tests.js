@@ -0,0 +1,100 @@
+const assert = require('assert/strict');
+const { describeApi, standIn } = require('./helpers/api-harness');
+const { IDS, seed } = require('./helpers/fixtures');
+
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+describeApi('ETags and the content changes feed', ({ request }) => {
+    beforeEach(() => {
+        standIn.reset(seed());
+    });
+
+    describe('ETags', () => {
+        it('answers 304 to a matching If-None-Match, weak or in a list', async () => {
+            const first = await request('GET', '/api/years');
+            const etag = first.headers.get('etag');
+
+            assert.equal(first.status, 200);
+            assert.match(etag, /^"[\w-]+"$/);
+            assert.equal(first.headers.get('cache-control'), 'no-cache');
+
+            for (const ifNoneMatch of [etag, `W/${etag}`, `"stale", ${etag}`]) {
+                const { status, body } = await request('GET', '/api/years', { headers: { 'If-None-Match': ifNoneMatch } });
+                assert.equal(status, 304, ifNoneMatch);
+                assert.equal(body, null);
+            }
+        });
+
+        it('changes the lecture ETag when a question changes', async () => {
+            const before = (await request('GET', '/api/lectures/l1')).headers.get('etag');
+            standIn.table('questions').find(question => question.id === IDS.q1).text = 'Edited';
+
+            const after = await request('GET', '/api/lectures/l1', { headers: { 'If-None-Match': before } });
+
+            assert.equal(after.status, 200);
+            assert.notEqual(after.headers.get('etag'), before);
+            assert.equal(after.body.questions[0].text, 'Edited');
+        });
+
+        it('revalidates POST /api/lectures/batch too', async () => {
+            const first = await request('POST', '/api/lectures/batch', { body: { lectureIds: ['l1'] } });
+            const second = await request('POST', '/api/lectures/batch', {
+                body: { lectureIds: ['l1'] },
+                headers: { 'If-None-Match': first.headers.get('etag') }
+            });
+
+            assert.equal(first.status, 200);
+            assert.equal(second.status, 304);
+        });
+    });
+
+    describe('GET /api/changes', () => {
+        const change = (id, entity, entityId, action, changedAt, lectureId = null) =>
+            ({ id, entity, entity_id: entityId, lecture_id: lectureId, action, changed_at: changedAt });
+
+        it('folds the log into changed and deleted lectures and questions', async () => {
+            standIn.table('content_changes').push(
+                change(1, 'question', IDS.q1, 'upsert', minutesAgo(30), IDS.lecture),
+                change(2, 'question', IDS.q2, 'upsert', minutesAgo(20), IDS.lecture),
+                change(3, 'question', IDS.q2, 'delete', minutesAgo(10), IDS.lecture),
+                change(4, 'lecture', 'gone', 'upsert', minutesAgo(9)),
+                change(5, 'lecture', 'gone', 'delete', minutesAgo(8)),
+                change(6, 'question_group', 'g1', 'upsert', minutesAgo(7), 'other-lecture')
+            );
+
+            const { status, body } = await request('GET', `/api/changes?since=${minutesAgo(40)}`);
+
+            assert.equal(status, 200);
+            assert.equal(body.resync, false);
+            assert.equal(body.hierarchyChanged, true);
+            assert.ok(Date.parse(body.cursor) <= Date.now());
+            assert.deepEqual(body.lectures, { changed: [IDS.lecture, 'other-lecture'], deleted: ['gone'] });
+            assert.deepEqual(body.questions, { changed: [IDS.q1], deleted: [IDS.q2] });
+        });
+
+        it('replays the last minute before `since` and leaves older rows out', async () => {
+            standIn.table('content_changes').push(
+                change(1, 'question', IDS.q1, 'upsert', minutesAgo(12), IDS.lecture),
+                change(2, 'question', IDS.q2, 'upsert', minutesAgo(10.5), IDS.lecture)
+            );
+
+            const { body } = await request('GET', `/api/changes?since=${minutesAgo(10)}`);
+
+            assert.equal(body.hierarchyChanged, false);
+            assert.deepEqual(body.questions.changed, [IDS.q2]);
+        });
+
+        it('asks for a full resync when `since` is older than the log', async () => {
+            const { status, body } = await request('GET', `/api/changes?since=${new Date(Date.now() - 91 * 24 * 3600 * 1000).toISOString()}`);
+
+            assert.equal(status, 200);
+            assert.equal(body.resync, true);
+            assert.deepEqual(body.lectures, { changed: [], deleted: [] });
+        });
+
+        it('rejects a missing or invalid `since`', async () => {
+            assert.equal((await request('GET', '/api/changes')).status, 400);
+            assert.equal((await request('GET', '/api/changes?since=yesterday')).status, 400);
+        });
+    });
+});
@@ -0,0 +1,174 @@
+const assert = require('assert/strict');
+const { describeApi, standIn } = require('./helpers/api-harness');
+const { IDS, STUDENT, USERS, seed, autoGrade } = require('./helpers/fixtures');
+
+describeApi('Shared API router', ({ request }) => {
+    beforeEach(() => {
+        standIn.reset(seed());
+        standIn.users = { ...USERS };
+        standIn.triggers = { user_responses: autoGrade };
+    });
+
+    it('reports health', async () => {
+        const { status, body } = await request('GET', '/health');
+
+        assert.equal(status, 200);
+        assert.equal(body.status, 'healthy');
+    });
+
+    it('serves the year → module → subject → lecture hierarchy', async () => {
+        const { status, body } = await request('GET', '/api/years');
+
+        assert.equal(status, 200);
+        assert.equal(body.length, 1);
+        assert.equal(body[0].external_id, 'y1');
+        assert.equal(body[0].modules[0].subjects[0].lectures[0].id, IDS.lecture);
+    });
+
+    it('serves a lecture by UUID or external id, without the answer key', async () => {
+        const byExternalId = await request('GET', '/api/lectures/l1');
+        const byUuid = await request('GET', `/api/lectures/${IDS.lecture}`);
+
+        assert.equal(byExternalId.status, 200);
+        assert.deepEqual(byUuid.body, byExternalId.body);
+        assert.deepEqual(byExternalId.body.questions.map(q => q.id).sort(), [IDS.q1, IDS.q2]);
+
+        const q1 = byExternalId.body.questions.find(q => q.id === IDS.q1);
+        assert.deepEqual(q1.options, ['Axillary', 'Radial', 'Median', 'Ulnar']);
+        assert.ok(!('correct_answer_index' in q1));
+    });
+
+    it('answers 404 for an unknown lecture', async () => {
+        const { status } = await request('GET', '/api/lectures/nope');
+
+        assert.equal(status, 404);
+    });
+
+    it('serves lecture batches over GET and POST', async () => {
+        const viaGet = await request('GET', '/api/lectures/batch?ids=l1');
+        const viaPost = await request('POST', '/api/lectures/batch', { body: { lectureIds: ['l1'] } });
+
+        assert.equal(viaGet.status, 200);
+        assert.equal(viaPost.status, 200);
+        assert.equal(viaPost.body[0].id, IDS.lecture);
+        assert.equal(viaPost.body[0].questions.length, 2);
+
+        const empty = await request('POST', '/api/lectures/batch', { body: { lectureIds: [] } });
+        assert.equal(empty.status, 400);
+    });
+
+    it('checks a practice answer and records it for signed-in students only', async () => {
+        const guestSession = await request('POST', '/api/quiz/session', { body: { questionIds: ['q1'] } });
+        const guest = await request('POST', '/api/practice/check-answer', {
+            body: { questionId: 'q1', selectedAnswerIndex: 1, sessionToken: guestSession.body.sessionToken }
+        });
+
+        assert.equal(guest.status, 200);
+        assert.equal(guest.body.is_correct, false);
+        assert.equal(guest.body.correct_answer_index, 0);
+        assert.equal(standIn.table('user_responses').length, 0);
+
+        const studentSession = await request('POST', '/api/quiz/session', { body: { questionIds: ['q1'] }, token: 'student-token' });
+        const student = await request('POST', '/api/practice/check-answer', {
+            body: { questionId: 'q1', selectedAnswerIndex: 0, sessionToken: studentSession.body.sessionToken, clientSessionId: 'practice-1' },
+            token: 'student-token'
+        });
+
+        assert.equal(student.body.is_correct, true);
+        const [response] = standIn.table('user_responses');
+        assert.equal(response.user_id, STUDENT.id);
+        assert.equal(response.question_id, IDS.q1);
+        assert.equal(standIn.table('quiz_sessions')[0].client_session_id, 'practice-1');
+    });
+
+    it('grades a submitted quiz, counting skipped questions as wrong without revealing their key', async () => {
+        const { body: session } = await request('POST', '/api/quiz/session', { body: { questionIds: ['q1', 'q2'] }, token: 'student-token' });
+        const { status, body } = await request('POST', '/api/quiz-results', {
+            body: {
+                lectureId: 'l1',
+                mode: 'exam',
+                sessionToken: session.sessionToken,
+                answers: [{ questionId: 'q1', selectedAnswerIndex: 0 }, { questionId: 'q2', selectedAnswerIndex: null }]
+            },
+            token: 'student-token'
+        });
+
+        assert.equal(status, 201);
+        assert.equal(body.results.total, 2);
+        assert.equal(body.results.percentage, 50);
+
+        const answered = body.results.gradedDetails.find(detail => detail.question_id === IDS.q1);
+        assert.equal(answered.correct_answer_index, 0);
+        assert.match(answered.explanation, /axillary nerve/);
+
+        const skipped = body.results.gradedDetails.find(detail => detail.question_id === IDS.q2);
+        assert.equal(skipped.is_correct, false);
+        assert.ok(!('correct_answer_index' in skipped));
+        assert.ok(!('correct_answer_indices' in skipped));
+        assert.ok(!('explanation' in skipped));
+        assert.deepEqual(standIn.table('practice_reveals').map(reveal => reveal.question_id), [IDS.q1]);
+    });
+
+    it('rejects custom quiz selections that are not id arrays or numeric difficulties', async () => {
+        const notArray = await request('POST', '/api/quiz/sample', { body: { yearIds: 'y1' } });
+        assert.equal(notArray.status, 400);
+        assert.equal(notArray.body.error, 'yearIds must be an array of ids');
+
+        const textDifficulty = await request('POST', '/api/quiz/sample', { body: { lectureIds: ['l1'], difficultyMin: '1' } });
+        assert.equal(textDifficulty.status, 400);
+        assert.equal(textDifficulty.body.error, 'difficultyMin and difficultyMax must be numbers');
+    });
+
+    it('rejects review items with non-ISO dates and saves valid ones by external id', async () => {
+        const dueAt = new Date(Date.now() + 86400000).toISOString();
+        const lastReviewedAt = new Date().toISOString();
+
+        const invalid = await request('PUT', '/api/reviews', {
+            body: { items: [{ questionId: 'q1', dueAt: 'tomorrow', lastReviewedAt }] },
+            token: 'student-token'
+        });
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.body.error, 'items[0]: dueAt and lastReviewedAt must be ISO timestamps');
+
+        const valid = await request('PUT', '/api/reviews', {
+            body: { items: [{ questionId: 'q1', lectureId: 'l1', dueAt, lastReviewedAt, intervalDays: 1, repetitions: 1 }] },
+            token: 'student-token'
+        });
+        assert.equal(valid.status, 200);
+        assert.equal(valid.body.saved, 1);
+
+        const [row] = standIn.table('question_reviews');
+        assert.equal(row.question_id, IDS.q1);
+        assert.equal(row.lecture_id, IDS.lecture);
+        assert.equal(row.due_at, dueAt);
+    });
+
+    it('rejects bookmarks and notes with non-ISO timestamps and keeps the client time of valid ones', async () => {
+        const createdAt = '2026-01-02T03:04:05.000Z';
+
+        const invalid = await request('PUT', '/api/bookmarks/q1', { body: { createdAt: 'yesterday' }, token: 'student-token' });
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.body.error, 'createdAt must be an ISO timestamp');
+
+        const invalidNote = await request('PUT', '/api/notes/q1', { body: { body: 'Deltoid', updatedAt: 42 }, token: 'student-token' });
+        assert.equal(invalidNote.status, 400);
+        assert.equal(invalidNote.body.error, 'updatedAt must be an ISO timestamp');
+        assert.equal(standIn.table('question_bookmarks').length + standIn.table('question_notes').length, 0);
+
+        const valid = await request('PUT', '/api/bookmarks/q1', { body: { lectureId: 'l1', createdAt }, token: 'student-token' });
+        assert.equal(valid.status, 200);
+
+        const [row] = standIn.table('question_bookmarks');
+        assert.equal(row.question_id, IDS.q1);
+        assert.equal(row.lecture_id, IDS.lecture);
+        assert.equal(row.created_at, createdAt);
+    });
+
+    it('requires a token on student routes', async () => {
+        const missing = await request('GET', '/api/reviews');
+        const invalid = await request('GET', '/api/reviews', { token: 'expired-token' });
+
+        assert.equal(missing.status, 401);
+        assert.equal(invalid.status, 401);
+    });
+});
@@ -0,0 +1,91 @@
+const assert = require('assert/strict');
+const { describeApi, standIn } = require('./helpers/api-harness');
+const { IDS, USERS, seed } = require('./helpers/fixtures');
+
+const STUDENTS = 22;
+
+// Half the cohort gets q1 right and q2 wrong, the other half the reverse:
+// each item predicts failure on the other (negative discrimination)
+function splitCohortResponses() {
+    const rows = [];
+
+    for (let n = 0; n < STUDENTS; n++) {
+        const userId = `student-${n}`;
+        const strongOnQ1 = n % 2 === 0;
+        rows.push(
+            { id: `r${n}a`, user_id: userId, question_id: IDS.q1, attempt_number: 1, selected_answer_index: strongOnQ1 ? 0 : 1, is_correct: strongOnQ1, score: null },
+            { id: `r${n}b`, user_id: userId, question_id: IDS.q2, attempt_number: 1, selected_answer_index: strongOnQ1 ? 1 : 2, is_correct: !strongOnQ1, score: null }
+        );
+    }
+
+    // Guests and retries are not first attempts by a known student
+    rows.push(
+        { id: 'guest', user_id: null, question_id: IDS.q1, attempt_number: 1, selected_answer_index: 3, is_correct: false, score: 0 },
+        { id: 'retry', user_id: 'student-1', question_id: IDS.q1, attempt_number: 2, selected_answer_index: 0, is_correct: true, score: 1 }
+    );
+
+    return rows;
+}
+
+describeApi('Item analysis', ({ request }) => {
+    const analyse = (query, token = 'editor-token') => request('GET', `/api/admin/item-analysis?${query}`, { token });
+
+    beforeEach(() => {
+        standIn.reset({ ...seed(), user_responses: splitCohortResponses() });
+        standIn.users = { ...USERS };
+    });
+
+    it('reports difficulty, discrimination and option use from first attempts', async () => {
+        const { status, body } = await analyse('lectureId=l1&refresh=true');
+
+        assert.equal(status, 200);
+        assert.equal(body.students, STUDENTS);
+        assert.equal(body.responses, STUDENTS * 2);
+
+        const [q1, q2] = body.items;
+        assert.equal(q1.questionId, IDS.q1);
+        assert.equal(q1.difficulty, 0.5);
+        assert.equal(q1.discrimination, -1);
+        assert.deepEqual(q1.options.map(option => option.count), [11, 11, 0, 0]);
+        assert.deepEqual(q1.unusedDistractors, [2, 3]);
+        assert.deepEqual(q1.flags, ['negative_discrimination', 'unused_distractors']);
+
+        // difficulty_level 1 but half the cohort misses it; q2 is already level 2
+        assert.equal(q1.proposedDifficulty, 2);
+        assert.equal(q2.proposedDifficulty, null);
+        assert.deepEqual(body.summary, { items: 2, analysed: 2, flagged: 2, recalibrate: 1 });
+    });
+
+    it('holds back flags until there are enough responses', async () => {
+        standIn.tables.user_responses = splitCohortResponses().slice(0, 10);
+
+        const { body } = await analyse(`lectureId=${IDS.lecture}&refresh=true`);
+
+        assert.equal(body.items[0].sufficientData, false);
+        assert.deepEqual(body.items[0].flags, []);
+        assert.equal(body.items[0].proposedDifficulty, null);
+    });
+
+    it('caches reports per lecture until refreshed', async () => {
+        await analyse('lectureId=l1&refresh=true');
+        standIn.tables.user_responses = [];
+
+        const cached = await analyse('lectureId=l1');
+        const refreshed = await analyse('lectureId=l1&refresh=true');
+
+        assert.equal(cached.body.cached, true);
+        assert.equal(cached.body.responses, STUDENTS * 2);
+        assert.equal(refreshed.body.cached, false);
+        assert.equal(refreshed.body.responses, 0);
+    });
+
+    it('is for admins and known lectures only', async () => {
+        const student = await analyse('lectureId=l1', 'student-token');
+        const missing = await analyse('');
+        const unknown = await analyse('lectureId=nope');
+
+        assert.equal(student.status, 403);
+        assert.equal(missing.status, 400);
+        assert.equal(unknown.status, 404);
+    });
+});
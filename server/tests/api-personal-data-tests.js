@@ -0,0 +1,60 @@
+const assert = require('assert/strict');
+const { describeApi, standIn } = require('./helpers/api-harness');
+const { unzip } = require('./helpers/unzip');
+const { IDS, STUDENT, OTHER_STUDENT, USERS, seed } = require('./helpers/fixtures');
+
+describeApi('Personal data export and account deletion', ({ request }) => {
+    beforeEach(() => {
+        standIn.reset({
+            ...seed(),
+            quiz_sessions: [
+                { id: 'session-1', user_id: STUDENT.id, started_at: '2026-01-01T10:00:00.000Z' },
+                { id: 'session-2', user_id: OTHER_STUDENT.id, started_at: '2026-01-01T10:00:00.000Z' }
+            ],
+            user_responses: [{ id: 'r1', user_id: STUDENT.id, session_id: 'session-1', question_id: IDS.q1, created_at: '2026-01-01T10:01:00.000Z' }],
+            question_notes: [{ id: 'n1', user_id: STUDENT.id, question_id: IDS.q1, note: '=HYPERLINK("x")', updated_at: '2026-01-02T10:00:00.000Z' }],
+            practice_sessions: [{ id: 'secret-session-token', user_id: STUDENT.id, ip_hash: 'abc', question_ids: [IDS.q1], created_at: '2026-01-01T10:00:00.000Z' }],
+            admin_audit_log: [{ id: 'a1', actor_id: STUDENT.id, actor_email: STUDENT.email }]
+        });
+        standIn.users = { ...USERS };
+    });
+
+    it("zips the student's own rows as JSON and CSV, without session tokens", async () => {
+        const { status, headers, body } = await request('GET', '/api/student/export', { token: 'student-token' });
+
+        assert.equal(status, 200);
+        assert.equal(headers.get('content-type'), 'application/zip');
+        assert.match(headers.get('content-disposition'), /attachment; filename="harvi-data-\d{4}-\d{2}-\d{2}\.zip"/);
+
+        const files = Object.fromEntries(Object.entries(unzip(body)).map(([name, content]) => [name, content.toString('utf8')]));
+        const data = JSON.parse(files['data.json']);
+
+        assert.equal(data.account.id, STUDENT.id);
+        assert.deepEqual(data.quiz_sessions.map(session => session.id), ['session-1']);
+        assert.equal(data.user_responses.length, 1);
+        assert.ok(!files['practice_sessions.csv'].includes('secret-session-token'));
+        assert.ok(files['question_notes.csv'].includes(`"'=HYPERLINK(""x"")"`), 'formula cells are neutralised');
+    });
+
+    it('deletes only after confirmation, then removes rows and the auth user', async () => {
+        const unconfirmed = await request('DELETE', '/api/student/account', { body: {}, token: 'student-token' });
+        assert.equal(unconfirmed.status, 400);
+
+        const { status, body } = await request('DELETE', '/api/student/account', { body: { confirm: 'DELETE' }, token: 'student-token' });
+
+        assert.equal(status, 200);
+        assert.equal(body.deleted.quiz_sessions, 1);
+        assert.equal(body.deleted.user_responses, 1);
+        assert.deepEqual(standIn.table('quiz_sessions').map(session => session.id), ['session-2']);
+        assert.equal(standIn.table('admin_audit_log')[0].actor_email, null);
+        assert.deepEqual(standIn.deletedUsers, [STUDENT.id]);
+    });
+
+    it('refuses to delete admin accounts', async () => {
+        const { status, body } = await request('DELETE', '/api/student/account', { body: { confirm: 'DELETE' }, token: 'editor-token' });
+
+        assert.equal(status, 409);
+        assert.equal(body.code, 'ADMIN_ACCOUNT');
+        assert.deepEqual(standIn.deletedUsers, []);
+    });
+});
@@ -0,0 +1,256 @@
+const assert = require('assert/strict');
+const crypto = require('crypto');
+const { describeApi, standIn } = require('./helpers/api-harness');
+const { IDS, STUDENT, USERS, seed, autoGrade } = require('./helpers/fixtures');
+
+describeApi('Practice sessions and reveal limits', ({ request }) => {
+    const startSession = (questionIds, options = {}) =>
+        request('POST', '/api/quiz/session', { body: { questionIds }, ...options });
+
+    const checkAnswer = (body, options = {}) =>
+        request('POST', '/api/practice/check-answer', { body, ...options });
+
+    beforeEach(() => {
+        standIn.reset(seed());
+        standIn.users = { ...USERS };
+        standIn.triggers = { user_responses: autoGrade };
+    });
+
+    it('issues sessions for known questions, by UUID or external id', async () => {
+        const { status, body } = await startSession([IDS.q1, 'q2', 'missing']);
+
+        assert.equal(status, 201);
+        assert.deepEqual(body.questionIds.sort(), [IDS.q1, IDS.q2]);
+        assert.ok(Date.parse(body.expiresAt) > Date.now());
+
+        const unknown = await startSession(['missing']);
+        const empty = await startSession([]);
+        assert.equal(unknown.status, 404);
+        assert.equal(empty.status, 400);
+    });
+
+    it('refuses to reveal answers without a valid session for the question', async () => {
+        const missing = await checkAnswer({ questionId: 'q1', selectedAnswerIndex: 0 });
+        assert.equal(missing.status, 401);
+        assert.equal(missing.body.code, 'SESSION_REQUIRED');
+
+        const { body: session } = await startSession(['q1']);
+        const outside = await checkAnswer({ questionId: 'q2', selectedAnswerIndex: 0, sessionToken: session.sessionToken });
+        assert.equal(outside.status, 403);
+        assert.equal(outside.body.code, 'QUESTION_NOT_IN_SESSION');
+
+        standIn.table('practice_sessions')[0].expires_at = new Date(Date.now() - 1000).toISOString();
+        const expired = await checkAnswer({ questionId: 'q1', selectedAnswerIndex: 0, sessionToken: session.sessionToken });
+        assert.equal(expired.status, 401);
+        assert.equal(expired.body.code, 'SESSION_EXPIRED');
+    });
+
+    it("keeps a student's session to that student", async () => {
+        const { body: session } = await startSession(['q1'], { token: 'student-token' });
+
+        const { status, body } = await checkAnswer(
+            { questionId: 'q1', selectedAnswerIndex: 0, sessionToken: session.sessionToken },
+            { token: 'other-token' }
+        );
+
+        assert.equal(status, 403);
+        assert.equal(body.code, 'SESSION_FORBIDDEN');
+    });
+
+    it('answers each question once per session', async () => {
+        const { body: session } = await startSession(['q1']);
+        const answer = { questionId: 'q1', selectedAnswerIndex: 1, sessionToken: session.sessionToken };
+
+        const first = await checkAnswer(answer);
+        const retried = await checkAnswer(answer);
+        const changed = await checkAnswer({ ...answer, selectedAnswerIndex: 0 });
+
+        assert.equal(first.status, 200);
+        assert.deepEqual(retried.body, first.body);
+        assert.equal(changed.status, 409);
+        assert.equal(changed.body.code, 'ALREADY_ANSWERED');
+        assert.equal(standIn.table('practice_reveals').length, 1);
+    });
+
+    it('releases envelope keys only to sessions that ask for them, and they open the tags', async () => {
+        const { body: lecture } = await request('GET', '/api/lectures/l1');
+        const hmacHex = (key, text) => crypto.createHmac('sha256', key).update(text).digest('hex');
+
+        const { body: online } = await startSession(['q1']);
+        assert.ok(!('answerKeys' in online));
+
+        const { body: offline } = await request('POST', '/api/quiz/session', { body: { questionIds: ['q1', 'q2'], offlineKeys: true } });
+        assert.deepEqual(Object.keys(offline.answerKeys).sort(), [IDS.q1, IDS.q2]);
+
+        const key = Buffer.from(offline.answerKeys[IDS.q2], 'base64url');
+        assert.equal(hmacHex(key, `${IDS.q2}:2`), lecture.answerEnvelope.questions[IDS.q2]);
+        assert.notEqual(hmacHex(key, `${IDS.q2}:0`), lecture.answerEnvelope.questions[IDS.q2]);
+
+        const session = standIn.table('practice_sessions').find(row => row.id === offline.sessionToken);
+        assert.equal(session.keys_released, 2);
+    });
+
+    it('withholds envelope keys that would overrun the reveal limit, but still starts the session', async () => {
+        const recent = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+        for (let i = 0; i < 599; i++) {
+            standIn.table('practice_reveals').push({ id: `old-${i}`, user_id: STUDENT.id, revealed_at: recent, replayed: false });
+        }
+
+        const { status, body } = await request('POST', '/api/quiz/session', {
+            body: { questionIds: ['q1', 'q2'], offlineKeys: true },
+            token: 'student-token'
+        });
+
+        assert.equal(status, 201);
+        assert.ok(body.sessionToken);
+        assert.equal(body.answerKeys, null);
+        assert.ok(body.keysRetryAfterSeconds > 0);
+        assert.ok(body.keysRetryAfterSeconds <= 50 * 60);
+        assert.equal(standIn.table('practice_sessions').find(row => row.id === body.sessionToken).keys_released, 0);
+    });
+
+    it('counts released keys as reveals', async () => {
+        const recent = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+        for (let i = 0; i < 598; i++) {
+            standIn.table('practice_reveals').push({ id: `old-${i}`, user_id: STUDENT.id, revealed_at: recent, replayed: false });
+        }
+
+        const { body: offline } = await request('POST', '/api/quiz/session', {
+            body: { questionIds: ['q1', 'q2'], offlineKeys: true },
+            token: 'student-token'
+        });
+        assert.deepEqual(Object.keys(offline.answerKeys).sort(), [IDS.q1, IDS.q2]);
+
+        const { body: session } = await startSession(['q1'], { token: 'student-token' });
+        const { status, body } = await checkAnswer(
+            { questionId: 'q1', selectedAnswerIndex: 0, sessionToken: session.sessionToken },
+            { token: 'student-token' }
+        );
+
+        assert.equal(status, 429);
+        assert.equal(body.code, 'RATE_LIMITED');
+    });
+
+    it('rate-limits guest reveals per IP with Retry-After', async () => {
+        const { body: session } = await startSession(['q1', 'q2']);
+        const hour = new Date(Date.now() - 30 * 60 * 1000).toISOString();
+        const ipHash = standIn.table('practice_sessions')[0].ip_hash;
+
+        for (let i = 0; i < 150; i++) {
+            standIn.table('practice_reveals').push({ id: `old-${i}`, ip_hash: ipHash, user_id: null, revealed_at: hour, replayed: false });
+        }
+
+        const { status, headers, body } = await checkAnswer({ questionId: 'q1', selectedAnswerIndex: 0, sessionToken: session.sessionToken });
+
+        assert.equal(status, 429);
+        assert.equal(body.code, 'RATE_LIMITED');
+        assert.ok(Number(headers.get('retry-after')) > 0);
+        assert.ok(Number(headers.get('retry-after')) <= 30 * 60);
+    });
+
+    it('keys guest limits to the address the proxy saw, so a spoofed X-Forwarded-For does not reset them', async () => {
+        // Vercel's edge appends the address it saw; anything before it comes from the client
+        const fromClient = spoofed => ({ headers: { 'X-Forwarded-For': `${spoofed}, 203.0.113.7` } });
+
+        await startSession(['q1'], fromClient('10.0.0.1'));
+        const ipHash = standIn.table('practice_sessions')[0].ip_hash;
+        for (let i = 0; i < 150; i++) {
+            standIn.table('practice_reveals').push({ id: `old-${i}`, ip_hash: ipHash, user_id: null, revealed_at: new Date().toISOString(), replayed: false });
+        }
+
+        const { body: session } = await startSession(['q1'], fromClient('10.0.0.2'));
+        const { status } = await checkAnswer({ questionId: 'q1', selectedAnswerIndex: 0, sessionToken: session.sessionToken }, fromClient('10.0.0.3'));
+
+        assert.equal(standIn.table('practice_sessions')[1].ip_hash, ipHash);
+        assert.equal(status, 429);
+    });
+
+    describe('POST /api/quiz-results', () => {
+        const submit = (sessionToken, answers, token = 'student-token') => request('POST', '/api/quiz-results', {
+            body: { lectureId: 'l1', mode: 'exam', sessionToken, answers },
+            token
+        });
+        const answer = questionId => ({ questionId, selectedAnswerIndex: 0 });
+
+        it('needs a session that covers every submitted question', async () => {
+            const { body: session } = await startSession(['q1'], { token: 'student-token' });
+
+            const missing = await submit(undefined, [answer('q1')]);
+            assert.equal(missing.status, 401);
+            assert.equal(missing.body.code, 'SESSION_REQUIRED');
+
+            const outside = await submit(session.sessionToken, [answer('q1'), answer('q2')]);
+            assert.equal(outside.status, 403);
+            assert.equal(outside.body.code, 'QUESTION_NOT_IN_SESSION');
+
+            const stolen = await submit(session.sessionToken, [answer('q1')], 'other-token');
+            assert.equal(stolen.status, 403);
+            assert.equal(stolen.body.code, 'SESSION_FORBIDDEN');
+
+            standIn.table('practice_sessions')[0].expires_at = new Date(Date.now() - 1000).toISOString();
+            const expired = await submit(session.sessionToken, [answer('q1')]);
+            assert.equal(expired.status, 401);
+            assert.equal(expired.body.code, 'SESSION_EXPIRED');
+
+            assert.equal(standIn.table('user_responses').length, 0);
+        });
+
+        it('refuses questions from another lecture, even inside the session', async () => {
+            standIn.table('lectures').push({ id: 'lecture-2', external_id: 'l2', name: 'Other', subject_id: IDS.subject });
+            standIn.table('questions').push({
+                id: 'elsewhere', external_id: 'x1', lecture_id: 'lecture-2', text: '?',
+                options: [{ text: 'a' }, { text: 'b' }], correct_answer_index: 1
+            });
+            const { body: session } = await startSession(['q1', 'x1'], { token: 'student-token' });
+
+            const { status, body } = await submit(session.sessionToken, [answer('q1'), answer('x1')]);
+
+            assert.equal(status, 400);
+            assert.equal(body.code, 'QUESTION_NOT_IN_LECTURE');
+            assert.equal(standIn.table('practice_reveals').length, 0);
+        });
+
+        it('counts answered questions against the same reveal budget', async () => {
+            const { body: session } = await startSession(['q1', 'q2'], { token: 'student-token' });
+            const recent = new Date().toISOString();
+            for (let i = 0; i < 599; i++) {
+                standIn.table('practice_reveals').push({ id: `old-${i}`, user_id: STUDENT.id, revealed_at: recent, replayed: false });
+            }
+
+            const over = await submit(session.sessionToken, [answer('q1'), { questionId: 'q2', selectedAnswerIndex: 2 }]);
+            assert.equal(over.status, 429);
+
+            // Skipped questions reveal nothing, so they do not count
+            const within = await submit(session.sessionToken, [answer('q1'), { questionId: 'q2', selectedAnswerIndex: null }]);
+            assert.equal(within.status, 201);
+        });
+    });
+
+    it('records offline replays once against the key session, without a verdict', async () => {
+        const replay = (sessionToken, token, selectedAnswerIndex = 1) =>
+            checkAnswer({ questionId: 'q1', selectedAnswerIndex, sessionToken, replay: true }, { token });
+        const studentSession = offlineKeys =>
+            request('POST', '/api/quiz/session', { body: { questionIds: ['q1'], offlineKeys }, token: 'student-token' });
+
+        const { body: keySession } = await studentSession(true);
+        const { body: onlineSession } = await studentSession(false);
+
+        assert.equal((await replay(keySession.sessionToken)).status, 401);
+        assert.equal((await replay(undefined, 'student-token')).status, 401);
+        assert.equal((await replay(onlineSession.sessionToken, 'student-token')).status, 403);
+        assert.equal((await replay(keySession.sessionToken, 'other-token')).status, 403);
+
+        const recorded = await replay(keySession.sessionToken, 'student-token');
+        assert.equal(recorded.status, 200);
+        assert.deepEqual(recorded.body, { success: true, recorded: true });
+
+        const reveal = standIn.table('practice_reveals').find(row => row.session_id === keySession.sessionToken);
+        assert.equal(reveal.replayed, true);
+        assert.equal(reveal.is_correct, false);
+        assert.equal(standIn.table('user_responses').length, 1);
+
+        const again = await replay(keySession.sessionToken, 'student-token', 0);
+        assert.equal(again.status, 409);
+        assert.equal(standIn.table('user_responses').length, 1);
+    });
+});
@@ -0,0 +1,121 @@
+const assert = require('assert/strict');
+const { describeApi, standIn } = require('./helpers/api-harness');
+const { unzip } = require('./helpers/unzip');
+const { readSqlite } = require('./helpers/sqlite-reader');
+const { IDS, STUDENT, USERS, seed } = require('./helpers/fixtures');
+
+describeApi('Question export endpoints', ({ request }) => {
+    beforeEach(() => {
+        standIn.reset(seed());
+        standIn.users = { ...USERS };
+    });
+
+    describe('GET /api/admin/export', () => {
+        it('exports a lecture as GIFT with keys and explanations', async () => {
+            const { status, headers, body } = await request('GET', '/api/admin/export?format=gift&lectureId=l1', { token: 'editor-token' });
+
+            assert.equal(status, 200);
+            assert.equal(headers.get('content-disposition'), 'attachment; filename="harvi-brachial-plexus.gift.txt"');
+            assert.equal(headers.get('cache-control'), 'no-store');
+
+            const gift = body.toString('utf8');
+            assert.ok(gift.includes('::q1:: Which nerve supplies the deltoid? {\n    =Axillary\n    ~Radial'));
+            assert.ok(gift.includes('####The axillary nerve (C5-C6) wraps around the surgical neck.'));
+            assert.ok(gift.includes('::q2::'));
+        });
+
+        it('exports a whole subject as a QTI zip', async () => {
+            const { status, headers, body } = await request('GET', '/api/admin/export?format=qti&subjectId=s1', { token: 'editor-token' });
+
+            assert.equal(status, 200);
+            assert.equal(headers.get('content-type'), 'application/zip');
+            assert.equal(headers.get('content-disposition'), 'attachment; filename="harvi-upper-limb-qti.zip"');
+
+            const assessment = unzip(body)['assessment.xml'].toString('utf8');
+            assert.deepEqual([...assessment.matchAll(/<item ident="([^"]+)"/g)].map(match => match[1]), ['q1', 'q2']);
+        });
+
+        it('is for editors only and validates its query', async () => {
+            const cases = [
+                ['/api/admin/export?format=gift&lectureId=l1', 'student-token', 403],
+                ['/api/admin/export?format=docx&lectureId=l1', 'editor-token', 400],
+                ['/api/admin/export?format=gift&lectureId=l1&subjectId=s1', 'editor-token', 400],
+                ['/api/admin/export?format=gift', 'editor-token', 400],
+                ['/api/admin/export?format=gift&lectureId=nope', 'editor-token', 404],
+                ['/api/admin/export?format=gift&subjectId=nope', 'editor-token', 404]
+            ];
+
+            for (const [url, token, expected] of cases) {
+                const { status } = await request('GET', url, { token });
+                assert.equal(status, expected, url);
+            }
+        });
+
+        it('answers 404 when the lecture has no questions', async () => {
+            standIn.table('questions').splice(0);
+
+            const { status, body } = await request('GET', '/api/admin/export?format=pdf&lectureId=l1', { token: 'editor-token' });
+
+            assert.equal(status, 404);
+            assert.equal(body.error, 'No questions to export');
+        });
+    });
+
+    describe('GET /api/student/decks/:deck/export', () => {
+        it('includes keys only for questions the student has answered or revealed', async () => {
+            standIn.table('question_bookmarks').push(
+                { user_id: STUDENT.id, question_id: IDS.q1, created_at: '2026-01-01T00:00:00Z' },
+                { user_id: STUDENT.id, question_id: IDS.q2, created_at: '2026-01-02T00:00:00Z' }
+            );
+            standIn.table('question_notes').push(
+                { user_id: STUDENT.id, question_id: IDS.q1, body: 'Surgical neck!', updated_at: '2026-01-03T00:00:00Z' }
+            );
+            standIn.table('user_responses').push(
+                { user_id: STUDENT.id, question_id: IDS.q2, selected_answer_index: 2, is_correct: true, created_at: '2026-01-04T00:00:00Z' }
+            );
+
+            const { status, headers, body } = await request('GET', '/api/student/decks/saved/export?format=apkg', { token: 'student-token' });
+
+            assert.equal(status, 200);
+            assert.equal(headers.get('content-disposition'), 'attachment; filename="harvi-saved-questions.apkg"');
+
+            const notes = readSqlite(unzip(body)['collection.anki2']).tables.notes.map(note => note.values[6].split('\x1f'));
+            assert.equal(notes.length, 2);
+            assert.equal(notes[0][1], '<i>Answer this question in Harvi to see the key.</i>');
+            assert.equal(notes[0][2], '', 'no explanation before answering');
+            assert.equal(notes[0][4], 'Surgical neck!');
+            assert.equal(notes[1][1], 'C. Radial');
+            assert.equal(notes[1][2], 'The radial nerve supplies the wrist extensors.');
+            assert.equal(notes[1][3], 'Upper Limb / Brachial Plexus');
+        });
+
+        it('builds the wrong-answers deck from each question\'s latest answer', async () => {
+            standIn.table('user_responses').push(
+                { user_id: STUDENT.id, question_id: IDS.q1, selected_answer_index: 1, is_correct: false, created_at: '2026-01-01T00:00:00Z' },
+                { user_id: STUDENT.id, question_id: IDS.q2, selected_answer_index: 0, is_correct: false, created_at: '2026-01-01T00:00:00Z' },
+                { user_id: STUDENT.id, question_id: IDS.q2, selected_answer_index: 2, is_correct: true, created_at: '2026-01-02T00:00:00Z' }
+            );
+
+            const anki = await request('GET', '/api/student/decks/wrong/export?format=apkg', { token: 'student-token' });
+            const notes = readSqlite(unzip(anki.body)['collection.anki2']).tables.notes.map(note => note.values[6].split('\x1f'));
+            assert.equal(notes.length, 1);
+            assert.ok(notes[0][0].includes('Which nerve supplies the deltoid?'));
+            assert.equal(notes[0][1], 'A. Axillary');
+
+            const { status, headers, body } = await request('GET', '/api/student/decks/wrong/export?format=pdf', { token: 'student-token' });
+            assert.equal(status, 200);
+            assert.equal(headers.get('content-type'), 'application/pdf');
+            assert.ok(body.toString('latin1').includes('/Title (Wrong answers)'));
+        });
+
+        it('answers 404 for an empty deck and 400 for unknown decks or formats', async () => {
+            const empty = await request('GET', '/api/student/decks/wrong/export', { token: 'student-token' });
+            assert.equal(empty.status, 404);
+            assert.equal(empty.body.error, 'No questions in this deck yet');
+
+            assert.equal((await request('GET', '/api/student/decks/all/export', { token: 'student-token' })).status, 400);
+            assert.equal((await request('GET', '/api/student/decks/saved/export?format=gift', { token: 'student-token' })).status, 400);
+            assert.equal((await request('GET', '/api/student/decks/saved/export')).status, 401);
+        });
+    });
+});
@@ -0,0 +1,82 @@
+const assert = require('assert/strict');
+const { describeApi, standIn } = require('./helpers/api-harness');
+const { IDS, USERS, seed } = require('./helpers/fixtures');
+
+const AIKEN = [
+    'Which nerve supplies teres minor?',
+    'A. Axillary',
+    'B. Radial',
+    'ANSWER: A',
+    '',
+    'Which nerve supplies brachialis?',
+    'A. Musculocutaneous',
+    'B. Median',
+    'ANSWER: D'
+].join('\n');
+
+describeApi('Question bank import endpoint', ({ request }) => {
+    const importBank = (body, token = 'editor-token') =>
+        request('POST', '/api/admin/lectures/l1/import', { body, token });
+
+    beforeEach(() => {
+        standIn.reset(seed());
+        standIn.users = { ...USERS };
+    });
+
+    it('previews parsed questions and per-line errors without writing', async () => {
+        const { status, body } = await importBank({ format: 'aiken', content: AIKEN });
+
+        assert.equal(status, 200);
+        assert.equal(body.total, 2);
+        assert.equal(body.valid, 1);
+        assert.deepEqual(body.questions[0], {
+            line: 1,
+            externalId: 'l1_q3',
+            text: 'Which nerve supplies teres minor?',
+            type: 'single',
+            options: ['Axillary', 'Radial'],
+            correct: [0],
+            explanation: null,
+            difficulty: 1
+        });
+        assert.deepEqual(body.errors, [{ line: 6, externalId: null, message: 'Correct answer 3 exceeds options length (2)' }]);
+        assert.equal(standIn.table('questions').length, 2);
+    });
+
+    it('blocks a commit with errors unless skipInvalid is set', async () => {
+        const blocked = await importBank({ format: 'aiken', content: AIKEN, commit: true });
+        assert.equal(blocked.status, 400);
+        assert.equal(standIn.table('questions').length, 2);
+
+        const { status, body } = await importBank({ format: 'aiken', content: AIKEN, commit: true, skipInvalid: true });
+
+        assert.equal(status, 201);
+        assert.equal(body.created, 1);
+        assert.equal(body.questions[0].line, 1);
+
+        const created = standIn.table('questions').find(question => question.external_id === 'l1_q3');
+        assert.equal(created.lecture_id, IDS.lecture);
+        assert.equal(created.question_order, 3);
+
+        const [audit] = standIn.table('admin_audit_log');
+        assert.equal(audit.entity, 'question');
+        assert.equal(audit.entity_id, created.id);
+    });
+
+    it('validates the request and is for editors only', async () => {
+        const student = await importBank({ format: 'aiken', content: AIKEN }, 'student-token');
+        const badFormat = await importBank({ format: 'docx', content: AIKEN });
+        const empty = await importBank({ format: 'gift', content: '  ' });
+        const badDelimiter = await importBank({ format: 'csv', content: 'a', delimiter: '||' });
+        const unknownLecture = await request('POST', '/api/admin/lectures/nope/import', {
+            body: { format: 'aiken', content: AIKEN },
+            token: 'editor-token'
+        });
+
+        assert.equal(student.status, 403);
+        assert.equal(badFormat.status, 400);
+        assert.equal(empty.status, 400);
+        assert.equal(badDelimiter.status, 400);
+        assert.equal(unknownLecture.status, 404);
+    });
+});
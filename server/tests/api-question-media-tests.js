@@ -0,0 +1,42 @@
+const assert = require('assert/strict');
+const { describeApi, standIn } = require('./helpers/api-harness');
+const { IDS, seed } = require('./helpers/fixtures');
+
+describeApi('Question media', ({ request }) => {
+    beforeEach(() => {
+        const rows = seed();
+        const [q1, q2] = rows.questions;
+
+        q1.media = [
+            { url: 'https://cdn.example.com/deltoid.png', alt_text: 'Deltoid', caption: 'Lateral view' },
+            { url: '' },
+            null
+        ];
+        q1.options = q1.options.map((option, index) => index === 1
+            ? { ...option, image_url: 'https://cdn.example.com/radial.png', alt_text: 'Radial groove' }
+            : option);
+        q2.media = null;
+
+        standIn.reset(rows);
+    });
+
+    it('serves question images with defaults filled in and broken entries dropped', async () => {
+        const { body } = await request('GET', '/api/lectures/l1');
+        const q1 = body.questions.find(q => q.id === IDS.q1);
+
+        assert.deepEqual(q1.media, [
+            { type: 'image', url: 'https://cdn.example.com/deltoid.png', alt_text: 'Deltoid', caption: 'Lateral view' }
+        ]);
+    });
+
+    it('keeps option images parallel to the flattened options', async () => {
+        const { body } = await request('POST', '/api/lectures/batch', { body: { lectureIds: ['l1'] } });
+        const [q1, q2] = ['q1', 'q2'].map(id => body[0].questions.find(q => q.external_id === id));
+
+        assert.deepEqual(q1.options, ['Axillary', 'Radial', 'Median', 'Ulnar']);
+        assert.deepEqual(q1.option_media, [null, { image_url: 'https://cdn.example.com/radial.png', alt_text: 'Radial groove' }, null, null]);
+
+        assert.deepEqual(q2.media, []);
+        assert.ok(!('option_media' in q2));
+    });
+});
@@ -0,0 +1,117 @@
+const assert = require('assert/strict');
+const { describeApi, standIn } = require('./helpers/api-harness');
+const { IDS, STUDENT, EDITOR, USERS, seed } = require('./helpers/fixtures');
+
+describeApi('Question reports and triage', ({ request }) => {
+    const report = (questionId, body, token) =>
+        request('POST', `/api/questions/${questionId}/reports`, { body, token });
+
+    beforeEach(() => {
+        standIn.reset(seed());
+        standIn.users = { ...USERS };
+    });
+
+    it('files reports from students and guests against the right lecture', async () => {
+        const student = await report('q1', { category: 'wrong_key', details: '  Should be radial  ' }, 'student-token');
+        const guest = await report(IDS.q1, { category: 'typo' });
+
+        assert.equal(student.status, 201);
+        assert.equal(guest.status, 201);
+
+        const [fromStudent, fromGuest] = standIn.table('question_reports');
+        assert.equal(fromStudent.user_id, STUDENT.id);
+        assert.equal(fromStudent.lecture_id, IDS.lecture);
+        assert.equal(fromStudent.details, 'Should be radial');
+        assert.equal(fromGuest.user_id, null);
+        assert.ok(fromGuest.ip_hash);
+    });
+
+    it('validates the category, details and question', async () => {
+        const badCategory = await report('q1', { category: 'rude' });
+        const otherWithoutDetails = await report('q1', { category: 'other', details: ' ' });
+        const unknown = await report('nope', { category: 'typo' });
+
+        assert.equal(badCategory.status, 400);
+        assert.equal(otherWithoutDetails.status, 400);
+        assert.equal(unknown.status, 404);
+        assert.equal(standIn.table('question_reports').length, 0);
+    });
+
+    it('files a replayed offline report once', async () => {
+        const body = { category: 'outdated', clientReportId: 'offline-report-1', reportedAt: '2026-01-05T10:00:00.000Z' };
+
+        const first = await report('q2', body, 'student-token');
+        const replayed = await report('q2', body, 'student-token');
+
+        assert.equal(first.body.duplicate, false);
+        assert.equal(replayed.body.duplicate, true);
+        assert.equal(replayed.body.reportId, first.body.reportId);
+        assert.equal(standIn.table('question_reports').length, 1);
+        assert.equal(standIn.table('question_reports')[0].reported_at, body.reportedAt);
+    });
+
+    it('rate-limits guest reports', async () => {
+        for (let i = 0; i < 10; i++) {
+            assert.equal((await report('q1', { category: 'typo' })).status, 201);
+        }
+
+        const limited = await report('q1', { category: 'typo' });
+        assert.equal(limited.status, 429);
+    });
+
+    it('groups open reports by question for editors, most reported first', async () => {
+        await report('q1', { category: 'typo' });
+        await report('q2', { category: 'wrong_key' }, 'student-token');
+        await report('q2', { category: 'wrong_key' });
+
+        const student = await request('GET', '/api/admin/question-reports', { token: 'student-token' });
+        assert.equal(student.status, 403);
+
+        const { status, body } = await request('GET', '/api/admin/question-reports?lectureId=l1', { token: 'editor-token' });
+
+        assert.equal(status, 200);
+        assert.equal(body.totalReports, 3);
+        assert.deepEqual(body.questions.map(entry => entry.externalId), ['q2', 'q1']);
+        assert.equal(body.questions[0].openCount, 2);
+        assert.deepEqual(body.questions[0].categories, { wrong_key: 2 });
+        assert.equal(body.questions[0].lectureName, 'Brachial Plexus');
+        assert.deepEqual(body.questions[0].reports.map(entry => entry.reporter).sort(), ['guest', 'student']);
+    });
+
+    it('resolves one report or every open report on a question, with an audit trail', async () => {
+        const { body: filed } = await report('q1', { category: 'typo' });
+        await report('q2', { category: 'wrong_key' });
+        await report('q2', { category: 'ambiguous' });
+
+        const dismissed = await request('PATCH', `/api/admin/question-reports/${filed.reportId}`, {
+            body: { status: 'dismissed', note: ' Not a typo ' },
+            token: 'editor-token'
+        });
+
+        assert.equal(dismissed.status, 200);
+        assert.equal(dismissed.body.data.status, 'dismissed');
+        assert.equal(dismissed.body.data.resolutionNote, 'Not a typo');
+
+        const resolved = await request('PATCH', '/api/admin/questions/q2/reports', { body: { status: 'resolved' }, token: 'editor-token' });
+        const reopenAll = await request('PATCH', '/api/admin/questions/q2/reports', { body: { status: 'open' }, token: 'editor-token' });
+
+        assert.equal(resolved.body.updated, 2);
+        assert.equal(reopenAll.status, 400);
+        assert.ok(standIn.table('question_reports').every(row => row.status !== 'open' && row.resolved_by === EDITOR.id));
+        assert.equal(standIn.table('admin_audit_log').filter(entry => entry.entity === 'question_report').length, 3);
+
+        const open = await request('GET', '/api/admin/question-reports', { token: 'editor-token' });
+        assert.equal(open.body.totalReports, 0);
+    });
+
+    it('keeps reports, without the reporter, when the student deletes their account', async () => {
+        await report('q1', { category: 'typo' }, 'student-token');
+
+        const { body } = await request('DELETE', '/api/student/account', { body: { confirm: 'DELETE' }, token: 'student-token' });
+
+        assert.equal(body.deleted.question_reports, 1);
+        assert.equal(standIn.table('question_reports').length, 1);
+        assert.equal(standIn.table('question_reports')[0].user_id, null);
+        assert.equal(standIn.table('question_reports')[0].ip_hash, null);
+    });
+});
@@ -0,0 +1,165 @@
+const assert = require('assert/strict');
+const crypto = require('crypto');
+const { describeApi, standIn } = require('./helpers/api-harness');
+const { IDS, USERS, seed, autoGrade } = require('./helpers/fixtures');
+
+const MULTI = '00000000-0000-4000-8000-000000000012';
+const TRUE_FALSE = '00000000-0000-4000-8000-000000000013';
+const EMQ = '00000000-0000-4000-8000-000000000014';
+const GROUP = '00000000-0000-4000-8000-000000000020';
+
+function typedSeed() {
+    const rows = seed();
+    const question = (fields) => ({
+        lecture_id: IDS.lecture, explanation: null, difficulty_level: 1,
+        correct_answer_index: null, correct_answer_indices: null, group_id: null, group_order: 0, media: [],
+        ...fields
+    });
+
+    rows.questions.push(
+        question({
+            id: MULTI, external_id: 'q3', question_order: 3, question_type: 'multi',
+            text: 'Which nerves arise from the posterior cord?',
+            options: [{ text: 'Axillary' }, { text: 'Ulnar' }, { text: 'Radial' }, { text: 'Median' }],
+            correct_answer_indices: [0, 2]
+        }),
+        question({
+            id: TRUE_FALSE, external_id: 'q4', question_order: 4, question_type: 'true_false',
+            text: 'The musculocutaneous nerve…',
+            options: [{ text: 'pierces coracobrachialis' }, { text: 'supplies triceps' }, { text: 'arises from the lateral cord' }],
+            correct_answer_indices: [0, 2]
+        }),
+        question({
+            id: EMQ, external_id: 'q5', question_order: 5, question_type: 'emq',
+            text: 'Wrist drop after a midshaft humerus fracture',
+            options: [], correct_answer_index: 1, group_id: GROUP, group_order: 1
+        })
+    );
+    rows.question_groups = [{
+        id: GROUP, group_type: 'emq', title: 'Nerve injuries', stem: 'Choose the injured nerve.',
+        options: [{ text: 'Axillary' }, { text: 'Radial' }, { text: 'Ulnar' }], media: null, group_order: 1
+    }];
+
+    return rows;
+}
+
+// search_questions() from server/migrations/015_search_question_types.sql
+function searchQuestions({ search_query, max_results }, db) {
+    return db.table('questions')
+        .filter(q => q.text.toLowerCase().includes(search_query.toLowerCase()))
+        .slice(0, max_results)
+        .map(q => ({
+            id: q.id, lecture_id: q.lecture_id, text: q.text, options: q.options,
+            difficulty_level: q.difficulty_level, question_type: q.question_type,
+            group_id: q.group_id, group_order: q.group_order, media: q.media, rank: 0.5
+        }));
+}
+
+describeApi('Question types', ({ request }) => {
+    async function check(questionId, selectedAnswerIndex) {
+        const { body: session } = await request('POST', '/api/quiz/session', { body: { questionIds: [questionId] } });
+        return request('POST', '/api/practice/check-answer', {
+            body: { questionId, selectedAnswerIndex, sessionToken: session.sessionToken }
+        });
+    }
+
+    beforeEach(() => {
+        standIn.reset(typedSeed());
+        standIn.users = { ...USERS };
+        standIn.triggers = { user_responses: autoGrade };
+    });
+
+    it('gives EMQ items their set and its shared option list', async () => {
+        const { body } = await request('GET', '/api/lectures/l1');
+        const emq = body.questions.find(q => q.id === EMQ);
+
+        assert.deepEqual(emq.options, ['Axillary', 'Radial', 'Ulnar']);
+        assert.equal(emq.group.id, GROUP);
+        assert.equal(emq.group.stem, 'Choose the injured nerve.');
+        assert.deepEqual(emq.group.media, []);
+    });
+
+    it('envelopes multi-answer keys as sorted index lists', async () => {
+        const { body } = await request('GET', '/api/lectures/l1');
+        const key = crypto.createHmac('sha256', process.env.ANSWER_ENVELOPE_SECRET).update(`answer-key:${MULTI}`).digest();
+
+        assert.equal(crypto.createHmac('sha256', key).update(`${MULTI}:0,2`).digest('hex'), body.answerEnvelope.questions[MULTI]);
+        assert.ok(body.questions.every(q => !('correct_answer_indices' in q)));
+    });
+
+    it('gives partial credit on multi questions, never below zero', async () => {
+        const wrong = await check('q3', [1, 3]);
+        assert.equal(wrong.body.is_correct, false);
+        assert.equal(wrong.body.score, 0);
+
+        const extra = await check('q3', [2, 0, 1]);
+        assert.equal(extra.body.is_correct, false);
+        assert.equal(extra.body.score, 0.5);
+
+        const half = await check('q3', [2]);
+        assert.equal(half.body.score, 0.5);
+        assert.deepEqual(half.body.correct_answer_indices, [0, 2]);
+
+        const full = await check('q3', [0, 2]);
+        assert.equal(full.body.is_correct, true);
+        assert.equal(full.body.score, 1);
+    });
+
+    it('grades true/false statements one by one', async () => {
+        const { body } = await check('q4', [0]);
+
+        assert.equal(body.is_correct, false);
+        assert.equal(body.score, 0.667);
+        assert.equal(body.question_type, 'true_false');
+    });
+
+    it('rejects answers of the wrong shape for the question type', async () => {
+        const indexForMulti = await check('q3', 0);
+        const listForSingle = await check('q1', [0]);
+        const text = await check('q1', 'A');
+
+        assert.equal(indexForMulti.status, 400);
+        assert.equal(listForSingle.status, 400);
+        assert.equal(text.status, 400);
+    });
+
+    it('adds partial credit to the quiz score', async () => {
+        const { body: session } = await request('POST', '/api/quiz/session', { body: { questionIds: ['q1', 'q3', 'q5'] }, token: 'student-token' });
+        const { status, body } = await request('POST', '/api/quiz-results', {
+            body: {
+                lectureId: 'l1',
+                mode: 'exam',
+                sessionToken: session.sessionToken,
+                answers: [
+                    { questionId: 'q1', selectedAnswerIndex: 0 },
+                    { questionId: 'q3', selectedAnswerIndex: [0] },
+                    { questionId: 'q5', selectedAnswerIndex: 1 }
+                ]
+            },
+            token: 'student-token'
+        });
+
+        assert.equal(status, 201);
+        assert.equal(body.results.correct, 2);
+        assert.equal(body.results.score, 2.5);
+        assert.equal(body.results.percentage, 83);
+    });
+
+    it('returns question types, media and groups from search', async () => {
+        standIn.rpcs = { search_questions: searchQuestions };
+
+        const { status, body } = await request('GET', '/api/search?q=nerve');
+
+        assert.equal(status, 200);
+        const multi = body.results.find(q => q.id === MULTI);
+        assert.equal(multi.question_type, 'multi');
+        assert.deepEqual(multi.media, []);
+        assert.equal(multi.subjectName, 'Upper Limb');
+
+        const { body: emqResults } = await request('GET', '/api/search?q=wrist');
+        const emq = emqResults.results.find(q => q.id === EMQ);
+        assert.equal(emq.group.group_type, 'emq');
+        assert.deepEqual(emq.options, ['Axillary', 'Radial', 'Ulnar']);
+        assert.ok(!('correct_answer_index' in emq));
+    });
+});
@@ -0,0 +1,90 @@
+const assert = require('assert/strict');
+const { describeApi, standIn } = require('./helpers/api-harness');
+const { IDS, STUDENT, USERS, seed } = require('./helpers/fixtures');
+
+describeApi('Student accounts and guest history', ({ request }) => {
+    beforeEach(() => {
+        standIn.reset(seed());
+        standIn.users = { ...USERS };
+    });
+
+    it('signs up, signs in and returns sessions in the client shape', async () => {
+        const signUp = await request('POST', '/api/auth/sign-up', { body: { email: ' New@Example.com ', password: 'correct horse' } });
+
+        assert.equal(signUp.status, 200);
+        assert.equal(signUp.body.session.user.email, 'new@example.com');
+        assert.ok(signUp.body.session.expiresAt > Date.now());
+
+        const wrong = await request('POST', '/api/auth/sign-in', { body: { email: 'new@example.com', password: 'wrong horse' } });
+        const signIn = await request('POST', '/api/auth/sign-in', { body: { email: 'new@example.com', password: 'correct horse' } });
+
+        assert.equal(wrong.status, 401);
+        assert.equal(signIn.status, 200);
+        assert.equal(signIn.body.session.user.id, signUp.body.session.user.id);
+    });
+
+    it('validates credentials before calling Supabase Auth', async () => {
+        const badEmail = await request('POST', '/api/auth/sign-in', { body: { email: 'not-an-email', password: 'correct horse' } });
+        const shortPassword = await request('POST', '/api/auth/sign-up', { body: { email: 'a@example.com', password: 'short' } });
+
+        assert.equal(badEmail.status, 400);
+        assert.equal(shortPassword.status, 400);
+        assert.deepEqual(standIn.accounts, {});
+    });
+
+    it('sends magic links without a password', async () => {
+        const { status } = await request('POST', '/api/auth/magic-link', { body: { email: 'a@example.com' } });
+
+        assert.equal(status, 200);
+        assert.deepEqual(standIn.magicLinks, ['a@example.com']);
+    });
+
+    it('refreshes a session once and signs out', async () => {
+        const { body: signUp } = await request('POST', '/api/auth/sign-up', { body: { email: 'a@example.com', password: 'correct horse' } });
+        const { refreshToken } = signUp.session;
+
+        const refreshed = await request('POST', '/api/auth/refresh', { body: { refreshToken } });
+        const reused = await request('POST', '/api/auth/refresh', { body: { refreshToken } });
+
+        assert.equal(refreshed.status, 200);
+        assert.equal(reused.status, 401);
+        assert.equal(reused.body.code, 'REFRESH_FAILED');
+
+        const { accessToken } = refreshed.body.session;
+        const signOut = await request('POST', '/api/auth/sign-out', { token: accessToken });
+        const afterSignOut = await request('GET', '/api/student/history', { token: accessToken });
+
+        assert.equal(signOut.status, 200);
+        assert.equal(afterSignOut.status, 401);
+    });
+
+    it('answers 401 to an expired token on optional-auth routes instead of treating it as a guest', async () => {
+        const { status, body } = await request('POST', '/api/quiz/session', { body: { questionIds: ['q1'] }, token: 'expired-token' });
+
+        assert.equal(status, 401);
+        assert.equal(body.code, 'INVALID_TOKEN');
+    });
+
+    it('imports guest results once per client key and lists them newest first', async () => {
+        const results = [
+            { clientKey: 'r1', lectureId: 'l1', lectureName: 'Brachial Plexus', score: 3, total: 4, mode: 'exam', date: '2026-01-01T10:00:00.000Z' },
+            { clientKey: 'r2', lectureId: 'deck:review', score: 1.5, total: 2, date: '2026-01-02T10:00:00.000Z' },
+            { clientKey: 'r3', lectureId: 'l1', score: 5, total: 4, date: '2026-01-03T10:00:00.000Z' }
+        ];
+
+        const first = await request('POST', '/api/student/history/import', { body: { results }, token: 'student-token' });
+        const again = await request('POST', '/api/student/history/import', { body: { results }, token: 'student-token' });
+
+        assert.deepEqual(first.body, { success: true, imported: 2, skipped: 1 });
+        assert.equal(again.status, 200);
+        assert.equal(standIn.table('imported_quiz_results').length, 2);
+
+        const [lectureRow] = standIn.table('imported_quiz_results');
+        assert.equal(lectureRow.user_id, STUDENT.id);
+        assert.equal(lectureRow.lecture_id, IDS.lecture);
+
+        const { body } = await request('GET', '/api/student/history', { token: 'student-token' });
+        assert.deepEqual(body.results.map(result => result.clientKey), ['r2', 'r1']);
+        assert.equal(body.results[0].mode, 'practice');
+    });
+});
@@ -0,0 +1,99 @@
+const path = require('path');
+const { SupabaseStandIn } = require('./supabase-stand-in');
+
+// ============================================================================
+// API Test Harness
+// ============================================================================
+/**
+ * Runs every describeApi() block once against server/index.js and once
+ * against api/index.js, so both entry points stay in step with
+ * server/routes.js. @supabase/supabase-js is swapped for the in-memory
+ * stand-in before the routes load: no database or network is needed.
+ *
+ * Require this before anything that loads server/routes.js (or another
+ * module that creates a Supabase client, like server/seed.js).
+ */
+process.env.NODE_ENV = 'production';
+process.env.VERCEL = '1'; // server/index.js exports the app instead of listening
+process.env.SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-role-key';
+process.env.ANSWER_ENVELOPE_SECRET = 'answer-envelope-secret';
+
+const standIn = new SupabaseStandIn();
+const supabaseModule = require.resolve('@supabase/supabase-js');
+require.cache[supabaseModule] = {
+    id: supabaseModule,
+    filename: supabaseModule,
+    loaded: true,
+    exports: { createClient: () => standIn.client }
+};
+
+const ENTRY_POINTS = {
+    'server/index.js': path.join(__dirname, '..', '..', 'index.js'),
+    'api/index.js': path.join(__dirname, '..', '..', '..', 'api', 'index.js')
+};
+
+/**
+ * One HTTP request against a running app
+ * @returns {Promise<{status: number, headers: Headers, body: *}>} - body is
+ * parsed JSON, a Buffer for any other content type, or null when empty
+ */
+async function send(baseUrl, method, url, { body, token, headers = {} } = {}) {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: {
+            ...(body !== undefined && { 'Content-Type': 'application/json' }),
+            ...(token && { Authorization: `Bearer ${token}` }),
+            ...headers
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+
+    return {
+        status: response.status,
+        headers: response.headers,
+        body: buffer.length === 0 ? null : (isJson ? JSON.parse(buffer.toString('utf8')) : buffer)
+    };
+}
+
+/**
+ * describe() once per entry point
+ * @param {string} title
+ * @param {Function} defineTests - Called with { request(method, url, { body, token, headers }) }
+ */
+function describeApi(title, defineTests) {
+    for (const [name, entryPoint] of Object.entries(ENTRY_POINTS)) {
+        describe(`${title} (${name})`, () => {
+            let server;
+            let baseUrl;
+            const consoleMethods = {};
+
+            before(async () => {
+                // Route logging drowns the reporter; errors still print
+                consoleMethods.log = console.log;
+                consoleMethods.warn = console.warn;
+                console.log = () => { };
+                console.warn = () => { };
+
+                const app = require(entryPoint);
+                await new Promise(resolve => {
+                    server = app.listen(0, '127.0.0.1', resolve);
+                });
+                baseUrl = `http://127.0.0.1:${server.address().port}`;
+            });
+
+            after(async () => {
+                await new Promise(resolve => server.close(resolve));
+                console.log = consoleMethods.log;
+                console.warn = consoleMethods.warn;
+            });
+
+            defineTests({ request: (method, url, options) => send(baseUrl, method, url, options) });
+        });
+    }
+}
+
+module.exports = { describeApi, standIn };
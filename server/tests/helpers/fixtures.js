@@ -0,0 +1,86 @@
+// ============================================================================
+// Test Fixtures: one year → module → subject → lecture and its questions
+// ============================================================================
+const uuid = (n) => `00000000-0000-4000-8000-${String(n).padStart(12, '0')}`;
+
+const IDS = {
+    year: uuid(1),
+    module: uuid(2),
+    subject: uuid(3),
+    lecture: uuid(4),
+    q1: uuid(10),
+    q2: uuid(11)
+};
+
+const STUDENT = { id: uuid(100), email: 'student@example.com' };
+const OTHER_STUDENT = { id: uuid(101), email: 'other@example.com' };
+const EDITOR = { id: uuid(200), email: 'editor@example.com', app_metadata: { role: 'editor' } };
+const OWNER = { id: uuid(201), email: 'owner@example.com', app_metadata: { role: 'owner' } };
+
+// Access token → user, for standIn.users
+const USERS = {
+    'student-token': STUDENT,
+    'other-token': OTHER_STUDENT,
+    'editor-token': EDITOR,
+    'owner-token': OWNER
+};
+
+function question(fields) {
+    return {
+        lecture_id: IDS.lecture,
+        explanation: null,
+        difficulty_level: 1,
+        correct_answer_index: null,
+        ...fields
+    };
+}
+
+// Fresh rows for standIn.reset()
+function seed() {
+    return {
+        years: [{ id: IDS.year, external_id: 'y1', name: 'Year 1', icon: '🩺' }],
+        modules: [{ id: IDS.module, external_id: 'm1', name: 'Anatomy', year_id: IDS.year }],
+        subjects: [{ id: IDS.subject, external_id: 's1', name: 'Upper Limb', module_id: IDS.module }],
+        lectures: [{ id: IDS.lecture, external_id: 'l1', name: 'Brachial Plexus', order_index: 1, subject_id: IDS.subject }],
+        questions: [
+            question({
+                id: IDS.q1, external_id: 'q1', question_order: 1,
+                text: 'Which nerve supplies the deltoid?',
+                options: [{ id: 1, text: 'Axillary' }, { id: 2, text: 'Radial' }, { id: 3, text: 'Median' }, { id: 4, text: 'Ulnar' }],
+                correct_answer_index: 0,
+                explanation: 'The axillary nerve (C5-C6) wraps around the surgical neck.'
+            }),
+            question({
+                id: IDS.q2, external_id: 'q2', question_order: 2, difficulty_level: 2,
+                text: 'Which nerve is injured in wrist drop?',
+                options: [{ id: 1, text: 'Median' }, { id: 2, text: 'Ulnar' }, { id: 3, text: 'Radial' }, { id: 4, text: 'Axillary' }],
+                correct_answer_index: 2,
+                explanation: 'The radial nerve supplies the wrist extensors.'
+            })
+        ]
+    };
+}
+
+// auto_grade_response: user_responses rows are graded on insert (public.grade_answer)
+function autoGrade(row, db) {
+    const graded = db.table('questions').find(q => q.id === row.question_id);
+    if (!graded) return { is_correct: false, score: 0 };
+
+    if (!['multi', 'true_false'].includes(graded.question_type)) {
+        const isCorrect = row.selected_answer_index === graded.correct_answer_index;
+        return { is_correct: isCorrect, score: isCorrect ? 1 : 0 };
+    }
+
+    const optionCount = graded.options.length;
+    const correct = new Set(graded.correct_answer_indices);
+    const selected = new Set(row.selected_answer_indices || []);
+    const hits = [...selected].filter(i => correct.has(i)).length;
+    const wrong = selected.size - hits;
+    const score = graded.question_type === 'multi'
+        ? Math.max(0, (hits - wrong) / correct.size)
+        : (hits + optionCount - correct.size - wrong) / optionCount;
+
+    return { is_correct: score === 1, score: Math.round(score * 1000) / 1000 };
+}
+
+module.exports = { IDS, STUDENT, OTHER_STUDENT, EDITOR, OWNER, USERS, seed, autoGrade };
@@ -0,0 +1,111 @@
+// ============================================================================
+// SQLite Reader (tests only)
+// ============================================================================
+/**
+ * Reads every table of a SQLite file, following interior pages and overflow
+ * chains as described in https://www.sqlite.org/fileformat.html. Written
+ * against the format, not against server/question-export.js, so the Anki
+ * export is checked by an independent reader. Tables only, no indexes.
+ */
+function readVarint(buffer, offset) {
+    let value = 0;
+    for (let i = 0; i < 9; i++) {
+        const byte = buffer[offset + i];
+        if (i === 8) return { value: value * 256 + byte, length: 9 };
+        value = value * 128 + (byte & 0x7F);
+        if (byte < 0x80) return { value, length: i + 1 };
+    }
+    throw new Error('unreachable');
+}
+
+function decodeRecord(payload) {
+    const { value: headerSize, length } = readVarint(payload, 0);
+    const types = [];
+    for (let offset = length; offset < headerSize;) {
+        const varint = readVarint(payload, offset);
+        types.push(varint.value);
+        offset += varint.length;
+    }
+
+    const sizes = { 0: 0, 1: 1, 2: 2, 3: 3, 4: 4, 5: 6, 6: 8, 7: 8, 8: 0, 9: 0 };
+    let offset = headerSize;
+
+    return types.map(type => {
+        if (type === 0) return null;
+        if (type === 8) return 0;
+        if (type === 9) return 1;
+        if (type === 7) { offset += 8; return payload.readDoubleBE(offset - 8); }
+        if (type <= 6) {
+            const size = sizes[type];
+            offset += size;
+            return size === 8 ? Number(payload.readBigInt64BE(offset - 8)) : payload.readIntBE(offset - size, size);
+        }
+        const size = Math.floor((type - 12) / 2);
+        offset += size;
+        return type % 2 === 1 ? payload.toString('utf8', offset - size, offset) : payload.subarray(offset - size, offset);
+    });
+}
+
+function readSqlite(file) {
+    assertHeader(file);
+    const pageSize = file.readUInt16BE(16) === 1 ? 65536 : file.readUInt16BE(16);
+    const usable = pageSize - file[20];
+    const page = number => file.subarray((number - 1) * pageSize, number * pageSize);
+    const overflowPages = [];
+
+    function payloadOf(buffer, offset) {
+        const { value: size, length: sizeLength } = readVarint(buffer, offset);
+        const { value: rowid, length: rowidLength } = readVarint(buffer, offset + sizeLength);
+        const start = offset + sizeLength + rowidLength;
+
+        const maxLocal = usable - 35;
+        const minLocal = Math.floor((usable - 12) * 32 / 255) - 23;
+        const k = minLocal + ((size - minLocal) % (usable - 4));
+        const local = size <= maxLocal ? size : (k <= maxLocal ? k : minLocal);
+
+        const parts = [buffer.subarray(start, start + local)];
+        let next = local < size ? buffer.readUInt32BE(start + local) : 0;
+        let remaining = size - local;
+        while (next !== 0) {
+            overflowPages.push(next);
+            const overflow = page(next);
+            parts.push(overflow.subarray(4, 4 + Math.min(remaining, usable - 4)));
+            remaining -= usable - 4;
+            next = overflow.readUInt32BE(0);
+        }
+
+        return { rowid, values: decodeRecord(Buffer.concat(parts)) };
+    }
+
+    function walk(number, rows = []) {
+        const buffer = page(number);
+        const header = number === 1 ? 100 : 0;
+        const type = buffer[header];
+        const cellCount = buffer.readUInt16BE(header + 3);
+        const pointers = header + (type === 0x05 ? 12 : 8);
+
+        for (let i = 0; i < cellCount; i++) {
+            const offset = buffer.readUInt16BE(pointers + i * 2);
+            if (type === 0x0D) rows.push(payloadOf(buffer, offset));
+            else if (type === 0x05) walk(buffer.readUInt32BE(offset), rows);
+            else throw new Error(`Unexpected page type ${type} on page ${number}`);
+        }
+        if (type === 0x05) walk(buffer.readUInt32BE(header + 8), rows);
+
+        return rows;
+    }
+
+    const tables = {};
+    walk(1).forEach(({ values: [kind, name, , rootPage] }) => {
+        if (kind === 'table') tables[name] = walk(rootPage);
+    });
+
+    return { pageSize, pageCount: file.readUInt32BE(28), tables, overflowPages };
+}
+
+function assertHeader(file) {
+    if (file.toString('latin1', 0, 16) !== 'SQLite format 3\0') throw new Error('Not a SQLite file');
+    if (file.length % (file.readUInt16BE(16) || 1) !== 0) throw new Error('File is not a whole number of pages');
+}
+
+module.exports = { readSqlite };
@@ -0,0 +1,397 @@
+const crypto = require('crypto');
+
+// ============================================================================
+// Supabase Stand-In (tests only)
+// ============================================================================
+/**
+ * In-memory replacement for the supabase-js client, enough of it for the
+ * routes in server/routes.js: from().select/insert/upsert/update/delete with
+ * eq/neq/gt/gte/lt/lte/in/is/contains/not filters, order, limit, range, single,
+ * maybeSingle, `{ count: 'exact', head: true }`, embedded selects, rpc() and
+ * auth (getUser, password and magic-link sign-in, refresh, admin sign-out
+ * and deleteUser against `accounts`: { email: { password, user } }).
+ * update() and delete() take `{ count: 'exact' }`. Like supabase-js it
+ * never throws: errors come back as `{ data: null, error }` (23505 for
+ * unique violations, PGRST116 for single()).
+ *
+ * Database triggers the routes rely on (auto_grade_response) are played by
+ * `triggers`: { table: row => columns to set } run on every insert.
+ *
+ * Embeds follow the schema's naming: `modules ( ... )` on a year lists the
+ * modules whose year_id is the year's id; `subjects ( name )` on a lecture
+ * follows lecture.subject_id; `lectures:lecture_id ( ... )` follows the
+ * named foreign key into the aliased table.
+ */
+
+// Columns Postgres fills in when an insert leaves them out
+const TABLE_DEFAULTS = {
+    practice_sessions: () => ({ keys_released: 0 }),
+    practice_reveals: () => ({ revealed_at: new Date().toISOString(), replayed: false }),
+    question_reports: () => ({ status: 'open', details: '', reported_at: new Date().toISOString() })
+};
+
+// Primary keys and UNIQUE constraints (NULLs never conflict, as in Postgres)
+const UNIQUE_KEYS = {
+    user_responses: [['session_id', 'question_id']],
+    question_reviews: [['user_id', 'question_id']],
+    question_bookmarks: [['user_id', 'question_id']],
+    question_notes: [['user_id', 'question_id']],
+    quiz_sessions: [['user_id', 'client_session_id']],
+    practice_reveals: [['session_id', 'question_id']],
+    imported_quiz_results: [['user_id', 'client_key']],
+    question_reports: [['client_report_id']]
+};
+
+const singular = (table) => table.replace(/s$/, '');
+
+function splitTopLevel(text) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of text) {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (char === ',' && depth === 0) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+
+    if (current) parts.push(current);
+    return parts;
+}
+
+// 'id, name, modules ( id, subjects ( name ) )' → [{ name, alias, children }]
+function parseSelect(columns = '*') {
+    return splitTopLevel(columns.replace(/\s+/g, ''))
+        .map(part => {
+            const match = part.match(/^(?:(\w+):)?([\w*]+(?:\(\))?)(?:!\w+)?(?:\((.*)\))?$/);
+            if (!match) throw new Error(`Unsupported select: ${part}`);
+            const [, alias, name, children] = match;
+            return { name, alias: alias || null, children: children !== undefined ? parseSelect(children) : null };
+        });
+}
+
+function compare(a, b) {
+    const isTimestamp = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value);
+    if (isTimestamp(a) && isTimestamp(b)) return Date.parse(a) - Date.parse(b);
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+}
+
+class QueryBuilder {
+    constructor(standIn, table) {
+        this.standIn = standIn;
+        this.table = table;
+        this.operation = 'select';
+        this.columns = '*';
+        this.returning = false;
+        this.options = {};
+        this.filters = [];
+        this.orders = [];
+        this.limitCount = null;
+        this.offset = 0;
+        this.singleMode = null;
+    }
+
+    select(columns = '*', options = {}) {
+        this.columns = columns;
+        if (this.operation === 'select') {
+            this.options = options;
+        } else {
+            this.returning = true;
+        }
+        return this;
+    }
+
+    insert(rows) {
+        this.operation = 'insert';
+        this.payload = Array.isArray(rows) ? rows : [rows];
+        return this;
+    }
+
+    upsert(rows, options = {}) {
+        this.operation = 'upsert';
+        this.payload = Array.isArray(rows) ? rows : [rows];
+        this.upsertOptions = options;
+        return this;
+    }
+
+    update(values, options = {}) {
+        this.operation = 'update';
+        this.payload = values;
+        this.options = options;
+        return this;
+    }
+
+    delete(options = {}) {
+        this.operation = 'delete';
+        this.options = options;
+        return this;
+    }
+
+    filter(test) {
+        this.filters.push(test);
+        return this;
+    }
+
+    eq(column, value) { return this.filter(row => row[column] === value); }
+    neq(column, value) { return this.filter(row => row[column] !== value); }
+    gt(column, value) { return this.filter(row => row[column] != null && compare(row[column], value) > 0); }
+    gte(column, value) { return this.filter(row => row[column] != null && compare(row[column], value) >= 0); }
+    lt(column, value) { return this.filter(row => row[column] != null && compare(row[column], value) < 0); }
+    lte(column, value) { return this.filter(row => row[column] != null && compare(row[column], value) <= 0); }
+    in(column, values) { return this.filter(row => values.includes(row[column])); }
+    is(column, value) { return this.filter(row => (row[column] ?? null) === value); }
+    contains(column, values) { return this.filter(row => Array.isArray(row[column]) && values.every(value => row[column].includes(value))); }
+
+    // .not('user_id', 'is', null): any filter above, negated
+    not(column, operator, value) {
+        const probe = new QueryBuilder(this.standIn, this.table)[operator](column, value);
+        const [test] = probe.filters;
+        return this.filter(row => !test(row));
+    }
+
+    order(column, { ascending = true } = {}) {
+        this.orders.push({ column, ascending });
+        return this;
+    }
+
+    limit(count) {
+        this.limitCount = count;
+        return this;
+    }
+
+    range(from, to) {
+        this.offset = from;
+        this.limitCount = to - from + 1;
+        return this;
+    }
+
+    single() {
+        this.singleMode = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.singleMode = 'maybeSingle';
+        return this;
+    }
+
+    then(resolve, reject) {
+        let result;
+        try {
+            result = this.execute();
+        } catch (error) {
+            result = { data: null, error: { message: error.message } };
+        }
+        return Promise.resolve(result).then(resolve, reject);
+    }
+
+    rows() {
+        return this.standIn.table(this.table);
+    }
+
+    matching() {
+        return this.rows().filter(row => this.filters.every(test => test(row)));
+    }
+
+    conflictOf(row, keys) {
+        return this.rows().find(existing => existing !== row && keys.every(key => row[key] != null && existing[key] === row[key]));
+    }
+
+    withDefaults(row) {
+        const inserted = {
+            id: crypto.randomUUID(),
+            created_at: new Date().toISOString(),
+            ...(TABLE_DEFAULTS[this.table] ? TABLE_DEFAULTS[this.table]() : {}),
+            ...row
+        };
+        const trigger = this.standIn.triggers[this.table];
+        return trigger ? { ...inserted, ...trigger(inserted, this.standIn) } : inserted;
+    }
+
+    execute() {
+        let rows;
+
+        if (this.operation === 'select') {
+            rows = this.matching();
+            this.orders.slice().reverse().forEach(({ column, ascending }) => {
+                rows = rows.slice().sort((a, b) => (ascending ? 1 : -1) * compare(a[column], b[column]));
+            });
+            const count = rows.length;
+            if (this.limitCount !== null) rows = rows.slice(this.offset, this.offset + this.limitCount);
+
+            if (this.options.head) return { data: null, count, error: null };
+            return this.finish(rows, this.options.count ? count : null);
+        }
+
+        if (this.operation === 'insert' || this.operation === 'upsert') {
+            const conflictKeys = this.operation === 'upsert' && this.upsertOptions.onConflict
+                ? [this.upsertOptions.onConflict.split(',').map(key => key.trim())]
+                : [];
+            rows = [];
+
+            for (const input of this.payload) {
+                const conflict = conflictKeys.length ? this.conflictOf(input, conflictKeys[0]) : null;
+
+                if (conflict) {
+                    if (!this.upsertOptions.ignoreDuplicates) {
+                        Object.assign(conflict, input);
+                        rows.push(conflict);
+                    }
+                    continue;
+                }
+
+                const row = this.withDefaults(input);
+                const violated = (UNIQUE_KEYS[this.table] || []).find(keys => this.conflictOf(row, keys));
+                if (violated) {
+                    return { data: null, error: { code: '23505', message: `duplicate key value violates unique constraint (${violated.join(', ')})` } };
+                }
+
+                this.rows().push(row);
+                rows.push(row);
+            }
+        } else if (this.operation === 'update') {
+            rows = this.matching();
+            rows.forEach(row => Object.assign(row, this.payload));
+        } else {
+            rows = this.matching();
+            this.standIn.tables[this.table] = this.rows().filter(row => !rows.includes(row));
+        }
+
+        const count = this.options.count ? rows.length : null;
+        return this.returning ? this.finish(rows, count) : { data: null, error: null, count };
+    }
+
+    finish(rows, count) {
+        const data = rows.map(row => this.standIn.project(this.table, row, parseSelect(this.columns)));
+
+        if (this.singleMode === 'single' && data.length !== 1) {
+            return { data: null, error: { code: 'PGRST116', message: `JSON object requested, ${data.length} rows returned` } };
+        }
+        if (this.singleMode === 'maybeSingle' && data.length > 1) {
+            return { data: null, error: { code: 'PGRST116', message: `JSON object requested, ${data.length} rows returned` } };
+        }
+        if (this.singleMode) return { data: data[0] || null, error: null };
+
+        return { data, count, error: null };
+    }
+}
+
+class SupabaseStandIn {
+    constructor() {
+        this.reset();
+
+        this.client = {
+            from: (table) => new QueryBuilder(this, table),
+            rpc: async (name, args) => {
+                const handler = this.rpcs[name];
+                if (!handler) return { data: null, error: { message: `function ${name} does not exist` } };
+                return { data: handler(args, this), error: null };
+            },
+            auth: {
+                getUser: async (token) => {
+                    const user = this.users[token] || null;
+                    return { data: { user }, error: user ? null : { message: 'invalid JWT' } };
+                },
+                signUp: async ({ email, password }) => {
+                    if (this.accounts[email]) return { data: {}, error: { status: 422, message: 'User already registered' } };
+                    this.accounts[email] = { password, user: { id: crypto.randomUUID(), email } };
+                    return { data: { user: this.accounts[email].user, session: this.issueSession(this.accounts[email].user) }, error: null };
+                },
+                signInWithPassword: async ({ email, password }) => {
+                    const account = this.accounts[email];
+                    if (!account || account.password !== password) return { data: {}, error: { status: 400, message: 'Invalid login credentials' } };
+                    return { data: { user: account.user, session: this.issueSession(account.user) }, error: null };
+                },
+                signInWithOtp: async ({ email }) => {
+                    this.magicLinks.push(email);
+                    return { data: {}, error: null };
+                },
+                refreshSession: async ({ refresh_token: refreshToken }) => {
+                    const user = this.refreshTokens[refreshToken];
+                    if (!user) return { data: {}, error: { status: 400, message: 'Invalid Refresh Token' } };
+                    delete this.refreshTokens[refreshToken];
+                    return { data: { user, session: this.issueSession(user) }, error: null };
+                },
+                admin: {
+                    signOut: async (token) => {
+                        delete this.users[token];
+                        return { data: null, error: null };
+                    },
+                    deleteUser: async (userId) => {
+                        this.deletedUsers.push(userId);
+                        Object.keys(this.users).filter(token => this.users[token].id === userId).forEach(token => delete this.users[token]);
+                        return { data: {}, error: null };
+                    }
+                }
+            }
+        };
+    }
+
+    // New access + refresh token pair, shaped like a Supabase session
+    issueSession(user) {
+        const session = {
+            access_token: `access-${crypto.randomUUID()}`,
+            refresh_token: `refresh-${crypto.randomUUID()}`,
+            expires_in: 3600,
+            user
+        };
+        this.users[session.access_token] = user;
+        this.refreshTokens[session.refresh_token] = user;
+        return session;
+    }
+
+    /**
+     * Empty every table; `tables` seeds rows ({ table: [row, ...] }).
+     * Also forgets users (access token → user), accounts, rpcs and triggers.
+     */
+    reset(tables = {}) {
+        this.tables = JSON.parse(JSON.stringify(tables));
+        this.users = {};
+        this.accounts = {};
+        this.refreshTokens = {};
+        this.magicLinks = [];
+        this.deletedUsers = [];
+        this.rpcs = {};
+        this.triggers = {};
+    }
+
+    table(name) {
+        if (!this.tables[name]) this.tables[name] = [];
+        return this.tables[name];
+    }
+
+    project(table, row, items) {
+        const projected = {};
+
+        for (const { name, alias, children } of items) {
+            if (name === '*') {
+                Object.assign(projected, row);
+            } else if (!children) {
+                projected[alias || name] = name in row ? row[name] : null;
+            } else if (name.endsWith('_id')) {
+                // lectures:lecture_id ( ... ) - many-to-one through the named key
+                const parent = this.table(alias).find(candidate => candidate.id === row[name]);
+                projected[alias] = parent ? this.project(alias, parent, children) : null;
+            } else if (`${singular(name)}_id` in row) {
+                // subjects ( name ) on a lecture - many-to-one through subject_id
+                const parent = this.table(name).find(candidate => candidate.id === row[`${singular(name)}_id`]);
+                projected[alias || name] = parent ? this.project(name, parent, children) : null;
+            } else {
+                // modules ( ... ) on a year - one-to-many through year_id
+                projected[alias || name] = this.table(name)
+                    .filter(child => child[`${singular(table)}_id`] === row.id)
+                    .map(child => this.project(name, child, children));
+            }
+        }
+
+        return projected;
+    }
+}
+
+module.exports = { SupabaseStandIn };
@@ -0,0 +1,30 @@
+const zlib = require('zlib');
+
+/**
+ * File name → Buffer for every entry of a zip (stored or deflated), read
+ * through the central directory like an archive tool would
+ */
+function unzip(archive) {
+    const files = {};
+    const end = archive.lastIndexOf(Buffer.from([0x50, 0x4B, 0x05, 0x06]));
+    let offset = archive.readUInt32LE(end + 16);
+
+    for (let i = 0; i < archive.readUInt16LE(end + 10); i++) {
+        const method = archive.readUInt16LE(offset + 10);
+        const compressedSize = archive.readUInt32LE(offset + 20);
+        const nameLength = archive.readUInt16LE(offset + 28);
+        const extraLength = archive.readUInt16LE(offset + 30);
+        const commentLength = archive.readUInt16LE(offset + 32);
+        const name = archive.toString('utf8', offset + 46, offset + 46 + nameLength);
+        const local = archive.readUInt32LE(offset + 42);
+        const start = local + 30 + archive.readUInt16LE(local + 26) + archive.readUInt16LE(local + 28);
+        const data = archive.subarray(start, start + compressedSize);
+
+        files[name] = method === 8 ? zlib.inflateRawSync(data) : Buffer.from(data);
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return files;
+}
+
+module.exports = { unzip };
@@ -0,0 +1,181 @@
+const assert = require('assert/strict');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { renderExport } = require('../question-export');
+const { parseQuestionBank } = require('../question-import');
+const { readSqlite } = require('./helpers/sqlite-reader');
+
+const question = (id, fields = {}) => ({
+    id,
+    externalId: `l1_${id}`,
+    text: `Question ${id}`,
+    type: 'single',
+    options: ['Femur', 'Tibia', 'Fibula'],
+    correct: [1],
+    explanation: null,
+    source: 'Lower limb',
+    note: null,
+    media: [],
+    group: null,
+    ...fields
+});
+
+const fileOf = (rendered, name) => rendered.files.find(file => file.name === name).content;
+
+describe('Question exports (server/question-export.js)', () => {
+    describe('Anki (.apkg)', () => {
+        const collection = deck => readSqlite(fileOf(renderExport('apkg', deck), 'collection.anki2'));
+
+        it('writes one note and one card per question, readable across interior and overflow pages', () => {
+            const longCase = 'Long case '.repeat(2500);
+            const questions = Array.from({ length: 300 }, (_, index) => question(`q${index + 1}`));
+            questions[150] = question('q151', { text: longCase });
+
+            const { tables, overflowPages } = collection({ title: 'Lower limb', questions });
+
+            assert.equal(tables.notes.length, 300);
+            assert.equal(tables.cards.length, 300);
+            assert.ok(overflowPages.length > 0, 'the long note spills onto overflow pages');
+
+            const fields = tables.notes.map(note => note.values[6].split('\x1f'));
+            assert.ok(fields[150][0].includes(longCase.trim()), 'the long note comes back intact');
+            assert.equal(fields[0][1], 'B. Tibia');
+            assert.equal(fields[299][3], 'Lower limb');
+
+            const noteIds = new Set(tables.notes.map(note => note.rowid));
+            assert.ok(tables.cards.every(card => noteIds.has(card.values[1])), 'every card points at a note');
+        });
+
+        it('keeps note guids stable per question id and says when the key is withheld', () => {
+            const deck = { title: 'Saved', questions: [question('q1', { correct: null })] };
+
+            const [note] = collection(deck).tables.notes;
+
+            assert.equal(note.values[1], crypto.createHash('sha1').update('harvi:q1').digest('base64').slice(0, 10));
+            assert.equal(collection(deck).tables.notes[0].values[1], note.values[1]);
+            assert.equal(note.values[6].split('\x1f')[1], '<i>Answer this question in Harvi to see the key.</i>');
+        });
+    });
+
+    describe('GIFT', () => {
+        it('escapes GIFT control characters so the import reads the same question back', () => {
+            const tricky = question('q1', {
+                text: 'Ratio 1:2 with {braces}, = and ~ and # and a \\ backslash\nSecond line',
+                options: ['a = b', 'c ~ d', 'e#f'],
+                correct: [2],
+                explanation: 'Because {this}: #3'
+            });
+
+            const gift = renderExport('gift', { title: 'Ratios', questions: [tricky] }).body;
+            assert.ok(gift.includes('::l1_q1:: Ratio 1\\:2 with \\{braces\\}, \\= and \\~ and \\# and a \\\\ backslash\\nSecond line {'));
+
+            const { items, errors } = parseQuestionBank('gift', gift);
+            assert.deepEqual(errors, []);
+            assert.equal(items[0].text, tricky.text);
+            assert.deepEqual(items[0].options, tricky.options);
+            assert.deepEqual(items[0].indices, [2]);
+            assert.equal(items[0].explanation, tricky.explanation);
+        });
+
+        it('splits true/false statements, weights multi answers and skips withheld keys', () => {
+            const gift = renderExport('gift', {
+                title: 'Mixed',
+                questions: [
+                    question('tf', { type: 'true_false', text: 'The sciatic nerve', options: ['is L4-S3', 'supplies deltoid'], correct: [0] }),
+                    question('multi', { type: 'multi', options: ['Axillary', 'Radial', 'Ulnar'], correct: [0, 1] }),
+                    question('hidden', { correct: null })
+                ]
+            }).body;
+
+            assert.ok(gift.includes('::l1_tf_a:: The sciatic nerve\\n\\nis L4-S3 {T}'));
+            assert.ok(gift.includes('::l1_tf_b:: The sciatic nerve\\n\\nsupplies deltoid {F}'));
+            assert.ok(gift.includes('    ~%50%Axillary\n    ~%50%Radial\n    ~%-50%Ulnar'));
+            assert.ok(gift.includes('// l1_hidden: answer key withheld, not exported'));
+
+            const { items } = parseQuestionBank('gift', gift);
+            assert.deepEqual(items.map(item => item.indices), [[0], [1], [0, 1]]);
+            assert.equal(items[2].type, 'multi');
+        });
+    });
+
+    describe('QTI', () => {
+        it('zips a manifest and one item per answerable question, with escaped text', () => {
+            const rendered = renderExport('qti', {
+                title: 'Anatomy & "friends"',
+                questions: [
+                    question('single', { text: 'Is 1 < 2?', options: ['Yes <b>', 'No'], correct: [0] }),
+                    question('multi', { type: 'multi', correct: [0, 2] }),
+                    question('tf', { type: 'true_false', options: ['one', 'two'], correct: [1] }),
+                    question('hidden', { correct: null })
+                ]
+            });
+
+            assert.equal(rendered.filename, 'harvi-anatomy-friends-qti.zip');
+            assert.deepEqual(rendered.files.map(file => file.name), ['imsmanifest.xml', 'assessment.xml']);
+
+            const assessment = fileOf(rendered, 'assessment.xml');
+            const items = assessment.split('<item ').slice(1);
+            assert.deepEqual(items.map(item => item.match(/ident="([^"]+)"/)[1]), ['l1_single', 'l1_multi', 'l1_tf_a', 'l1_tf_b']);
+            assert.deepEqual(items.map(item => item.match(/<fieldentry>(\w+_question)</)[1]),
+                ['multiple_choice_question', 'multiple_answers_question', 'true_false_question', 'true_false_question']);
+
+            assert.ok(assessment.includes('title="Anatomy &amp; &quot;friends&quot;"'));
+            assert.ok(items[0].includes('<mattext texttype="text/html">Is 1 &amp;lt; 2?</mattext>'), 'HTML stems are escaped twice');
+            assert.ok(items[0].includes('<mattext texttype="text/plain">Yes &lt;b&gt;</mattext>'));
+            assert.ok(items[0].includes('<conditionvar><varequal respident="response1">1</varequal></conditionvar>'));
+            assert.ok(items[1].includes('<and><varequal respident="response1">1</varequal><not><varequal respident="response1">2</varequal></not><varequal respident="response1">3</varequal></and>'));
+            assert.ok(items[2].includes('<varequal respident="response1">2</varequal>'), 'statement A is false');
+            assert.ok(items[3].includes('<varequal respident="response1">1</varequal>'), 'statement B is true');
+        });
+    });
+
+    describe('PDF', () => {
+        const inflatedText = pdf => {
+            const streams = [];
+            let offset = 0;
+            while ((offset = pdf.indexOf('>>\nstream\n', offset)) !== -1) {
+                const start = offset + '>>\nstream\n'.length;
+                const end = pdf.indexOf('\nendstream', start);
+                streams.push(zlib.inflateSync(pdf.subarray(start, end)).toString('latin1'));
+                offset = end;
+            }
+            return streams.join('\n');
+        };
+
+        it('writes a valid cross-reference table, one page object per page and an answer key', () => {
+            const questions = Array.from({ length: 40 }, (_, index) => question(`q${index + 1}`, {
+                explanation: index === 0 ? 'Tibia (weight bearing)' : null
+            }));
+            questions[1] = question('q2', { correct: null });
+
+            const { filename, contentType, body } = renderExport('pdf', { title: 'Lower limb', questions });
+
+            assert.equal(filename, 'harvi-lower-limb.pdf');
+            assert.equal(contentType, 'application/pdf');
+            assert.equal(body.toString('latin1', 0, 8), '%PDF-1.4');
+
+            const text = body.toString('latin1');
+            const xrefAt = Number(text.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+            assert.equal(text.slice(xrefAt, xrefAt + 5), 'xref\n');
+            const offsets = text.slice(xrefAt).match(/^\d{10} 00000 n $/gm).map(line => Number(line.slice(0, 10)));
+            offsets.forEach((offset, index) => assert.ok(text.startsWith(`${index + 1} 0 obj\n`, offset), `object ${index + 1} starts at its offset`));
+
+            const pageCount = Number(text.match(/\/Type \/Pages \/Kids \[[^\]]*\] \/Count (\d+)/)[1]);
+            assert.ok(pageCount > 1);
+            assert.equal(text.match(/\/Type \/Page /g).length, pageCount);
+
+            // Wrapping collapses runs of spaces inside the text
+            const content = inflatedText(body);
+            assert.ok(content.includes('(1. Question q1) Tj'));
+            assert.ok(content.includes('(Answer Key) Tj'));
+            assert.ok(content.includes('(1. B. Tibia) Tj'));
+            assert.ok(content.includes('(Tibia \\(weight bearing\\)) Tj'), 'parentheses are escaped');
+            assert.ok(content.includes('(2. Not answered yet - answer it in Harvi to see the key) Tj'));
+            assert.ok(content.includes(`(Lower limb  -  ${pageCount} / ${pageCount}) Tj`));
+        });
+    });
+
+    it('rejects unknown formats', () => {
+        assert.throws(() => renderExport('docx', { title: 'x', questions: [] }), /Unknown export format "docx"/);
+    });
+});
@@ -0,0 +1,207 @@
+const assert = require('assert/strict');
+const { SupabaseStandIn } = require('./helpers/supabase-stand-in');
+const { parseQuestionBank, prepareImport, commitImport } = require('../question-import');
+
+const LECTURE = { id: '00000000-0000-4000-8000-000000000004', external_id: 'l1' };
+
+describe('Question bank import (server/question-import.js)', () => {
+    const standIn = new SupabaseStandIn();
+    const prepare = (format, content, options = {}) =>
+        prepareImport(standIn.client, LECTURE, { format, content, ...options });
+
+    beforeEach(() => {
+        standIn.reset({
+            questions: [{ id: 'existing', external_id: 'l1_q1', lecture_id: LECTURE.id, question_order: 4 }]
+        });
+    });
+
+    describe('CSV', () => {
+        it('reads quoted cells, answer letters and difficulty names', () => {
+            const csv = [
+                'Question,Option A,Option B,Option C,Answer,Difficulty',
+                '"Which nerve, if cut, causes wrist drop?",Median,Radial,Ulnar,B,hard',
+                '"A ""two-line""\nstem",x,y,z,"A, C",'
+            ].join('\r\n');
+
+            const { items, errors } = parseQuestionBank('csv', csv);
+
+            assert.deepEqual(errors, []);
+            assert.equal(items[0].text, 'Which nerve, if cut, causes wrist drop?');
+            assert.deepEqual(items[0].indices, [1]);
+            assert.equal(items[0].difficulty, 3);
+            assert.equal(items[1].text, 'A "two-line"\nstem');
+            assert.equal(items[1].type, 'multi');
+            assert.deepEqual(items[1].indices, [0, 2]);
+        });
+
+        it('maps custom headers and ; delimited exports', () => {
+            const csv = 'Stem;First;Second;Key\nDeltoid nerve?;Axillary;Radial;Axillary\n';
+
+            const { items } = parseQuestionBank('csv', csv, { columns: { text: 'Stem', answer: 'Key', options: ['First', 'Second'] } });
+
+            assert.deepEqual(items[0].options, ['Axillary', 'Radial']);
+            assert.deepEqual(items[0].indices, [0]);
+        });
+
+        it('reports a missing header column instead of guessing', () => {
+            const { items, errors } = parseQuestionBank('csv', 'Prompt,Option A,Option B\nx,a,b\n');
+
+            assert.deepEqual(items, []);
+            assert.deepEqual(errors.map(error => error.line), [1, 1]);
+            assert.match(errors[0].message, /No question column/);
+            assert.match(errors[1].message, /No answer column/);
+        });
+
+        it('rejects malformed rows by line and numbers the rest after the lecture', async () => {
+            const csv = [
+                'Question,Option A,Option B,Option C,Answer,Difficulty',
+                'Deltoid nerve?,Axillary,Radial,Median,A,',
+                'Only one option,Axillary,,,A,',
+                'Out of range,a,b,c,E,5',
+                'Wrist drop?,Median,Radial,Ulnar,B,medium'
+            ].join('\n');
+
+            const { total, rows, errors } = await prepare('csv', csv);
+
+            assert.equal(total, 4);
+            assert.deepEqual(rows.map(({ line, row }) => [line, row.external_id, row.question_order]), [[2, 'l1_q2', 5], [5, 'l1_q3', 6]]);
+            assert.deepEqual(errors.map(({ line, message }) => [line, message]), [
+                [3, 'At least 2 options required'],
+                [4, 'Correct answer 5 exceeds options length (3)'],
+                [4, 'Difficulty must be 1-3 or easy / medium / hard']
+            ]);
+        });
+
+        it('refuses external ids already in the bank or repeated in the file', async () => {
+            const csv = [
+                'ID,Question,Option A,Option B,Answer',
+                'l1_q1,Clash with the bank,a,b,A',
+                'new_1,First,a,b,A',
+                'new_1,Repeated,a,b,B'
+            ].join('\n');
+
+            const { rows, errors } = await prepare('csv', csv);
+
+            assert.deepEqual(rows.map(({ row }) => row.external_id), ['new_1']);
+            assert.deepEqual(errors.map(({ line, message }) => [line, message]), [
+                [2, 'Duplicate external_id "l1_q1" (already in the question bank)'],
+                [4, 'Duplicate external_id "new_1" (also on line 3)']
+            ]);
+        });
+    });
+
+    describe('Aiken', () => {
+        it('reads multi-line stems, both option styles and multi-letter keys', () => {
+            const aiken = 'Which nerves arise from\nthe posterior cord?\nA. Axillary\nB) Ulnar\nC. Radial\nANSWER: A, C\n';
+
+            const [item] = parseQuestionBank('aiken', aiken).items;
+
+            assert.equal(item.text, 'Which nerves arise from\nthe posterior cord?');
+            assert.deepEqual(item.options, ['Axillary', 'Ulnar', 'Radial']);
+            assert.equal(item.type, 'multi');
+            assert.deepEqual(item.indices, [0, 2]);
+        });
+
+        it('reports questions without an ANSWER line and answers for missing options', async () => {
+            const aiken = [
+                'Orphan question',
+                'A. one',
+                'B. two',
+                'Next question',
+                'A. x',
+                'B. y',
+                'ANSWER: C',
+                'ANSWER: B'
+            ].join('\n');
+
+            const { rows, errors } = await prepare('aiken', aiken);
+
+            assert.deepEqual(rows, []);
+            assert.deepEqual(errors.map(({ line, message }) => [line, message]), [
+                [1, 'Missing "ANSWER:" line'],
+                [4, 'Correct answer 3 exceeds options length (2)'],
+                [8, '"ANSWER:" line without a question']
+            ]);
+        });
+    });
+
+    describe('GIFT', () => {
+        it('unescapes \\: \\{ \\} \\= \\~ \\# in stems, answers and feedback', () => {
+            const gift = '::Ratio:: The ratio 1\\:2 uses \\{braces\\}, a \\= and a \\# {=right \\~ answer ~wrong#not this ####Because 1\\:2.}';
+
+            const [item] = parseQuestionBank('gift', gift).items;
+
+            assert.equal(item.text, 'The ratio 1:2 uses {braces}, a = and a #');
+            assert.deepEqual(item.options, ['right ~ answer', 'wrong']);
+            assert.deepEqual(item.indices, [0]);
+            assert.equal(item.explanation, 'Because 1:2.');
+        });
+
+        it('reads true/false, missing word and weighted questions; skips comments and categories', () => {
+            const gift = [
+                '// Upper limb',
+                '$CATEGORY: anatomy/upper-limb',
+                'The axillary nerve supplies deltoid {T}',
+                '',
+                'The {~median =radial ~ulnar} nerve causes wrist drop.',
+                '',
+                'Posterior cord branches {',
+                '  ~%50%Axillary',
+                '  ~%50%Radial',
+                '  ~%-100%Ulnar',
+                '}'
+            ].join('\n');
+
+            const { items, errors } = parseQuestionBank('gift', gift);
+
+            assert.deepEqual(errors, []);
+            assert.deepEqual(items.map(item => item.line), [3, 5, 7]);
+            assert.deepEqual(items[0].options, ['True', 'False']);
+            assert.equal(items[1].text, 'The _____ nerve causes wrist drop.');
+            assert.deepEqual(items[1].indices, [1]);
+            assert.equal(items[2].type, 'multi');
+            assert.deepEqual(items[2].indices, [0, 1]);
+        });
+
+        it('rejects question kinds Harvi cannot grade, and unclosed answer blocks', () => {
+            const gift = [
+                'What is 2+2? {#4}',
+                '',
+                'Capital of France? {=Paris}',
+                '',
+                'Match {=a -> b =c -> d ~x}',
+                '',
+                'Describe the plexus. {}',
+                '',
+                'No answers here'
+            ].join('\n');
+
+            const { items, errors } = parseQuestionBank('gift', gift);
+
+            assert.deepEqual(items, []);
+            assert.deepEqual(errors, [
+                { line: 1, message: 'Numerical questions are not supported' },
+                { line: 3, message: 'Short answer questions are not supported' },
+                { line: 5, message: 'Matching questions are not supported' },
+                { line: 7, message: 'Essay questions are not supported' },
+                { line: 9, message: 'No answer block ({...}) found' }
+            ]);
+        });
+    });
+
+    it('inserts prepared rows as JSONB options with the answer key', async () => {
+        const { rows } = await prepare('gift', 'Deltoid nerve? {=Axillary ~Radial}');
+
+        const [created] = await commitImport(standIn.client, rows);
+
+        assert.equal(created.lecture_id, LECTURE.id);
+        assert.equal(created.question_type, 'single');
+        assert.equal(created.correct_answer_index, 0);
+        assert.deepEqual(created.options[0], { id: 1, text: 'Axillary', image_url: null, alt_text: null });
+        assert.equal(standIn.table('questions').length, 2);
+    });
+
+    it('throws on an unknown format', () => {
+        assert.throws(() => parseQuestionBank('qti', ''), /Unknown format "qti"/);
+    });
+});
@@ -0,0 +1,164 @@
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { standIn } = require('./helpers/api-harness');
+const { buildRows, diffRows, main } = require('../seed');
+
+const hierarchy = (questions) => ({
+    years: [{
+        id: 'year1',
+        name: 'Year 1',
+        modules: [{ name: 'Anatomy', subjects: [{ name: 'Upper Limb', lectures: [{ name: 'Brachial Plexus', questions }] }] }]
+    }]
+});
+
+const DELTOID = { id: 'q1', text: 'Which nerve supplies the deltoid?', options: ['Axillary', 'Radial', 'Median'], correctAnswer: 0 };
+const POSTERIOR_CORD = { id: 'q2', type: 'multi', text: 'Posterior cord branches?', options: ['Axillary', 'Ulnar', 'Radial'], correctAnswer: [2, 0] };
+
+describe('Content seeder (server/seed.js)', () => {
+    describe('buildRows', () => {
+        it('derives external ids from positions and stores options as JSONB', () => {
+            const { errors, rows } = buildRows(hierarchy([DELTOID, POSTERIOR_CORD]));
+
+            assert.deepEqual(errors, []);
+            assert.deepEqual(rows.lectures.map(row => [row.external_id, row.parent]), [['year1_mod1_sub1_lec1', 'year1_mod1_sub1']]);
+
+            const [single, multi] = rows.questions;
+            assert.equal(single.external_id, 'year1_mod1_sub1_lec1_q1');
+            assert.deepEqual(single.options, [{ id: 1, text: 'Axillary' }, { id: 2, text: 'Radial' }, { id: 3, text: 'Median' }]);
+            assert.equal(multi.correct_answer_index, null);
+            assert.deepEqual(multi.correct_answer_indices, [0, 2]);
+        });
+
+        it('lists every problem with its path in the file', () => {
+            const { errors } = buildRows(hierarchy([
+                DELTOID,
+                { ...DELTOID, id: 'q2', correctAnswer: 3 },
+                { ...DELTOID, id: 'q3', options: ['Axillary'], correctAnswer: 1 },
+                { ...POSTERIOR_CORD, id: 'q1' },
+                { id: 'bad id', text: '', options: ['a', 'b'], correctAnswer: 0, difficulty: 4 }
+            ]));
+            const at = 'years[0].modules[0].subjects[0].lectures[0].questions';
+
+            assert.deepEqual(errors, [
+                `${at}[1]: correctAnswer must be an option index (0-2), got 3`,
+                `${at}[2]: at least 2 options are required`,
+                `${at}[2]: correctAnswer must be an option index (0-0), got 1`,
+                `${at}[3]: duplicate id "year1_mod1_sub1_lec1_q1"`,
+                `${at}[4]: id "bad id" may only contain letters, digits, - and _`,
+                `${at}[4]: text is required`,
+                `${at}[4]: difficulty must be 1, 2 or 3`
+            ]);
+        });
+
+        it('accepts the bundled server/seed/hierarchy.json', () => {
+            const bundled = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'seed', 'hierarchy.json'), 'utf8'));
+
+            assert.deepEqual(buildRows(bundled).errors, []);
+        });
+    });
+
+    describe('diffRows', () => {
+        const existingFor = (rows) => Object.fromEntries(Object.entries(rows)
+            .map(([table, list]) => [table, new Map(list.map(row => [row.external_id, { id: `uuid-${row.external_id}`, ...row }]))]));
+
+        it('plans creates, updates and removals, ignoring JSONB key order', () => {
+            const { rows: stored } = buildRows(hierarchy([DELTOID, POSTERIOR_CORD]));
+            const existing = existingFor(stored);
+            existing.questions.get('year1_mod1_sub1_lec1_q1').options = [
+                { text: 'Axillary', id: 1 }, { text: 'Radial', id: 2 }, { text: 'Median', id: 3 }
+            ];
+
+            const { rows } = buildRows(hierarchy([
+                DELTOID,
+                { ...POSTERIOR_CORD, id: 'q3', text: 'Posterior cord branches (all)?' }
+            ]));
+            rows.lectures[0].name = 'Brachial Plexus I';
+
+            const plan = diffRows(rows, existing);
+
+            assert.equal(plan.questions.unchanged, 1);
+            assert.deepEqual(plan.questions.create.map(row => row.external_id), ['year1_mod1_sub1_lec1_q3']);
+            assert.deepEqual(plan.questions.remove.map(row => row.id), ['uuid-year1_mod1_sub1_lec1_q2']);
+            assert.deepEqual(plan.lectures.update.map(({ changed }) => changed), [['name']]);
+            assert.equal(plan.years.unchanged, 1);
+        });
+    });
+
+    describe('main', () => {
+        let directory;
+        const logged = [];
+        const consoleMethods = {};
+
+        const seedFile = (data) => {
+            const file = path.join(directory, 'hierarchy.json');
+            fs.writeFileSync(file, JSON.stringify(data));
+            return file;
+        };
+
+        before(() => {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'harvi-seed-'));
+            consoleMethods.log = console.log;
+            consoleMethods.error = console.error;
+            console.log = (...args) => logged.push(args.join(' '));
+            console.error = (...args) => logged.push(args.join(' '));
+        });
+
+        after(() => {
+            console.log = consoleMethods.log;
+            console.error = consoleMethods.error;
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+
+        beforeEach(() => {
+            standIn.reset();
+            logged.length = 0;
+        });
+
+        it('seeds parents before children and is idempotent', async () => {
+            const file = seedFile(hierarchy([DELTOID, POSTERIOR_CORD]));
+
+            assert.equal(await main(['--file', file]), 0);
+            const lecture = standIn.table('lectures')[0];
+            assert.ok(standIn.table('questions').every(question => question.lecture_id === lecture.id));
+            assert.equal(standIn.table('subjects')[0].id, lecture.subject_id);
+
+            const before = JSON.stringify(standIn.tables);
+            assert.equal(await main(['--file', file]), 0);
+            assert.equal(JSON.stringify(standIn.tables), before);
+        });
+
+        it('deletes nothing on a --prune dry run, and prunes children first for real', async () => {
+            await main(['--file', seedFile(hierarchy([DELTOID, POSTERIOR_CORD]))]);
+            const file = seedFile({ years: [{ id: 'year1', name: 'Year 1' }] });
+            logged.length = 0;
+
+            assert.equal(await main(['--file', file, '--prune', '--dry-run']), 0);
+            assert.equal(standIn.table('questions').length, 2);
+            assert.equal(standIn.table('modules').length, 1);
+            assert.ok(logged.some(line => line.includes('- questions year1_mod1_sub1_lec1_q2')));
+
+            assert.equal(await main(['--file', file, '--prune']), 0);
+            assert.equal(standIn.table('questions').length, 0);
+            assert.equal(standIn.table('modules').length, 0);
+            assert.equal(standIn.table('years').length, 1);
+        });
+
+        it('keeps rows missing from the file without --prune', async () => {
+            await main(['--file', seedFile(hierarchy([DELTOID, POSTERIOR_CORD]))]);
+
+            assert.equal(await main(['--file', seedFile(hierarchy([DELTOID]))]), 0);
+            assert.equal(standIn.table('questions').length, 2);
+            assert.ok(logged.some(line => line.includes('? questions year1_mod1_sub1_lec1_q2 (not in file, kept without --prune)')));
+        });
+
+        it('exits 1 on an invalid file without touching the database', async () => {
+            const code = await main(['--file', seedFile(hierarchy([{ ...DELTOID, correctAnswer: 9 }]))]);
+
+            assert.equal(code, 1);
+            assert.deepEqual(standIn.tables, {});
+            assert.ok(logged.some(line => line.includes('has 1 problem(s)')));
+        });
+    });
+});
@@ -13,7 +13,7 @@
 // Update this version number with each deployment
 // This ensures all caches are invalidated together
 // ============================================================================
-const APP_VERSION = '3.3.0';  // ← PWA Request Minimization Phase 2: SW-level rate limiting
+const APP_VERSION = '3.23.3';  // ← Unchecked-answer note built as text
 const BUILD_TIMESTAMP = '2026-01-22T15:41:00+02:00';
 
 // ============================================================================
@@ -99,14 +99,23 @@ function deduplicateFetch(url, fetchFn) {
 const CACHE_NAME = `harvi-shell-v${APP_VERSION}`;
 const RUNTIME_CACHE = `harvi-runtime-v${APP_VERSION}`;
 const API_CACHE = `harvi-api-v${APP_VERSION}`;
-const IMAGE_CACHE = `harvi-images-v${APP_VERSION}`;
+// Question media (Supabase storage). Not tied to APP_VERSION: uploaded files
+// never change in place, and wiping them on every deploy would break lectures
+// that were downloaded for offline use.
+const IMAGE_CACHE = 'harvi-images-v1';
+const MAX_CACHED_IMAGES = 500;
+// Images of lectures the student downloaded for offline use: never trimmed,
+// handed back to IMAGE_CACHE when the download is removed
+const PINNED_IMAGE_CACHE = 'harvi-images-pinned-v1';
+const QUESTION_MEDIA_PATH = '/storage/v1/object/public/question-media/';
 // Log version info
 console.log(`[SW] Version ${APP_VERSION} (${BUILD_TIMESTAMP})`);
 console.log(`[SW] Cache names:`, {
   shell: CACHE_NAME,
   runtime: RUNTIME_CACHE,
   api: API_CACHE,
-  images: IMAGE_CACHE
+  images: IMAGE_CACHE,
+  pinnedImages: PINNED_IMAGE_CACHE
 });
 
 // Determine base path (works for root or subdirectory deployments)
@@ -132,6 +141,10 @@ const ASSETS_TO_CACHE = [
   BASE_PATH + '/css/components/bottom-nav.css',
   BASE_PATH + '/css/components/profile.css',
   BASE_PATH + '/css/components/modals.css',
+  BASE_PATH + '/css/components/exam-mode.css',
+  BASE_PATH + '/css/components/quiz-builder.css',
+  BASE_PATH + '/css/components/search.css',
+  BASE_PATH + '/css/components/downloads.css',
   BASE_PATH + '/css/components/pwa-features.css',
   BASE_PATH + '/css/components/dynamic-island.css',
   BASE_PATH + '/css/components/native-navigation.css',
@@ -147,6 +160,9 @@ const ASSETS_TO_CACHE = [
   BASE_PATH + '/js/results.js',
   BASE_PATH + '/js/navigation.js',
   BASE_PATH + '/js/profile.js',
+  BASE_PATH + '/js/quiz-builder.js',
+  BASE_PATH + '/js/search.js',
+  BASE_PATH + '/js/offline-downloads.js',
   BASE_PATH + '/js/pwa-features.js',
   BASE_PATH + '/js/motion-coordinator.js',
   BASE_PATH + '/js/native-touch-engine.js',
@@ -155,6 +171,13 @@ const ASSETS_TO_CACHE = [
   BASE_PATH + '/js/dynamic-island.js',
   BASE_PATH + '/js/haptics-engine.js',
   BASE_PATH + '/js/db.js',
+  BASE_PATH + '/js/auth.js',
+  BASE_PATH + '/js/review-scheduler.js',
+  BASE_PATH + '/js/saved-questions.js',
+  BASE_PATH + '/js/question-reports.js',
+  BASE_PATH + '/js/adaptive-engine.js',
+  BASE_PATH + '/js/answer-envelope.js',
+  BASE_PATH + '/js/question-media.js',
   BASE_PATH + '/js/cache-utils.js',
   BASE_PATH + '/js/request-guard.js',  // PWA Request Minimization
   BASE_PATH + '/offline.html'
@@ -189,7 +212,8 @@ self.addEventListener('activate', (event) => {
         CACHE_NAME,
         RUNTIME_CACHE,
         API_CACHE,
-        IMAGE_CACHE
+        IMAGE_CACHE,
+        PINNED_IMAGE_CACHE
       ];
 
       console.log('[SW] Current caches:', currentCaches);
@@ -263,12 +287,25 @@ self.addEventListener('message', (event) => {
         shell: CACHE_NAME,
         runtime: RUNTIME_CACHE,
         api: API_CACHE,
-        images: IMAGE_CACHE
+        images: IMAGE_CACHE,
+        pinnedImages: PINNED_IMAGE_CACHE
       }
     });
     return;
   }
 
+  // Question images of a lecture saved for offline use (js/question-media.js)
+  if (event.data && event.data.type === 'CACHE_IMAGES') {
+    event.waitUntil(cacheQuestionImages(event.data.urls || [], !!event.data.pinned));
+    return;
+  }
+
+  // Images of lectures removed from offline downloads
+  if (event.data && event.data.type === 'RELEASE_IMAGES') {
+    event.waitUntil(releaseQuestionImages(event.data.urls || []));
+    return;
+  }
+
   // NEW: Clear all caches (for debugging/reset)
   if (event.data && event.data.type === 'CLEAR_CACHES') {
     event.waitUntil(
@@ -309,6 +346,118 @@ async function prefetchQuizzes(lectureIds) {
   }
 }
 
+function isQuestionMedia(url) {
+  return url.pathname.startsWith(QUESTION_MEDIA_PATH);
+}
+
+/**
+ * Keep IMAGE_CACHE under MAX_CACHED_IMAGES, oldest entries first
+ */
+async function trimImageCache(cache) {
+  const keys = await cache.keys();
+  const excess = keys.length - MAX_CACHED_IMAGES;
+  if (excess > 0) {
+    await Promise.all(keys.slice(0, excess).map(key => cache.delete(key)));
+  }
+}
+
+/**
+ * Download question images that are not cached yet. Pinned ones (offline
+ * downloads) go to PINNED_IMAGE_CACHE, moved there if IMAGE_CACHE has them.
+ */
+async function cacheQuestionImages(urls, pinned = false) {
+  try {
+    const cache = await caches.open(IMAGE_CACHE);
+    const pinnedCache = await caches.open(PINNED_IMAGE_CACHE);
+    const mediaUrls = urls.filter(u => {
+      try {
+        return isQuestionMedia(new URL(u));
+      } catch (e) {
+        return false;
+      }
+    });
+
+    let added = 0;
+    for (const url of mediaUrls) {
+      if (await pinnedCache.match(url)) continue;
+      const cached = await cache.match(url);
+      if (cached) {
+        if (pinned) {
+          await pinnedCache.put(url, cached);
+          await cache.delete(url);
+        }
+        continue;
+      }
+      try {
+        const response = await fetch(url, { mode: 'cors', credentials: 'omit' });
+        if (response.ok) {
+          await (pinned ? pinnedCache : cache).put(url, response);
+          added++;
+        }
+      } catch (e) {
+        console.warn('[SW] Image precache failed:', url, e);
+      }
+    }
+
+    if (added > 0) {
+      if (!pinned) await trimImageCache(cache);
+      console.log('[SW] Cached question images:', added, pinned ? '(pinned)' : '');
+    }
+  } catch (e) {
+    console.warn('[SW] Image precache failed:', e);
+  }
+}
+
+/**
+ * Move images of removed offline downloads back to IMAGE_CACHE (trimmed as usual)
+ */
+async function releaseQuestionImages(urls) {
+  try {
+    const cache = await caches.open(IMAGE_CACHE);
+    const pinnedCache = await caches.open(PINNED_IMAGE_CACHE);
+
+    let released = 0;
+    for (const url of urls) {
+      const response = await pinnedCache.match(url);
+      if (!response) continue;
+      await cache.put(url, response);
+      await pinnedCache.delete(url);
+      released++;
+    }
+
+    if (released > 0) {
+      await trimImageCache(cache);
+      console.log('[SW] Released pinned question images:', released);
+    }
+  } catch (e) {
+    console.warn('[SW] Image release failed:', e);
+  }
+}
+
+/**
+ * Question images: cache-first from PINNED_IMAGE_CACHE, then IMAGE_CACHE
+ * (filled on first view)
+ */
+async function handleQuestionMedia(request) {
+  const pinned = await (await caches.open(PINNED_IMAGE_CACHE)).match(request.url);
+  if (pinned) return pinned;
+
+  const cache = await caches.open(IMAGE_CACHE);
+  const cached = await cache.match(request.url);
+  if (cached) return cached;
+
+  try {
+    const response = await fetch(request);
+    if (response && response.ok) {
+      await cache.put(request.url, response.clone());
+      trimImageCache(cache);
+    }
+    return response;
+  } catch (e) {
+    return caches.match(BASE_PATH + '/icons/icon-192x192.svg');
+  }
+}
+
 /**
  * Fetch event - implement caching strategies
  */
@@ -316,6 +465,12 @@ self.addEventListener('fetch', (event) => {
   const { request } = event;
   const url = new URL(request.url);
 
+  // Question images live in Supabase storage (cross-origin)
+  if (request.method === 'GET' && isQuestionMedia(url)) {
+    event.respondWith(handleQuestionMedia(request));
+    return;
+  }
+
   // Skip cross-origin requests
   if (url.origin !== location.origin) {
     return;
@@ -323,20 +478,24 @@ self.addEventListener('fetch', (event) => {
 
   // Handle API requests with optimized caching strategies
   if (url.pathname.startsWith('/api/')) {
-    // PWA Caching Strategy: never cache admin or mutating requests (POST/PUT/PATCH/DELETE)
-    if (url.pathname.startsWith('/api/admin/') || request.method !== 'GET') {
+    // PWA Caching Strategy: never cache admin or mutating requests (POST/PUT/PATCH/DELETE),
+    // nor a signed-in student's own data (it must not outlive sign-out)
+    if (url.pathname.startsWith('/api/admin/') || request.method !== 'GET' || request.headers.has('Authorization')) {
       return; // pass through to network
     }
 
     // =========================================================================
     // SW-LEVEL RATE LIMITING for /api/years
-    // Check cooldown BEFORE network request - serve from cache if within cooldown
+    // Check cooldown BEFORE network request - serve from cache if within cooldown.
+    // cache: 'no-cache' comes from Navigation after /api/changes reported a
+    // hierarchy change: skip the budget and the stale copy, revalidate (ETag)
     // =========================================================================
     if (url.pathname === '/api/years') {
+      const knownChange = request.cache === 'no-cache';
       event.respondWith(
         caches.match(request).then(cached => {
           // Check if we should rate-limit this request
-          if (!shouldAllowRequest(url.pathname)) {
+          if (!knownChange && !shouldAllowRequest(url.pathname)) {
             // Within cooldown - return cached response without network request
             if (cached) {
               console.log('[SW Budget] 🔒 Rate-limited /api/years - serving cache');
@@ -350,7 +509,7 @@ self.addEventListener('fetch', (event) => {
           }
 
           // Not rate-limited - use Stale-While-Revalidate
-          if (cached) {
+          if (cached && !knownChange) {
             // Return cached immediately, revalidate in background
             deduplicateFetch(request.url, () => fetch(request)).then(res => {
               if (res && res.ok) {
@@ -490,12 +649,10 @@ self.addEventListener('fetch', (event) => {
               return response;
             }
 
-            // Determine which cache to use
-            const cacheToUse = request.destination === 'image' ? IMAGE_CACHE : RUNTIME_CACHE;
-
             // Clone and cache successful responses
+            // (IMAGE_CACHE outlives deployments, so app images stay in RUNTIME_CACHE)
             const clone = response.clone();
-            caches.open(cacheToUse).then((cache) => {
+            caches.open(RUNTIME_CACHE).then((cache) => {
               cache.put(request, clone);
             });
 